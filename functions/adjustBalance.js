@@ -0,0 +1,197 @@
+/**
+ * adjustBalance Cloud Function
+ * Admin function for signed balance adjustments (credits and claw-backs)
+ *
+ * Every adjustment needs a reason code and a note, and is recorded as an
+ * `adjustment` transaction. Debits that would take the balance below zero are
+ * refused unless the caller sets allowNegative. An optional idempotencyKey
+ * makes retries safe (see idempotency.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { requireRole } = require('./roles');
+const { GRANTS_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+const { idempotencyKeyRef, getStoredResult, storeResult } = require('./idempotency');
+
+const db = admin.firestore();
+
+// Constants
+const REASON_CODES = [
+  'duplicate_grant', // Claw back a grant that was applied twice
+  'correction', // Fix a mistake (wrong amount, wrong user)
+  'goodwill', // Compensation for a problem during an auction
+  'event_seed', // Seeding test or event accounts
+  'other'
+];
+const MAX_ADJUSTMENT = 10000000; // $100,000.00 either way
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * HTTPS Callable Function for adjusting a user's balance
+ * @param {Object} data - { userId, amount, reasonCode, note, allowNegative?, idempotencyKey? }
+ *   amount is signed cents (negative to debit)
+ * @param {Object} context - Auth context (must be admin)
+ */
+exports.adjustBalance = functions.https.onCall(async (data, context) => {
+  console.log('[adjustBalance] Function called');
+
+  requireRole(context, ['admin'], 'adjustBalance', 'adjust balances');
+
+  const adminId = context.auth.uid;
+  const adminEmail = context.auth.token.email || 'Unknown admin';
+
+  const { userId, amount, reasonCode } = data || {};
+  const note = typeof data?.note === 'string' ? data.note.trim() : '';
+  const allowNegative = data?.allowNegative === true;
+
+  if (!userId || typeof userId !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Missing required parameter: userId',
+      { reason: 'missing-user-id' }
+    );
+  }
+
+  if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Amount must be a non-zero whole number of cents, at most $100,000.00 either way',
+      { reason: 'invalid-amount' }
+    );
+  }
+
+  if (!REASON_CODES.includes(reasonCode)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Invalid reason code: must be one of ${REASON_CODES.join(', ')}`,
+      { reason: 'invalid-reason-code' }
+    );
+  }
+
+  if (!note || note.length > MAX_NOTE_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `A note (up to ${MAX_NOTE_LENGTH} characters) is required for adjustments`,
+      { reason: 'invalid-note' }
+    );
+  }
+
+  const keyRef = idempotencyKeyRef(data.idempotencyKey, 'adjustBalance', adminId);
+  const request = { userId, amount, reasonCode };
+
+  const amountLabel = `${amount < 0 ? '-' : '+'}$${(Math.abs(amount) / 100).toFixed(2)}`;
+  console.log(`[adjustBalance] Admin ${adminEmail} adjusting user ${userId} by ${amountLabel} (${reasonCode})`);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      // A retried adjustment that already went through returns the original result
+      const storedResult = await getStoredResult(transaction, keyRef, request);
+      if (storedResult) {
+        return storedResult;
+      }
+
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'User not found',
+          { reason: 'user-not-found' }
+        );
+      }
+
+      const user = userDoc.data();
+      const currentBalance = user.balance || 0;
+      const newBalance = currentBalance + amount;
+
+      if (newBalance < 0 && !allowNegative) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `This would leave a balance of -$${(Math.abs(newBalance) / 100).toFixed(2)}. ` +
+          'Allow a negative balance to apply it anyway.',
+          { reason: 'negative-balance', currentBalance, newBalance }
+        );
+      }
+
+      transaction.update(userRef, {
+        balance: newBalance,
+        lastAdjustmentAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastAdjustmentBy: adminId
+      });
+
+      const transactionRef = db.collection('transactions').doc();
+      transaction.set(transactionRef, {
+        userId,
+        type: 'adjustment',
+        amount, // Signed: negative debits the user
+        balanceAfter: newBalance,
+        reasonCode,
+        note,
+        allowedNegative: newBalance < 0,
+        description: `Adjustment (${reasonCode.replace('_', ' ')}): ${note}`,
+        adjustedBy: adminId,
+        adjustedByEmail: adminEmail,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Ledger: credits come from the grants pool, claw-backs go back to it
+      postEntry(transaction, {
+        id: transactionRef.id,
+        type: 'adjustment',
+        amounts: {
+          [GRANTS_ACCOUNT]: -amount,
+          [walletAccount(userId)]: amount
+        },
+        description: `Adjustment by ${adminEmail}: ${reasonCode}`,
+        refs: { userId, adjustedBy: adminId, reasonCode }
+      });
+
+      transaction.set(db.collection('auditLog').doc(), {
+        action: 'adjust-balance',
+        targetUserId: userId,
+        targetEmail: user.email || null,
+        transactionId: transactionRef.id,
+        amount,
+        reasonCode,
+        note,
+        balanceBefore: currentBalance,
+        balanceAfter: newBalance,
+        actorId: adminId,
+        actorEmail: adminEmail,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const adjustResult = {
+        success: true,
+        newBalance,
+        transactionId: transactionRef.id,
+        userEmail: user.email || 'Unknown',
+        amount
+      };
+
+      storeResult(transaction, keyRef, request, adjustResult);
+
+      return adjustResult;
+    });
+
+    console.log(`[adjustBalance] ${result.replayed ? 'Replayed adjustment of' : 'Adjusted'} ${result.userEmail} by ${amountLabel}, new balance $${(result.newBalance / 100).toFixed(2)}`);
+    return result;
+
+  } catch (error) {
+    console.error('[adjustBalance] Error adjusting balance:', error);
+
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    throw new functions.https.HttpsError(
+      'internal',
+      `Failed to adjust balance: ${error.message}`,
+      { reason: 'internal' }
+    );
+  }
+});
+
+exports.REASON_CODES = REASON_CODES;
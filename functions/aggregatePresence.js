@@ -1,70 +1,97 @@
 /**
  * aggregatePresence Cloud Function
- * Aggregates presence count for all live auctions every 5 seconds
+ * Reconciles audience counters with the presence entries every 5 minutes
  *
- * Counts users in /presence/{auctionId}/live and writes to /auctionViewerCounts
+ * viewerCount, viewersByContext and the unique visitor counts are kept up to
+ * date by the countPresence* triggers (see auctionCounters.js). This sweep
+ * visits each auction that can have viewers (scheduled, live or paused),
+ * recounts its /presence/{auctionId} (schema in shared/presenceSchema.js) and
+ * /auctionVisitors/{auctionId}, and corrects any counter that drifted because
+ * a trigger was missed or delivered twice.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { PRESENCE_CONTEXTS, auctionPresencePath } = require('./shared/presenceSchema');
+const { VISITOR_ROOT, audienceAuctionIds, reconcileCounters } = require('./auctionCounters');
 
-const db = admin.firestore();
 const rtdb = admin.database();
 
 /**
- * Aggregates presence count for all live auctions
- * Scheduled to run every 5 seconds via Cloud Scheduler
+ * Recounts presence entries one auction at a time
+ * Scheduled to run every 5 minutes via Cloud Scheduler
  */
 exports.aggregatePresence = functions.pubsub
-  .schedule('every 1 minutes')
+  .schedule('every 5 minutes')
   .onRun(async (context) => {
-    console.log('[aggregatePresence] Starting presence aggregation...');
+    console.log('[aggregatePresence] Reconciling audience counts...');
 
     try {
-      // Get all live auctions from Firestore
-      const auctionsSnapshot = await db.collection('auctions')
-        .where('status', '==', 'live')
-        .get();
-
-      if (auctionsSnapshot.empty) {
-        console.log('[aggregatePresence] No live auctions found');
-        return null;
-      }
-
-      console.log(`[aggregatePresence] Found ${auctionsSnapshot.size} live auctions`);
-
-      const updates = [];
-
-      // For each live auction, count presence in RTDB
-      for (const auctionDoc of auctionsSnapshot.docs) {
-        const auctionId = auctionDoc.id;
+      const auctionIds = await audienceAuctionIds();
+      let corrected = 0;
 
+      for (const auctionId of auctionIds) {
         try {
-          // Get presence count from Realtime Database
-          const presenceRef = rtdb.ref(`auctionPresence/${auctionId}`);
-          const snapshot = await presenceRef.once('value');
-
-          // Count number of children (online users)
-          const count = snapshot.numChildren();
+          const [entries, visitors] = await Promise.all([
+            rtdb.ref(auctionPresencePath(auctionId)).once('value'),
+            rtdb.ref(`${VISITOR_ROOT}/${auctionId}`).once('value')
+          ]);
 
-          // Write count to auctionViewerCounts
-          // This will trigger syncViewerCount function
-          await rtdb.ref(`auctionViewerCounts/${auctionId}`).set(count);
+          // Count every entry, stale or not: the presence triggers count entries as
+          // they are created and removed, and expireStalePresence removes stale ones
+          const values = {
+            ...countEntries(entries.val()),
+            ...countVisitors(visitors.val())
+          };
 
-          console.log(`[aggregatePresence] Auction ${auctionId}: ${count} viewers`);
+          // Re-reads the counters, so a join that landed since these reads isn't undone
+          const fixed = await reconcileCounters(auctionId, values);
+          corrected += fixed.length;
 
         } catch (error) {
-          console.error(`[aggregatePresence] Error counting viewers for auction ${auctionId}:`, error);
+          console.error(`[aggregatePresence] Error reconciling audience for auction ${auctionId}:`, error);
           // Continue with next auction
         }
       }
 
-      console.log('[aggregatePresence] Aggregation complete');
+      console.log(`[aggregatePresence] Reconciled ${auctionIds.length} auctions, ${corrected} counters corrected`);
       return null;
 
     } catch (error) {
-      console.error('[aggregatePresence] Fatal error during aggregation:', error);
+      console.error('[aggregatePresence] Fatal error during reconciliation:', error);
       // Don't throw - we want the schedule to continue
       return null;
     }
   });
+
+/**
+ * Current viewers of an auction, in total and per room
+ * @param {Object|null} entries - Value of presence/{auctionId}
+ * @returns {Object} Counter path -> count
+ */
+function countEntries(entries) {
+  const values = { viewerCount: Object.keys(entries || {}).length };
+
+  PRESENCE_CONTEXTS.forEach(context => {
+    values[`viewersByContext/${context}`] = Object.values(entries || {})
+      .filter(entry => entry.context === context).length;
+  });
+
+  return values;
+}
+
+/**
+ * Unique visitors of an auction, in total and per room
+ * @param {Object|null} visitors - Value of auctionVisitors/{auctionId}
+ * @returns {Object} Counter path -> count
+ */
+function countVisitors(visitors) {
+  const values = { uniqueVisitorCount: Object.keys(visitors || {}).length };
+
+  PRESENCE_CONTEXTS.forEach(context => {
+    values[`uniqueVisitorsByContext/${context}`] = Object.values(visitors || {})
+      .filter(visit => visit[context]).length;
+  });
+
+  return values;
+}
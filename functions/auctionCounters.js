@@ -0,0 +1,410 @@
+/**
+ * Auction counters
+ * Event-driven audience and open shield counts
+ *
+ * Each presence or shield write adjusts the auction's counters in the
+ * Realtime Database (auctionCounters/{auctionId}) with a transaction, so
+ * concurrent joins and opens never contend on the auction document:
+ *
+ *   viewerCount              viewers now, any room
+ *   viewersByContext         { waiting, live } viewers now, per room
+ *   peakViewerCount          most concurrent viewers so far (peakViewerAt: when)
+ *   uniqueVisitorCount       distinct users who have ever been present
+ *   uniqueVisitorsByContext  { waiting, live } distinct users per room
+ *   openShieldCount          shields open now
+ *
+ * Unique visitors are tracked in auctionVisitors/{auctionId}/{userId}
+ * ({ [context]: first seen ms }), which only functions can read.
+ * Joins and leaves never write the auction document. Clients subscribe to
+ * the counters here (public/js/hooks/useAuctionCounters.js); the price tick
+ * reads them with getCounters() and copies viewerCount, viewersByContext and
+ * openShieldCount onto a live auction once per tick. When the auction ends,
+ * settleAuction records the final peak and unique counts on it with
+ * archiveCounters() and removes both nodes.
+ *
+ * Triggers can run twice or not at all, so the counters can drift;
+ * aggregatePresence and updateOpenShieldCount recount from the source data
+ * on a schedule and overwrite any counter that disagrees (peaks are only
+ * ever raised).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { PRESENCE_ROOT, PRESENCE_CONTEXTS } = require('./shared/presenceSchema');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+// Constants
+const COUNTER_ROOT = 'auctionCounters';
+const VISITOR_ROOT = 'auctionVisitors';
+const AUDIENCE_STATUSES = ['scheduled', 'live', 'paused']; // Waiting room or live view
+const RECENTLY_ENDED_MS = 60 * 60 * 1000; // Viewers can still be on the end screen
+
+/**
+ * Presence trigger: a new entry is a viewer joining
+ * Only creation fires this; heartbeats update an existing entry.
+ */
+exports.countPresenceJoin = functions.database
+  .ref(`/${PRESENCE_ROOT}/{auctionId}/{userId}`)
+  .onCreate(async (snapshot, context) => {
+    const { auctionId, userId } = context.params;
+    const room = contextOf(snapshot.val());
+
+    try {
+      const deltas = { viewerCount: 1 };
+
+      if (room) {
+        deltas[`viewersByContext/${room}`] = 1;
+        Object.assign(deltas, await visitDeltas(auctionId, userId, room));
+      }
+
+      await adjustCounters(auctionId, deltas);
+      return null;
+
+    } catch (error) {
+      console.error(`[countPresenceJoin] Error counting viewers for auction ${auctionId}:`, error);
+      // Don't throw - the reconciliation sweep corrects a missed update
+      return null;
+    }
+  });
+
+/**
+ * Presence trigger: a removed entry is a viewer leaving
+ */
+exports.countPresenceLeave = functions.database
+  .ref(`/${PRESENCE_ROOT}/{auctionId}/{userId}`)
+  .onDelete(async (snapshot, context) => {
+    const { auctionId } = context.params;
+    const room = contextOf(snapshot.val());
+
+    try {
+      const deltas = { viewerCount: -1 };
+      if (room) deltas[`viewersByContext/${room}`] = -1;
+
+      await adjustCounters(auctionId, deltas);
+      return null;
+
+    } catch (error) {
+      console.error(`[countPresenceLeave] Error counting viewers for auction ${auctionId}:`, error);
+      // Don't throw - the reconciliation sweep corrects a missed update
+      return null;
+    }
+  });
+
+/**
+ * Presence trigger: a viewer moving between rooms shifts the per-room counts
+ * Watches only the context field, so lastSeen heartbeats never fire it.
+ */
+exports.countPresenceMove = functions.database
+  .ref(`/${PRESENCE_ROOT}/{auctionId}/{userId}/context`)
+  .onWrite(async (change, context) => {
+    const { auctionId, userId } = context.params;
+
+    // The field appears and disappears with its entry; join and leave count those
+    if (!change.before.exists() || !change.after.exists()) {
+      return null;
+    }
+
+    const before = contextOf({ context: change.before.val() });
+    const after = contextOf({ context: change.after.val() });
+
+    if (before === after) {
+      return null;
+    }
+
+    try {
+      const deltas = {};
+
+      if (before) deltas[`viewersByContext/${before}`] = -1;
+      if (after) {
+        deltas[`viewersByContext/${after}`] = 1;
+        Object.assign(deltas, await visitDeltas(auctionId, userId, after));
+      }
+
+      await adjustCounters(auctionId, deltas);
+      return null;
+
+    } catch (error) {
+      console.error(`[countPresenceMove] Error counting viewers for auction ${auctionId}:`, error);
+      // Don't throw - the reconciliation sweep corrects a missed update
+      return null;
+    }
+  });
+
+/**
+ * Shield trigger: count shields moving between closed and open
+ */
+exports.countOpenShields = functions.firestore
+  .document('auctions/{auctionId}/shields/{userId}')
+  .onWrite(async (change, context) => {
+    const wasOpen = change.before.exists && change.before.data().isOpen === true;
+    const isOpen = change.after.exists && change.after.data().isOpen === true;
+    const delta = Number(isOpen) - Number(wasOpen);
+
+    if (delta === 0) {
+      return null;
+    }
+
+    try {
+      await adjustCounters(context.params.auctionId, { openShieldCount: delta });
+      return null;
+
+    } catch (error) {
+      console.error(`[countOpenShields] Error counting shields for auction ${context.params.auctionId}:`, error);
+      // Don't throw - the reconciliation sweep corrects a missed update
+      return null;
+    }
+  });
+
+/**
+ * Auctions that can have viewers, so sweeps visit one auction at a time
+ * instead of reading the whole presence or counter tree
+ * @param {number} endedWithinMs - Also include auctions that ended this recently
+ * @returns {Promise<Array<string>>} Auction IDs
+ */
+async function audienceAuctionIds(endedWithinMs = 0) {
+  const queries = [
+    db.collection('auctions').where('status', 'in', AUDIENCE_STATUSES).get()
+  ];
+
+  if (endedWithinMs > 0) {
+    queries.push(db.collection('auctions')
+      .where('endedAt', '>=', admin.firestore.Timestamp.fromMillis(Date.now() - endedWithinMs))
+      .get());
+  }
+
+  const snapshots = await Promise.all(queries);
+  return [...new Set(snapshots.flatMap(snapshot => snapshot.docs.map(doc => doc.id)))];
+}
+
+/**
+ * RTDB path of an auction's counters
+ * @param {string} auctionId - Auction ID
+ * @returns {string} RTDB path
+ */
+function counterPath(auctionId) {
+  return `${COUNTER_ROOT}/${auctionId}`;
+}
+
+/**
+ * Read an auction's counters, filling in zeros
+ * @param {string} auctionId - Auction ID
+ * @returns {Promise<Object>} viewerCount, viewersByContext, peakViewerCount,
+ *   peakViewerAt (ms or null), uniqueVisitorCount, uniqueVisitorsByContext, openShieldCount
+ */
+async function getCounters(auctionId) {
+  const counters = (await rtdb.ref(counterPath(auctionId)).once('value')).val() || {};
+
+  return {
+    viewerCount: counters.viewerCount || 0,
+    viewersByContext: countsByContext(counters.viewersByContext),
+    peakViewerCount: counters.peakViewerCount || 0,
+    peakViewerAt: counters.peakViewerAt || null,
+    uniqueVisitorCount: counters.uniqueVisitorCount || 0,
+    uniqueVisitorsByContext: countsByContext(counters.uniqueVisitorsByContext),
+    openShieldCount: counters.openShieldCount || 0
+  };
+}
+
+/**
+ * Record an ended auction's audience on its document, then drop its counters
+ * and visitor list from the Realtime Database
+ * An auction that was reopened and ended again keeps the larger of the two
+ * runs' peaks and unique counts (its visitor list started over on reopen).
+ * @param {DocumentReference} auctionRef - Auction document
+ * @param {Object} auction - Auction data (for a previous run's summary)
+ * @returns {Promise<Object>} The fields written to the auction
+ */
+async function archiveCounters(auctionRef, auction) {
+  const auctionId = auctionRef.id;
+  const counters = await getCounters(auctionId);
+  const earlierPeakAt = auction.peakViewerAt?.toMillis ? auction.peakViewerAt.toMillis() : null;
+  const keepEarlierPeak = (auction.peakViewerCount || 0) >= counters.peakViewerCount && earlierPeakAt;
+  const earlierUnique = countsByContext(auction.uniqueVisitorsByContext);
+
+  const summary = {
+    viewerCount: 0,
+    viewersByContext: countsByContext(null),
+    openShieldCount: 0,
+    peakViewerCount: Math.max(auction.peakViewerCount || 0, counters.peakViewerCount),
+    peakViewerAt: keepEarlierPeak
+      ? auction.peakViewerAt
+      : counters.peakViewerAt ? admin.firestore.Timestamp.fromMillis(counters.peakViewerAt) : null,
+    uniqueVisitorCount: Math.max(auction.uniqueVisitorCount || 0, counters.uniqueVisitorCount),
+    uniqueVisitorsByContext: countsByContext(null),
+    audienceRecordedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  PRESENCE_CONTEXTS.forEach(context => {
+    summary.uniqueVisitorsByContext[context] = Math.max(
+      earlierUnique[context],
+      counters.uniqueVisitorsByContext[context]
+    );
+  });
+
+  await auctionRef.update(summary);
+
+  // Late leaves and shield closes find nothing to decrement and don't recreate these
+  await rtdb.ref().update({
+    [counterPath(auctionId)]: null,
+    [`${VISITOR_ROOT}/${auctionId}`]: null
+  });
+
+  return summary;
+}
+
+/**
+ * A presence entry's room, if it's one we count
+ * @param {Object} entry - Presence entry
+ * @returns {string|null} 'waiting', 'live' or null
+ */
+function contextOf(entry) {
+  return PRESENCE_CONTEXTS.includes(entry?.context) ? entry.context : null;
+}
+
+/**
+ * Per-room counts with every room present
+ * @param {Object} counts - Stored counts (may be missing rooms)
+ * @returns {Object} { waiting, live }
+ */
+function countsByContext(counts) {
+  const result = {};
+  PRESENCE_CONTEXTS.forEach(context => {
+    result[context] = counts?.[context] || 0;
+  });
+  return result;
+}
+
+/**
+ * Remember that a user has been in a room
+ * @param {string} auctionId - Auction ID
+ * @param {string} userId - User ID
+ * @param {string} context - Room
+ * @returns {Promise<Object>} Unique visitor counter deltas for a first visit
+ */
+async function visitDeltas(auctionId, userId, context) {
+  const result = await rtdb.ref(`${VISITOR_ROOT}/${auctionId}/${userId}`)
+    .transaction(visit => {
+      if (visit && visit[context]) return; // Seen here before: abort
+      return { ...(visit || {}), [context]: Date.now() };
+    });
+
+  if (!result.committed) {
+    return {};
+  }
+
+  const deltas = { [`uniqueVisitorsByContext/${context}`]: 1 };
+  if (Object.keys(result.snapshot.val()).length === 1) {
+    deltas.uniqueVisitorCount = 1;
+  }
+  return deltas;
+}
+
+/**
+ * Apply deltas to the counters (never below zero) and raise the peak
+ * @param {string} auctionId - Auction ID
+ * @param {Object} deltas - Counter path (e.g. 'viewersByContext/live') -> change
+ * @returns {Promise<Object>} Counters after the change
+ */
+async function adjustCounters(auctionId, deltas) {
+  const growing = Object.values(deltas).some(delta => delta > 0);
+
+  const result = await rtdb.ref(counterPath(auctionId)).transaction(counters => {
+    // Nothing to take away from (e.g. a leave after the auction's counters
+    // were archived): don't recreate them. Writing null is checked against
+    // the server, so an empty local cache just retries with the real value.
+    if (counters === null && !growing) return null;
+
+    const next = counters || {};
+
+    Object.entries(deltas).forEach(([path, delta]) => {
+      setPath(next, path, Math.max(0, (getPath(next, path) || 0) + delta));
+    });
+
+    raisePeak(next);
+    return next;
+  });
+
+  return result.snapshot.val() || {};
+}
+
+/**
+ * Overwrite counters with a recount where they have drifted
+ * @param {string} auctionId - Auction ID
+ * @param {Object} values - Counter path -> recounted value
+ * @returns {Promise<Array<string>>} Paths that were corrected
+ */
+async function reconcileCounters(auctionId, values) {
+  let corrected = [];
+
+  await rtdb.ref(counterPath(auctionId)).transaction(counters => {
+    const next = counters || {};
+    corrected = [];
+
+    Object.entries(values).forEach(([path, value]) => {
+      if ((getPath(next, path) || 0) !== value) {
+        setPath(next, path, value);
+        corrected.push(path);
+      }
+    });
+
+    // Nothing to change: abort. A null first attempt may just be an empty
+    // local cache, so write it anyway and let the server send the real value.
+    if (corrected.length === 0 && counters !== null) return;
+    raisePeak(next);
+    return next;
+  });
+
+  if (corrected.length > 0) {
+    console.log(`[auctionCounters] Auction ${auctionId}: corrected ${corrected.join(', ')}`);
+  }
+
+  return corrected;
+}
+
+/**
+ * Record a new concurrent viewer peak
+ * @param {Object} counters - Counters being written
+ */
+function raisePeak(counters) {
+  if ((counters.viewerCount || 0) > (counters.peakViewerCount || 0)) {
+    counters.peakViewerCount = counters.viewerCount;
+    counters.peakViewerAt = Date.now();
+  }
+}
+
+/**
+ * Read a slash-separated path from an object
+ * @param {Object} obj - Object
+ * @param {string} path - e.g. 'viewersByContext/live'
+ * @returns {*} Value, or undefined
+ */
+function getPath(obj, path) {
+  return path.split('/').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Write a slash-separated path into an object, creating parents
+ * @param {Object} obj - Object
+ * @param {string} path - e.g. 'viewersByContext/live'
+ * @param {*} value - Value
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('/');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, obj);
+  parent[last] = value;
+}
+
+exports.COUNTER_ROOT = COUNTER_ROOT;
+exports.VISITOR_ROOT = VISITOR_ROOT;
+exports.RECENTLY_ENDED_MS = RECENTLY_ENDED_MS;
+exports.audienceAuctionIds = audienceAuctionIds;
+exports.getCounters = getCounters;
+exports.archiveCounters = archiveCounters;
+exports.adjustCounters = adjustCounters;
+exports.reconcileCounters = reconcileCounters;
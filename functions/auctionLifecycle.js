@@ -0,0 +1,261 @@
+/**
+ * Auction lifecycle Cloud Functions
+ * Admin callables for starting, stopping, pausing and resuming auctions
+ *
+ * All status changes go through one state machine, run in a transaction and
+ * compute times from the server clock. Every transition closes open shields
+ * and writes an audit record to auctions/{auctionId}/auditLog.
+ *
+ * Errors are thrown as HttpsErrors with a `details.reason` the admin UI can
+ * show directly (e.g. 'invalid-transition' with the auction's current status).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { toMillis, priceAtTime } = require('./shared/pricingEngine');
+const { AUCTION_MANAGERS, requireRole } = require('./roles');
+
+const db = admin.firestore();
+
+// Constants
+const MAX_REASON_LENGTH = 500;
+const SHIELD_BATCH_SIZE = 450; // Stay under Firestore's 500 writes per batch
+
+// Allowed transitions: action -> { from: [statuses], to: status }
+const TRANSITIONS = {
+  start: { from: ['scheduled'], to: 'live' },
+  stop: { from: ['live', 'paused'], to: 'ended - admin stopped' },
+  pause: { from: ['live'], to: 'paused' },
+  resume: { from: ['paused'], to: 'live' }
+};
+
+/**
+ * Start a scheduled auction now
+ * @param {Object} data - { auctionId, reason }
+ * @param {Object} context - Auth context (must be admin or operator)
+ */
+exports.startAuction = functions.https.onCall((data, context) => {
+  return transitionAuction('start', data, context, (auction, now) => ({
+    // Keep the planned start (if any) for reporting once startTime becomes the actual start
+    plannedStartTime: auction.startTime || null,
+    startTime: admin.firestore.Timestamp.fromMillis(now),
+    endTime: admin.firestore.Timestamp.fromMillis(now + (auction.duration * 1000)),
+    totalPausedMs: 0,
+    startedBy: 'admin'
+  }));
+});
+
+/**
+ * Stop a live or paused auction immediately
+ * @param {Object} data - { auctionId, reason }
+ * @param {Object} context - Auth context (must be admin or operator)
+ */
+exports.stopAuction = functions.https.onCall((data, context) => {
+  return transitionAuction('stop', data, context, (auction, now) => ({
+    endTime: admin.firestore.Timestamp.fromMillis(now),
+    endedAt: admin.firestore.Timestamp.fromMillis(now),
+    endReason: 'admin stopped'
+  }));
+});
+
+/**
+ * Pause a live auction
+ * The price freezes at the moment of pausing, so it's written now rather
+ * than left at the last tick's value.
+ * @param {Object} data - { auctionId, reason }
+ * @param {Object} context - Auth context (must be admin or operator)
+ */
+exports.pauseAuction = functions.https.onCall((data, context) => {
+  return transitionAuction('pause', data, context, (auction, now) => ({
+    pausedAt: admin.firestore.Timestamp.fromMillis(now),
+    currentPrice: priceAtTime(auction, now)
+  }));
+});
+
+/**
+ * Resume a paused auction
+ * The end time (and a running floor timer) move back by however long the
+ * auction was paused, and the pause is added to totalPausedMs so pricing
+ * treats paused time as not elapsed.
+ * @param {Object} data - { auctionId, reason }
+ * @param {Object} context - Auth context (must be admin or operator)
+ */
+exports.resumeAuction = functions.https.onCall((data, context) => {
+  return transitionAuction('resume', data, context, (auction, now) => {
+    const pausedMs = Math.max(0, now - (toMillis(auction.pausedAt) || now));
+
+    const updates = {
+      pausedAt: admin.firestore.FieldValue.delete(),
+      totalPausedMs: (auction.totalPausedMs || 0) + pausedMs,
+      endTime: admin.firestore.Timestamp.fromMillis(toMillis(auction.endTime) + pausedMs)
+    };
+
+    if (auction.floorTimerStart) {
+      updates.floorTimerStart = admin.firestore.Timestamp.fromMillis(toMillis(auction.floorTimerStart) + pausedMs);
+    }
+
+    return updates;
+  });
+});
+
+/**
+ * Run one lifecycle transition
+ * @param {string} action - Key of TRANSITIONS
+ * @param {Object} data - { auctionId, reason }
+ * @param {Object} context - Auth context
+ * @param {Function} buildUpdates - (auction, now) => extra fields to write
+ * @returns {Object} { success, auctionId, action, fromStatus, status, shieldsClosed }
+ */
+async function transitionAuction(action, data, context, buildUpdates) {
+  const fnName = `${action}Auction`;
+  const transition = TRANSITIONS[action];
+
+  // Admins and operators run auctions
+  requireRole(context, AUCTION_MANAGERS, fnName, `${action} auctions`);
+
+  const { auctionId } = data || {};
+  const reason = typeof data?.reason === 'string' ? data.reason.trim() : '';
+
+  if (!auctionId || typeof auctionId !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Missing required parameter: auctionId',
+      { reason: 'missing-auction-id' }
+    );
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+      { reason: 'reason-too-long' }
+    );
+  }
+
+  const actorId = context.auth.uid;
+  const actorEmail = context.auth.token.email || 'Unknown admin';
+
+  console.log(`[${fnName}] Admin ${actorEmail} requested ${action} for auction ${auctionId}`);
+
+  try {
+    const auctionRef = db.collection('auctions').doc(auctionId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const auctionDoc = await transaction.get(auctionRef);
+
+      if (!auctionDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Auction not found',
+          { reason: 'auction-not-found', auctionId }
+        );
+      }
+
+      const auction = auctionDoc.data();
+
+      // Validate the state machine
+      if (!transition.from.includes(auction.status)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Cannot ${action} an auction that is ${auction.status}`,
+          {
+            reason: 'invalid-transition',
+            auctionId,
+            action,
+            currentStatus: auction.status,
+            allowedFrom: transition.from
+          }
+        );
+      }
+
+      const now = Date.now();
+
+      transaction.update(auctionRef, {
+        ...buildUpdates(auction, now),
+        status: transition.to,
+        lastTransitionAt: admin.firestore.Timestamp.fromMillis(now),
+        lastTransitionBy: actorId
+      });
+
+      const auditRef = auctionRef.collection('auditLog').doc();
+      transaction.set(auditRef, {
+        action,
+        fromStatus: auction.status,
+        toStatus: transition.to,
+        reason: reason || null,
+        actorId,
+        actorEmail,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return {
+        fromStatus: auction.status,
+        itemName: auction.itemName || 'Unknown Item',
+        auditId: auditRef.id
+      };
+    });
+
+    // Shields are closed after the status change commits: purchases already
+    // require a live auction, and a large auction can have more open shields
+    // than fit in one transaction
+    const shieldsClosed = await closeOpenShields(auctionRef, `auction_${action}`);
+
+    console.log(`[${fnName}] Auction ${auctionId}: ${result.fromStatus} -> ${transition.to} (${shieldsClosed} shields closed)`);
+
+    return {
+      success: true,
+      auctionId,
+      action,
+      fromStatus: result.fromStatus,
+      status: transition.to,
+      itemName: result.itemName,
+      auditId: result.auditId,
+      shieldsClosed
+    };
+
+  } catch (error) {
+    console.error(`[${fnName}] Error:`, error);
+
+    // If it's already a functions error, re-throw it
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Otherwise, wrap it in a generic error
+    throw new functions.https.HttpsError(
+      'internal',
+      `Failed to ${action} auction: ${error.message}`,
+      { reason: 'internal' }
+    );
+  }
+}
+
+/**
+ * Close every open shield on an auction
+ * @param {DocumentReference} auctionRef - Auction document
+ * @param {string} closedReason - Recorded on each shield
+ * @returns {number} Number of shields closed
+ */
+async function closeOpenShields(auctionRef, closedReason) {
+  const shieldsSnapshot = await auctionRef.collection('shields')
+    .where('isOpen', '==', true)
+    .get();
+
+  const closedAt = Date.now();
+
+  for (let i = 0; i < shieldsSnapshot.docs.length; i += SHIELD_BATCH_SIZE) {
+    const batch = db.batch();
+
+    shieldsSnapshot.docs.slice(i, i + SHIELD_BATCH_SIZE).forEach(shieldDoc => {
+      batch.update(shieldDoc.ref, {
+        isOpen: false,
+        lastClosedAt: closedAt,
+        closedReason
+      });
+    });
+
+    await batch.commit();
+  }
+
+  return shieldsSnapshot.size;
+}
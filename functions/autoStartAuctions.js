@@ -0,0 +1,138 @@
+/**
+ * autoStartAuctions Cloud Function
+ * Flips scheduled auctions to live at their planned startTime
+ *
+ * While an auction is `scheduled`, startTime is its planned start (set from
+ * the admin panel). Runs every minute and starts every auction due within the
+ * next minute, waiting until its exact planned time so starts aren't rounded
+ * to the scheduler's granularity. Start and end times are written from the
+ * server clock, never the admin's browser.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { toMillis } = require('./shared/pricingEngine');
+
+const db = admin.firestore();
+
+// Constants
+const LOOKAHEAD_MS = 60 * 1000; // Start anything due before the next scheduled run
+
+/**
+ * Scheduled function that starts due auctions
+ */
+exports.autoStartAuctions = functions
+  .runWith({ timeoutSeconds: 120 })
+  .pubsub
+  .schedule('every 1 minutes')
+  .onRun(async (context) => {
+    console.log('[autoStartAuctions] Checking for auctions due to start...');
+
+    try {
+      await startDueAuctions(LOOKAHEAD_MS);
+      return null;
+
+    } catch (error) {
+      console.error('[autoStartAuctions] Fatal error:', error);
+      throw error;
+    }
+  });
+
+/**
+ * Emulator-only HTTP trigger for auto-start
+ * The emulator suite doesn't run Cloud Scheduler, so call
+ * http://localhost:5001/<project>/us-central1/runAutoStart
+ * to start every auction whose planned start has passed.
+ */
+exports.runAutoStart = functions.https.onRequest(async (req, res) => {
+  if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  try {
+    const started = await startDueAuctions(0);
+    res.json({ success: true, started });
+  } catch (error) {
+    console.error('[runAutoStart] Error starting auctions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Start every scheduled auction due within the lookahead window
+ * @param {number} lookaheadMs - Also start auctions planned this far ahead, waiting until their exact time
+ * @returns {number} Number of auctions started
+ */
+async function startDueAuctions(lookaheadMs) {
+  const horizon = admin.firestore.Timestamp.fromMillis(Date.now() + lookaheadMs);
+
+  const dueSnapshot = await db.collection('auctions')
+    .where('status', '==', 'scheduled')
+    .where('startTime', '<=', horizon)
+    .get();
+
+  if (dueSnapshot.empty) {
+    console.log('[autoStartAuctions] No auctions due');
+    return 0;
+  }
+
+  console.log(`[autoStartAuctions] ${dueSnapshot.size} auctions due to start`);
+
+  const results = await Promise.all(dueSnapshot.docs.map(async (auctionDoc) => {
+    try {
+      // Wait for the exact planned start (already-overdue auctions start now)
+      const waitMs = toMillis(auctionDoc.data().startTime) - Date.now();
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+
+      return await startScheduledAuction(auctionDoc.id);
+    } catch (error) {
+      console.error(`[autoStartAuctions] Error starting auction ${auctionDoc.id}:`, error);
+      return false;
+    }
+  }));
+
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Start one scheduled auction if it's still due
+ * Re-checks status and startTime in a transaction, so an auction started
+ * manually or rescheduled in the meantime is left alone.
+ * @param {string} auctionId - Auction ID
+ * @returns {boolean} True if the auction was started
+ */
+async function startScheduledAuction(auctionId) {
+  const auctionRef = db.collection('auctions').doc(auctionId);
+
+  return db.runTransaction(async (transaction) => {
+    const auctionDoc = await transaction.get(auctionRef);
+
+    if (!auctionDoc.exists) {
+      return false;
+    }
+
+    const auction = auctionDoc.data();
+    const plannedStart = toMillis(auction.startTime);
+    const now = Date.now();
+
+    if (auction.status !== 'scheduled' || !plannedStart || plannedStart > now) {
+      console.log(`[autoStartAuctions] Auction ${auctionId} no longer due, skipping`);
+      return false;
+    }
+
+    transaction.update(auctionRef, {
+      status: 'live',
+      plannedStartTime: auction.startTime,
+      startTime: admin.firestore.Timestamp.fromMillis(now),
+      endTime: admin.firestore.Timestamp.fromMillis(now + (auction.duration * 1000)),
+      totalPausedMs: 0,
+      startedBy: 'schedule'
+    });
+
+    console.log(`[autoStartAuctions] Auction ${auctionId} started (planned ${new Date(plannedStart).toISOString()})`);
+    return true;
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * bulkGrantCurrency Cloud Function
+ * Admin function to grant currency to many users at once (event seeding)
+ *
+ * Takes rows of { userId or email, amount, reason } (built by the admin panel
+ * from a CSV upload or a user filter). Each row is applied in its own
+ * transaction, so one bad row doesn't block the rest; the response reports
+ * every row's outcome. All resulting transactions carry the same batchId,
+ * summarised in grantBatches/{batchId}.
+ *
+ * An optional idempotencyKey identifies the job (see idempotency.js). Each
+ * user's grant stores its result under the job's key, so sending the job
+ * again after a timeout replays the grants that went through, grants the
+ * rest, and continues the same batch.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { requireRole } = require('./roles');
+const { applyGrant } = require('./grantCurrency');
+const { idempotencyKeyRef, stepKeyRef, getStoredResult, storeResult } = require('./idempotency');
+
+const db = admin.firestore();
+
+// Constants
+const MAX_ROWS = 500;
+const MIN_AMOUNT = 100; // $1.00, same range as grantCurrency
+const MAX_AMOUNT = 10000000; // $100,000.00
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * HTTPS Callable Function for bulk grants
+ * @param {Object} data - { rows: [{ userId?, email?, amount, reason }], source?, description?, idempotencyKey? }
+ * @param {Object} context - Auth context (must be admin)
+ */
+exports.bulkGrantCurrency = functions
+  .runWith({ timeoutSeconds: 300 })
+  .https
+  .onCall(async (data, context) => {
+    console.log('[bulkGrantCurrency] Function called');
+
+    requireRole(context, ['admin'], 'bulkGrantCurrency', 'grant currency');
+
+    const adminId = context.auth.uid;
+    const adminEmail = context.auth.token.email || 'Unknown admin';
+    const rows = data?.rows;
+
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_ROWS) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Provide between 1 and ${MAX_ROWS} rows`,
+        { reason: 'invalid-rows' }
+      );
+    }
+
+    const keyRef = idempotencyKeyRef(data.idempotencyKey, 'bulkGrantCurrency', adminId);
+
+    // A keyed job keeps one batch across retries
+    const batchRef = keyRef
+      ? db.collection('grantBatches').doc(keyRef.id)
+      : db.collection('grantBatches').doc();
+    const batchId = batchRef.id;
+    const batchDoc = keyRef ? await batchRef.get() : null;
+
+    console.log(`[bulkGrantCurrency] Admin ${adminEmail} applying ${rows.length} rows as batch ${batchId}` +
+      (batchDoc?.exists ? ' (retry)' : ''));
+
+    if (batchDoc?.exists) {
+      await batchRef.update({
+        status: 'running',
+        rowCount: rows.length,
+        retryCount: admin.firestore.FieldValue.increment(1)
+      });
+    } else {
+      await batchRef.set({
+        status: 'running',
+        source: data.source === 'filter' ? 'filter' : 'csv',
+        description: typeof data.description === 'string' ? data.description.slice(0, MAX_REASON_LENGTH) : null,
+        rowCount: rows.length,
+        createdBy: adminId,
+        createdByEmail: adminEmail,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    const results = [];
+    const grantedUsers = new Set();
+
+    for (let index = 0; index < rows.length; index++) {
+      const result = await applyRow(rows[index], index, { adminId, adminEmail, batchId, grantedUsers, keyRef });
+      results.push(result);
+    }
+
+    const granted = results.filter(result => result.status === 'granted');
+    const totalGranted = granted.reduce((sum, result) => sum + result.amount, 0);
+
+    await batchRef.update({
+      status: 'complete',
+      grantedCount: granted.length,
+      failedCount: results.length - granted.length,
+      totalGranted,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`[bulkGrantCurrency] Batch ${batchId}: ${granted.length}/${results.length} granted, $${(totalGranted / 100).toFixed(2)} total`);
+
+    return {
+      success: true,
+      batchId,
+      grantedCount: granted.length,
+      failedCount: results.length - granted.length,
+      totalGranted,
+      results
+    };
+  });
+
+/**
+ * Validate and apply one row
+ * Never throws: failures are reported in the row's result.
+ * @param {Object} row - { userId?, email?, amount, reason }
+ * @param {number} index - Row index (0-based)
+ * @param {Object} options - { adminId, adminEmail, batchId, grantedUsers, keyRef }
+ * @returns {Promise<Object>} Row result
+ */
+async function applyRow(row, index, { adminId, adminEmail, batchId, grantedUsers, keyRef }) {
+  const amount = row?.amount;
+  const reason = typeof row?.reason === 'string' ? row.reason.trim() : '';
+  const result = {
+    row: index + 1,
+    userId: row?.userId || null,
+    email: row?.email || null,
+    amount,
+    status: 'failed'
+  };
+
+  if (!Number.isInteger(amount) || amount < MIN_AMOUNT || amount > MAX_AMOUNT) {
+    return { ...result, error: 'Amount must be between $1.00 and $100,000.00' };
+  }
+
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    return { ...result, error: `A reason (up to ${MAX_REASON_LENGTH} characters) is required` };
+  }
+
+  try {
+    const userId = row.userId || await findUserIdByEmail(row.email);
+
+    if (!userId) {
+      return { ...result, error: 'No user with that email' };
+    }
+
+    // One grant per user per batch, so a repeated CSV line can't double-seed
+    if (grantedUsers.has(userId)) {
+      return { ...result, userId, error: 'Duplicate row for this user' };
+    }
+
+    // Keyed by user rather than row, so a retry with a changed row order still matches
+    const rowKeyRef = stepKeyRef(keyRef, userId);
+    const rowRequest = { userId, amount, reason };
+
+    const outcome = await db.runTransaction(async (transaction) => {
+      // Granted by an earlier attempt at this job
+      const storedResult = await getStoredResult(transaction, rowKeyRef, rowRequest);
+      if (storedResult) {
+        return storedResult;
+      }
+
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        return null;
+      }
+
+      const user = userDoc.data();
+      const grant = applyGrant(transaction, userRef, user, {
+        amount,
+        adminId,
+        adminEmail,
+        reason,
+        batchId
+      });
+
+      const grantResult = { ...grant, email: user.email || null };
+      storeResult(transaction, rowKeyRef, rowRequest, grantResult);
+
+      return grantResult;
+    });
+
+    if (!outcome) {
+      return { ...result, userId, error: 'User not found' };
+    }
+
+    grantedUsers.add(userId);
+
+    return {
+      ...result,
+      userId,
+      email: outcome.email,
+      status: 'granted',
+      newBalance: outcome.newBalance,
+      transactionId: outcome.transactionId,
+      ...(outcome.replayed && { replayed: true })
+    };
+
+  } catch (error) {
+    console.error(`[bulkGrantCurrency] Row ${index + 1} failed:`, error);
+    return { ...result, error: error.message };
+  }
+}
+
+/**
+ * Look up a user id by email
+ * @param {string} email - Email from the CSV
+ * @returns {Promise<string|null>} User ID, or null if no user matches
+ */
+async function findUserIdByEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+
+  const snapshot = await db.collection('users')
+    .where('email', '==', email.trim())
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
@@ -2,13 +2,21 @@
  * cleanupShieldsOnDisconnect Cloud Function
  * Closes shields when user disconnects from presence tracking
  *
- * Triggered when /presence/{auctionId}/live/{userId} is deleted in RTDB
+ * Triggered when /presence/{auctionId}/{userId} is deleted in RTDB: by the
+ * client's onDisconnect, when it leaves the page, or by expireStalePresence
+ * when its heartbeats stop (schema in shared/presenceSchema.js).
+ * Any funds held for the shield go back to the user's wallet.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { syncHold } = require('./shieldHolds');
+const { toMillis } = require('./shared/pricingEngine');
+const { shieldConfig } = require('./shared/shieldRules');
+const { PRESENCE_ROOT, userPresencePath, isStale } = require('./shared/presenceSchema');
 
 const db = admin.firestore();
+const rtdb = admin.database();
 
 /**
  * Closes open shields when user disconnects
@@ -16,7 +24,7 @@ const db = admin.firestore();
  * @param {EventContext} context - Event context with params
  */
 exports.cleanupShieldsOnDisconnect = functions.database
-  .ref('/presence/{auctionId}/live/{userId}')
+  .ref(`/${PRESENCE_ROOT}/{auctionId}/{userId}`)
   .onDelete(async (snapshot, context) => {
     const auctionId = context.params.auctionId;
     const userId = context.params.userId;
@@ -24,34 +32,53 @@ exports.cleanupShieldsOnDisconnect = functions.database
     console.log(`[cleanupShields] User ${userId} disconnected from auction ${auctionId}`);
 
     try {
-      // Get shield document for this user
-      const shieldRef = db.collection('auctions')
-        .doc(auctionId)
-        .collection('shields')
-        .doc(userId);
+      // The user came straight back (reconnect, or waiting room -> live view)
+      const current = await rtdb.ref(userPresencePath(auctionId, userId)).once('value');
 
-      const shieldDoc = await shieldRef.get();
-
-      if (!shieldDoc.exists) {
-        console.log(`[cleanupShields] No shield found for user ${userId} in auction ${auctionId}`);
+      if (current.exists() && !isStale(current.val(), Date.now())) {
+        console.log(`[cleanupShields] User ${userId} is present again in auction ${auctionId}, keeping shield`);
         return null;
       }
 
-      const shield = shieldDoc.data();
+      const auctionRef = db.collection('auctions').doc(auctionId);
+      const shieldRef = auctionRef.collection('shields').doc(userId);
+
+      const closed = await db.runTransaction(async (transaction) => {
+        const auctionDoc = await transaction.get(auctionRef);
+        const shieldDoc = await transaction.get(shieldRef);
+
+        if (!shieldDoc.exists || !shieldDoc.data().isOpen) {
+          return false;
+        }
 
-      // Only close if shield is currently open
-      if (shield.isOpen) {
-        await shieldRef.update({
+        // A window that already ran out closed at its end, so the cooldown
+        // isn't pushed back by a late cleanup
+        const shield = shieldDoc.data();
+        const openedAt = toMillis(shield.openedAt);
+        const durationSeconds = shield.durationSeconds ||
+          shieldConfig(auctionDoc.exists ? auctionDoc.data() : null).durationSeconds;
+        const now = Date.now();
+        const closedAt = openedAt ? Math.min(now, openedAt + durationSeconds * 1000) : now;
+
+        transaction.update(shieldRef, {
           isOpen: false,
-          lastClosedAt: Date.now(),
+          openedAt: null,
+          lastClosedAt: closedAt,
           closedReason: 'user_disconnected'
         });
 
+        return true;
+      });
+
+      if (closed) {
         console.log(`[cleanupShields] Closed shield for user ${userId} in auction ${auctionId}`);
       } else {
-        console.log(`[cleanupShields] Shield for user ${userId} was already closed`);
+        console.log(`[cleanupShields] No open shield for user ${userId} in auction ${auctionId}`);
       }
 
+      // Release the hold now rather than waiting on the shield trigger
+      await syncHold(auctionId, userId, 'user_disconnected');
+
       return null;
 
     } catch (error) {
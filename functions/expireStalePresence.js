@@ -0,0 +1,88 @@
+/**
+ * expireStalePresence Cloud Function
+ * Removes presence entries whose client stopped sending heartbeats
+ *
+ * onDisconnect doesn't run when a client crashes or the server never notices
+ * the connection drop. Those entries stop refreshing lastSeen; this sweep
+ * deletes them (see shared/presenceSchema.js), which fires
+ * cleanupShieldsOnDisconnect just like a normal disconnect.
+ *
+ * Only auctions that can have viewers are checked (scheduled, live, paused or
+ * ended within the last hour), and only their entries last seen before the
+ * cutoff are read, so the cost follows stale entries rather than every viewer
+ * everywhere. The list comes from Firestore, not the counters, so a counter
+ * that drifted to zero doesn't hide an auction's stale entries.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { STALE_AFTER_SECONDS, auctionPresencePath, isStale } = require('./shared/presenceSchema');
+const { RECENTLY_ENDED_MS, audienceAuctionIds } = require('./auctionCounters');
+
+const rtdb = admin.database();
+
+/**
+ * Deletes stale presence entries across all auctions
+ * Scheduled to run every minute via Cloud Scheduler
+ */
+exports.expireStalePresence = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async (context) => {
+    try {
+      const auctionIds = await audienceAuctionIds(RECENTLY_ENDED_MS);
+      const cutoff = Date.now() - STALE_AFTER_SECONDS * 1000;
+      let removed = 0;
+
+      for (const auctionId of auctionIds) {
+        try {
+          const stale = await rtdb.ref(auctionPresencePath(auctionId))
+            .orderByChild('lastSeen')
+            .endAt(cutoff)
+            .once('value');
+
+          const userIds = Object.keys(stale.val() || {});
+          const results = await Promise.all(userIds.map(userId =>
+            expireEntry(stale.ref.child(userId))
+          ));
+          removed += results.filter(Boolean).length;
+
+        } catch (error) {
+          console.error(`[expireStalePresence] Error expiring presence for auction ${auctionId}:`, error);
+          // Continue with next auction
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`[expireStalePresence] Removed ${removed} stale presence entries`);
+      }
+      return null;
+
+    } catch (error) {
+      console.error('[expireStalePresence] Error expiring presence:', error);
+      // Don't throw - we want the schedule to continue
+      return null;
+    }
+  });
+
+/**
+ * Delete one entry if it is still stale
+ * A heartbeat that lands after the query makes the transaction keep the entry.
+ * @param {Reference} entryRef - presence/{auctionId}/{userId}
+ * @returns {Promise<boolean>} Whether the entry was removed
+ */
+async function expireEntry(entryRef) {
+  let wasStale = false;
+
+  const { committed } = await entryRef.transaction((entry) => {
+    // null may just be an empty local cache; writing null is checked against the server
+    if (entry === null) {
+      wasStale = false;
+      return null;
+    }
+
+    wasStale = isStale(entry, Date.now());
+    return wasStale ? null : undefined;
+  });
+
+  return committed && wasStale;
+}
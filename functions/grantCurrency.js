@@ -3,57 +3,48 @@
  * Admin function to grant fictional currency to users
  *
  * Validates admin permissions and atomically updates user balance
+ * An optional idempotencyKey makes retries safe (see idempotency.js).
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { requireRole } = require('./roles');
+const { GRANTS_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+const { idempotencyKeyRef, getStoredResult, storeResult } = require('./idempotency');
 
 const db = admin.firestore();
 
 /**
  * T210: HTTPS Callable Function for granting currency to users
- * @param {Object} data - { userId, amount }
+ * @param {Object} data - { userId, amount, idempotencyKey? }
  * @param {Object} context - Auth context (must be admin)
  */
 exports.grantCurrency = functions.https.onCall(async (data, context) => {
   console.log('[grantCurrency] Function called');
 
-  // T211: Validate admin authentication
-  // For MVP, we accept any authenticated user
-  // TODO Post-MVP: Check custom claims for admin role
-  if (!context.auth) {
-    console.error('[grantCurrency] Unauthenticated request');
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'You must be logged in to grant currency'
-    );
-  }
+  // T211: Validate admin role (custom claim set by setUserRole)
+  requireRole(context, ['admin'], 'grantCurrency', 'grant currency');
 
   const adminId = context.auth.uid;
   const adminEmail = context.auth.token.email || 'Unknown admin';
 
-  // TODO Post-MVP: Validate admin role
-  // if (!context.auth.token.admin) {
-  //   throw new functions.https.HttpsError(
-  //     'permission-denied',
-  //     'Only admins can grant currency'
-  //   );
-  // }
-
   // T212: Extract parameters
   const { userId, amount } = data;
 
   if (!userId) {
     throw new functions.https.HttpsError(
       'invalid-argument',
-      'Missing required parameter: userId'
+      'Missing required parameter: userId',
+      { reason: 'missing-user-id' }
     );
   }
 
-  if (typeof amount !== 'number') {
+  // Ledger entries are whole cents (postEntry rejects fractions)
+  if (!Number.isInteger(amount) || amount <= 0) {
     throw new functions.https.HttpsError(
       'invalid-argument',
-      'Invalid amount: must be a number'
+      'Invalid amount: must be a positive whole number of cents',
+      { reason: 'invalid-amount' }
     );
   }
 
@@ -61,15 +52,25 @@ exports.grantCurrency = functions.https.onCall(async (data, context) => {
   if (amount < 100 || amount > 10000000) {
     throw new functions.https.HttpsError(
       'invalid-argument',
-      'Amount must be between $1.00 and $100,000.00 (100 to 10000000 cents)'
+      'Amount must be between $1.00 and $100,000.00 (100 to 10000000 cents)',
+      { reason: 'invalid-amount' }
     );
   }
 
+  const keyRef = idempotencyKeyRef(data.idempotencyKey, 'grantCurrency', adminId);
+  const request = { userId, amount };
+
   console.log(`[grantCurrency] Admin ${adminEmail} granting $${(amount / 100).toFixed(2)} to user ${userId}`);
 
   try {
     // T214-T215: Execute atomic transaction
     const result = await db.runTransaction(async (transaction) => {
+      // A retried grant that already went through returns the original result
+      const storedResult = await getStoredResult(transaction, keyRef, request);
+      if (storedResult) {
+        return storedResult;
+      }
+
       const userRef = db.collection('users').doc(userId);
       const userDoc = await transaction.get(userRef);
 
@@ -81,43 +82,30 @@ exports.grantCurrency = functions.https.onCall(async (data, context) => {
       }
 
       const user = userDoc.data();
-      const currentBalance = user.balance || 0;
-      const newBalance = currentBalance + amount;
-
-      // T214: Update user balance
-      transaction.update(userRef, {
-        balance: newBalance,
-        lastGrantAt: admin.firestore.FieldValue.serverTimestamp(),
-        lastGrantBy: adminId
-      });
-
-      // T215: Create transaction record
-      const transactionRef = db.collection('transactions').doc();
-      transaction.set(transactionRef, {
-        userId: userId,
-        type: 'admin_grant',
-        amount: amount, // Positive for grant
-        balanceAfter: newBalance,
-        description: `Admin grant: $${(amount / 100).toFixed(2)}`,
-        grantedBy: adminId,
-        grantedByEmail: adminEmail,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      const { newBalance, transactionId } = applyGrant(transaction, userRef, user, {
+        amount,
+        adminId,
+        adminEmail
       });
 
       console.log(`[grantCurrency] Granted $${(amount / 100).toFixed(2)} to ${user.email || userId}`);
       console.log(`[grantCurrency] New balance: $${(newBalance / 100).toFixed(2)}`);
 
       // T216: Return success response
-      return {
+      const grantResult = {
         success: true,
         newBalance: newBalance,
-        transactionId: transactionRef.id,
+        transactionId,
         userEmail: user.email || 'Unknown',
         amountGranted: amount
       };
+
+      storeResult(transaction, keyRef, request, grantResult);
+
+      return grantResult;
     });
 
-    console.log(`[grantCurrency] Transaction successful: ${result.transactionId}`);
+    console.log(`[grantCurrency] Transaction ${result.replayed ? 'replayed' : 'successful'}: ${result.transactionId}`);
     return result;
 
   } catch (error) {
@@ -135,3 +123,64 @@ exports.grantCurrency = functions.https.onCall(async (data, context) => {
     );
   }
 });
+
+/**
+ * Credit a grant inside a Firestore transaction
+ * Shared with bulkGrantCurrency so single and bulk grants are recorded the same way.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference} userRef - User document
+ * @param {Object} user - User data (already read in the transaction)
+ * @param {Object} grant - Grant details
+ * @param {number} grant.amount - Amount in cents
+ * @param {string} grant.adminId - Granting admin
+ * @param {string} grant.adminEmail - Granting admin's email
+ * @param {string} grant.reason - Optional reason
+ * @param {string} grant.batchId - Optional bulk grant batch id
+ * @returns {Object} { newBalance, transactionId }
+ */
+function applyGrant(transaction, userRef, user, { amount, adminId, adminEmail, reason = null, batchId = null }) {
+  const userId = userRef.id;
+  const newBalance = (user.balance || 0) + amount;
+
+  // T214: Update user balance
+  transaction.update(userRef, {
+    balance: newBalance,
+    lastGrantAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastGrantBy: adminId
+  });
+
+  // T215: Create transaction record
+  const transactionRef = db.collection('transactions').doc();
+  const record = {
+    userId: userId,
+    type: 'admin_grant',
+    amount: amount, // Positive for grant
+    balanceAfter: newBalance,
+    description: reason
+      ? `Admin grant: ${reason}`
+      : `Admin grant: $${(amount / 100).toFixed(2)}`,
+    grantedBy: adminId,
+    grantedByEmail: adminEmail,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (reason) record.reason = reason;
+  if (batchId) record.batchId = batchId;
+
+  transaction.set(transactionRef, record);
+
+  // Ledger: grants pool funds the wallet
+  postEntry(transaction, {
+    id: transactionRef.id,
+    type: 'admin_grant',
+    amounts: {
+      [GRANTS_ACCOUNT]: -amount,
+      [walletAccount(userId)]: amount
+    },
+    description: `Admin grant by ${adminEmail}`,
+    refs: batchId ? { userId, grantedBy: adminId, batchId } : { userId, grantedBy: adminId }
+  });
+
+  return { newBalance, transactionId: transactionRef.id };
+}
+
+exports.applyGrant = applyGrant;
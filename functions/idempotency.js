@@ -0,0 +1,118 @@
+/**
+ * Idempotency keys for callables
+ *
+ * Clients send an idempotencyKey with each user action and reuse it when they
+ * retry (e.g. after a timeout). The first successful call stores its result in
+ * idempotencyKeys/{fnName}_{uid}_{key} in the same transaction as the action;
+ * a replay returns that result instead of running the action again.
+ * Failed calls store nothing, so they can be retried with the same key.
+ *
+ * Keys are scoped to the function and the caller and expire after a day
+ * (Firestore TTL policy on expiresAt, see DEPLOYMENT.md).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// Constants
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an optional idempotency key and get its document
+ * @param {*} key - Key sent by the client (optional)
+ * @param {string} fnName - Callable name
+ * @param {string} userId - Caller's uid
+ * @returns {DocumentReference|null} Key document, or null when no key was sent
+ */
+function idempotencyKeyRef(key, fnName, userId) {
+  if (key === undefined || key === null) return null;
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Invalid idempotencyKey: use 8-128 letters, digits, dashes or underscores',
+      { reason: 'invalid-idempotency-key' }
+    );
+  }
+
+  return db.collection('idempotencyKeys').doc(`${fnName}_${userId}_${key}`);
+}
+
+/**
+ * Key document for one step of a keyed action (e.g. one user of a bulk grant)
+ * Each step stores its own result, so a retry of a long action that timed
+ * out part-way replays the steps that completed and runs the rest.
+ * @param {DocumentReference|null} keyRef - From idempotencyKeyRef
+ * @param {string} step - Identifies the step within the action
+ * @returns {DocumentReference|null} Step key document, or null when no key was sent
+ */
+function stepKeyRef(keyRef, step) {
+  if (!keyRef) return null;
+
+  return db.collection('idempotencyKeys').doc(`${keyRef.id}_${step}`);
+}
+
+/**
+ * Look up a stored result inside a transaction (call before any writes)
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference|null} keyRef - From idempotencyKeyRef
+ * @param {Object} request - Parameters that identify the action (e.g. { auctionId, quantity })
+ * @returns {Promise<Object|null>} The original result marked replayed, or null if the key is new
+ */
+async function getStoredResult(transaction, keyRef, request) {
+  if (!keyRef) return null;
+
+  const keyDoc = await transaction.get(keyRef);
+  if (!keyDoc.exists) return null;
+
+  const stored = keyDoc.data();
+
+  // Same key, different action: a client bug, not a retry
+  if (stored.requestFingerprint !== fingerprint(request)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'This request was already completed with different details. Reload and try again.',
+      { reason: 'idempotency-key-reused' }
+    );
+  }
+
+  return { ...stored.result, replayed: true };
+}
+
+/**
+ * Store a result inside the same transaction as the action
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference|null} keyRef - From idempotencyKeyRef
+ * @param {Object} request - Same parameters passed to getStoredResult
+ * @param {Object} result - Callable result to replay
+ */
+function storeResult(transaction, keyRef, request, result) {
+  if (!keyRef) return;
+
+  transaction.set(keyRef, {
+    requestFingerprint: fingerprint(request),
+    // Round-trip through JSON to drop undefined fields, which Firestore rejects
+    result: JSON.parse(JSON.stringify(result)),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + KEY_TTL_MS)
+  });
+}
+
+/**
+ * Stable string for the identifying request parameters
+ * @param {Object} request - Request parameters
+ * @returns {string} Sorted-key JSON
+ */
+function fingerprint(request) {
+  return JSON.stringify(Object.keys(request).sort().map(key => [key, request[key]]));
+}
+
+module.exports = {
+  idempotencyKeyRef,
+  stepKeyRef,
+  getStoredResult,
+  storeResult
+};
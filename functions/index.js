@@ -6,16 +6,57 @@
 const updateAuctionPrice = require('./updateAuctionPrice');
 const purchaseAuction = require('./purchaseAuction');
 const grantCurrency = require('./grantCurrency');
-const syncViewerCount = require('./syncViewerCount');
+const auctionCounters = require('./auctionCounters');
 const aggregatePresence = require('./aggregatePresence');
 const updateOpenShieldCount = require('./updateOpenShieldCount');
 const cleanupShieldsOnDisconnect = require('./cleanupShieldsOnDisconnect');
+const expireStalePresence = require('./expireStalePresence');
+const settleAuction = require('./settleAuction');
+const autoStartAuctions = require('./autoStartAuctions');
+const auctionLifecycle = require('./auctionLifecycle');
+const setUserRole = require('./setUserRole');
+const openLedgerAccount = require('./openLedgerAccount');
+const reconcileLedger = require('./reconcileLedger');
+const shieldHolds = require('./shieldHolds');
+const refundPurchase = require('./refundPurchase');
+const adjustBalance = require('./adjustBalance');
+const bulkGrantCurrency = require('./bulkGrantCurrency');
+const payAllowance = require('./payAllowance');
+const shieldControl = require('./shieldControl');
 
 // Export all functions
 exports.updateAuctionPrice = updateAuctionPrice.updateAuctionPrice;
 exports.purchaseAuction = purchaseAuction.purchaseAuction;
 exports.grantCurrency = grantCurrency.grantCurrency;
-exports.syncViewerCount = syncViewerCount.syncViewerCount;
+exports.countPresenceJoin = auctionCounters.countPresenceJoin;
+exports.countPresenceLeave = auctionCounters.countPresenceLeave;
+exports.countPresenceMove = auctionCounters.countPresenceMove;
+exports.countOpenShields = auctionCounters.countOpenShields;
 exports.aggregatePresence = aggregatePresence.aggregatePresence;
 exports.updateOpenShieldCount = updateOpenShieldCount.updateOpenShieldCount;
 exports.cleanupShieldsOnDisconnect = cleanupShieldsOnDisconnect.cleanupShieldsOnDisconnect;
+exports.expireStalePresence = expireStalePresence.expireStalePresence;
+exports.settleAuction = settleAuction.settleAuction;
+exports.autoStartAuctions = autoStartAuctions.autoStartAuctions;
+exports.startAuction = auctionLifecycle.startAuction;
+exports.stopAuction = auctionLifecycle.stopAuction;
+exports.pauseAuction = auctionLifecycle.pauseAuction;
+exports.resumeAuction = auctionLifecycle.resumeAuction;
+exports.setUserRole = setUserRole.setUserRole;
+exports.openLedgerAccount = openLedgerAccount.openLedgerAccount;
+exports.reconcileLedger = reconcileLedger.reconcileLedger;
+exports.syncShieldHold = shieldHolds.syncShieldHold;
+exports.releaseExpiredHolds = shieldHolds.releaseExpiredHolds;
+exports.refundPurchase = refundPurchase.refundPurchase;
+exports.adjustBalance = adjustBalance.adjustBalance;
+exports.bulkGrantCurrency = bulkGrantCurrency.bulkGrantCurrency;
+exports.payAllowance = payAllowance.payAllowance;
+exports.openShield = shieldControl.openShield;
+exports.closeShield = shieldControl.closeShield;
+
+// Emulator-only: Cloud Scheduler doesn't run locally, so ticks, auto-starts and allowances are triggered over HTTP
+if (process.env.FUNCTIONS_EMULATOR === 'true') {
+  exports.runPriceTick = updateAuctionPrice.runPriceTick;
+  exports.runAutoStart = autoStartAuctions.runAutoStart;
+  exports.runAllowance = payAllowance.runAllowance;
+}
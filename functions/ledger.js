@@ -0,0 +1,127 @@
+/**
+ * Double-entry ledger for the fictional currency
+ *
+ * Every movement of money is one balanced journal entry in `ledgerEntries`:
+ * a set of lines, one per account, whose amounts sum to zero. Positive
+ * amounts credit an account (its balance goes up), negative amounts debit it.
+ *
+ * Accounts:
+ * - user:{uid}    a user's wallet (mirrored as users/{uid}.balance)
+ * - escrow:{uid}  funds held for a user (e.g. while a shield is open)
+ * - house         treasury: receives purchases, pays refunds
+ * - grants        grants pool: source of admin grants and opening balances
+ *
+ * A user's balance is the sum of their wallet lines across all entries;
+ * users.balance is a cache of it, written in the same transaction as the
+ * entry. reconcileLedger flags any user whose cache disagrees.
+ *
+ * Entries are written with the id of the matching `transactions` record
+ * (when there is one), so the two can be joined.
+ */
+
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+const HOUSE_ACCOUNT = 'house';
+const GRANTS_ACCOUNT = 'grants';
+
+/**
+ * Wallet account for a user
+ * @param {string} userId - User ID
+ * @returns {string} Account id
+ */
+function walletAccount(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Escrow account for a user
+ * @param {string} userId - User ID
+ * @returns {string} Account id
+ */
+function escrowAccount(userId) {
+  return `escrow:${userId}`;
+}
+
+/**
+ * Id of a user's opening-balance entry (one per user)
+ * @param {string} userId - User ID
+ * @returns {string} Entry id
+ */
+function openingEntryId(userId) {
+  return `opening_${userId}`;
+}
+
+/**
+ * Write a balanced journal entry inside a Firestore transaction
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} entry - Entry details
+ * @param {string} entry.id - Entry id (use the transactions doc id when there is one)
+ * @param {string} entry.type - Movement type ('purchase', 'admin_grant', 'refund', ...)
+ * @param {Object} entry.amounts - { [account]: amount in cents }, must sum to zero
+ * @param {string} entry.description - Human-readable description
+ * @param {Object} entry.refs - Extra references (auctionId, userId, ...)
+ * @returns {DocumentReference} The entry document
+ */
+function postEntry(transaction, { id, type, amounts, description, refs = {} }) {
+  const accounts = Object.keys(amounts).filter(account => amounts[account] !== 0);
+
+  if (accounts.length < 2) {
+    throw new Error(`Ledger entry ${id} (${type}) needs at least two accounts`);
+  }
+
+  for (const account of accounts) {
+    if (!Number.isInteger(amounts[account])) {
+      throw new Error(`Ledger entry ${id} (${type}) has a non-integer amount for ${account}`);
+    }
+  }
+
+  const total = accounts.reduce((sum, account) => sum + amounts[account], 0);
+  if (total !== 0) {
+    throw new Error(`Ledger entry ${id} (${type}) is unbalanced by ${total}`);
+  }
+
+  const entryRef = db.collection('ledgerEntries').doc(id);
+
+  transaction.set(entryRef, {
+    type,
+    description: description || null,
+    accounts, // For array-contains queries per account
+    lines: accounts.map(account => ({ account, amount: amounts[account] })),
+    ...refs,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return entryRef;
+}
+
+/**
+ * Sum an account's lines across the whole ledger
+ * @param {string} account - Account id
+ * @returns {Promise<Object>} { balance, entryCount }
+ */
+async function getAccountBalance(account) {
+  const snapshot = await db.collection('ledgerEntries')
+    .where('accounts', 'array-contains', account)
+    .get();
+
+  let balance = 0;
+  snapshot.forEach(doc => {
+    for (const line of doc.data().lines || []) {
+      if (line.account === account) balance += line.amount;
+    }
+  });
+
+  return { balance, entryCount: snapshot.size };
+}
+
+module.exports = {
+  HOUSE_ACCOUNT,
+  GRANTS_ACCOUNT,
+  walletAccount,
+  escrowAccount,
+  openingEntryId,
+  postEntry,
+  getAccountBalance
+};
@@ -0,0 +1,60 @@
+/**
+ * openLedgerAccount Cloud Function
+ * Posts a new user's starting balance to the ledger
+ *
+ * Users create their own document on registration with the starting balance
+ * (see firestore.rules), so the matching journal entry is written here:
+ * grants pool -> the user's wallet. The entry id is deterministic, so a
+ * retried trigger never posts it twice.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { GRANTS_ACCOUNT, walletAccount, openingEntryId, postEntry } = require('./ledger');
+
+const db = admin.firestore();
+
+/**
+ * Firestore trigger on user creation
+ */
+exports.openLedgerAccount = functions.firestore
+  .document('users/{userId}')
+  .onCreate(async (snapshot, context) => {
+    const { userId } = context.params;
+    const openingBalance = snapshot.data().balance || 0;
+
+    if (openingBalance === 0) {
+      console.log(`[openLedgerAccount] User ${userId} starts at $0.00, nothing to post`);
+      return null;
+    }
+
+    try {
+      const entryRef = db.collection('ledgerEntries').doc(openingEntryId(userId));
+
+      await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(entryRef);
+        if (existing.exists) {
+          console.log(`[openLedgerAccount] Opening entry for ${userId} already posted`);
+          return;
+        }
+
+        postEntry(transaction, {
+          id: entryRef.id,
+          type: 'opening_balance',
+          amounts: {
+            [GRANTS_ACCOUNT]: -openingBalance,
+            [walletAccount(userId)]: openingBalance
+          },
+          description: 'Starting balance',
+          refs: { userId }
+        });
+      });
+
+      console.log(`[openLedgerAccount] Posted opening balance of ${openingBalance} cents for ${userId}`);
+      return null;
+
+    } catch (error) {
+      console.error(`[openLedgerAccount] Error posting opening balance for ${userId}:`, error);
+      throw error;
+    }
+  });
@@ -0,0 +1,200 @@
+/**
+ * payAllowance Cloud Function
+ * Pays every user a recurring allowance (stipend), capped by a maximum balance
+ *
+ * Settings live in system/allowance (edited from the admin panel):
+ *   { enabled, amount, periodDays, maxBalance }
+ * Periods are fixed windows of periodDays counted from the Unix epoch, so
+ * every run in the same window agrees on which period it is. Each payout
+ * records the period on users/{uid}.lastAllowancePeriodStart in the same
+ * transaction, so reruns (hourly, or retried) never pay twice.
+ *
+ * Users at or above maxBalance are skipped; users just below it get only
+ * enough to reach it. Skipped users aren't marked paid, so they receive the
+ * allowance later in the period if their balance drops.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { GRANTS_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+
+const db = admin.firestore();
+
+// Constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 200;
+
+/**
+ * Scheduled function that pays the current period's allowance
+ * Runs hourly so a new period is picked up soon after it starts.
+ */
+exports.payAllowance = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub
+  .schedule('every 60 minutes')
+  .onRun(async (context) => {
+    console.log('[payAllowance] Checking allowance...');
+
+    try {
+      await payCurrentPeriod();
+      return null;
+    } catch (error) {
+      console.error('[payAllowance] Fatal error:', error);
+      throw error;
+    }
+  });
+
+/**
+ * Emulator-only HTTP trigger for the allowance
+ * The emulator suite doesn't run Cloud Scheduler, so call
+ * http://localhost:5001/<project>/us-central1/runAllowance
+ * to pay the current period.
+ */
+exports.runAllowance = functions.https.onRequest(async (req, res) => {
+  if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  try {
+    const summary = await payCurrentPeriod();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('[runAllowance] Error paying allowance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Pay every user not yet paid for the current period
+ * @returns {Promise<Object>} { enabled, periodStart, paid, skipped, failed, total }
+ */
+async function payCurrentPeriod() {
+  const config = await getAllowanceConfig();
+
+  if (!config) {
+    console.log('[payAllowance] Allowance disabled');
+    return { enabled: false };
+  }
+
+  const periodMs = config.periodDays * DAY_MS;
+  const periodStart = Math.floor(Date.now() / periodMs) * periodMs;
+  const summary = { enabled: true, periodStart, paid: 0, skipped: 0, failed: 0, total: 0 };
+  let lastDoc = null;
+
+  console.log(`[payAllowance] Period starting ${new Date(periodStart).toISOString()}: $${(config.amount / 100).toFixed(2)} up to $${(config.maxBalance / 100).toFixed(2)}`);
+
+  while (true) {
+    let query = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    if (page.empty) break;
+
+    for (const userDoc of page.docs) {
+      // Already paid this period
+      if ((userDoc.data().lastAllowancePeriodStart || 0) >= periodStart) continue;
+
+      try {
+        const paid = await payUser(userDoc.id, config, periodStart);
+        if (paid > 0) {
+          summary.paid++;
+          summary.total += paid;
+        } else {
+          summary.skipped++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`[payAllowance] Error paying ${userDoc.id}:`, error);
+      }
+    }
+
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+
+  console.log(`[payAllowance] Done: ${summary.paid} paid ($${(summary.total / 100).toFixed(2)}), ${summary.skipped} at cap, ${summary.failed} failed`);
+  return summary;
+}
+
+/**
+ * Read and validate system/allowance
+ * @returns {Promise<Object|null>} { amount, periodDays, maxBalance }, or null when disabled
+ */
+async function getAllowanceConfig() {
+  const configDoc = await db.collection('system').doc('allowance').get();
+  const config = configDoc.exists ? configDoc.data() : null;
+
+  if (!config || !config.enabled) return null;
+
+  if (!Number.isInteger(config.amount) || config.amount <= 0 ||
+      !Number.isInteger(config.periodDays) || config.periodDays < 1 ||
+      !Number.isInteger(config.maxBalance) || config.maxBalance <= 0) {
+    console.error('[payAllowance] Invalid system/allowance config, skipping:', config);
+    return null;
+  }
+
+  return config;
+}
+
+/**
+ * Pay one user's allowance for the period
+ * @param {string} userId - User ID
+ * @param {Object} config - Allowance config
+ * @param {number} periodStart - Period start (ms)
+ * @returns {Promise<number>} Amount paid in cents (0 if already paid or at the cap)
+ */
+async function payUser(userId, config, periodStart) {
+  const userRef = db.collection('users').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) return 0;
+
+    const user = userDoc.data();
+
+    // Re-checked inside the transaction: another run may have just paid
+    if ((user.lastAllowancePeriodStart || 0) >= periodStart) return 0;
+
+    const balance = user.balance || 0;
+    const amount = Math.min(config.amount, config.maxBalance - balance);
+    if (amount <= 0) return 0;
+
+    const newBalance = balance + amount;
+
+    transaction.update(userRef, {
+      balance: newBalance,
+      lastAllowancePeriodStart: periodStart,
+      lastAllowanceAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Deterministic id: one allowance transaction per user per period
+    const transactionRef = db.collection('transactions').doc(`allowance_${periodStart}_${userId}`);
+    transaction.set(transactionRef, {
+      userId,
+      type: 'allowance',
+      amount,
+      balanceAfter: newBalance,
+      periodStart: admin.firestore.Timestamp.fromMillis(periodStart),
+      description: amount < config.amount
+        ? `Allowance (capped at $${(config.maxBalance / 100).toFixed(2)})`
+        : 'Allowance',
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Ledger: grants pool funds the allowance
+    postEntry(transaction, {
+      id: transactionRef.id,
+      type: 'allowance',
+      amounts: {
+        [GRANTS_ACCOUNT]: -amount,
+        [walletAccount(userId)]: amount
+      },
+      description: 'Periodic allowance',
+      refs: { userId }
+    });
+
+    return amount;
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Purchase attempts
+ *
+ * Every purchaseAuction call that names an existing auction is recorded in
+ * auctions/{auctionId}/attempts/{attemptId}, whether it succeeds or not:
+ * - receivedAt: when the server received the request (ms)
+ * - clientTimestamp: the bidder's purchaseTimestamp (ms, null if not sent)
+ * - effectiveAt: the time used to order attempts (see shared/tieBreakRules.js)
+ * - computedPrice: the unit price the server worked out, if it got that far
+ * - outcome: 'pending' until settled, then 'purchased', 'rejected' or 'replayed'
+ *
+ * Under 'client-time', attempts settle one at a time in effectiveAt order:
+ * each waits until every attempt that could be ordered ahead of it has arrived
+ * and settled, so click times, not transaction retries, decide who gets a
+ * contested unit. Under 'arrival' the purchase transaction already serialises
+ * attempts as they arrive, so nothing waits.
+ */
+
+const admin = require('firebase-admin');
+const { settleDelayMs } = require('./shared/tieBreakRules');
+
+// Constants
+const SETTLE_MARGIN_MS = 150; // Time for an attempt to be recorded after its request arrives
+const QUEUE_POLL_MS = 100;
+const QUEUE_TIMEOUT_MS = 10000; // Stop waiting on attempts that never settle
+const STALE_ATTEMPT_MS = 8000; // Pending attempts older than this were abandoned (e.g. a crashed instance)
+
+/**
+ * Record a new pending attempt
+ * @param {DocumentReference} auctionRef - Auction document
+ * @param {Object} fields - userId, quantity, expectedPrice, clientTimestamp,
+ *   receivedAt, effectiveAt, clientTrusted, pricedAt, rule, trustMs
+ * @returns {Promise<DocumentReference>} The attempt document
+ */
+async function recordAttempt(auctionRef, fields) {
+  const attemptRef = auctionRef.collection('attempts').doc();
+
+  await attemptRef.set({
+    ...fields,
+    outcome: 'pending',
+    recordedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return attemptRef;
+}
+
+/**
+ * Wait until no unsettled attempt is ordered ahead of this one
+ * @param {DocumentReference} auctionRef - Auction document
+ * @param {Object} config - From tieBreakConfig()
+ * @param {number} receivedAt - This attempt's receive time (ms)
+ * @param {number} effectiveAt - This attempt's effective time (ms)
+ * @returns {Promise<Object>} { waitedMs, queued } - queued is true if an earlier attempt was still pending
+ */
+async function waitForTurn(auctionRef, config, receivedAt, effectiveAt) {
+  if (config.rule === 'arrival') {
+    return { waitedMs: 0, queued: false };
+  }
+
+  const startedAt = Date.now();
+
+  // Any attempt that can be ordered ahead of this one has arrived by now
+  const settleAt = receivedAt + settleDelayMs(config) + SETTLE_MARGIN_MS;
+  if (settleAt > startedAt) {
+    await sleep(settleAt - startedAt);
+  }
+
+  // Staleness is judged afresh on each poll, so an abandoned attempt stops
+  // blocking as soon as it is STALE_ATTEMPT_MS old
+  const earlierPending = () => auctionRef.collection('attempts')
+    .where('outcome', '==', 'pending')
+    .where('effectiveAt', '>=', Date.now() - STALE_ATTEMPT_MS)
+    .where('effectiveAt', '<', effectiveAt)
+    .limit(1)
+    .get();
+
+  let queued = false;
+
+  while (!(await earlierPending()).empty) {
+    queued = true;
+
+    if (Date.now() - startedAt > QUEUE_TIMEOUT_MS) {
+      console.warn(`[purchaseAttempts] Gave up waiting for earlier attempts on auction ${auctionRef.id}`);
+      break;
+    }
+
+    await sleep(QUEUE_POLL_MS);
+  }
+
+  return { waitedMs: Date.now() - startedAt, queued };
+}
+
+/**
+ * Record how an attempt ended
+ * Never throws: a failed log write must not change the purchase result.
+ * @param {DocumentReference} attemptRef - From recordAttempt
+ * @param {string} outcome - 'purchased', 'rejected' or 'replayed'
+ * @param {Object} fields - computedPrice, queueWaitMs and outcome details
+ * @returns {Promise<void>}
+ */
+async function settleAttempt(attemptRef, outcome, fields) {
+  try {
+    await attemptRef.update({
+      ...fields,
+      outcome,
+      settledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`[purchaseAttempts] Failed to record outcome of attempt ${attemptRef.id}:`, error);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  recordAttempt,
+  waitForTurn,
+  settleAttempt
+};
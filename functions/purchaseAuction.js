@@ -3,82 +3,43 @@
  * Handles atomic purchase validation with race condition protection
  *
  * Uses Firestore transactions to ensure:
- * - Only one user can win an auction
+ * - Units are never oversold (single items and multi-unit lots)
+ * - Per-user purchase caps are respected
  * - Balance is sufficient
  * - Shield is open at time of purchase
- * - Auction is still live
+ * - Auction is still live (not paused or ended)
+ *
+ * Funds held for the buyer's shield (see shieldHolds.js) are captured as
+ * part of the payment.
+ *
+ * An optional idempotencyKey makes retries safe: a retried purchase that
+ * already went through returns the original result (see idempotency.js).
+ *
+ * Every attempt is logged in auctions/{id}/attempts and settled in the order
+ * set by the auction's tie-break rule (see purchaseAttempts.js and
+ * shared/tieBreakRules.js), so simultaneous buyers are ordered explicitly.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { priceAtTime, elapsedSecondsAt } = require('./shared/pricingEngine');
+const { HOUSE_ACCOUNT, walletAccount, escrowAccount, postEntry } = require('./ledger');
+const { idempotencyKeyRef, getStoredResult, storeResult } = require('./idempotency');
+const { shieldConfig } = require('./shared/shieldRules');
+const { winnerFields, saleFields } = require('./winnerIdentity');
+const { TIE_BREAK_LABELS, tieBreakConfig, effectiveTime, trustedClientTime } = require('./shared/tieBreakRules');
+const { recordAttempt, waitForTurn, settleAttempt } = require('./purchaseAttempts');
 
 const db = admin.firestore();
 
-/**
- * Calculate expected price based on auction timing and pricing formula
- * Mirrors the client-side priceCalculations.js logic exactly
- * @param {Object} auction - Auction data
- * @param {number} timestamp - Timestamp to calculate price for
- * @returns {number} Expected price in cents
- */
-function calculateExpectedPrice(auction, timestamp) {
-  const { startTime, startingPrice, floorPrice, duration, pricingMode, pricingConfig } = auction;
-
-  const startTimeMs = startTime?.toMillis ? startTime.toMillis() : startTime;
-  const elapsedMs = timestamp - startTimeMs;
-  const elapsedSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
-
-  // If auction hasn't started or elapsed time is negative, return starting price
-  if (elapsedSeconds <= 0) {
-    return startingPrice;
-  }
-
-  // If past duration, return floor price
-  if (elapsedSeconds >= duration) {
-    return floorPrice;
-  }
-
-  // Transparent mode: use explicit formula
-  if (pricingMode === 'transparent' && pricingConfig?.formula) {
-    const formula = pricingConfig.formula;
-
-    if (formula === 'linear') {
-      // Linear decay: starting - (rate * elapsed)
-      const linearRate = (startingPrice - floorPrice) / duration;
-      const price = startingPrice - (linearRate * elapsedSeconds);
-      return Math.max(floorPrice, Math.round(price));
-
-    } else if (formula === 'exponential') {
-      // Exponential decay: starting * e^(-rate * elapsed)
-      // Use the decayRate stored when auction was created
-      const expRate = pricingConfig.decayRate || 0.0001;
-      const price = startingPrice * Math.exp(-expRate * elapsedSeconds);
-      return Math.max(floorPrice, Math.round(price));
-
-    } else if (formula === 'stepped') {
-      // Stepped decay: drop by fixed amount at intervals
-      // Use stepCount if provided, otherwise fall back to stepInterval calculation
-      const stepCount = pricingConfig.stepCount || 10;
-      const stepInterval = pricingConfig.stepInterval || Math.floor(duration / stepCount);
-      const stepAmount = pricingConfig.stepAmount || Math.floor((startingPrice - floorPrice) / stepCount);
-      const numSteps = Math.floor(elapsedSeconds / stepInterval);
-      const price = startingPrice - (stepAmount * numSteps);
-      return Math.max(floorPrice, Math.round(price));
-    }
-  }
-
-  // Default: linear decay (for algorithmic mode or unknown formula)
-  const decayPerSecond = (startingPrice - floorPrice) / duration;
-  const price = startingPrice - (decayPerSecond * elapsedSeconds);
-  return Math.max(floorPrice, Math.round(price));
-}
-
 /**
  * T169: HTTPS Callable Function for purchasing an auction
- * @param {Object} data - { auctionId, expectedPrice }
+ * @param {Object} data - { auctionId, expectedPrice, purchaseTimestamp, quantity, idempotencyKey? }
  * @param {Object} context - Auth context
  */
 exports.purchaseAuction = functions.https.onCall(async (data, context) => {
+  // Server receive time: orders this attempt against others (tie-break)
+  const receivedAt = Date.now();
   console.log('[purchaseAuction] Function called');
 
   // T170: Validate user authentication
@@ -94,6 +55,8 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
 
   // T171: Extract parameters
   const { auctionId, expectedPrice, purchaseTimestamp } = data;
+  const clientTimestamp = typeof purchaseTimestamp === 'number' ? purchaseTimestamp : null;
+  const quantity = data.quantity === undefined ? 1 : data.quantity;
 
   if (!auctionId) {
     throw new functions.https.HttpsError(
@@ -109,22 +72,81 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
     );
   }
 
-  console.log(`[purchaseAuction] User ${userId} attempting to purchase auction ${auctionId}`);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Invalid quantity: must be a whole number of at least 1'
+    );
+  }
+
+  const keyRef = idempotencyKeyRef(data.idempotencyKey, 'purchaseAuction', userId);
+  const request = { auctionId, quantity };
+
+  console.log(`[purchaseAuction] User ${userId} attempting to purchase ${quantity} unit(s) of auction ${auctionId}`);
   console.log(`[purchaseAuction] Expected price: $${(expectedPrice / 100).toFixed(2)}`);
   console.log(`[purchaseAuction] Purchase timestamp: ${purchaseTimestamp || 'not provided'}`);
 
+  const auctionRef = db.collection('auctions').doc(auctionId);
+  let attemptRef = null;
+  let computedPrice = null;
+  let queueWaitMs = 0;
+
   try {
+    const auctionSnapshot = await auctionRef.get();
+
+    if (!auctionSnapshot.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Auction not found'
+      );
+    }
+
+    // Fairness: log the attempt, then wait for every attempt ordered ahead of it
+    const tieBreak = tieBreakConfig(auctionSnapshot.data());
+    const { effectiveAt, clientTrusted } = effectiveTime(tieBreak, receivedAt, clientTimestamp);
+    // The click time used for pricing and the shield window, never earlier than trustMs before arrival
+    const pricedAt = trustedClientTime(tieBreak, receivedAt, clientTimestamp);
+
+    attemptRef = await recordAttempt(auctionRef, {
+      userId,
+      quantity,
+      expectedPrice,
+      clientTimestamp,
+      receivedAt,
+      effectiveAt,
+      clientTrusted,
+      pricedAt,
+      rule: tieBreak.rule,
+      trustMs: tieBreak.trustMs
+    });
+
+    const turn = await waitForTurn(auctionRef, tieBreak, receivedAt, effectiveAt);
+    queueWaitMs = turn.waitedMs;
+
+    console.log(`[purchaseAuction] Attempt ${attemptRef.id}: rule=${tieBreak.rule}, effectiveAt=${effectiveAt}, ` +
+      `clientTrusted=${clientTrusted}, waited=${turn.waitedMs}ms${turn.queued ? ' behind earlier attempts' : ''}`);
+
     // T172-T181: Execute atomic transaction
     const result = await db.runTransaction(async (transaction) => {
+      // A retry of a purchase that already went through gets the original result
+      const storedResult = await getStoredResult(transaction, keyRef, request);
+      if (storedResult) {
+        return storedResult;
+      }
+
       // T172: Read all necessary documents in transaction
-      const auctionRef = db.collection('auctions').doc(auctionId);
       const userRef = db.collection('users').doc(userId);
       const shieldRef = db.collection('auctions').doc(auctionId)
         .collection('shields').doc(userId);
 
+      const reserveRef = auctionRef.collection('private').doc('reserve');
+      const holdRef = auctionRef.collection('holds').doc(userId);
+
       const auctionDoc = await transaction.get(auctionRef);
       const userDoc = await transaction.get(userRef);
       const shieldDoc = await transaction.get(shieldRef);
+      const reserveDoc = await transaction.get(reserveRef);
+      const holdDoc = await transaction.get(holdRef);
 
       // Validate documents exist
       if (!auctionDoc.exists) {
@@ -144,23 +166,73 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
       const auction = auctionDoc.data();
       const user = userDoc.data();
       const shield = shieldDoc.exists ? shieldDoc.data() : null;
+      const reserve = reserveDoc.exists ? reserveDoc.data() : null;
+      const hold = holdDoc.exists && holdDoc.data().status === 'held' ? holdDoc.data() : null;
 
       // T173: Validate auction status is "live"
       if (auction.status !== 'live') {
         console.log(`[purchaseAuction] Auction ${auctionId} not live: ${auction.status}`);
+
+        // Sold after this attempt arrived: an attempt ordered ahead of it won
+        const endedAt = auction.endedAt?.toMillis ? auction.endedAt.toMillis() : 0;
+        if (auction.status === 'ended - sold' && endedAt >= receivedAt) {
+          throw new functions.https.HttpsError(
+            'failed-precondition',
+            `Another bidder's purchase came first (tie-break: ${TIE_BREAK_LABELS[tieBreak.rule]}). ` +
+            ((auction.quantity || 1) > 1 ? 'No units are left.' : 'This auction has been won.'),
+            { reason: 'lost-tie-break', rule: tieBreak.rule }
+          );
+        }
+
         throw new functions.https.HttpsError(
           'failed-precondition',
           auction.status === 'ended - sold'
-            ? 'This auction has already been won by another user'
-            : `Auction is not live (status: ${auction.status})`
+            ? ((auction.quantity || 1) > 1
+              ? 'This lot has sold out'
+              : 'This auction has already been won by another user')
+            : auction.status === 'paused'
+              ? 'This auction is paused. Purchases will reopen when it resumes.'
+              : `Auction is not live (status: ${auction.status})`
         );
       }
 
+      // Multi-unit lots: check units remaining and the per-user cap
+      // Single-item auctions are simply lots of 1
+      const lotSize = auction.quantity || 1;
+      const unitsRemaining = typeof auction.unitsRemaining === 'number' ? auction.unitsRemaining : lotSize;
+
+      if (quantity > unitsRemaining) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Only ${unitsRemaining} ${unitsRemaining === 1 ? 'unit' : 'units'} remaining`
+        );
+      }
+
+      if (auction.perUserLimit) {
+        const userFillsSnapshot = await transaction.get(
+          auctionRef.collection('fills').where('userId', '==', userId)
+        );
+        // Refunded fills (refundPurchase) don't count against the cap
+        const unitsOwned = userFillsSnapshot.docs
+          .filter(doc => !doc.data().refunded)
+          .reduce((sum, doc) => sum + (doc.data().quantity || 0), 0);
+
+        if (unitsOwned + quantity > auction.perUserLimit) {
+          const allowed = Math.max(0, auction.perUserLimit - unitsOwned);
+          throw new functions.https.HttpsError(
+            'failed-precondition',
+            `Purchase limit is ${auction.perUserLimit} per user. ` +
+            (allowed > 0 ? `You can buy ${allowed} more.` : 'You have reached the limit.')
+          );
+        }
+      }
+
       // T174: Validate shield timing (server-authoritative)
       // NOTE: We validate based on openedAt + durationSeconds, NOT the isOpen field
       // because the client may have already set isOpen=false due to auto-close timer
       // but the server should honor the original timing window
-      const now = Date.now();
+      // Judged at arrival, so time spent waiting for earlier attempts doesn't count
+      const now = receivedAt;
 
       if (!shield) {
         console.log(`[purchaseAuction] No shield found for user ${userId}`);
@@ -172,7 +244,8 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
 
       // Check shield timing (server-side validation) - this is authoritative
       const openedAt = shield.openedAt?.toMillis ? shield.openedAt.toMillis() : shield.openedAt;
-      const durationSeconds = shield.durationSeconds || 5; // Default to 5 seconds
+      // openShield records the window length; older shields fall back to the auction's config
+      const durationSeconds = shield.durationSeconds || shieldConfig(auction).durationSeconds;
 
       if (!openedAt) {
         console.log(`[purchaseAuction] Shield has no openedAt timestamp for user ${userId}`);
@@ -193,8 +266,8 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
       const TIMING_TOLERANCE_MS = 5000; // 5 seconds extra tolerance
 
       // Also check if purchase was initiated within the shield window
-      // by using the purchaseTimestamp from the client
-      const purchaseInitiatedAt = purchaseTimestamp || now;
+      // by using the client's purchaseTimestamp, clamped to the trust bound
+      const purchaseInitiatedAt = pricedAt;
       const purchaseWasInWindow = purchaseInitiatedAt >= openedAt && purchaseInitiatedAt <= closesAt;
 
       if (!purchaseWasInWindow && (now < openedAt || now > (closesAt + TIMING_TOLERANCE_MS))) {
@@ -211,28 +284,65 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
 
       console.log(`[purchaseAuction] Shield timing valid: now=${now}, open=${openedAt}, close=${closesAt}, purchaseInWindow=${purchaseWasInWindow}`);
 
-      // Calculate actual expected price based on purchase timestamp if provided
-      // This ensures client interpolation matches server calculation
-      const serverCalculatedPrice = purchaseTimestamp ?
-        calculateExpectedPrice(auction, purchaseTimestamp) :
-        null;
+      // Calculate actual expected price at the (clamped) purchase timestamp if provided
+      // Uses the same pricing engine as the client, so interpolation matches exactly.
+      let serverCalculatedPrice = null;
+
+      if (clientTimestamp !== null) {
+        const priceOptions = {};
+
+        // Algorithmic prices extrapolate from the auction's checkpoint; if a
+        // tick has already moved the checkpoint past the purchase moment,
+        // replay the recorded samples to price that moment exactly
+        const checkpointSeconds = auction.algorithmState?.elapsedSeconds || 0;
+        if (auction.pricingMode === 'algorithmic' &&
+            elapsedSecondsAt(auction, pricedAt) < checkpointSeconds) {
+          const logSnapshot = await transaction.get(
+            auctionRef.collection('algorithmLog').orderBy('elapsedSeconds', 'asc')
+          );
+          priceOptions.samples = logSnapshot.docs.map(doc => doc.data());
+        }
+
+        serverCalculatedPrice = priceAtTime(auction, pricedAt, priceOptions);
+      }
 
       // Use server-calculated price if timestamp provided, otherwise use Firestore currentPrice
-      const currentPrice = serverCalculatedPrice || auction.currentPrice;
+      let currentPrice = serverCalculatedPrice || auction.currentPrice;
+
+      // Never settle below the hidden reserve
+      if (reserve && reserve.reservePrice && currentPrice < reserve.reservePrice) {
+        if (reserve.reservePolicy === 'hold') {
+          console.log(`[purchaseAuction] Price below reserve, charging held reserve price`);
+          currentPrice = reserve.reservePrice;
+        } else {
+          console.log(`[purchaseAuction] Price below reserve, auction is closing unsold`);
+          throw new functions.https.HttpsError(
+            'failed-precondition',
+            'The reserve price was not met. This auction is closing.'
+          );
+        }
+      }
+
+      computedPrice = currentPrice;
 
       console.log(`[purchaseAuction] Server calculated price: $${serverCalculatedPrice ? (serverCalculatedPrice / 100).toFixed(2) : 'N/A'}`);
       console.log(`[purchaseAuction] Firestore current price: $${(auction.currentPrice / 100).toFixed(2)}`);
       console.log(`[purchaseAuction] Using price: $${(currentPrice / 100).toFixed(2)}`);
 
-      // T175: Validate user balance >= current price
-      const userBalance = user.balance || 0;
+      // T175: Validate user balance >= current price for every unit
+      // The shield's hold counts towards it: it's the buyer's money, set aside for this
+      const heldAmount = hold ? hold.amount : 0;
+      const userBalance = (user.balance || 0) + heldAmount;
+      const totalCost = currentPrice * quantity;
 
-      if (userBalance < currentPrice) {
-        console.log(`[purchaseAuction] Insufficient balance: ${userBalance} < ${currentPrice}`);
+      if (userBalance < totalCost) {
+        console.log(`[purchaseAuction] Insufficient balance: ${userBalance} < ${totalCost}`);
         throw new functions.https.HttpsError(
           'failed-precondition',
           `Insufficient balance. You have $${(userBalance / 100).toFixed(2)}, ` +
-          `but the current price is $${(currentPrice / 100).toFixed(2)}.`
+          (quantity > 1
+            ? `but ${quantity} units at $${(currentPrice / 100).toFixed(2)} cost $${(totalCost / 100).toFixed(2)}.`
+            : `but the current price is $${(currentPrice / 100).toFixed(2)}.`)
         );
       }
 
@@ -266,27 +376,53 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
 
       // Price is within tolerance or lower - allow purchase at current price
       // If price went down, user benefits!
-      const finalPrice = currentPrice;
+      const unitPrice = currentPrice;
+      const finalPrice = unitPrice * quantity;
+      const remainingAfter = unitsRemaining - quantity;
+      const soldOut = remainingAfter === 0;
 
       console.log(`[purchaseAuction] Purchase approved for user ${userId}`);
-      console.log(`[purchaseAuction] Final price: $${(finalPrice / 100).toFixed(2)}`);
+      console.log(`[purchaseAuction] Final price: ${quantity} x $${(unitPrice / 100).toFixed(2)} = $${(finalPrice / 100).toFixed(2)}`);
 
-      // T178: Update auction - mark as ended with winner
-      transaction.update(auctionRef, {
-        status: 'ended - sold',
-        winner: userId,
-        winnerEmail: user.email || 'Unknown',
-        finalPrice: finalPrice,
-        endedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      // The fill is recorded below; a single-item win points at it
+      const fillRef = auctionRef.collection('fills').doc();
 
-      // T179: Deduct balance from user
+      // T178: Update auction - decrement units, end when the lot sells out
+      const auctionUpdate = {
+        unitsRemaining: remainingAfter,
+        unitsSold: (auction.unitsSold || 0) + quantity,
+        lastFillPrice: unitPrice
+      };
+
+      if (soldOut) {
+        auctionUpdate.status = 'ended - sold';
+        auctionUpdate.finalPrice = unitPrice;
+        auctionUpdate.endedAt = admin.firestore.FieldValue.serverTimestamp();
+
+        // Single-item auctions have exactly one winner, shown as they chose
+        if (lotSize === 1) {
+          Object.assign(auctionUpdate, winnerFields(auctionId, userId, user, fillRef.id));
+        }
+      }
+
+      transaction.update(auctionRef, auctionUpdate);
+
+      // T179: Deduct balance from user, capturing any shield hold first
       const newBalance = userBalance - finalPrice;
-      transaction.update(userRef, {
-        balance: newBalance
-      });
+      const userUpdate = { balance: newBalance };
+
+      if (hold) {
+        userUpdate.heldBalance = (user.heldBalance || 0) - heldAmount;
+        transaction.update(holdRef, {
+          status: 'captured',
+          capturedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      transaction.update(userRef, userUpdate);
 
-      // T180: Create transaction record
+      // T180: Create transaction record (one per buyer per fill)
+      const itemName = auction.itemName || 'auction item';
       const transactionRef = db.collection('transactions').doc();
       transaction.set(transactionRef, {
         userId: userId,
@@ -295,24 +431,84 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
         balanceAfter: newBalance,
         auctionId: auctionId,
         itemName: auction.itemName || 'Unknown Item',
-        description: `Purchased: ${auction.itemName || 'auction item'}`,
+        quantity: quantity,
+        unitPrice: unitPrice,
+        description: quantity > 1
+          ? `Purchased ${quantity} x ${itemName}`
+          : `Purchased: ${itemName}`,
         timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
 
+      // Ledger: escrow (the captured hold) and wallet pay the house
+      // A hold larger than the price returns the difference to the wallet
+      postEntry(transaction, {
+        id: transactionRef.id,
+        type: 'purchase',
+        amounts: {
+          [escrowAccount(userId)]: -heldAmount,
+          [walletAccount(userId)]: heldAmount - finalPrice,
+          [HOUSE_ACCOUNT]: finalPrice
+        },
+        description: `Purchase: ${quantity} x ${itemName}`,
+        refs: { userId, auctionId }
+      });
+
+      // Record the fill on the auction (who bought what, when: staff and the buyer only)
+      const fill = {
+        userId: userId,
+        quantity: quantity,
+        unitPrice: unitPrice,
+        totalPrice: finalPrice,
+        transactionId: transactionRef.id,
+        attemptId: attemptRef.id,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      };
+      transaction.set(fillRef, fill);
+
+      // ...and the same sale without the buyer, for everyone
+      transaction.set(auctionRef.collection('sales').doc(fillRef.id), saleFields(fill));
+
       // Close the shield after purchase
       transaction.update(shieldRef, {
         isOpen: false,
-        lastClosedAt: now
+        lastClosedAt: Date.now()
       });
 
       // T182: Return success data
-      return {
+      const purchaseResult = {
         success: true,
         finalPrice: finalPrice,
+        unitPrice: unitPrice,
+        quantity: quantity,
+        unitsRemaining: remainingAfter,
+        soldOut: soldOut,
         newBalance: newBalance,
         transactionId: transactionRef.id,
+        fillId: fillRef.id,
+        attemptId: attemptRef.id,
         itemName: auction.itemName
       };
+
+      storeResult(transaction, keyRef, request, purchaseResult);
+
+      return purchaseResult;
+    });
+
+    if (result.replayed) {
+      console.log(`[purchaseAuction] Replayed purchase ${result.transactionId} for user ${userId}`);
+      await settleAttempt(attemptRef, 'replayed', {
+        queueWaitMs,
+        transactionId: result.transactionId
+      });
+      return result;
+    }
+
+    await settleAttempt(attemptRef, 'purchased', {
+      computedPrice,
+      queueWaitMs,
+      unitPrice: result.unitPrice,
+      fillId: result.fillId,
+      transactionId: result.transactionId
     });
 
     // T181: Transaction committed successfully
@@ -325,6 +521,15 @@ exports.purchaseAuction = functions.https.onCall(async (data, context) => {
     // T183: Handle errors
     console.error('[purchaseAuction] Error during purchase:', error);
 
+    if (attemptRef) {
+      await settleAttempt(attemptRef, 'rejected', {
+        computedPrice,
+        queueWaitMs,
+        reason: error.message,
+        errorCode: error instanceof functions.https.HttpsError ? error.code : 'internal'
+      });
+    }
+
     // If it's already a functions error, re-throw it
     if (error instanceof functions.https.HttpsError) {
       throw error;
@@ -0,0 +1,208 @@
+/**
+ * reconcileLedger Cloud Function
+ * Compares every user's stored balance with their ledger sum
+ *
+ * users/{uid}.balance is a cache of the user's wallet account. Any user whose
+ * cache disagrees with the sum of their ledger lines gets a document in
+ * `ledgerDiscrepancies/{uid}` for staff to investigate; the document is
+ * removed once the two agree again. Balances are never corrected here.
+ *
+ * Users created before the ledger existed have no opening entry. For them
+ * only, the job posts one (grants pool -> wallet) covering whatever their
+ * stored balance isn't explained by later entries. The rollout time is
+ * recorded in system/ledger.rolloutAt by the first run. Anyone created after
+ * it is opened by openLedgerAccount, so a missing opening entry there is a
+ * discrepancy like any other.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { GRANTS_ACCOUNT, walletAccount, openingEntryId, postEntry, getAccountBalance } = require('./ledger');
+
+const db = admin.firestore();
+
+// Constants
+const PAGE_SIZE = 200;
+const MAX_ATTEMPTS = 3; // Per user, when their balance keeps changing mid-check
+
+/**
+ * Scheduled function that reconciles all users
+ */
+exports.reconcileLedger = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub
+  .schedule('every 60 minutes')
+  .onRun(async (context) => {
+    console.log('[reconcileLedger] Starting reconciliation...');
+
+    try {
+      const rolloutAt = await getRolloutAt();
+      const summary = { checked: 0, opened: 0, mismatched: 0, skipped: 0, failed: 0 };
+      let lastDoc = null;
+
+      // Page through users so memory stays flat as the user base grows
+      while (true) {
+        let query = db.collection('users')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const page = await query.get();
+        if (page.empty) break;
+
+        for (const userDoc of page.docs) {
+          try {
+            const result = await reconcileUser(userDoc.id, rolloutAt);
+            summary.checked++;
+            if (result.opened) summary.opened++;
+            if (result.mismatched) summary.mismatched++;
+            if (result.skipped) summary.skipped++;
+          } catch (error) {
+            summary.failed++;
+            console.error(`[reconcileLedger] Error reconciling ${userDoc.id}:`, error);
+          }
+        }
+
+        lastDoc = page.docs[page.docs.length - 1];
+      }
+
+      console.log(`[reconcileLedger] Done: ${summary.checked} checked, ${summary.opened} opened, ` +
+        `${summary.mismatched} mismatched, ${summary.skipped} skipped (busy), ${summary.failed} failed`);
+      return null;
+
+    } catch (error) {
+      console.error('[reconcileLedger] Fatal error:', error);
+      throw error;
+    }
+  });
+
+/**
+ * When the ledger was rolled out, recorded by the first run
+ * @returns {Promise<number>} Rollout time (ms)
+ */
+async function getRolloutAt() {
+  const ledgerRef = db.collection('system').doc('ledger');
+
+  return db.runTransaction(async (transaction) => {
+    const ledgerDoc = await transaction.get(ledgerRef);
+
+    if (ledgerDoc.exists && ledgerDoc.data().rolloutAt) {
+      return ledgerDoc.data().rolloutAt.toMillis();
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    transaction.set(ledgerRef, { rolloutAt: now }, { merge: true });
+    console.log('[reconcileLedger] Recorded ledger rollout time');
+    return now.toMillis();
+  });
+}
+
+/**
+ * Reconcile one user, retrying while their balance changes mid-check
+ * A user still busy after MAX_ATTEMPTS is skipped until the next run.
+ * @param {string} userId - User ID
+ * @param {number} rolloutAt - Ledger rollout time (ms), from getRolloutAt
+ * @returns {Promise<Object>} { opened, mismatched, skipped }
+ */
+async function reconcileUser(userId, rolloutAt) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await reconcileUserOnce(userId, rolloutAt);
+    if (!result.changed) return result;
+
+    console.log(`[reconcileLedger] Balance of ${userId} changed mid-check (attempt ${attempt}/${MAX_ATTEMPTS})`);
+  }
+
+  return { opened: false, mismatched: false, skipped: true };
+}
+
+/**
+ * Compare one user's balance with their ledger sum
+ * The sum is read outside the transaction: a user's entries grow without
+ * bound, and reading them all in one would hold every one of them. Every
+ * wallet entry moves users/{uid}.balance in the same transaction, so the
+ * transaction only checks that the balance is still the one read before the
+ * sum; if it moved, an entry landed mid-check and the caller tries again.
+ * @param {string} userId - User ID
+ * @param {number} rolloutAt - Ledger rollout time (ms), from getRolloutAt
+ * @returns {Promise<Object>} { opened, mismatched } or { changed: true }
+ */
+async function reconcileUserOnce(userId, rolloutAt) {
+  const userRef = db.collection('users').doc(userId);
+  const openingRef = db.collection('ledgerEntries').doc(openingEntryId(userId));
+  const discrepancyRef = db.collection('ledgerDiscrepancies').doc(userId);
+  const account = walletAccount(userId);
+
+  // Balance first: an entry posted after this read shows up as a changed balance below
+  const userSnapshot = await userRef.get();
+  if (!userSnapshot.exists) {
+    return { opened: false, mismatched: false };
+  }
+
+  const checkedBalance = userSnapshot.data().balance || 0;
+  const { balance: ledgerBalance, entryCount } = await getAccountBalance(account);
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const openingDoc = await transaction.get(openingRef);
+    const discrepancyDoc = await transaction.get(discrepancyRef);
+
+    if (!userDoc.exists) {
+      return { opened: false, mismatched: false };
+    }
+
+    const storedBalance = userDoc.data().balance || 0;
+    if (storedBalance !== checkedBalance) {
+      return { changed: true };
+    }
+
+    const createdAt = userDoc.data().createdAt;
+    const predatesLedger = !createdAt?.toMillis || createdAt.toMillis() < rolloutAt;
+
+    // Pre-ledger user: open their account with the unexplained balance
+    if (!openingDoc.exists && predatesLedger && storedBalance !== ledgerBalance) {
+      const openingBalance = storedBalance - ledgerBalance;
+
+      postEntry(transaction, {
+        id: openingRef.id,
+        type: 'opening_balance',
+        amounts: {
+          [GRANTS_ACCOUNT]: -openingBalance,
+          [account]: openingBalance
+        },
+        description: 'Opening balance (account predates the ledger)',
+        refs: { userId }
+      });
+
+      if (discrepancyDoc.exists) transaction.delete(discrepancyRef);
+
+      console.log(`[reconcileLedger] Opened ledger account for ${userId} with ${openingBalance} cents`);
+      return { opened: true, mismatched: false };
+    }
+
+    if (storedBalance === ledgerBalance) {
+      if (discrepancyDoc.exists) {
+        transaction.delete(discrepancyRef);
+        console.log(`[reconcileLedger] Discrepancy for ${userId} resolved`);
+      }
+      return { opened: false, mismatched: false };
+    }
+
+    console.warn(`[reconcileLedger] User ${userId}: stored ${storedBalance} != ledger ${ledgerBalance}`);
+
+    transaction.set(discrepancyRef, {
+      userId,
+      email: userDoc.data().email || null,
+      storedBalance,
+      ledgerBalance,
+      difference: storedBalance - ledgerBalance,
+      entryCount,
+      // Keep the first sighting so staff can tell how long it's been wrong
+      firstDetectedAt: discrepancyDoc.exists
+        ? discrepancyDoc.data().firstDetectedAt
+        : admin.firestore.FieldValue.serverTimestamp(),
+      detectedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { opened: false, mismatched: true };
+  });
+}
@@ -0,0 +1,373 @@
+/**
+ * refundPurchase Cloud Function
+ * Admin function to reverse a purchase, fully or partially
+ *
+ * Credits the buyer, writes a `refund` transaction linked to the original
+ * (originalTransactionId) and records the reason in the top-level auditLog.
+ * A full refund can also put the units back on sale:
+ * - 'reopen': return the units to the same auction, bringing a sold-out
+ *   auction back to live if its time hasn't run out
+ * - 'relist': create a new scheduled auction for the refunded units
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { requireRole } = require('./roles');
+const { HOUSE_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+
+const db = admin.firestore();
+
+// Constants
+const RESTOCK_OPTIONS = ['none', 'reopen', 'relist'];
+
+/**
+ * HTTPS Callable Function for refunding a purchase
+ * @param {Object} data - { transactionId, amount?, reason, restock? }
+ *   amount defaults to everything not yet refunded; restock is 'none',
+ *   'reopen' or 'relist' (full refunds only)
+ * @param {Object} context - Auth context (must be admin)
+ */
+exports.refundPurchase = functions.https.onCall(async (data, context) => {
+  console.log('[refundPurchase] Function called');
+
+  requireRole(context, ['admin'], 'refundPurchase', 'refund purchases');
+
+  const { transactionId, amount } = data || {};
+  const reason = typeof data?.reason === 'string' ? data.reason.trim() : '';
+  const restock = data?.restock || 'none';
+
+  if (!transactionId || typeof transactionId !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Missing required parameter: transactionId',
+      { reason: 'missing-transaction-id' }
+    );
+  }
+
+  if (!reason) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'A reason is required for refunds',
+      { reason: 'missing-reason' }
+    );
+  }
+
+  if (amount !== undefined && amount !== null && (!Number.isInteger(amount) || amount < 1)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Invalid amount: must be a whole number of cents, at least 1',
+      { reason: 'invalid-amount' }
+    );
+  }
+
+  if (!RESTOCK_OPTIONS.includes(restock)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Invalid restock option: must be one of ${RESTOCK_OPTIONS.join(', ')}`,
+      { reason: 'invalid-restock' }
+    );
+  }
+
+  const adminId = context.auth.uid;
+  const adminEmail = context.auth.token.email || 'Unknown admin';
+
+  console.log(`[refundPurchase] ${adminEmail} refunding transaction ${transactionId} (restock: ${restock})`);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const originalRef = db.collection('transactions').doc(transactionId);
+      const originalDoc = await transaction.get(originalRef);
+
+      if (!originalDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Transaction not found',
+          { reason: 'transaction-not-found' }
+        );
+      }
+
+      const original = originalDoc.data();
+
+      if (original.type !== 'purchase') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Only purchases can be refunded (this is a ${original.type})`,
+          { reason: 'not-a-purchase', type: original.type }
+        );
+      }
+
+      const { userId, auctionId } = original;
+      const quantity = original.quantity || 1;
+      const auctionRef = db.collection('auctions').doc(auctionId);
+      const userRef = db.collection('users').doc(userId);
+      const reserveRef = auctionRef.collection('private').doc('reserve');
+
+      const auctionDoc = await transaction.get(auctionRef);
+      const userDoc = await transaction.get(userRef);
+      const fillsSnapshot = await transaction.get(
+        auctionRef.collection('fills').where('transactionId', '==', transactionId)
+      );
+      const reserveDoc = restock === 'relist' ? await transaction.get(reserveRef) : null;
+
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Buyer account not found',
+          { reason: 'user-not-found' }
+        );
+      }
+
+      const auction = auctionDoc.exists ? auctionDoc.data() : null;
+
+      // Settlement adds its clearing-price refund to refundedAmount
+      // (settlementRefund). Lots settled before that only refunded down to
+      // the clearing price without recording it on the purchase.
+      const settledWithoutRecord = auction && auction.settlement === 'uniform' && auction.settledAt
+        && auction.clearingPrice && typeof original.settlementRefund !== 'number';
+      const paid = settledWithoutRecord ? auction.clearingPrice * quantity : -original.amount;
+      const alreadyRefunded = original.refundedAmount || 0;
+      const refundable = paid - alreadyRefunded;
+
+      if (refundable <= 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'This purchase has already been fully refunded',
+          { reason: 'already-refunded' }
+        );
+      }
+
+      const refundAmount = amount || refundable;
+
+      if (refundAmount > refundable) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          `Refund exceeds what is left to refund ($${(refundable / 100).toFixed(2)})`,
+          { reason: 'amount-too-large', refundable }
+        );
+      }
+
+      const isFullRefund = refundAmount === refundable;
+
+      if (restock !== 'none' && !isFullRefund) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Units can only be put back on sale with a full refund',
+          { reason: 'partial-restock' }
+        );
+      }
+
+      if (restock !== 'none' && !auction) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'The auction for this purchase no longer exists',
+          { reason: 'auction-not-found' }
+        );
+      }
+
+      // Reopen: units go back to the same auction
+      let auctionUpdate = null;
+      if (restock === 'reopen') {
+        const endMs = auction.endTime?.toMillis ? auction.endTime.toMillis() : null;
+        const isOpenForSale = ['live', 'paused'].includes(auction.status);
+        const canGoLiveAgain = auction.status === 'ended - sold' && endMs && endMs > Date.now();
+
+        if (!isOpenForSale && !canGoLiveAgain) {
+          throw new functions.https.HttpsError(
+            'failed-precondition',
+            'This auction has run out of time and can\'t be reopened. Relist the item instead.',
+            { reason: 'auction-closed', status: auction.status }
+          );
+        }
+
+        // settleAuction settles a lot once: buyers after a reopen would never
+        // get the clearing-price refund, and earlier buyers already have theirs
+        if (auction.settledAt) {
+          throw new functions.https.HttpsError(
+            'failed-precondition',
+            'This lot has already been settled at its clearing price and can\'t be reopened. Relist the item instead.',
+            { reason: 'already-settled' }
+          );
+        }
+
+        auctionUpdate = {
+          unitsRemaining: (typeof auction.unitsRemaining === 'number' ? auction.unitsRemaining : 0) + quantity,
+          unitsSold: Math.max(0, (auction.unitsSold || quantity) - quantity)
+        };
+
+        if (canGoLiveAgain) {
+          const deleteField = admin.firestore.FieldValue.delete();
+          Object.assign(auctionUpdate, {
+            status: 'live',
+            finalPrice: deleteField,
+            winnerFillId: deleteField,
+            winnerVisibility: deleteField,
+            winnerDisplay: deleteField,
+            // Written by older versions of purchaseAuction
+            winnerId: deleteField,
+            winner: deleteField,
+            winnerEmail: deleteField,
+            endedAt: deleteField,
+            // Counted live again until it ends; the recorded peak is kept and raised
+            audienceRecordedAt: deleteField
+          });
+        }
+      }
+
+      // Credit the buyer
+      const user = userDoc.data();
+      const newBalance = (user.balance || 0) + refundAmount;
+      transaction.update(userRef, { balance: newBalance });
+
+      const itemName = original.itemName || 'auction item';
+      const refundRef = db.collection('transactions').doc();
+      transaction.set(refundRef, {
+        userId,
+        type: 'refund',
+        amount: refundAmount, // Positive because it's a credit
+        balanceAfter: newBalance,
+        auctionId,
+        itemName,
+        originalTransactionId: transactionId,
+        reason,
+        restock,
+        refundedBy: adminId,
+        refundedByEmail: adminEmail,
+        description: isFullRefund && !alreadyRefunded
+          ? `Refund: ${itemName}`
+          : `Partial refund: ${itemName}`,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Ledger: house returns the money
+      postEntry(transaction, {
+        id: refundRef.id,
+        type: 'refund',
+        amounts: {
+          [HOUSE_ACCOUNT]: -refundAmount,
+          [walletAccount(userId)]: refundAmount
+        },
+        description: `Admin refund: ${itemName}`,
+        refs: { userId, auctionId, originalTransactionId: transactionId }
+      });
+
+      transaction.update(originalRef, {
+        refundedAmount: alreadyRefunded + refundAmount,
+        refundStatus: isFullRefund ? 'full' : 'partial',
+        refundTransactionIds: admin.firestore.FieldValue.arrayUnion(refundRef.id)
+      });
+
+      // A fully refunded fill no longer counts towards caps or settlement
+      if (isFullRefund) {
+        fillsSnapshot.forEach(fillDoc => {
+          transaction.update(fillDoc.ref, {
+            refunded: true,
+            refundTransactionId: refundRef.id
+          });
+        });
+      }
+
+      if (auctionUpdate) {
+        transaction.update(auctionRef, auctionUpdate);
+      }
+
+      // Relist: a fresh scheduled auction for the refunded units
+      let relistedAuctionId = null;
+      if (restock === 'relist') {
+        const relistRef = db.collection('auctions').doc();
+        relistedAuctionId = relistRef.id;
+
+        const relist = {
+          itemName: auction.itemName,
+          itemDescription: auction.itemDescription || '',
+          images: auction.images || [],
+          startingPrice: auction.startingPrice,
+          currentPrice: auction.startingPrice,
+          floorPrice: auction.floorPrice,
+          duration: auction.duration,
+          pricingMode: auction.pricingMode,
+          pricingConfig: auction.pricingConfig,
+          status: 'scheduled',
+          viewerCount: 0,
+          openShieldCount: 0,
+          relistedFrom: auctionId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: adminId
+        };
+
+        if (quantity > 1) {
+          relist.quantity = quantity;
+          relist.unitsRemaining = quantity;
+          relist.unitsSold = 0;
+          relist.perUserLimit = auction.perUserLimit ? Math.min(auction.perUserLimit, quantity) : null;
+          relist.settlement = auction.settlement || 'pay-as-bid';
+        }
+
+        if (auction.holdMode) {
+          relist.holdMode = auction.holdMode;
+          if (auction.holdMode === 'fixed') relist.holdAmount = auction.holdAmount;
+        }
+
+        if (auction.shieldConfig) {
+          relist.shieldConfig = auction.shieldConfig;
+        }
+
+        if (auction.tieBreak) {
+          relist.tieBreak = auction.tieBreak;
+        }
+
+        transaction.set(relistRef, relist);
+
+        if (reserveDoc && reserveDoc.exists) {
+          transaction.set(relistRef.collection('private').doc('reserve'), {
+            ...reserveDoc.data(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+      }
+
+      transaction.set(db.collection('auditLog').doc(), {
+        action: 'refund-purchase',
+        targetUserId: userId,
+        targetEmail: user.email || null,
+        auctionId,
+        transactionId,
+        refundTransactionId: refundRef.id,
+        amount: refundAmount,
+        restock,
+        relistedAuctionId,
+        reason,
+        actorId: adminId,
+        actorEmail: adminEmail,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return {
+        success: true,
+        refundTransactionId: refundRef.id,
+        amount: refundAmount,
+        fullRefund: isFullRefund,
+        newBalance,
+        userEmail: user.email || 'Unknown',
+        reopened: restock === 'reopen',
+        relistedAuctionId
+      };
+    });
+
+    console.log(`[refundPurchase] Refunded $${(result.amount / 100).toFixed(2)} to ${result.userEmail} (refund ${result.refundTransactionId})`);
+
+    return result;
+
+  } catch (error) {
+    console.error('[refundPurchase] Error refunding purchase:', error);
+
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    throw new functions.https.HttpsError(
+      'internal',
+      `Failed to refund purchase: ${error.message}`,
+      { reason: 'internal' }
+    );
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * Role helpers for Cloud Functions
+ * Staff roles live in the `role` custom claim (set by setUserRole) and are
+ * mirrored to users/{uid}.role for display.
+ *
+ * - admin:    everything, including balances and roles
+ * - operator: creates and runs auctions
+ * - support:  read-only access to the admin panel
+ * - user:     regular bidder (no claim)
+ */
+
+const functions = require('firebase-functions');
+
+const ROLES = ['admin', 'operator', 'support', 'user'];
+
+// Roles allowed per kind of admin action
+const AUCTION_MANAGERS = ['admin', 'operator'];
+const STAFF = ['admin', 'operator', 'support'];
+
+/**
+ * Role of the caller from their ID token
+ * @param {Object} context - Callable context
+ * @returns {string} Role ('user' when no claim is set)
+ */
+function getRole(context) {
+  return context.auth?.token?.role || 'user';
+}
+
+/**
+ * Throw unless the caller is signed in with one of the allowed roles
+ * @param {Object} context - Callable context
+ * @param {Array<string>} allowedRoles - Roles that may perform the action
+ * @param {string} fnName - Function name for logging
+ * @param {string} actionDescription - e.g. 'grant currency', used in the error message
+ */
+function requireRole(context, allowedRoles, fnName, actionDescription) {
+  if (!context.auth) {
+    console.error(`[${fnName}] Unauthenticated request`);
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      `You must be logged in to ${actionDescription}`,
+      { reason: 'unauthenticated' }
+    );
+  }
+
+  const role = getRole(context);
+
+  if (!allowedRoles.includes(role)) {
+    console.error(`[${fnName}] User ${context.auth.uid} with role ${role} denied`);
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      `Your role (${role}) is not allowed to ${actionDescription}`,
+      { reason: 'insufficient-role', role, allowedRoles }
+    );
+  }
+}
+
+module.exports = {
+  ROLES,
+  AUCTION_MANAGERS,
+  STAFF,
+  getRole,
+  requireRole
+};
@@ -0,0 +1,132 @@
+/**
+ * One-off migration: take buyer uids and emails off public auction data
+ *
+ * Auctions sold by older versions of purchaseAuction carry the buyer's uid
+ * (winnerId, winner) and email (winnerEmail) on the auction document, and
+ * fills made before sales existed have no public copy. For every auction this:
+ * - copies each fill without a sale to auctions/{id}/sales/{fillId}
+ * - points a single-item win at its fill (winnerFillId)
+ * - deletes winnerId, winner and winnerEmail
+ *
+ * Run once after deploying the rules that make fills private, with
+ * credentials for the project:
+ *   GOOGLE_APPLICATION_CREDENTIALS=<service-account.json> npm run migrate-winner-privacy
+ * It only fills in what is missing, so it is safe to run again.
+ */
+
+const admin = require('firebase-admin');
+const { saleFields } = require('../winnerIdentity');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Constants
+const PAGE_SIZE = 200;
+const BATCH_SIZE = 450; // Stay under Firestore's 500 writes per batch
+const LEGACY_FIELDS = ['winnerId', 'winner', 'winnerEmail'];
+
+/**
+ * Migrate every auction, a page at a time
+ * @returns {Promise<Object>} { auctions, salesCopied, winnersLinked, stripped }
+ */
+async function migrateWinnerPrivacy() {
+  const summary = { auctions: 0, salesCopied: 0, winnersLinked: 0, stripped: 0 };
+  let lastDoc = null;
+
+  while (true) {
+    let query = db.collection('auctions')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    if (page.empty) break;
+
+    for (const auctionDoc of page.docs) {
+      const result = await migrateAuction(auctionDoc);
+      summary.auctions++;
+      summary.salesCopied += result.salesCopied;
+      if (result.winnerLinked) summary.winnersLinked++;
+      if (result.stripped) summary.stripped++;
+    }
+
+    lastDoc = page.docs[page.docs.length - 1];
+    if (page.size < PAGE_SIZE) break;
+  }
+
+  return summary;
+}
+
+/**
+ * Migrate one auction
+ * @param {DocumentSnapshot} auctionDoc - Auction document
+ * @returns {Promise<Object>} { salesCopied, winnerLinked, stripped }
+ */
+async function migrateAuction(auctionDoc) {
+  const auction = auctionDoc.data();
+  const auctionRef = auctionDoc.ref;
+
+  const [fillsSnapshot, salesSnapshot] = await Promise.all([
+    auctionRef.collection('fills').get(),
+    auctionRef.collection('sales').get()
+  ]);
+
+  // Public copies of fills made before sales existed
+  const copied = new Set(salesSnapshot.docs.map(doc => doc.id));
+  const missing = fillsSnapshot.docs.filter(fillDoc => !copied.has(fillDoc.id));
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    missing.slice(i, i + BATCH_SIZE).forEach(fillDoc => {
+      batch.set(auctionRef.collection('sales').doc(fillDoc.id), saleFields(fillDoc.data()));
+    });
+    await batch.commit();
+  }
+
+  const auctionUpdate = {};
+  const deleteField = admin.firestore.FieldValue.delete();
+
+  LEGACY_FIELDS
+    .filter(field => auction[field] !== undefined)
+    .forEach(field => { auctionUpdate[field] = deleteField; });
+  const stripped = Object.keys(auctionUpdate).length > 0;
+
+  // A single-item win: the buyer's fill, or the only one left
+  let winnerLinked = false;
+  if (auction.status === 'ended - sold' && (auction.quantity || 1) === 1 && !auction.winnerFillId) {
+    const winnerUid = auction.winnerId || auction.winner;
+    const fills = fillsSnapshot.docs.filter(fillDoc => !fillDoc.data().refunded);
+    const winningFill = fills.find(fillDoc => fillDoc.data().userId === winnerUid)
+      || (fills.length === 1 ? fills[0] : null);
+
+    if (winningFill) {
+      auctionUpdate.winnerFillId = winningFill.id;
+      winnerLinked = true;
+    } else {
+      console.warn(`[migrateWinnerPrivacy] Auction ${auctionDoc.id} is sold but has no winning fill`);
+    }
+  }
+
+  if (Object.keys(auctionUpdate).length > 0) {
+    await auctionRef.update(auctionUpdate);
+  }
+
+  return { salesCopied: missing.length, winnerLinked, stripped };
+}
+
+module.exports = { migrateWinnerPrivacy };
+
+if (require.main === module) {
+  migrateWinnerPrivacy()
+    .then(summary => {
+      console.log('[migrateWinnerPrivacy] Done:', summary);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('[migrateWinnerPrivacy] Failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,22 @@
+/**
+ * Copy shared modules from functions/shared into public/js/shared
+ *
+ * Cloud Functions can only deploy files inside functions/, and hosting only
+ * serves files inside public/, so shared code lives here and is mirrored to
+ * the browser. Run with `npm run sync-shared` after editing functions/shared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'shared');
+const TARGET_DIR = path.join(__dirname, '..', '..', 'public', 'js', 'shared');
+
+fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+for (const file of fs.readdirSync(SOURCE_DIR)) {
+  if (!file.endsWith('.js')) continue;
+
+  fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(TARGET_DIR, file));
+  console.log(`[syncShared] ${file} -> public/js/shared/${file}`);
+}
@@ -0,0 +1,158 @@
+/**
+ * setUserRole Cloud Function
+ * Admin function to promote or demote users between roles
+ *
+ * Sets the `role` custom claim (read by firestore.rules and every admin
+ * callable), mirrors it to users/{uid}.role and records the change in the
+ * top-level auditLog collection.
+ *
+ * Bootstrap: while no admin exists, the user whose email matches the
+ * ADMIN_BOOTSTRAP_EMAIL environment variable (functions/.env) may make
+ * themselves admin.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { ROLES, getRole, requireRole } = require('./roles');
+
+const db = admin.firestore();
+
+/**
+ * HTTPS Callable Function for setting a user's role
+ * @param {Object} data - { userId, role }
+ * @param {Object} context - Auth context (must be admin, or the bootstrap email)
+ */
+exports.setUserRole = functions.https.onCall(async (data, context) => {
+  console.log('[setUserRole] Function called');
+
+  const { userId, role } = data || {};
+
+  if (!userId || typeof userId !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Missing required parameter: userId',
+      { reason: 'missing-user-id' }
+    );
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Invalid role: must be one of ${ROLES.join(', ')}`,
+      { reason: 'invalid-role' }
+    );
+  }
+
+  const isBootstrap = await isBootstrapRequest(context, userId, role);
+
+  if (!isBootstrap) {
+    requireRole(context, ['admin'], 'setUserRole', 'change user roles');
+
+    // Admins can't demote themselves, so there's always someone who can fix roles
+    if (userId === context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'You cannot change your own role. Ask another admin.',
+        { reason: 'self-role-change' }
+      );
+    }
+  }
+
+  const actorId = context.auth.uid;
+  const actorEmail = context.auth.token.email || 'Unknown admin';
+
+  console.log(`[setUserRole] ${actorEmail} setting role of ${userId} to ${role}${isBootstrap ? ' (bootstrap)' : ''}`);
+
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    const fromRole = userRecord.customClaims?.role || 'user';
+
+    // Keep any other claims; regular users carry no role claim at all
+    const claims = { ...(userRecord.customClaims || {}) };
+    if (role === 'user') {
+      delete claims.role;
+    } else {
+      claims.role = role;
+    }
+
+    await admin.auth().setCustomUserClaims(userId, claims);
+
+    const batch = db.batch();
+
+    // Mirror for display; clients refresh their ID token when this changes
+    batch.set(db.collection('users').doc(userId), {
+      role,
+      roleUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      roleUpdatedBy: actorId
+    }, { merge: true });
+
+    batch.set(db.collection('auditLog').doc(), {
+      action: 'set-role',
+      targetUserId: userId,
+      targetEmail: userRecord.email || null,
+      fromRole,
+      toRole: role,
+      bootstrap: isBootstrap,
+      actorId,
+      actorEmail,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+
+    console.log(`[setUserRole] ${userRecord.email || userId}: ${fromRole} -> ${role}`);
+
+    return {
+      success: true,
+      userId,
+      userEmail: userRecord.email || 'Unknown',
+      fromRole,
+      role
+    };
+
+  } catch (error) {
+    console.error('[setUserRole] Error setting role:', error);
+
+    if (error.code === 'auth/user-not-found') {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'User not found',
+        { reason: 'user-not-found' }
+      );
+    }
+
+    throw new functions.https.HttpsError(
+      'internal',
+      `Failed to set role: ${error.message}`,
+      { reason: 'internal' }
+    );
+  }
+});
+
+/**
+ * Whether this call is the first admin claiming their role
+ * Only the configured bootstrap email may make itself admin, and only while
+ * no admin exists yet.
+ * @param {Object} context - Callable context
+ * @param {string} userId - Target user
+ * @param {string} role - Requested role
+ * @returns {Promise<boolean>} True if the bootstrap rule applies
+ */
+async function isBootstrapRequest(context, userId, role) {
+  const bootstrapEmail = (process.env.ADMIN_BOOTSTRAP_EMAIL || '').trim().toLowerCase();
+
+  if (!bootstrapEmail || !context.auth || role !== 'admin' || userId !== context.auth.uid) {
+    return false;
+  }
+
+  if ((context.auth.token.email || '').toLowerCase() !== bootstrapEmail || getRole(context) === 'admin') {
+    return false;
+  }
+
+  const existingAdmins = await db.collection('users')
+    .where('role', '==', 'admin')
+    .limit(1)
+    .get();
+
+  return existingAdmins.empty;
+}
@@ -0,0 +1,213 @@
+/**
+ * settleAuction Cloud Function
+ * Settles multi-unit lots when an auction ends
+ *
+ * Triggered on every auction update; only acts on the live/paused -> ended transition.
+ *
+ * Every auction that ends has its audience counters recorded on the auction
+ * document (peakViewerCount, peakViewerAt, uniqueVisitorCount,
+ * uniqueVisitorsByContext) and removed from the Realtime Database.
+ *
+ * Settlement modes (auction.settlement):
+ * - 'pay-as-bid' (default): every buyer pays the price at the moment they bought
+ * - 'uniform': everyone pays the lowest winning price (the clearing price);
+ *   buyers who committed at a higher price are refunded the difference
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { HOUSE_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+const { archiveCounters } = require('./auctionCounters');
+
+const db = admin.firestore();
+
+/**
+ * Settle an auction once it has ended
+ * @param {Change} change - Before and after auction snapshots
+ * @param {EventContext} context - Event context with params
+ */
+exports.settleAuction = functions.firestore
+  .document('auctions/{auctionId}')
+  .onUpdate(async (change, context) => {
+    const auctionId = context.params.auctionId;
+    const before = change.before.data();
+    const auction = change.after.data();
+
+    // Only settle on the live/paused -> ended transition
+    if (!['live', 'paused'].includes(before.status) || !auction.status.startsWith('ended')) {
+      return null;
+    }
+
+    // A failed archive leaves the counters in place for the next ending (or a manual re-run)
+    try {
+      await archiveCounters(change.after.ref, auction);
+    } catch (error) {
+      console.error(`[settleAuction] Error recording audience for auction ${auctionId}:`, error);
+    }
+
+    if ((auction.settlement || 'pay-as-bid') !== 'uniform') {
+      return null;
+    }
+
+    if (auction.settledAt) {
+      console.log(`[settleAuction] Auction ${auctionId} already settled`);
+      return null;
+    }
+
+    console.log(`[settleAuction] Settling auction ${auctionId} at uniform price`);
+
+    try {
+      await settleUniformPrice(change.after.ref, auction);
+      return null;
+
+    } catch (error) {
+      console.error(`[settleAuction] Error settling auction ${auctionId}:`, error);
+      throw error;
+    }
+  });
+
+/**
+ * Refund every buyer down to the clearing price
+ * Each buyer is refunded in their own transaction with a deterministic
+ * transaction id, so a re-run after a partial failure never refunds twice
+ * and large lots stay under Firestore's per-transaction write limit.
+ *
+ * A purchase can already be partly refunded (refundPurchase) before the lot
+ * settles, so each one is only repaid down to the clearing price from what
+ * the buyer still has in it. The repayment is stamped on the purchase as
+ * settlementRefund and added to its refundedAmount.
+ * @param {DocumentReference} auctionRef - Auction document
+ * @param {Object} auction - Auction data
+ */
+async function settleUniformPrice(auctionRef, auction) {
+  const auctionId = auctionRef.id;
+  const fillsSnapshot = await auctionRef.collection('fills').get();
+
+  // Fully refunded fills (refundPurchase) are out of the sale
+  const fills = fillsSnapshot.docs.map(doc => doc.data()).filter(fill => !fill.refunded);
+
+  if (fills.length === 0) {
+    console.log(`[settleAuction] Auction ${auctionId} has no fills, nothing to settle`);
+    await auctionRef.update({
+      clearingPrice: null,
+      refundTotal: 0,
+      settledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return;
+  }
+
+  // Clearing price = lowest price any unit sold at
+  const clearingPrice = Math.min(...fills.map(fill => fill.unitPrice));
+
+  // Each buyer's purchases in this lot
+  const fillsByUser = {};
+  for (const fill of fills) {
+    if (!fillsByUser[fill.userId]) fillsByUser[fill.userId] = [];
+    fillsByUser[fill.userId].push(fill);
+  }
+
+  const itemName = auction.itemName || 'auction item';
+  let refundTotal = 0;
+
+  for (const [userId, userFills] of Object.entries(fillsByUser)) {
+    const amount = await db.runTransaction(async (transaction) => {
+      const transactionRef = db.collection('transactions').doc(`refund_${auctionId}_${userId}`);
+      const userRef = db.collection('users').doc(userId);
+      const purchaseRefs = userFills.map(fill => db.collection('transactions').doc(fill.transactionId));
+
+      const existingDoc = await transaction.get(transactionRef);
+      const userDoc = await transaction.get(userRef);
+      const purchaseDocs = await Promise.all(purchaseRefs.map(ref => transaction.get(ref)));
+
+      if (existingDoc.exists) {
+        console.log(`[settleAuction] User ${userId} already refunded for auction ${auctionId}`);
+        return 0;
+      }
+
+      if (!userDoc.exists) {
+        console.error(`[settleAuction] User ${userId} not found, skipping their refund`);
+        return 0;
+      }
+
+      // What is left in each purchase above the clearing price
+      const repayments = [];
+      userFills.forEach((fill, index) => {
+        const purchaseDoc = purchaseDocs[index];
+
+        if (!purchaseDoc.exists) {
+          console.error(`[settleAuction] Purchase ${fill.transactionId} not found, skipping its refund`);
+          return;
+        }
+
+        const purchase = purchaseDoc.data();
+        if (typeof purchase.settlementRefund === 'number') return; // Settled by an earlier run
+
+        const paid = -purchase.amount;
+        const alreadyRefunded = purchase.refundedAmount || 0;
+        const repayment = Math.max(0, paid - alreadyRefunded - clearingPrice * fill.quantity);
+
+        repayments.push({ ref: purchaseDoc.ref, alreadyRefunded, repayment });
+      });
+
+      const total = repayments.reduce((sum, { repayment }) => sum + repayment, 0);
+
+      repayments.forEach(({ ref, alreadyRefunded, repayment }) => {
+        transaction.update(ref, {
+          settlementRefund: repayment,
+          refundedAmount: alreadyRefunded + repayment
+        });
+      });
+
+      if (total <= 0) {
+        return 0;
+      }
+
+      const newBalance = (userDoc.data().balance || 0) + total;
+
+      transaction.update(userRef, {
+        balance: newBalance
+      });
+
+      transaction.set(transactionRef, {
+        userId: userId,
+        type: 'refund',
+        amount: total, // Positive because it's a credit
+        balanceAfter: newBalance,
+        auctionId: auctionId,
+        itemName: auction.itemName || 'Unknown Item',
+        clearingPrice: clearingPrice,
+        description: `Refund: ${itemName} cleared at $${(clearingPrice / 100).toFixed(2)} per unit`,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Ledger: house returns the overpayment
+      postEntry(transaction, {
+        id: transactionRef.id,
+        type: 'refund',
+        amounts: {
+          [HOUSE_ACCOUNT]: -total,
+          [walletAccount(userId)]: total
+        },
+        description: `Uniform-price refund: ${itemName}`,
+        refs: { userId, auctionId }
+      });
+
+      return total;
+    });
+
+    if (amount > 0) {
+      refundTotal += amount;
+      console.log(`[settleAuction] Refunded $${(amount / 100).toFixed(2)} to user ${userId}`);
+    }
+  }
+
+  await auctionRef.update({
+    clearingPrice: clearingPrice,
+    refundTotal: refundTotal,
+    settledAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  console.log(`[settleAuction] Auction ${auctionId} settled at $${(clearingPrice / 100).toFixed(2)}, refunded $${(refundTotal / 100).toFixed(2)}`);
+}
+
+exports.settleUniformPrice = settleUniformPrice;
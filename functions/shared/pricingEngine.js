@@ -0,0 +1,464 @@
+/**
+ * Pricing Engine
+ * Single source of truth for auction price formulas
+ *
+ * Dependency-free so the exact same file runs in Cloud Functions (CommonJS)
+ * and in the browser (classic <script>, exposed as window.PricingEngine).
+ *
+ * Canonical copy: functions/shared/pricingEngine.js
+ * Browser copy:   public/js/shared/pricingEngine.js (run `npm run sync-shared` in functions/)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PricingEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_FORMULA = 'linear';
+
+  /**
+   * Convert a Firestore Timestamp, Date or millisecond number to milliseconds
+   * @param {Object|Date|number} value - Time value
+   * @returns {number|null} Milliseconds since epoch
+   */
+  function toMillis(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+  }
+
+  /**
+   * Formula registry
+   * Each formula returns the raw (unrounded, unclamped) price in cents for
+   * 0 < elapsedSeconds <= duration. priceAt() handles rounding and the floor.
+   */
+  const formulas = {
+    // Linear decay: reaches floor exactly at duration end
+    linear(auction, elapsedSeconds) {
+      const { startingPrice, floorPrice, duration } = auction;
+      const rate = (startingPrice - floorPrice) / duration;
+      return startingPrice - (rate * elapsedSeconds);
+    },
+
+    // Exponential decay: starting * e^(-rate * elapsed)
+    exponential(auction, elapsedSeconds) {
+      const rate = auction.pricingConfig?.decayRate || 0.0001;
+      return auction.startingPrice * Math.exp(-rate * elapsedSeconds);
+    },
+
+    // Stepped decay: drop by a fixed amount at fixed intervals
+    stepped(auction, elapsedSeconds) {
+      const { startingPrice, floorPrice, duration } = auction;
+      const config = auction.pricingConfig || {};
+      const stepCount = config.stepCount || 10;
+      const stepInterval = config.stepInterval || Math.max(1, Math.floor(duration / stepCount));
+      const stepAmount = config.stepAmount || Math.floor((startingPrice - floorPrice) / stepCount);
+      const numSteps = Math.floor(elapsedSeconds / stepInterval);
+      return startingPrice - (stepAmount * numSteps);
+    },
+
+    // Keyframes: custom curve through (elapsed %, price) points, eased per segment
+    keyframes(auction, elapsedSeconds) {
+      const { startingPrice, floorPrice, duration } = auction;
+      const points = normalizeKeyframes(auction.pricingConfig?.keyframes, auction);
+
+      if (points.length === 0) {
+        return formulas.linear(auction, elapsedSeconds);
+      }
+
+      const percent = (elapsedSeconds / duration) * 100;
+      let price = points[points.length - 1].price;
+
+      if (percent <= points[0].at) {
+        price = points[0].price;
+      } else {
+        for (let i = 0; i < points.length - 1; i++) {
+          const from = points[i];
+          const to = points[i + 1];
+
+          if (percent < to.at) {
+            const progress = (percent - from.at) / (to.at - from.at);
+            price = from.price + (to.price - from.price) * ease(from.easing, progress);
+            break;
+          }
+        }
+      }
+
+      return Math.min(startingPrice, Math.max(floorPrice, price));
+    }
+  };
+
+  // ============================================
+  // KEYFRAMES
+  // ============================================
+  //
+  // pricingConfig.keyframes is an ordered list of
+  //   { at: 0-100 (% of duration), price: cents, easing }
+  // where easing shapes the segment from that keyframe to the next one.
+  // Before the first keyframe the price holds at its value, after the last
+  // keyframe it holds at the last value.
+
+  const MAX_KEYFRAMES = 20;
+
+  const easings = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - (1 - t) * (1 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t),
+    hold: () => 0 // Stay at this keyframe's price until the next one
+  };
+
+  /**
+   * Apply a named easing to segment progress
+   * @param {string} name - Easing name (unknown names ease linearly)
+   * @param {number} t - Progress through the segment (0-1)
+   * @returns {number} Eased progress (0-1)
+   */
+  function ease(name, t) {
+    const fn = Object.prototype.hasOwnProperty.call(easings, name) ? easings[name] : easings.linear;
+    return fn(Math.min(1, Math.max(0, t)));
+  }
+
+  /**
+   * Sanitize a keyframe list: drop malformed points, clamp into range and sort
+   * Firestore rules can't loop over lists, so pricing never trusts the order
+   * or bounds of stored keyframes.
+   * @param {Array} keyframes - Raw keyframes from pricingConfig
+   * @param {Object} auction - Auction data (startingPrice, floorPrice)
+   * @returns {Array} Keyframes sorted by `at`
+   */
+  function normalizeKeyframes(keyframes, auction) {
+    if (!Array.isArray(keyframes)) return [];
+
+    return keyframes
+      .filter(k => k && Number.isFinite(k.at) && Number.isFinite(k.price))
+      .slice(0, MAX_KEYFRAMES)
+      .map(k => ({
+        at: Math.min(100, Math.max(0, k.at)),
+        price: Math.min(auction.startingPrice, Math.max(auction.floorPrice, k.price)),
+        easing: k.easing || 'linear'
+      }))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Check a keyframe list against the rules the admin form enforces
+   * @param {Array} keyframes - Keyframes to check
+   * @param {Object} auction - Auction data (startingPrice, floorPrice)
+   * @returns {Array<string>} Problems found (empty = valid)
+   */
+  function validateKeyframes(keyframes, auction) {
+    const errors = [];
+
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      return ['At least 2 keyframes are required'];
+    }
+
+    if (keyframes.length > MAX_KEYFRAMES) {
+      errors.push(`No more than ${MAX_KEYFRAMES} keyframes allowed`);
+    }
+
+    if (keyframes[0].at !== 0) {
+      errors.push('First keyframe must be at 0%');
+    }
+
+    if (keyframes[keyframes.length - 1].at !== 100) {
+      errors.push('Last keyframe must be at 100%');
+    }
+
+    keyframes.forEach((k, i) => {
+      if (!Number.isFinite(k.at) || k.at < 0 || k.at > 100) {
+        errors.push(`Keyframe ${i + 1}: time must be between 0% and 100%`);
+      } else if (i > 0 && k.at <= keyframes[i - 1].at) {
+        errors.push(`Keyframe ${i + 1}: time must be after the previous keyframe`);
+      }
+
+      if (!Number.isFinite(k.price) || k.price < auction.floorPrice || k.price > auction.startingPrice) {
+        errors.push(`Keyframe ${i + 1}: price must be between the floor and starting price`);
+      }
+
+      if (k.easing && !Object.prototype.hasOwnProperty.call(easings, k.easing)) {
+        errors.push(`Keyframe ${i + 1}: unknown easing "${k.easing}"`);
+      }
+    });
+
+    return errors;
+  }
+
+  // ============================================
+  // ALGORITHMIC MODE
+  // ============================================
+  //
+  // Algorithmic price is a pure function of elapsed time and a recorded series
+  // of viewer/shield samples (the algorithmLog):
+  //
+  //   price(t) = startingPrice * e^(-integral of rate(s) ds from 0 to t)
+  //
+  // rate(s) is piecewise constant: each sample's counts hold until the next
+  // sample (counts are 0 before the first one), multiplied by timeAccelerator
+  // once s passes timePressureAt * duration. The auction document carries a
+  // checkpoint (algorithmState) so callers don't need the full log to price
+  // "now"; replaying the log from scratch reproduces the checkpoint exactly.
+
+  const ALGORITHMIC_DEFAULTS = {
+    baseDecay: 0.001,       // 0.1% per second
+    viewerInfluence: 0.002, // Extra decay per second per 50 viewers
+    shieldInfluence: 0.003, // Extra decay per second per 10 open shields
+    timeAccelerator: 1.5,   // Rate multiplier in the final stretch
+    timePressureAt: 0.8     // Fraction of duration where acceleration starts
+  };
+
+  /**
+   * Resolve algorithmic parameters from pricingConfig, falling back to defaults
+   * @param {Object} auction - Auction data
+   * @returns {Object} Algorithmic parameters
+   */
+  function algorithmicParams(auction) {
+    const config = auction.pricingConfig || {};
+    const params = {};
+
+    for (const key of Object.keys(ALGORITHMIC_DEFAULTS)) {
+      params[key] = typeof config[key] === 'number' ? config[key] : ALGORITHMIC_DEFAULTS[key];
+    }
+
+    return params;
+  }
+
+  /**
+   * Per-second decay rate for a set of counts (before time pressure)
+   * @param {Object} params - Algorithmic parameters
+   * @param {number} viewerCount - Viewers
+   * @param {number} openShieldCount - Open shields
+   * @returns {number} Decay rate per second
+   */
+  function algorithmicRate(params, viewerCount, openShieldCount) {
+    return params.baseDecay
+      + params.viewerInfluence * ((viewerCount || 0) / 50)
+      + params.shieldInfluence * ((openShieldCount || 0) / 10);
+  }
+
+  /**
+   * Starting checkpoint: nothing decayed, no viewers or shields recorded
+   * @returns {Object} Algorithm state
+   */
+  function initialAlgorithmState() {
+    return {
+      elapsedSeconds: 0,
+      decayIntegral: 0,
+      viewerCount: 0,
+      openShieldCount: 0
+    };
+  }
+
+  /**
+   * Integrate the decay rate from a checkpoint forward to a later time
+   * Uses the checkpoint's counts for the whole interval.
+   * @param {Object} auction - Auction data
+   * @param {Object} state - Checkpoint to integrate from
+   * @param {number} toSeconds - Elapsed seconds to integrate to
+   * @returns {number} Decay accumulated over the interval (0 if toSeconds is earlier)
+   */
+  function integrateDecay(auction, state, toSeconds) {
+    const params = algorithmicParams(auction);
+    const from = state.elapsedSeconds;
+    const to = Math.max(from, toSeconds);
+    const rate = algorithmicRate(params, state.viewerCount, state.openShieldCount);
+    const pressureStart = auction.duration * params.timePressureAt;
+
+    const normalSeconds = Math.max(0, Math.min(to, pressureStart) - from);
+    const pressuredSeconds = (to - from) - normalSeconds;
+
+    return rate * (normalSeconds + pressuredSeconds * params.timeAccelerator);
+  }
+
+  /**
+   * Fold a new viewer/shield sample into a checkpoint
+   * @param {Object} auction - Auction data
+   * @param {Object|null} state - Previous checkpoint (null = auction start)
+   * @param {Object} sample - { elapsedSeconds, viewerCount, openShieldCount }
+   * @returns {Object} New checkpoint at sample.elapsedSeconds
+   */
+  function advanceAlgorithmState(auction, state, sample) {
+    const from = state || initialAlgorithmState();
+    const elapsedSeconds = Math.max(from.elapsedSeconds, sample.elapsedSeconds);
+
+    return {
+      elapsedSeconds,
+      decayIntegral: from.decayIntegral + integrateDecay(auction, from, elapsedSeconds),
+      viewerCount: sample.viewerCount || 0,
+      openShieldCount: sample.openShieldCount || 0
+    };
+  }
+
+  /**
+   * Rebuild the checkpoint from a recorded series of samples
+   * @param {Object} auction - Auction data
+   * @param {Array} samples - algorithmLog entries, ascending by elapsedSeconds
+   * @param {number} untilSeconds - Ignore samples recorded after this time
+   * @returns {Object} Checkpoint as of the last applied sample
+   */
+  function replayAlgorithmLog(auction, samples, untilSeconds = Infinity) {
+    let state = initialAlgorithmState();
+
+    for (const sample of samples) {
+      if (sample.elapsedSeconds > untilSeconds) break;
+      state = advanceAlgorithmState(auction, state, sample);
+    }
+
+    return state;
+  }
+
+  /**
+   * Raw algorithmic price extrapolated from a checkpoint
+   * Times before the checkpoint are priced at the checkpoint; pass the log to
+   * priceAt() via options.samples to price earlier moments exactly.
+   * @param {Object} auction - Auction data
+   * @param {number} elapsedSeconds - Seconds since auction start
+   * @param {Object|null} state - Checkpoint (null = auction start)
+   * @returns {number} Raw price in cents
+   */
+  function algorithmicPriceAt(auction, elapsedSeconds, state) {
+    const from = state || initialAlgorithmState();
+    const integral = from.decayIntegral + integrateDecay(auction, from, elapsedSeconds);
+    return auction.startingPrice * Math.exp(-integral);
+  }
+
+  /**
+   * Register (or replace) a price formula
+   * @param {string} name - Formula name as stored in pricingConfig.formula
+   * @param {Function} fn - (auction, elapsedSeconds) => raw price in cents
+   */
+  function registerFormula(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Formula "${name}" must be a function`);
+    }
+    formulas[name] = fn;
+  }
+
+  /**
+   * Look up a formula by name
+   * @param {string} name - Formula name
+   * @returns {Function|null} Formula function
+   */
+  function getFormula(name) {
+    return Object.prototype.hasOwnProperty.call(formulas, name) ? formulas[name] : null;
+  }
+
+  /**
+   * List registered formula names
+   * @returns {Array<string>} Formula names
+   */
+  function listFormulas() {
+    return Object.keys(formulas);
+  }
+
+  /**
+   * Lowest price the auction can currently show
+   * A reserve hold (auction.heldPrice, set by the server once the price slides
+   * to a hidden reserve) raises the public floor from then on.
+   * @param {Object} auction - Auction data
+   * @returns {number} Effective floor in cents
+   */
+  function effectiveFloor(auction) {
+    return Math.max(auction.floorPrice, auction.heldPrice || 0);
+  }
+
+  /**
+   * Whole seconds elapsed since auction start at a given time
+   * Paused time doesn't count: completed pauses are summed in totalPausedMs,
+   * and while paused (pausedAt set) the clock stops at the moment of pausing.
+   * @param {Object} auction - Auction data (needs startTime; totalPausedMs, pausedAt optional)
+   * @param {number} timestamp - Time in ms (defaults to now)
+   * @returns {number} Elapsed seconds (never negative)
+   */
+  function elapsedSecondsAt(auction, timestamp = Date.now()) {
+    const startMs = toMillis(auction.startTime);
+    if (!startMs) return 0;
+
+    const pausedAtMs = toMillis(auction.pausedAt);
+    const clockMs = pausedAtMs ? Math.min(timestamp, pausedAtMs) : timestamp;
+
+    return Math.max(0, Math.floor((clockMs - startMs - (auction.totalPausedMs || 0)) / 1000));
+  }
+
+  /**
+   * Price of an auction after a given number of seconds
+   * Pure: the same inputs always give the same price on server and client.
+   * Algorithmic auctions are priced from auction.algorithmState, or from
+   * options.samples (the algorithmLog) when given.
+   * @param {Object} auction - Auction data (startingPrice, floorPrice, duration, pricingMode, pricingConfig)
+   * @param {number} elapsedSeconds - Seconds since auction start
+   * @param {Object} options - { samples } for algorithmic replay
+   * @returns {number} Price in cents, rounded and clamped to the floor (or held reserve)
+   */
+  function priceAt(auction, elapsedSeconds, options = {}) {
+    const { startingPrice, duration, pricingMode, pricingConfig } = auction;
+    const floorPrice = effectiveFloor(auction);
+    const elapsed = Math.max(0, elapsedSeconds);
+
+    if (elapsed <= 0) {
+      return startingPrice;
+    }
+
+    // Every formula ends at the floor, whatever its curve does near the end
+    if (elapsed >= duration) {
+      return floorPrice;
+    }
+
+    if (pricingMode === 'algorithmic') {
+      const state = options.samples
+        ? replayAlgorithmLog(auction, options.samples, elapsed)
+        : auction.algorithmState;
+      return Math.max(floorPrice, Math.round(algorithmicPriceAt(auction, elapsed, state)));
+    }
+
+    const name = pricingConfig?.formula || DEFAULT_FORMULA;
+    let formula = getFormula(name);
+
+    if (!formula) {
+      console.warn(`[PricingEngine] Unknown formula: ${name}, using ${DEFAULT_FORMULA}`);
+      formula = formulas[DEFAULT_FORMULA];
+    }
+
+    return Math.max(floorPrice, Math.round(formula(auction, elapsed)));
+  }
+
+  /**
+   * Price of an auction at a wall-clock time
+   * @param {Object} auction - Auction data
+   * @param {number} timestamp - Time in ms (defaults to now)
+   * @param {Object} options - Passed through to priceAt()
+   * @returns {number} Price in cents
+   */
+  function priceAtTime(auction, timestamp = Date.now(), options = {}) {
+    return priceAt(auction, elapsedSecondsAt(auction, timestamp), options);
+  }
+
+  return {
+    DEFAULT_FORMULA,
+    formulas,
+    registerFormula,
+    getFormula,
+    listFormulas,
+    toMillis,
+    elapsedSecondsAt,
+    priceAt,
+    priceAtTime,
+    effectiveFloor,
+    MAX_KEYFRAMES,
+    easings,
+    normalizeKeyframes,
+    validateKeyframes,
+    ALGORITHMIC_DEFAULTS,
+    algorithmicParams,
+    algorithmicRate,
+    initialAlgorithmState,
+    advanceAlgorithmState,
+    replayAlgorithmLog
+  };
+});
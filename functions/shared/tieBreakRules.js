@@ -0,0 +1,141 @@
+/**
+ * Tie-Break Rules
+ * Per-auction purchase ordering (auction.tieBreak): who wins when purchases race
+ *
+ * Every purchase attempt gets an effective time, and purchaseAuction settles
+ * attempts in that order:
+ * - 'arrival': the time the server received the request
+ * - 'client-time': the bidder's click time (purchaseTimestamp), trusted only
+ *   when it is no more than trustMs before the server received it;
+ *   otherwise the arrival time is used
+ *
+ * Dependency-free so the exact same file runs in Cloud Functions (CommonJS)
+ * and in the browser (classic <script>, exposed as window.TieBreakRules).
+ *
+ * Canonical copy: functions/shared/tieBreakRules.js
+ * Browser copy:   public/js/shared/tieBreakRules.js (run `npm run sync-shared` in functions/)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TieBreakRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIE_BREAK_RULES = ['arrival', 'client-time'];
+
+  // Names shown to admins and in purchase errors
+  const TIE_BREAK_LABELS = {
+    'arrival': 'first to reach the server',
+    'client-time': 'earliest click'
+  };
+
+  // Defaults for auctions without a tieBreak
+  const TIE_BREAK_DEFAULTS = {
+    rule: 'arrival',
+    trustMs: 500
+  };
+
+  // Allowed client clock lead, [min, max] in ms (also enforced by firestore.rules)
+  // It also bounds how far back a purchase can be priced, under either rule
+  const TRUST_MS_LIMITS = [50, 2000];
+
+  /**
+   * Resolve an auction's tie-break settings, filling in defaults
+   * @param {Object} auction - Auction data (or just { tieBreak })
+   * @returns {Object} { rule, trustMs }
+   */
+  function tieBreakConfig(auction) {
+    const raw = (auction && auction.tieBreak) || {};
+    const [min, max] = TRUST_MS_LIMITS;
+
+    return {
+      rule: TIE_BREAK_RULES.includes(raw.rule) ? raw.rule : TIE_BREAK_DEFAULTS.rule,
+      trustMs: typeof raw.trustMs === 'number' && isFinite(raw.trustMs)
+        ? Math.min(max, Math.max(min, Math.round(raw.trustMs)))
+        : TIE_BREAK_DEFAULTS.trustMs
+    };
+  }
+
+  /**
+   * Effective time of a purchase attempt, used to order attempts
+   * @param {Object} config - From tieBreakConfig()
+   * @param {number} receivedAt - Server receive time (ms)
+   * @param {number|null} clientTimestamp - Client purchaseTimestamp (ms)
+   * @returns {Object} { effectiveAt, clientTrusted }
+   */
+  function effectiveTime(config, receivedAt, clientTimestamp) {
+    const clientTrusted = config.rule === 'client-time'
+      && typeof clientTimestamp === 'number'
+      && clientTimestamp <= receivedAt
+      && receivedAt - clientTimestamp <= config.trustMs;
+
+    return {
+      effectiveAt: clientTrusted ? clientTimestamp : receivedAt,
+      clientTrusted
+    };
+  }
+
+  /**
+   * Client click time clamped to what the server can trust
+   * Under either rule this is the moment a purchase is priced and checked
+   * against the shield window, so a backdated purchaseTimestamp can't buy at
+   * an earlier price.
+   * @param {Object} config - From tieBreakConfig()
+   * @param {number} receivedAt - Server receive time (ms)
+   * @param {number|null} clientTimestamp - Client purchaseTimestamp (ms)
+   * @returns {number} Time in [receivedAt - trustMs, receivedAt] (ms)
+   */
+  function trustedClientTime(config, receivedAt, clientTimestamp) {
+    if (typeof clientTimestamp !== 'number' || !isFinite(clientTimestamp)) {
+      return receivedAt;
+    }
+
+    return Math.min(receivedAt, Math.max(receivedAt - config.trustMs, clientTimestamp));
+  }
+
+  /**
+   * How long an attempt must wait before every attempt that could be
+   * ordered ahead of it has reached the server
+   * @param {Object} config - From tieBreakConfig()
+   * @returns {number} Milliseconds after the attempt was received
+   */
+  function settleDelayMs(config) {
+    return config.rule === 'client-time' ? config.trustMs : 0;
+  }
+
+  /**
+   * Validate a tieBreak before saving it
+   * @param {Object} raw - Proposed tieBreak
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  function validateTieBreak(raw) {
+    const errors = [];
+    const [min, max] = TRUST_MS_LIMITS;
+
+    if (!TIE_BREAK_RULES.includes(raw.rule)) {
+      errors.push(`Tie-break rule must be one of: ${TIE_BREAK_RULES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(raw.trustMs) || raw.trustMs < min || raw.trustMs > max) {
+      errors.push(`Click time trust must be a whole number of milliseconds from ${min} to ${max}`);
+    }
+
+    return errors;
+  }
+
+  return {
+    TIE_BREAK_RULES,
+    TIE_BREAK_LABELS,
+    TIE_BREAK_DEFAULTS,
+    TRUST_MS_LIMITS,
+    tieBreakConfig,
+    effectiveTime,
+    trustedClientTime,
+    settleDelayMs,
+    validateTieBreak
+  };
+});
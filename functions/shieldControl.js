@@ -0,0 +1,377 @@
+/**
+ * openShield / closeShield Cloud Functions
+ * Server-authoritative shield control
+ *
+ * Shields used to be written by the client, which could pick its own
+ * durationSeconds or skip the cooldown. Only these callables (and the other
+ * server functions) write auctions/{auctionId}/shields/{uid} now:
+ * - openShield checks the auction is live, the cooldown has passed and the
+ *   bidder has opens left, charges any cost per open, then opens a window
+ * - closeShield closes it early and starts the cooldown
+ *
+ * Timing comes from the auction's shieldConfig (see shared/shieldRules.js).
+ * The shield document counts the bidder's opens (openCount), which drives
+ * the open limit and the escalating cooldown.
+ *
+ * A window that runs out counts as closing at its end, so the cooldown
+ * applies whether the bidder closed the shield or let it expire.
+ * Funds holds follow the shield (see shieldHolds.js). openShield places the
+ * hold in the same transaction as the open cost, so a bidder who can't cover
+ * both is refused before anything is charged or counted.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { syncHold, holdAmountFor, placeHold, releaseHold, holdExpiresAt } = require('./shieldHolds');
+const { HOUSE_ACCOUNT, walletAccount, postEntry } = require('./ledger');
+const { toMillis } = require('./shared/pricingEngine');
+const { shieldConfig, cooldownSecondsAfter, opensRemaining } = require('./shared/shieldRules');
+
+const db = admin.firestore();
+
+/**
+ * HTTPS Callable Function for opening the caller's shield
+ * @param {Object} data - { auctionId }
+ * @param {Object} context - Auth context
+ * @returns {Object} { success, openedAt, durationSeconds, closesAt, opensRemaining, costCharged }
+ */
+exports.openShield = functions.https.onCall(async (data, context) => {
+  const { userId, auctionId } = validateRequest(data, context, 'openShield');
+
+  const auctionRef = db.collection('auctions').doc(auctionId);
+  const shieldRef = auctionRef.collection('shields').doc(userId);
+  const userRef = db.collection('users').doc(userId);
+  const holdRef = auctionRef.collection('holds').doc(userId);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const auctionDoc = await transaction.get(auctionRef);
+      const shieldDoc = await transaction.get(shieldRef);
+      const userDoc = await transaction.get(userRef);
+      const holdDoc = await transaction.get(holdRef);
+
+      if (!auctionDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Auction not found',
+          { reason: 'auction-not-found' }
+        );
+      }
+
+      const auction = auctionDoc.data();
+
+      if (auction.status !== 'live') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          auction.status === 'paused'
+            ? 'This auction is paused. Shields will reopen when it resumes.'
+            : `Shields can only be opened on live auctions (status: ${auction.status})`,
+          { reason: 'auction-not-live', status: auction.status }
+        );
+      }
+
+      const config = shieldConfig(auction);
+      const shield = shieldDoc.exists ? shieldDoc.data() : null;
+      const openCount = shield?.openCount || 0;
+      const now = Date.now();
+      const state = getShieldTiming(shield, now, config);
+
+      // Already open: a double click or retry gets the current window
+      if (state.isOpen) {
+        return {
+          success: true,
+          alreadyOpen: true,
+          openedAt: state.openedAt,
+          durationSeconds: state.durationSeconds,
+          closesAt: state.closesAt,
+          opensRemaining: toJsonCount(opensRemaining(config, openCount)),
+          costCharged: 0
+        };
+      }
+
+      if (opensRemaining(config, openCount) === 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `You've used all ${config.maxOpens} shield ${config.maxOpens === 1 ? 'open' : 'opens'} for this auction.`,
+          { reason: 'max-opens', maxOpens: config.maxOpens }
+        );
+      }
+
+      if (state.cooldownEndsAt > now) {
+        const retryAfterMs = state.cooldownEndsAt - now;
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Shield is cooling down. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`,
+          { reason: 'cooldown', retryAfterMs }
+        );
+      }
+
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'User account not found',
+          { reason: 'user-not-found' }
+        );
+      }
+
+      // The open cost and any funds hold both come out of the available balance,
+      // after returning a hold left over from an earlier window
+      const user = userDoc.data();
+      const staleHold = holdDoc.exists && holdDoc.data().status === 'held' ? holdDoc.data() : null;
+      let balance = (user.balance || 0) + (staleHold ? staleHold.amount : 0);
+      let heldBalance = (user.heldBalance || 0) - (staleHold ? staleHold.amount : 0);
+      const holdAmount = holdAmountFor(auction);
+      const required = config.costPerOpen + holdAmount;
+
+      if (balance < required) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Insufficient balance. Opening this shield needs $${(required / 100).toFixed(2)} ` +
+          `and you have $${(balance / 100).toFixed(2)} available.`,
+          { reason: 'insufficient-funds', required, balance }
+        );
+      }
+
+      if (staleHold) {
+        releaseHold(transaction, { holdRef, hold: staleHold, auctionId, userId, reason: 'reopened' });
+      }
+
+      if (holdAmount > 0) {
+        placeHold(transaction, {
+          holdRef,
+          auction,
+          auctionId,
+          userId,
+          amount: holdAmount,
+          openedAt: now,
+          expiresAt: holdExpiresAt(now, config.durationSeconds)
+        });
+        balance -= holdAmount;
+        heldBalance += holdAmount;
+      }
+
+      if (config.costPerOpen > 0) {
+        balance -= config.costPerOpen;
+        chargeOpenCost(transaction, {
+          userId,
+          auctionId,
+          itemName: auction.itemName,
+          cost: config.costPerOpen,
+          newBalance: balance
+        });
+      }
+
+      if (staleHold || holdAmount > 0 || config.costPerOpen > 0) {
+        transaction.update(userRef, { balance, heldBalance });
+      }
+
+      transaction.set(shieldRef, {
+        userId,
+        isOpen: true,
+        openedAt: admin.firestore.Timestamp.fromMillis(now),
+        durationSeconds: config.durationSeconds,
+        openCount: openCount + 1,
+        closedReason: null
+      }, { merge: true });
+
+      return {
+        success: true,
+        openedAt: now,
+        durationSeconds: config.durationSeconds,
+        closesAt: now + config.durationSeconds * 1000,
+        opensRemaining: toJsonCount(opensRemaining(config, openCount + 1)),
+        costCharged: config.costPerOpen
+      };
+    });
+
+    if (result.alreadyOpen) {
+      return result;
+    }
+
+    console.log(`[openShield] User ${userId} opened shield on auction ${auctionId}`);
+    return result;
+
+  } catch (error) {
+    throw toCallableError(error, 'openShield', 'open shield');
+  }
+});
+
+/**
+ * HTTPS Callable Function for closing the caller's shield early
+ * @param {Object} data - { auctionId }
+ * @param {Object} context - Auth context
+ * @returns {Object} { success, lastClosedAt, cooldownSeconds }
+ */
+exports.closeShield = functions.https.onCall(async (data, context) => {
+  const { userId, auctionId } = validateRequest(data, context, 'closeShield');
+
+  const auctionRef = db.collection('auctions').doc(auctionId);
+  const shieldRef = auctionRef.collection('shields').doc(userId);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const auctionDoc = await transaction.get(auctionRef);
+      const shieldDoc = await transaction.get(shieldRef);
+      const config = shieldConfig(auctionDoc.exists ? auctionDoc.data() : null);
+      const shield = shieldDoc.exists ? shieldDoc.data() : null;
+      const cooldownSeconds = cooldownSecondsAfter(config, shield?.openCount);
+      const now = Date.now();
+      const state = getShieldTiming(shield, now, config);
+
+      // Never opened, already closed or already expired: nothing to do
+      if (!state.isOpen) {
+        return {
+          success: true,
+          alreadyClosed: true,
+          lastClosedAt: state.closedAt,
+          cooldownSeconds
+        };
+      }
+
+      transaction.update(shieldRef, {
+        isOpen: false,
+        openedAt: null,
+        lastClosedAt: now,
+        closedReason: 'user_closed'
+      });
+
+      return {
+        success: true,
+        lastClosedAt: now,
+        cooldownSeconds
+      };
+    });
+
+    if (!result.alreadyClosed) {
+      // Release the hold now rather than waiting on the shield trigger
+      await syncHold(auctionId, userId, 'user_closed');
+      console.log(`[closeShield] User ${userId} closed shield on auction ${auctionId}`);
+    }
+
+    return result;
+
+  } catch (error) {
+    throw toCallableError(error, 'closeShield', 'close shield');
+  }
+});
+
+/**
+ * Check auth and the auctionId parameter
+ * @param {Object} data - Callable data
+ * @param {Object} context - Auth context
+ * @param {string} fnName - Callable name (for logs)
+ * @returns {Object} { userId, auctionId }
+ */
+function validateRequest(data, context, fnName) {
+  if (!context.auth) {
+    console.error(`[${fnName}] Unauthenticated request`);
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You must be logged in to use a shield',
+      { reason: 'unauthenticated' }
+    );
+  }
+
+  const auctionId = data?.auctionId;
+
+  if (!auctionId || typeof auctionId !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Missing required parameter: auctionId',
+      { reason: 'missing-auction-id' }
+    );
+  }
+
+  return { userId: context.auth.uid, auctionId };
+}
+
+/**
+ * Work out a shield's window and cooldown
+ * Times are stored as Timestamps or epoch ms depending on the writer.
+ * @param {Object|null} shield - Shield document data
+ * @param {number} now - Current time (ms)
+ * @param {Object} config - Auction's shield config
+ * @returns {Object} { isOpen, openedAt, durationSeconds, closesAt, closedAt, cooldownEndsAt }
+ */
+function getShieldTiming(shield, now, config) {
+  const openedAt = shield?.isOpen ? toMillis(shield.openedAt) : null;
+  // The window keeps the duration it was opened with
+  const durationSeconds = shield?.durationSeconds || config.durationSeconds;
+  const closesAt = openedAt ? openedAt + durationSeconds * 1000 : null;
+  const isOpen = Boolean(closesAt && now < closesAt);
+
+  // An expired window closed when it ran out
+  const closedAt = isOpen
+    ? null
+    : Math.max(closesAt || 0, toMillis(shield?.lastClosedAt) || 0) || null;
+
+  return {
+    isOpen,
+    openedAt,
+    durationSeconds,
+    closesAt,
+    closedAt,
+    cooldownEndsAt: closedAt ? closedAt + cooldownSecondsAfter(config, shield?.openCount) * 1000 : 0
+  };
+}
+
+/**
+ * Charge the cost of opening a shield inside the open transaction
+ * The caller writes the user's new balance.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} charge - { userId, auctionId, itemName, cost, newBalance }
+ */
+function chargeOpenCost(transaction, { userId, auctionId, itemName, cost, newBalance }) {
+  const transactionRef = db.collection('transactions').doc();
+  transaction.set(transactionRef, {
+    userId,
+    type: 'shield_fee',
+    amount: -cost,
+    balanceAfter: newBalance,
+    auctionId,
+    itemName: itemName || 'Unknown Item',
+    description: `Shield open: ${itemName || 'auction item'}`,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // Ledger: the fee goes to the house, like a purchase
+  postEntry(transaction, {
+    id: transactionRef.id,
+    type: 'shield_fee',
+    amounts: {
+      [walletAccount(userId)]: -cost,
+      [HOUSE_ACCOUNT]: cost
+    },
+    description: `Shield open fee: ${itemName || 'auction item'}`,
+    refs: { userId, auctionId }
+  });
+}
+
+/**
+ * Callable results are JSON, which has no Infinity
+ * @param {number} count - Count, possibly Infinity
+ * @returns {number|null} The count, or null for unlimited
+ */
+function toJsonCount(count) {
+  return count === Infinity ? null : count;
+}
+
+/**
+ * Pass callable errors through, wrapping anything unexpected
+ * @param {Error} error - Caught error
+ * @param {string} fnName - Callable name (for logs)
+ * @param {string} actionDesc - e.g. 'open shield'
+ * @returns {HttpsError} Error to throw
+ */
+function toCallableError(error, fnName, actionDesc) {
+  if (error instanceof functions.https.HttpsError) {
+    return error;
+  }
+
+  console.error(`[${fnName}] Error:`, error);
+  return new functions.https.HttpsError(
+    'internal',
+    `Failed to ${actionDesc}: ${error.message}`,
+    { reason: 'internal' }
+  );
+}
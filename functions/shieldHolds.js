@@ -0,0 +1,330 @@
+/**
+ * Shield funds holds (escrow)
+ *
+ * Auctions can opt in to holding funds while a bidder's shield is open
+ * (auction.holdMode):
+ * - 'price': hold the auction's current price (one unit)
+ * - 'fixed': hold auction.holdAmount
+ *
+ * Opening a shield moves the hold from the user's wallet to their escrow
+ * account, so the same money can't back shields on several auctions at once.
+ * openShield places it in the open transaction; syncHold places or releases
+ * it for any other shield change, and closes a shield whose hold the wallet
+ * can't cover with closedReason 'insufficient_funds'. The hold is released back to the wallet
+ * when the shield closes, its window runs out (cooldown) or the user
+ * disconnects, and captured by purchaseAuction.
+ *
+ * Holds live in auctions/{auctionId}/holds/{userId} (one per bidder, reused
+ * across shield opens). users/{uid}.balance is the available balance and
+ * users/{uid}.heldBalance the total in escrow.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { walletAccount, escrowAccount, postEntry } = require('./ledger');
+const { toMillis } = require('./shared/pricingEngine');
+const { shieldConfig } = require('./shared/shieldRules');
+
+const db = admin.firestore();
+
+// Constants
+const HOLD_GRACE_MS = 5000; // Matches purchaseAuction's shield timing tolerance
+const HOLD_MODES = ['price', 'fixed'];
+
+/**
+ * Firestore trigger on shield writes: place or release the hold to match
+ */
+exports.syncShieldHold = functions.firestore
+  .document('auctions/{auctionId}/shields/{userId}')
+  .onWrite(async (change, context) => {
+    const { auctionId, userId } = context.params;
+    const after = change.after.exists ? change.after.data() : null;
+
+    try {
+      await syncHold(auctionId, userId, after?.closedReason || 'shield_closed');
+      return null;
+
+    } catch (error) {
+      console.error(`[syncShieldHold] Error syncing hold for ${userId} in auction ${auctionId}:`, error);
+      throw error;
+    }
+  });
+
+/**
+ * Scheduled sweep for shield windows and holds that have run out
+ * The client never closes an expired shield (see useShield), so this is the
+ * one place that does: it closes each expired window and releases its hold,
+ * then releases any other hold past its expiry. updateOpenShieldCount only
+ * reconciles the counters.
+ */
+exports.releaseExpiredHolds = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async (context) => {
+    console.log('[releaseExpiredHolds] Checking for expired shields and holds...');
+
+    try {
+      const closed = await closeExpiredShields();
+      if (closed > 0) {
+        console.log(`[releaseExpiredHolds] Closed ${closed} expired shields`);
+      }
+
+      const expired = await db.collectionGroup('holds')
+        .where('status', '==', 'held')
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+        .get();
+
+      if (expired.empty) {
+        console.log('[releaseExpiredHolds] No expired holds');
+        return null;
+      }
+
+      for (const holdDoc of expired.docs) {
+        const { auctionId, userId } = holdDoc.data();
+
+        try {
+          await syncHold(auctionId, userId, 'expired');
+        } catch (error) {
+          console.error(`[releaseExpiredHolds] Error releasing hold for ${userId} in auction ${auctionId}:`, error);
+          // Continue with next hold
+        }
+      }
+
+      console.log(`[releaseExpiredHolds] Processed ${expired.size} expired holds`);
+      return null;
+
+    } catch (error) {
+      console.error('[releaseExpiredHolds] Fatal error:', error);
+      // Don't throw - we want the schedule to continue
+      return null;
+    }
+  });
+
+/**
+ * Close open shields on live auctions whose window ran out, and release their holds
+ * They closed when the window ended, so the cooldown isn't pushed back.
+ * openedAt is kept: purchaseAuction validates on it, not on isOpen.
+ * A shield written since it was read (reopened, closed, used) is skipped.
+ * @returns {Promise<number>} Shields closed
+ */
+async function closeExpiredShields() {
+  const auctionsSnapshot = await db.collection('auctions')
+    .where('status', '==', 'live')
+    .get();
+
+  let closed = 0;
+
+  for (const auctionDoc of auctionsSnapshot.docs) {
+    const auctionId = auctionDoc.id;
+
+    try {
+      const config = shieldConfig(auctionDoc.data());
+      const shieldsSnapshot = await auctionDoc.ref
+        .collection('shields')
+        .where('isOpen', '==', true)
+        .get();
+      const now = Date.now();
+
+      for (const shieldDoc of shieldsSnapshot.docs) {
+        const shield = shieldDoc.data();
+        const closesAt = (toMillis(shield.openedAt) || 0) + (shield.durationSeconds || config.durationSeconds) * 1000;
+
+        if (closesAt > now) continue;
+
+        try {
+          await shieldDoc.ref.update({
+            isOpen: false,
+            lastClosedAt: closesAt,
+            closedReason: 'expired'
+          }, { lastUpdateTime: shieldDoc.updateTime });
+        } catch (error) {
+          console.log(`[releaseExpiredHolds] Skipped shield ${shieldDoc.id} in auction ${auctionId}: ${error.message}`);
+          continue;
+        }
+
+        closed++;
+        // Release now rather than waiting on syncShieldHold (which then finds nothing to do)
+        await syncHold(auctionId, shieldDoc.id, 'expired');
+      }
+
+    } catch (error) {
+      console.error(`[releaseExpiredHolds] Error closing expired shields for auction ${auctionId}:`, error);
+      // Continue with next auction
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * Bring a user's hold on an auction in line with their shield
+ * Reads the current shield state rather than trusting the triggering event,
+ * so out-of-order or retried triggers settle on the right result.
+ * @param {string} auctionId - Auction ID
+ * @param {string} userId - User ID
+ * @param {string} releaseReason - Recorded if the hold is released
+ * @returns {Promise<string>} 'placed', 'released', 'rejected' or 'unchanged'
+ */
+async function syncHold(auctionId, userId, releaseReason) {
+  const auctionRef = db.collection('auctions').doc(auctionId);
+  const shieldRef = auctionRef.collection('shields').doc(userId);
+  const holdRef = auctionRef.collection('holds').doc(userId);
+  const userRef = db.collection('users').doc(userId);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const auctionDoc = await transaction.get(auctionRef);
+    const shieldDoc = await transaction.get(shieldRef);
+    const holdDoc = await transaction.get(holdRef);
+    const userDoc = await transaction.get(userRef);
+
+    const auction = auctionDoc.exists ? auctionDoc.data() : null;
+    const shield = shieldDoc.exists ? shieldDoc.data() : null;
+    const hold = holdDoc.exists && holdDoc.data().status === 'held' ? holdDoc.data() : null;
+
+    const openedAt = shield?.isOpen ? toMillis(shield.openedAt) : null;
+    const windowEndsAt = openedAt
+      ? holdExpiresAt(openedAt, shield.durationSeconds || shieldConfig(auction).durationSeconds)
+      : null;
+
+    const wantsHold = Boolean(
+      openedAt &&
+      Date.now() < windowEndsAt &&
+      auction &&
+      auction.status === 'live' &&
+      holdAmountFor(auction) > 0
+    );
+
+    // Already holding for this shield open
+    if (wantsHold && hold && hold.shieldOpenedAt === openedAt) {
+      return 'unchanged';
+    }
+
+    if (!wantsHold && !hold) {
+      return 'unchanged';
+    }
+
+    if (!userDoc.exists) {
+      console.error(`[shieldHolds] User ${userId} not found`);
+      return 'unchanged';
+    }
+
+    const user = userDoc.data();
+    let balance = user.balance || 0;
+    let heldBalance = user.heldBalance || 0;
+
+    // Release whatever is held (closed shield, or a stale hold from an earlier open)
+    if (hold) {
+      releaseHold(transaction, { holdRef, hold, auctionId, userId, reason: wantsHold ? 'reopened' : releaseReason });
+      balance += hold.amount;
+      heldBalance -= hold.amount;
+    }
+
+    let result = hold ? 'released' : 'unchanged';
+
+    if (wantsHold) {
+      const amount = holdAmountFor(auction);
+
+      if (balance < amount) {
+        // Can't back this shield: close it so the bidder knows
+        console.log(`[shieldHolds] User ${userId} can't cover hold of ${amount} (available ${balance})`);
+        transaction.update(shieldRef, {
+          isOpen: false,
+          closedReason: 'insufficient_funds'
+        });
+        result = 'rejected';
+      } else {
+        placeHold(transaction, { holdRef, auction, auctionId, userId, amount, openedAt, expiresAt: windowEndsAt });
+        balance -= amount;
+        heldBalance += amount;
+        result = 'placed';
+      }
+    }
+
+    transaction.update(userRef, { balance, heldBalance });
+
+    return result;
+  });
+
+  if (outcome !== 'unchanged') {
+    console.log(`[shieldHolds] Hold for ${userId} in auction ${auctionId}: ${outcome}`);
+  }
+
+  return outcome;
+}
+
+/**
+ * Move a hold from the wallet into escrow (the caller updates the user's balances)
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} hold - { holdRef, auction, auctionId, userId, amount, openedAt, expiresAt }
+ */
+function placeHold(transaction, { holdRef, auction, auctionId, userId, amount, openedAt, expiresAt }) {
+  postEntry(transaction, {
+    id: `hold_${auctionId}_${userId}_${openedAt}`,
+    type: 'hold',
+    amounts: {
+      [walletAccount(userId)]: -amount,
+      [escrowAccount(userId)]: amount
+    },
+    description: `Shield hold: ${auction.itemName || 'auction item'}`,
+    refs: { userId, auctionId }
+  });
+
+  transaction.set(holdRef, {
+    userId,
+    auctionId,
+    amount,
+    status: 'held',
+    shieldOpenedAt: openedAt,
+    expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+    placedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Return a hold from escrow to the wallet (the caller updates the user's balances)
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} release - { holdRef, hold, auctionId, userId, reason }
+ */
+function releaseHold(transaction, { holdRef, hold, auctionId, userId, reason }) {
+  postEntry(transaction, {
+    id: `release_${auctionId}_${userId}_${hold.shieldOpenedAt}`,
+    type: 'hold_release',
+    amounts: {
+      [escrowAccount(userId)]: -hold.amount,
+      [walletAccount(userId)]: hold.amount
+    },
+    description: `Shield hold released (${reason})`,
+    refs: { userId, auctionId }
+  });
+
+  transaction.update(holdRef, {
+    status: 'released',
+    releaseReason: reason,
+    releasedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * When a hold placed for a shield window lapses
+ * @param {number} openedAt - Shield openedAt (ms)
+ * @param {number} durationSeconds - Window length
+ * @returns {number} Expiry (ms), with purchaseAuction's grace period
+ */
+function holdExpiresAt(openedAt, durationSeconds) {
+  return openedAt + durationSeconds * 1000 + HOLD_GRACE_MS;
+}
+
+/**
+ * Amount an open shield holds on this auction
+ * @param {Object} auction - Auction data
+ * @returns {number} Hold in cents (0 when the auction doesn't hold funds)
+ */
+function holdAmountFor(auction) {
+  if (!auction || !HOLD_MODES.includes(auction.holdMode)) return 0;
+  return auction.holdMode === 'fixed' ? auction.holdAmount : auction.currentPrice;
+}
+
+exports.syncHold = syncHold;
+exports.holdAmountFor = holdAmountFor;
+exports.placeHold = placeHold;
+exports.releaseHold = releaseHold;
+exports.holdExpiresAt = holdExpiresAt;
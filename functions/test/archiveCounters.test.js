@@ -0,0 +1,96 @@
+/**
+ * archiveCounters: an ended auction's audience moves from RTDB onto its document
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const { archiveCounters, adjustCounters } = require('../auctionCounters');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+const auctionRef = db.collection('auctions').doc('a1');
+const PEAK_AT = Date.UTC(2026, 0, 1, 12);
+
+async function value(path) {
+  return (await rtdb.ref(path).once('value')).val();
+}
+
+beforeEach(async () => {
+  admin.__reset();
+  admin.__seed({ 'auctions/a1': { status: 'ended - sold', viewerCount: 3, openShieldCount: 1 } });
+
+  await rtdb.ref().set({
+    auctionCounters: {
+      a1: {
+        viewerCount: 3,
+        viewersByContext: { live: 3 },
+        peakViewerCount: 7,
+        peakViewerAt: PEAK_AT,
+        uniqueVisitorCount: 9,
+        uniqueVisitorsByContext: { waiting: 4, live: 8 },
+        openShieldCount: 1
+      },
+      other: { viewerCount: 2 }
+    },
+    auctionVisitors: {
+      a1: { u1: { live: PEAK_AT } },
+      other: { u2: { live: PEAK_AT } }
+    }
+  });
+});
+
+describe('archiveCounters', () => {
+  test('records the final peak and unique counts on the auction', async () => {
+    await archiveCounters(auctionRef, admin.__doc('auctions/a1'));
+
+    const auction = admin.__doc('auctions/a1');
+    expect(auction).toMatchObject({
+      viewerCount: 0,
+      openShieldCount: 0,
+      peakViewerCount: 7,
+      uniqueVisitorCount: 9,
+      uniqueVisitorsByContext: { waiting: 4, live: 8 }
+    });
+    expect(auction.peakViewerAt.toMillis()).toBe(PEAK_AT);
+    expect(auction.audienceRecordedAt).toBeDefined();
+  });
+
+  test('removes only that auction\'s counters and visitor list', async () => {
+    await archiveCounters(auctionRef, admin.__doc('auctions/a1'));
+
+    expect(await value('auctionCounters/a1')).toBeNull();
+    expect(await value('auctionVisitors/a1')).toBeNull();
+    expect(await value('auctionCounters/other')).not.toBeNull();
+    expect(await value('auctionVisitors/other')).not.toBeNull();
+  });
+
+  test('a late leave does not bring the counters back', async () => {
+    await archiveCounters(auctionRef, admin.__doc('auctions/a1'));
+    await adjustCounters('a1', { viewerCount: -1, 'viewersByContext/live': -1 });
+
+    expect(await value('auctionCounters/a1')).toBeNull();
+  });
+
+  test('a reopened auction keeps the larger of both runs', async () => {
+    const earlierPeakAt = admin.firestore.Timestamp.fromMillis(PEAK_AT - 1000);
+    admin.__seed({
+      'auctions/a1': {
+        status: 'ended - sold',
+        peakViewerCount: 10,
+        peakViewerAt: earlierPeakAt,
+        uniqueVisitorCount: 5,
+        uniqueVisitorsByContext: { waiting: 5, live: 2 }
+      }
+    });
+
+    await archiveCounters(auctionRef, admin.__doc('auctions/a1'));
+
+    expect(admin.__doc('auctions/a1')).toMatchObject({
+      peakViewerCount: 10,
+      peakViewerAt: earlierPeakAt,
+      uniqueVisitorCount: 9,
+      uniqueVisitorsByContext: { waiting: 5, live: 8 }
+    });
+  });
+});
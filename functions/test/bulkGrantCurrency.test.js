@@ -0,0 +1,70 @@
+/**
+ * bulkGrantCurrency: per-row outcomes and retries of a keyed job
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const functionsTest = require('firebase-functions-test')();
+const { bulkGrantCurrency } = require('../bulkGrantCurrency');
+
+const bulkGrant = functionsTest.wrap(bulkGrantCurrency);
+const adminContext = { auth: { uid: 'admin1', token: { role: 'admin', email: 'admin@example.com' } } };
+const JOB_KEY = 'job-0001-abcdef';
+
+const row = (userId, amount = 1000) => ({ userId, amount, reason: 'Event seed' });
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__seed({
+    'users/u1': { balance: 0, email: 'u1@example.com' },
+    'users/u2': { balance: 0, email: 'u2@example.com' }
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => functionsTest.cleanup());
+
+describe('bulkGrantCurrency', () => {
+  test('reports each row and skips duplicate users', async () => {
+    const result = await bulkGrant({ rows: [row('u1'), row('u1'), row('nobody')] }, adminContext);
+
+    expect(result.results.map(r => r.status)).toEqual(['granted', 'failed', 'failed']);
+    expect(result).toMatchObject({ grantedCount: 1, failedCount: 2, totalGranted: 1000 });
+    expect(admin.__doc('users/u1').balance).toBe(1000);
+  });
+
+  test('a retried job grants each user once and continues the same batch', async () => {
+    const first = await bulkGrant({ rows: [row('u1')], idempotencyKey: JOB_KEY }, adminContext);
+    const retry = await bulkGrant({ rows: [row('u1'), row('u2')], idempotencyKey: JOB_KEY }, adminContext);
+
+    expect(retry.batchId).toBe(first.batchId);
+    expect(retry.results[0]).toMatchObject({
+      status: 'granted',
+      replayed: true,
+      transactionId: first.results[0].transactionId
+    });
+    expect(retry.results[1]).toMatchObject({ status: 'granted' });
+    expect(retry.results[1].replayed).toBeUndefined();
+    expect(admin.__doc('users/u1').balance).toBe(1000);
+    expect(admin.__doc('users/u2').balance).toBe(1000);
+    expect(admin.__doc(`grantBatches/${first.batchId}`)).toMatchObject({ status: 'complete', grantedCount: 2, retryCount: 1 });
+  });
+
+  test('a retry that changes a granted row fails that row', async () => {
+    await bulkGrant({ rows: [row('u1')], idempotencyKey: JOB_KEY }, adminContext);
+    const retry = await bulkGrant({ rows: [row('u1', 5000)], idempotencyKey: JOB_KEY }, adminContext);
+
+    expect(retry.results[0]).toMatchObject({ status: 'failed' });
+    expect(admin.__doc('users/u1').balance).toBe(1000);
+  });
+
+  test('jobs without a key are independent', async () => {
+    const first = await bulkGrant({ rows: [row('u1')] }, adminContext);
+    const second = await bulkGrant({ rows: [row('u1')] }, adminContext);
+
+    expect(second.batchId).not.toBe(first.batchId);
+    expect(admin.__doc('users/u1').balance).toBe(2000);
+  });
+});
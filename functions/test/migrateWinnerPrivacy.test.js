@@ -0,0 +1,60 @@
+/**
+ * migrateWinnerPrivacy: legacy buyer uids and emails come off public auction data
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const { migrateWinnerPrivacy } = require('../scripts/migrateWinnerPrivacy');
+
+const soldAt = admin.firestore.Timestamp.fromMillis(Date.UTC(2026, 0, 1));
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  admin.__seed({
+    // Sold before winnerId existed
+    'auctions/legacy': { status: 'ended - sold', quantity: 1, winner: 'u1', winnerEmail: 'u1@example.com' },
+    'auctions/legacy/fills/f1': { userId: 'u1', quantity: 1, unitPrice: 4000, totalPrice: 4000, timestamp: soldAt },
+    // Sold with a public winnerId
+    'auctions/recent': { status: 'ended - sold', winnerId: 'u2', winnerVisibility: 'hidden', winnerDisplay: null },
+    'auctions/recent/fills/f2': { userId: 'u2', quantity: 1, unitPrice: 3000, totalPrice: 3000, timestamp: soldAt },
+    // A lot still selling
+    'auctions/lot': { status: 'live', quantity: 5 },
+    'auctions/lot/fills/f3': { userId: 'u3', quantity: 2, unitPrice: 2000, totalPrice: 4000, timestamp: soldAt },
+    'auctions/lot/fills/f4': { userId: 'u4', quantity: 1, unitPrice: 1500, totalPrice: 1500, timestamp: soldAt },
+    'auctions/lot/sales/f4': { quantity: 1, unitPrice: 1500, totalPrice: 1500, timestamp: soldAt }
+  });
+});
+
+describe('migrateWinnerPrivacy', () => {
+  test('removes the buyer uid and email and points the win at its fill', async () => {
+    await migrateWinnerPrivacy();
+
+    const legacy = admin.__doc('auctions/legacy');
+    expect(legacy.winner).toBeUndefined();
+    expect(legacy.winnerEmail).toBeUndefined();
+    expect(legacy.winnerFillId).toBe('f1');
+
+    const recent = admin.__doc('auctions/recent');
+    expect(recent.winnerId).toBeUndefined();
+    expect(recent).toMatchObject({ winnerFillId: 'f2', winnerVisibility: 'hidden', winnerDisplay: null });
+  });
+
+  test('copies fills without a sale, leaving out the buyer', async () => {
+    const summary = await migrateWinnerPrivacy();
+
+    expect(admin.__doc('auctions/lot/sales/f3')).toEqual({
+      quantity: 2, unitPrice: 2000, totalPrice: 4000, timestamp: soldAt
+    });
+    expect(summary).toEqual({ auctions: 3, salesCopied: 3, winnersLinked: 2, stripped: 2 });
+  });
+
+  test('does nothing more when run again', async () => {
+    await migrateWinnerPrivacy();
+    const summary = await migrateWinnerPrivacy();
+
+    expect(summary).toEqual({ auctions: 3, salesCopied: 0, winnersLinked: 0, stripped: 0 });
+  });
+});
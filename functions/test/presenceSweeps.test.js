@@ -0,0 +1,106 @@
+/**
+ * Presence sweeps: stale entry expiry and per-auction counter reconciliation
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const functionsTest = require('firebase-functions-test')();
+const { expireStalePresence } = require('../expireStalePresence');
+const { aggregatePresence } = require('../aggregatePresence');
+const { adjustCounters } = require('../auctionCounters');
+
+const expire = functionsTest.wrap(expireStalePresence);
+const reconcile = functionsTest.wrap(aggregatePresence);
+const rtdb = admin.database();
+const MINUTE_MS = 60 * 1000;
+
+async function value(path) {
+  return (await rtdb.ref(path).once('value')).val();
+}
+
+beforeEach(async () => {
+  admin.__reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  const now = Date.now();
+  const ago = ms => admin.firestore.Timestamp.fromMillis(now - ms);
+  admin.__seed({
+    'auctions/live': { status: 'live' },
+    'auctions/waiting': { status: 'scheduled' },
+    'auctions/justEnded': { status: 'ended - sold', endedAt: ago(10 * MINUTE_MS) },
+    'auctions/longEnded': { status: 'ended - sold', endedAt: ago(120 * MINUTE_MS) }
+  });
+
+  const entry = (context, lastSeen) => ({ context, joinedAt: lastSeen, lastSeen });
+  await rtdb.ref().set({
+    presence: {
+      live: { fresh: entry('live', now - 1000), stale: entry('live', now - 5 * MINUTE_MS) },
+      waiting: { early: entry('waiting', now - 2000) },
+      justEnded: { crashed: entry('live', now - 5 * MINUTE_MS) },
+      longEnded: { forgotten: entry('live', now - 5 * MINUTE_MS) }
+    },
+    auctionVisitors: {
+      live: { fresh: { live: now }, stale: { waiting: now, live: now } }
+    },
+    // Drifted to zero: must not hide the live auction from either sweep
+    auctionCounters: {
+      live: { viewerCount: 0, peakViewerCount: 4 }
+    }
+  });
+});
+
+afterAll(() => functionsTest.cleanup());
+
+describe('expireStalePresence', () => {
+  test('removes stale entries from auctions that can have viewers', async () => {
+    await expire({});
+
+    expect(Object.keys(await value('presence/live'))).toEqual(['fresh']);
+    expect(await value('presence/waiting')).not.toBeNull();
+    expect(await value('presence/justEnded')).toBeNull();
+  });
+
+  test('leaves auctions that ended long ago alone', async () => {
+    await expire({});
+
+    expect(await value('presence/longEnded')).not.toBeNull();
+  });
+});
+
+describe('aggregatePresence', () => {
+  test('recounts viewers and unique visitors per auction', async () => {
+    await reconcile({});
+
+    expect(await value('auctionCounters/live')).toEqual({
+      viewerCount: 2,
+      viewersByContext: { live: 2 },
+      uniqueVisitorCount: 2,
+      uniqueVisitorsByContext: { live: 2, waiting: 1 },
+      peakViewerCount: 4
+    });
+    expect(await value('auctionCounters/waiting')).toMatchObject({ viewerCount: 1 });
+  });
+
+  test('only visits auctions that can have viewers', async () => {
+    await reconcile({});
+
+    expect(await value('auctionCounters/longEnded')).toBeNull();
+    expect(await value('auctionCounters/justEnded')).toBeNull();
+  });
+});
+
+describe('adjustCounters', () => {
+  test('never goes below zero and raises the peak', async () => {
+    await adjustCounters('live', { viewerCount: 5 });
+    await adjustCounters('live', { viewerCount: -9 });
+
+    expect(await value('auctionCounters/live')).toMatchObject({ viewerCount: 0, peakViewerCount: 5 });
+  });
+
+  test('a leave does not recreate counters that were archived', async () => {
+    await adjustCounters('longEnded', { viewerCount: -1, 'viewersByContext/live': -1 });
+
+    expect(await value('auctionCounters/longEnded')).toBeNull();
+  });
+});
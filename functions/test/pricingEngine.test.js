@@ -0,0 +1,87 @@
+/**
+ * Shared pricing engine: priceAt and elapsed time
+ */
+
+const {
+  priceAt,
+  priceAtTime,
+  elapsedSecondsAt
+} = require('../shared/pricingEngine');
+
+const auction = {
+  startingPrice: 10000,
+  floorPrice: 2000,
+  duration: 100,
+  pricingMode: 'transparent',
+  pricingConfig: { formula: 'linear' }
+};
+
+describe('priceAt', () => {
+  test('starts at the starting price', () => {
+    expect(priceAt(auction, 0)).toBe(10000);
+  });
+
+  test('treats negative elapsed time as the start', () => {
+    expect(priceAt(auction, -30)).toBe(10000);
+  });
+
+  test('slides linearly to the floor', () => {
+    expect(priceAt(auction, 25)).toBe(8000);
+    expect(priceAt(auction, 50)).toBe(6000);
+  });
+
+  test('returns the floor at and after the end', () => {
+    expect(priceAt(auction, 100)).toBe(2000);
+    expect(priceAt(auction, 500)).toBe(2000);
+  });
+
+  test('returns the floor at the end even when the curve stops above it', () => {
+    const exponential = { ...auction, pricingConfig: { formula: 'exponential', decayRate: 0.001 } };
+
+    expect(priceAt(exponential, 99)).toBeGreaterThan(2000);
+    expect(priceAt(exponential, 100)).toBe(2000);
+  });
+
+  test('never goes below a held reserve', () => {
+    expect(priceAt({ ...auction, heldPrice: 7000 }, 50)).toBe(7000);
+  });
+
+  test('drops in whole steps for the stepped formula', () => {
+    const stepped = { ...auction, pricingConfig: { formula: 'stepped', stepCount: 4 } };
+
+    expect(priceAt(stepped, 24)).toBe(10000);
+    expect(priceAt(stepped, 25)).toBe(8000);
+    expect(priceAt(stepped, 74)).toBe(6000);
+  });
+
+  test('falls back to linear for an unknown formula', () => {
+    const unknown = { ...auction, pricingConfig: { formula: 'nope' } };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(priceAt(unknown, 50)).toBe(6000);
+  });
+});
+
+describe('elapsedSecondsAt', () => {
+  const startTime = 1_000_000;
+
+  test('counts whole seconds since the start', () => {
+    expect(elapsedSecondsAt({ startTime }, startTime + 12_999)).toBe(12);
+  });
+
+  test('excludes completed pauses', () => {
+    expect(elapsedSecondsAt({ startTime, totalPausedMs: 5000 }, startTime + 20_000)).toBe(15);
+  });
+
+  test('stops the clock while paused', () => {
+    const paused = { startTime, pausedAt: startTime + 10_000 };
+
+    expect(elapsedSecondsAt(paused, startTime + 60_000)).toBe(10);
+  });
+
+  test('prices a paused auction at the moment of pausing', () => {
+    const paused = { ...auction, startTime, pausedAt: startTime + 50_000 };
+
+    expect(priceAtTime(paused, startTime + 90_000)).toBe(6000);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * reconcileLedger: balance vs. ledger sum, opening entries and busy users
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const functionsTest = require('firebase-functions-test')();
+const { reconcileLedger } = require('../reconcileLedger');
+
+const reconcile = functionsTest.wrap(reconcileLedger);
+const db = admin.firestore();
+const HOUR_MS = 60 * 60 * 1000;
+
+const ago = ms => admin.firestore.Timestamp.fromMillis(Date.now() - ms);
+
+// A 1000-cent grant to u1
+const grant = {
+  type: 'admin_grant',
+  accounts: ['grants', 'user:u1'],
+  lines: [{ account: 'grants', amount: -1000 }, { account: 'user:u1', amount: 1000 }]
+};
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__seed({
+    'system/ledger': { rolloutAt: ago(HOUR_MS) },
+    'ledgerEntries/g1': grant
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => functionsTest.cleanup());
+
+describe('reconcileLedger', () => {
+  test('flags a balance that disagrees with the ledger, and clears it once they agree', async () => {
+    admin.__seed({ 'users/u1': { balance: 1500, createdAt: ago(0) } });
+    await reconcile({});
+
+    expect(admin.__doc('ledgerDiscrepancies/u1')).toMatchObject({
+      storedBalance: 1500,
+      ledgerBalance: 1000,
+      difference: 500,
+      entryCount: 1
+    });
+
+    admin.__seed({ 'users/u1': { balance: 1000, createdAt: ago(0) } });
+    await reconcile({});
+
+    expect(admin.__doc('ledgerDiscrepancies/u1')).toBeUndefined();
+  });
+
+  test('opens the account of a user who predates the ledger', async () => {
+    admin.__reset();
+    admin.__seed({
+      'system/ledger': { rolloutAt: ago(HOUR_MS) },
+      'ledgerEntries/g1': grant,
+      'users/u1': { balance: 4000, createdAt: ago(2 * HOUR_MS) }
+    });
+
+    await reconcile({});
+
+    expect(admin.__doc('ledgerEntries/opening_u1').lines).toEqual([
+      { account: 'grants', amount: -3000 },
+      { account: 'user:u1', amount: 3000 }
+    ]);
+    expect(admin.__doc('ledgerDiscrepancies/u1')).toBeUndefined();
+  });
+
+  test('checks again when the balance moves between the sum and the transaction', async () => {
+    admin.__seed({ 'users/u1': { balance: 1000, createdAt: ago(0) } });
+    const runTransaction = db.runTransaction.bind(db);
+    let calls = 0;
+
+    // A 500-cent grant lands after the first sum (the first transaction is getRolloutAt)
+    jest.spyOn(db, 'runTransaction').mockImplementation(async (updateFunction) => {
+      if (++calls === 2) {
+        admin.__seed({
+          'users/u1': { balance: 1500, createdAt: ago(0) },
+          'ledgerEntries/g2': {
+            ...grant,
+            lines: [{ account: 'grants', amount: -500 }, { account: 'user:u1', amount: 500 }]
+          }
+        });
+      }
+      return runTransaction(updateFunction);
+    });
+
+    await reconcile({});
+
+    expect(calls).toBe(3);
+    expect(admin.__doc('ledgerDiscrepancies/u1')).toBeUndefined();
+  });
+});
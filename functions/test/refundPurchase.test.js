@@ -0,0 +1,169 @@
+/**
+ * refundPurchase: full and partial refunds, reopen and relist
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const functionsTest = require('firebase-functions-test')();
+const { refundPurchase } = require('../refundPurchase');
+
+const refund = functionsTest.wrap(refundPurchase);
+const adminContext = { auth: { uid: 'admin1', token: { role: 'admin', email: 'admin@example.com' } } };
+const HOUR_MS = 60 * 60 * 1000;
+
+// u1 bought 2 of a 3-unit lot for 8000 and sold it out with u2's unit
+function seedSale(auction = {}) {
+  admin.__seed({
+    'auctions/a1': {
+      itemName: 'Lamp',
+      status: 'ended - sold',
+      quantity: 3,
+      unitsRemaining: 0,
+      unitsSold: 3,
+      startingPrice: 10000,
+      floorPrice: 1000,
+      duration: 600,
+      pricingMode: 'transparent',
+      pricingConfig: { formula: 'linear' },
+      endTime: admin.firestore.Timestamp.fromMillis(Date.now() + HOUR_MS),
+      winnerFillId: 'f2',
+      winnerDisplay: 'Anonymous bidder',
+      ...auction
+    },
+    'auctions/a1/fills/f1': { userId: 'u1', quantity: 2, unitPrice: 4000, transactionId: 'p1' },
+    'transactions/p1': { userId: 'u1', type: 'purchase', amount: -8000, auctionId: 'a1', itemName: 'Lamp', quantity: 2 },
+    'transactions/g1': { userId: 'u1', type: 'admin_grant', amount: 500 },
+    'users/u1': { balance: 1000, email: 'u1@example.com' }
+  });
+}
+
+beforeEach(() => {
+  admin.__reset();
+  seedSale();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => functionsTest.cleanup());
+
+describe('refundPurchase', () => {
+  test('only admins can refund', async () => {
+    const operator = { auth: { uid: 'op1', token: { role: 'operator' } } };
+
+    await expect(refund({ transactionId: 'p1', reason: 'x' }, operator))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('requires a reason and a whole, positive amount', async () => {
+    await expect(refund({ transactionId: 'p1', reason: '  ' }, adminContext))
+      .rejects.toMatchObject({ code: 'invalid-argument', details: { reason: 'missing-reason' } });
+    await expect(refund({ transactionId: 'p1', reason: 'x', amount: 10.5 }, adminContext))
+      .rejects.toMatchObject({ code: 'invalid-argument', details: { reason: 'invalid-amount' } });
+  });
+
+  test('refuses anything but a purchase', async () => {
+    await expect(refund({ transactionId: 'g1', reason: 'x' }, adminContext))
+      .rejects.toMatchObject({ code: 'failed-precondition', details: { reason: 'not-a-purchase' } });
+  });
+
+  test('refunds the whole purchase by default', async () => {
+    const result = await refund({ transactionId: 'p1', reason: 'Damaged' }, adminContext);
+
+    expect(result).toMatchObject({ amount: 8000, fullRefund: true, newBalance: 9000 });
+    expect(admin.__doc('users/u1').balance).toBe(9000);
+    expect(admin.__doc('transactions/p1')).toMatchObject({ refundedAmount: 8000, refundStatus: 'full' });
+    expect(admin.__doc('auctions/a1/fills/f1').refunded).toBe(true);
+
+    const refundDoc = admin.__doc(`transactions/${result.refundTransactionId}`);
+    expect(refundDoc).toMatchObject({ type: 'refund', amount: 8000, originalTransactionId: 'p1', reason: 'Damaged' });
+    expect(admin.__doc(`ledgerEntries/${result.refundTransactionId}`).lines).toEqual([
+      { account: 'house', amount: -8000 },
+      { account: 'user:u1', amount: 8000 }
+    ]);
+    expect(admin.__collection('auditLog')).toEqual([
+      expect.objectContaining({ action: 'refund-purchase', amount: 8000, actorId: 'admin1' })
+    ]);
+  });
+
+  test('partial refunds add up to at most what was paid', async () => {
+    await refund({ transactionId: 'p1', amount: 3000, reason: 'Scratched' }, adminContext);
+
+    expect(admin.__doc('transactions/p1')).toMatchObject({ refundedAmount: 3000, refundStatus: 'partial' });
+    expect(admin.__doc('auctions/a1/fills/f1').refunded).toBeUndefined();
+
+    await expect(refund({ transactionId: 'p1', amount: 5001, reason: 'More' }, adminContext))
+      .rejects.toMatchObject({ details: { reason: 'amount-too-large', refundable: 5000 } });
+
+    const rest = await refund({ transactionId: 'p1', reason: 'Rest' }, adminContext);
+    expect(rest).toMatchObject({ amount: 5000, fullRefund: true });
+
+    await expect(refund({ transactionId: 'p1', reason: 'Again' }, adminContext))
+      .rejects.toMatchObject({ details: { reason: 'already-refunded' } });
+  });
+
+  test('units only go back on sale with a full refund', async () => {
+    await expect(refund({ transactionId: 'p1', amount: 100, reason: 'x', restock: 'reopen' }, adminContext))
+      .rejects.toMatchObject({ details: { reason: 'partial-restock' } });
+  });
+
+  test('reopen brings a sold-out auction with time left back to live', async () => {
+    admin.__reset();
+    seedSale({ peakViewerCount: 4, audienceRecordedAt: admin.firestore.Timestamp.now() });
+
+    const result = await refund({ transactionId: 'p1', reason: 'Returned', restock: 'reopen' }, adminContext);
+
+    expect(result.reopened).toBe(true);
+    const auction = admin.__doc('auctions/a1');
+    expect(auction).toMatchObject({ status: 'live', unitsRemaining: 2, unitsSold: 1 });
+    expect(auction.winnerFillId).toBeUndefined();
+    expect(auction.winnerDisplay).toBeUndefined();
+    // Counted live again; the recorded peak stays for the next ending to raise
+    expect(auction.audienceRecordedAt).toBeUndefined();
+    expect(auction.peakViewerCount).toBe(4);
+  });
+
+  test('reopen refuses an auction whose time has run out', async () => {
+    admin.__reset();
+    seedSale({ endTime: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) });
+
+    await expect(refund({ transactionId: 'p1', reason: 'x', restock: 'reopen' }, adminContext))
+      .rejects.toMatchObject({ details: { reason: 'auction-closed' } });
+  });
+
+  test('reopen refuses a uniform lot that has already settled', async () => {
+    admin.__reset();
+    seedSale({ settlement: 'uniform', settledAt: admin.firestore.Timestamp.now(), clearingPrice: 3000 });
+
+    await expect(refund({ transactionId: 'p1', reason: 'x', restock: 'reopen' }, adminContext))
+      .rejects.toMatchObject({ details: { reason: 'already-settled' } });
+    expect(admin.__doc('users/u1').balance).toBe(1000);
+  });
+
+  test('relist creates a scheduled auction for the refunded units with the same rules', async () => {
+    admin.__reset();
+    seedSale({
+      settlement: 'uniform',
+      perUserLimit: 5,
+      shieldConfig: { windowSeconds: 30 },
+      tieBreak: { rule: 'client-time', trustMs: 300 }
+    });
+    admin.__seed({ 'auctions/a1/private/reserve': { reservePrice: 2000, reservePolicy: 'hold' } });
+
+    const result = await refund({ transactionId: 'p1', reason: 'Returned', restock: 'relist' }, adminContext);
+
+    const relist = admin.__doc(`auctions/${result.relistedAuctionId}`);
+    expect(relist).toMatchObject({
+      status: 'scheduled',
+      relistedFrom: 'a1',
+      quantity: 2,
+      unitsRemaining: 2,
+      perUserLimit: 2,
+      settlement: 'uniform',
+      shieldConfig: { windowSeconds: 30 },
+      tieBreak: { rule: 'client-time', trustMs: 300 }
+    });
+    expect(admin.__doc(`auctions/${result.relistedAuctionId}/private/reserve`))
+      .toMatchObject({ reservePrice: 2000, reservePolicy: 'hold' });
+  });
+});
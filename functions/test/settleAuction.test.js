@@ -0,0 +1,116 @@
+/**
+ * Uniform-price settlement, including lots refunded before they settle
+ */
+
+jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+
+const admin = require('firebase-admin');
+const functionsTest = require('firebase-functions-test')();
+const { settleUniformPrice } = require('../settleAuction');
+const { refundPurchase } = require('../refundPurchase');
+
+const refund = functionsTest.wrap(refundPurchase);
+const db = admin.firestore();
+const auctionRef = db.collection('auctions').doc('a1');
+const adminContext = { auth: { uid: 'admin1', token: { role: 'admin', email: 'admin@example.com' } } };
+
+// Two buyers of a uniform-price lot: u1 paid 5000, u2 paid 3000 per unit
+function seedLot() {
+  admin.__seed({
+    'auctions/a1': { itemName: 'Lamp', settlement: 'uniform', status: 'ended - sold', quantity: 2 },
+    'auctions/a1/fills/f1': { userId: 'u1', quantity: 1, unitPrice: 5000, transactionId: 'p1' },
+    'auctions/a1/fills/f2': { userId: 'u2', quantity: 1, unitPrice: 3000, transactionId: 'p2' },
+    'transactions/p1': { userId: 'u1', type: 'purchase', amount: -5000, auctionId: 'a1', quantity: 1, unitPrice: 5000 },
+    'transactions/p2': { userId: 'u2', type: 'purchase', amount: -3000, auctionId: 'a1', quantity: 1, unitPrice: 3000 },
+    'users/u1': { balance: 0, email: 'u1@example.com' },
+    'users/u2': { balance: 0, email: 'u2@example.com' }
+  });
+}
+
+async function settle() {
+  await settleUniformPrice(auctionRef, admin.__doc('auctions/a1'));
+  return admin.__doc('auctions/a1');
+}
+
+beforeEach(() => {
+  admin.__reset();
+  seedLot();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => functionsTest.cleanup());
+
+describe('settleUniformPrice', () => {
+  test('refunds every buyer down to the clearing price', async () => {
+    const auction = await settle();
+
+    expect(auction.clearingPrice).toBe(3000);
+    expect(auction.refundTotal).toBe(2000);
+    expect(admin.__doc('users/u1').balance).toBe(2000);
+    expect(admin.__doc('users/u2').balance).toBe(0);
+    expect(admin.__doc('transactions/refund_a1_u1').amount).toBe(2000);
+    expect(admin.__doc('transactions/p1')).toMatchObject({ settlementRefund: 2000, refundedAmount: 2000 });
+    expect(admin.__doc('transactions/p2')).toMatchObject({ settlementRefund: 0, refundedAmount: 0 });
+  });
+
+  test('posts a balanced ledger entry from the house', async () => {
+    await settle();
+
+    expect(admin.__doc('ledgerEntries/refund_a1_u1').lines).toEqual([
+      { account: 'house', amount: -2000 },
+      { account: 'user:u1', amount: 2000 }
+    ]);
+  });
+
+  test('does not refund twice when run again', async () => {
+    await settle();
+    await settle();
+
+    expect(admin.__doc('users/u1').balance).toBe(2000);
+  });
+
+  test('leaves fully refunded fills out of the clearing price', async () => {
+    admin.__seed({
+      'auctions/a1/fills/f2': { userId: 'u2', quantity: 1, unitPrice: 3000, transactionId: 'p2', refunded: true }
+    });
+
+    const auction = await settle();
+
+    expect(auction.clearingPrice).toBe(5000);
+    expect(auction.refundTotal).toBe(0);
+  });
+});
+
+describe('partial refund, then settle', () => {
+  test('repays only what is left above the clearing price', async () => {
+    await refund({ transactionId: 'p1', amount: 1500, reason: 'Scratched' }, adminContext);
+    await settle();
+
+    // 1500 from the admin and 500 from settlement: u1 ends up paying 3000
+    expect(admin.__doc('users/u1').balance).toBe(2000);
+    expect(admin.__doc('transactions/refund_a1_u1').amount).toBe(500);
+    expect(admin.__doc('transactions/p1')).toMatchObject({ settlementRefund: 500, refundedAmount: 2000 });
+  });
+
+  test('repays nothing when the partial refund already went below the clearing price', async () => {
+    await refund({ transactionId: 'p1', amount: 2500, reason: 'Broken' }, adminContext);
+    const auction = await settle();
+
+    expect(admin.__doc('users/u1').balance).toBe(2500);
+    expect(admin.__doc('transactions/refund_a1_u1')).toBeUndefined();
+    expect(auction.refundTotal).toBe(0);
+  });
+
+  test('a later refund returns at most the clearing price', async () => {
+    await refund({ transactionId: 'p1', amount: 1500, reason: 'Scratched' }, adminContext);
+    await settle();
+
+    const result = await refund({ transactionId: 'p1', reason: 'Returned' }, adminContext);
+
+    expect(result.amount).toBe(3000);
+    expect(admin.__doc('users/u1').balance).toBe(5000);
+    await expect(refund({ transactionId: 'p1', reason: 'Again' }, adminContext))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+});
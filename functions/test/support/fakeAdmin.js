@@ -0,0 +1,654 @@
+/**
+ * In-memory stand-in for firebase-admin
+ *
+ * Covers the Firestore and Realtime Database calls the functions make, so
+ * money logic can be tested without the emulator:
+ *
+ *   jest.mock('firebase-admin', () => require('./support/fakeAdmin'));
+ *   const admin = require('firebase-admin');
+ *   beforeEach(() => admin.__reset());
+ *
+ * Transactions run once, buffer their writes and apply them on commit;
+ * there is no contention, so retries never happen.
+ */
+
+// ============================================
+// VALUES
+// ============================================
+
+class Timestamp {
+  constructor(millis) {
+    this._millis = millis;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  valueOf() {
+    return this._millis;
+  }
+}
+
+class FieldTransform {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldTransform('serverTimestamp'),
+  delete: () => new FieldTransform('delete'),
+  deleteField: () => new FieldTransform('delete'),
+  increment: n => new FieldTransform('increment', n),
+  arrayUnion: (...items) => new FieldTransform('arrayUnion', items),
+  arrayRemove: (...items) => new FieldTransform('arrayRemove', items)
+};
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = {
+  documentId: () => DOCUMENT_ID
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function applyTransform(current, transform) {
+  switch (transform.kind) {
+    case 'serverTimestamp': return Timestamp.now();
+    case 'increment': return (typeof current === 'number' ? current : 0) + transform.operand;
+    case 'arrayUnion': {
+      const items = Array.isArray(current) ? [...current] : [];
+      transform.operand.forEach(item => {
+        if (!items.includes(item)) items.push(item);
+      });
+      return items;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(item => !transform.operand.includes(item));
+    default:
+      throw new Error(`Unsupported transform ${transform.kind}`);
+  }
+}
+
+// Write one (possibly dotted) field into a document
+function writeField(target, path, value) {
+  const keys = Array.isArray(path) ? path : path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+
+  if (value instanceof FieldTransform) {
+    if (value.kind === 'delete') {
+      delete parent[last];
+    } else {
+      parent[last] = applyTransform(parent[last], value);
+    }
+  } else {
+    parent[last] = clone(value);
+  }
+}
+
+// set(..., { merge: true }) merges nested maps field by field
+function mergeInto(target, data, prefix = []) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value)) {
+      mergeInto(target, value, [...prefix, key]);
+    } else {
+      writeField(target, [...prefix, key], value);
+    }
+  });
+}
+
+function readField(data, path) {
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+function matches(value, op, expected) {
+  const a = comparable(value);
+  const b = Array.isArray(expected) ? expected.map(comparable) : comparable(expected);
+
+  switch (op) {
+    case '==': return a === b;
+    case '!=': return a !== undefined && a !== b;
+    case '<': return a !== undefined && a !== null && a < b;
+    case '<=': return a !== undefined && a !== null && a <= b;
+    case '>': return a !== undefined && a !== null && a > b;
+    case '>=': return a !== undefined && a !== null && a >= b;
+    case 'in': return b.includes(a);
+    case 'not-in': return a !== undefined && !b.includes(a);
+    case 'array-contains': return Array.isArray(value) && value.map(comparable).includes(b);
+    case 'array-contains-any': return Array.isArray(value) && value.map(comparable).some(item => b.includes(item));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+// ============================================
+// FIRESTORE
+// ============================================
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(field === DOCUMENT_ID ? this.id : readField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async set(data, options) {
+    this.firestore._write({ type: 'set', ref: this, data, options });
+  }
+
+  async create(data) {
+    this.firestore._write({ type: 'create', ref: this, data });
+  }
+
+  async update(data) {
+    this.firestore._write({ type: 'update', ref: this, data });
+  }
+
+  async delete() {
+    this.firestore._write({ type: 'delete', ref: this });
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+}
+
+class Query {
+  constructor(firestore, path, { group = false, filters = [], orders = [], max = null, after = null } = {}) {
+    this.firestore = firestore;
+    this._path = path;
+    this._group = group;
+    this._filters = filters;
+    this._orders = orders;
+    this._max = max;
+    this._after = after;
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._path, {
+      group: this._group,
+      filters: this._filters,
+      orders: this._orders,
+      max: this._max,
+      after: this._after,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(max) {
+    return this._with({ max });
+  }
+
+  startAfter(cursor) {
+    return this._with({ after: cursor });
+  }
+
+  async get() {
+    return this.firestore._query(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(this.firestore, `${this.path}/${id || this.firestore._autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class Transaction {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery instanceof DocumentReference
+      ? this.firestore._snapshot(refOrQuery)
+      : this.firestore._query(refOrQuery);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  set(ref, data, options) {
+    this.writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', ref });
+    return this;
+  }
+}
+
+class WriteBatch extends Transaction {
+  async commit() {
+    this.firestore._commit(this.writes);
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map();
+    this.nextId = 0;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new Query(this, id, { group: true });
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref));
+  }
+
+  async runTransaction(updateFunction) {
+    const transaction = new Transaction(this);
+    const result = await updateFunction(transaction);
+    this._commit(transaction.writes);
+    return result;
+  }
+
+  _autoId() {
+    this.nextId += 1;
+    return `auto${String(this.nextId).padStart(4, '0')}`;
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this.docs.get(ref.path));
+  }
+
+  _query(query) {
+    const depth = query._path.split('/').length;
+    let docs = [...this.docs.keys()]
+      .filter(path => {
+        const parts = path.split('/');
+        return query._group
+          ? parts.length % 2 === 0 && parts[parts.length - 2] === query._path
+          : parts.length === depth + 1 && path.startsWith(`${query._path}/`);
+      })
+      .sort()
+      .map(path => this._snapshot(new DocumentReference(this, path)))
+      .filter(doc => query._filters.every(({ field, op, value }) =>
+        matches(doc.get(field), op, value)
+      ));
+
+    query._orders.slice().reverse().forEach(({ field, direction }) => {
+      docs = docs.slice().sort((a, b) => {
+        const x = comparable(a.get(field));
+        const y = comparable(b.get(field));
+        const order = x < y ? -1 : x > y ? 1 : 0;
+        return direction === 'desc' ? -order : order;
+      });
+    });
+
+    if (query._after) {
+      const index = docs.findIndex(doc => doc.ref.path === query._after.ref.path);
+      docs = docs.slice(index + 1);
+    }
+
+    if (query._max !== null) {
+      docs = docs.slice(0, query._max);
+    }
+
+    return new QuerySnapshot(docs);
+  }
+
+  _write(write) {
+    this._commit([write]);
+  }
+
+  // Validate every write first so a failing one leaves nothing applied
+  _commit(writes) {
+    const staged = new Map();
+    const current = path => (staged.has(path) ? staged.get(path) : this.docs.get(path));
+
+    writes.forEach(({ type, ref, data, options }) => {
+      const existing = current(ref.path);
+
+      if (type === 'delete') {
+        staged.set(ref.path, undefined);
+        return;
+      }
+
+      if (type === 'create' && existing !== undefined) {
+        throw Object.assign(new Error(`Document already exists: ${ref.path}`), { code: 6 });
+      }
+
+      if (type === 'update' && existing === undefined) {
+        throw Object.assign(new Error(`No document to update: ${ref.path}`), { code: 5 });
+      }
+
+      const next = type === 'update' || options?.merge ? clone(existing || {}) : {};
+
+      if (type === 'update') {
+        Object.entries(data).forEach(([field, value]) => writeField(next, field, value));
+      } else {
+        mergeInto(next, data);
+      }
+
+      staged.set(ref.path, next);
+    });
+
+    staged.forEach((data, path) => {
+      if (data === undefined) {
+        this.docs.delete(path);
+      } else {
+        this.docs.set(path, data);
+      }
+    });
+  }
+}
+
+// ============================================
+// REALTIME DATABASE
+// ============================================
+
+class DataSnapshot {
+  constructor(ref, value) {
+    this.ref = ref;
+    this.key = ref.key;
+    this._value = value === undefined ? null : value;
+  }
+
+  val() {
+    return clone(this._value);
+  }
+
+  exists() {
+    return this._value !== null;
+  }
+
+  child(path) {
+    return new DataSnapshot(this.ref.child(path), readPath(this._value, path));
+  }
+
+  forEach(callback) {
+    Object.keys(this._value || {}).sort().some(key => callback(this.child(key)) === true);
+  }
+
+  numChildren() {
+    return Object.keys(this._value || {}).length;
+  }
+}
+
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function readPath(root, path) {
+  const value = splitPath(path).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), root);
+  return value === undefined ? null : value;
+}
+
+// Drop empty objects so removing a last child removes the parent, as RTDB does
+function prune(value) {
+  if (!isPlainObject(value)) return value;
+  const entries = Object.entries(value)
+    .map(([key, item]) => [key, prune(item)])
+    .filter(([, item]) => item !== null && item !== undefined);
+  return entries.length === 0 ? null : Object.fromEntries(entries);
+}
+
+class Reference {
+  constructor(database, path, query = {}) {
+    this.database = database;
+    this.path = splitPath(path).join('/');
+    this.key = this.path ? this.path.split('/').pop() : null;
+    this._query = query;
+  }
+
+  child(path) {
+    return new Reference(this.database, `${this.path}/${path}`);
+  }
+
+  orderByChild(field) {
+    return new Reference(this.database, this.path, { ...this._query, orderBy: field });
+  }
+
+  startAt(value) {
+    return new Reference(this.database, this.path, { ...this._query, startAt: value });
+  }
+
+  endAt(value) {
+    return new Reference(this.database, this.path, { ...this._query, endAt: value });
+  }
+
+  async once() {
+    let value = readPath(this.database.root, this.path);
+
+    if (this._query.orderBy && isPlainObject(value)) {
+      const { orderBy, startAt, endAt } = this._query;
+      value = Object.fromEntries(Object.entries(value).filter(([, item]) => {
+        const field = isPlainObject(item) ? item[orderBy] : undefined;
+        const sortValue = field === undefined ? null : field;
+        if (startAt !== undefined && (sortValue === null || sortValue < startAt)) return false;
+        if (endAt !== undefined && sortValue !== null && sortValue > endAt) return false;
+        return true;
+      }));
+    }
+
+    return new DataSnapshot(new Reference(this.database, this.path), value);
+  }
+
+  async set(value) {
+    this.database._setPath(this.path, clone(value));
+  }
+
+  async update(values) {
+    Object.entries(values).forEach(([path, value]) => {
+      this.database._setPath(`${this.path}/${path}`, clone(value));
+    });
+  }
+
+  async remove() {
+    this.database._setPath(this.path, null);
+  }
+
+  async transaction(updateFunction) {
+    const current = readPath(this.database.root, this.path);
+    const next = updateFunction(clone(current));
+
+    if (next === undefined) {
+      return { committed: false, snapshot: new DataSnapshot(this, current) };
+    }
+
+    this.database._setPath(this.path, clone(next));
+    return { committed: true, snapshot: new DataSnapshot(this, readPath(this.database.root, this.path)) };
+  }
+}
+
+class FakeDatabase {
+  constructor() {
+    this.root = null;
+  }
+
+  ref(path = '') {
+    return new Reference(this, path);
+  }
+
+  _setPath(path, value) {
+    const keys = splitPath(path);
+
+    if (keys.length === 0) {
+      this.root = prune(value);
+      return;
+    }
+
+    const root = isPlainObject(this.root) ? clone(this.root) : {};
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (!isPlainObject(node[key])) node[key] = {};
+      return node[key];
+    }, root);
+    parent[last] = value;
+    this.root = prune(root);
+  }
+}
+
+// ============================================
+// ADMIN NAMESPACE
+// ============================================
+
+const firestore = new FakeFirestore();
+const database = new FakeDatabase();
+
+const firestoreFn = () => firestore;
+Object.assign(firestoreFn, { FieldValue, FieldPath, Timestamp });
+
+module.exports = {
+  apps: [{}],
+  initializeApp: () => ({}),
+  firestore: firestoreFn,
+  database: () => database,
+  auth: () => ({
+    getUser: async uid => ({ uid, customClaims: {} }),
+    setCustomUserClaims: async () => {}
+  }),
+
+  // Fresh, empty stores (modules keep the instances they got at load)
+  __reset() {
+    firestore.docs.clear();
+    firestore.nextId = 0;
+    database.root = null;
+  },
+
+  // Seed documents: { 'users/u1': { balance: 100 }, ... }
+  __seed(docs) {
+    Object.entries(docs).forEach(([path, data]) => {
+      firestore.docs.set(path, clone(data));
+    });
+  },
+
+  // Read a document's stored data (undefined if missing)
+  __doc(path) {
+    return clone(firestore.docs.get(path));
+  },
+
+  // Stored documents directly under a collection path
+  __collection(path) {
+    const depth = path.split('/').length + 1;
+    return [...firestore.docs.entries()]
+      .filter(([docPath]) => docPath.startsWith(`${path}/`) && docPath.split('/').length === depth)
+      .map(([docPath, data]) => ({ id: docPath.split('/').pop(), ...clone(data) }));
+  }
+};
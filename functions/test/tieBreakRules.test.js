@@ -0,0 +1,85 @@
+/**
+ * Shared tie-break rules: purchase ordering and the trusted click time
+ */
+
+const {
+  tieBreakConfig,
+  effectiveTime,
+  trustedClientTime,
+  settleDelayMs,
+  validateTieBreak
+} = require('../shared/tieBreakRules');
+
+const receivedAt = 1_000_000;
+const arrival = tieBreakConfig({ tieBreak: { rule: 'arrival', trustMs: 500 } });
+const clientTime = tieBreakConfig({ tieBreak: { rule: 'client-time', trustMs: 500 } });
+
+describe('tieBreakConfig', () => {
+  test('defaults to arrival order', () => {
+    expect(tieBreakConfig({})).toEqual({ rule: 'arrival', trustMs: 500 });
+  });
+
+  test('clamps trustMs to the allowed range', () => {
+    expect(tieBreakConfig({ tieBreak: { rule: 'client-time', trustMs: 10 } }).trustMs).toBe(50);
+    expect(tieBreakConfig({ tieBreak: { rule: 'client-time', trustMs: 99999 } }).trustMs).toBe(2000);
+  });
+});
+
+describe('effectiveTime', () => {
+  test('orders by arrival under the arrival rule', () => {
+    expect(effectiveTime(arrival, receivedAt, receivedAt - 100))
+      .toEqual({ effectiveAt: receivedAt, clientTrusted: false });
+  });
+
+  test('trusts a click time within trustMs under client-time', () => {
+    expect(effectiveTime(clientTime, receivedAt, receivedAt - 100))
+      .toEqual({ effectiveAt: receivedAt - 100, clientTrusted: true });
+    expect(effectiveTime(clientTime, receivedAt, receivedAt - 500))
+      .toEqual({ effectiveAt: receivedAt - 500, clientTrusted: true });
+  });
+
+  test('falls back to arrival for click times too early or in the future', () => {
+    expect(effectiveTime(clientTime, receivedAt, receivedAt - 501).clientTrusted).toBe(false);
+    expect(effectiveTime(clientTime, receivedAt, receivedAt + 1).clientTrusted).toBe(false);
+    expect(effectiveTime(clientTime, receivedAt, null).effectiveAt).toBe(receivedAt);
+  });
+});
+
+describe('trustedClientTime', () => {
+  test('uses the click time when it is within trustMs', () => {
+    expect(trustedClientTime(clientTime, receivedAt, receivedAt - 200)).toBe(receivedAt - 200);
+  });
+
+  test('clamps a backdated click time to trustMs before arrival', () => {
+    expect(trustedClientTime(clientTime, receivedAt, receivedAt - 60_000)).toBe(receivedAt - 500);
+    expect(trustedClientTime(arrival, receivedAt, 0)).toBe(receivedAt - 500);
+  });
+
+  test('clamps a click time from the future to arrival', () => {
+    expect(trustedClientTime(clientTime, receivedAt, receivedAt + 5000)).toBe(receivedAt);
+  });
+
+  test('uses arrival when no click time was sent', () => {
+    expect(trustedClientTime(clientTime, receivedAt, null)).toBe(receivedAt);
+    expect(trustedClientTime(clientTime, receivedAt, NaN)).toBe(receivedAt);
+  });
+});
+
+describe('settleDelayMs', () => {
+  test('waits only under client-time', () => {
+    expect(settleDelayMs(arrival)).toBe(0);
+    expect(settleDelayMs(clientTime)).toBe(500);
+  });
+});
+
+describe('validateTieBreak', () => {
+  test('accepts a valid rule', () => {
+    expect(validateTieBreak({ rule: 'client-time', trustMs: 300 })).toEqual([]);
+  });
+
+  test('rejects unknown rules and out-of-range trust', () => {
+    expect(validateTieBreak({ rule: 'random', trustMs: 300 })).toHaveLength(1);
+    expect(validateTieBreak({ rule: 'arrival', trustMs: 2.5 })).toHaveLength(1);
+    expect(validateTieBreak({ rule: 'arrival', trustMs: 5000 })).toHaveLength(1);
+  });
+});
@@ -1,14 +1,26 @@
 /**
  * updateAuctionPrice Cloud Function
- * Scheduled function that runs every 1 second to update auction prices
+ * Price tick engine: a once-a-minute schedule drives sub-minute ticks
  *
  * Supports two pricing modes:
  * 1. Transparent: Formula-based pricing (linear, exponential, stepped)
- * 2. Algorithmic: AI-driven pricing with viewer/shield/time adjustments
+ * 2. Algorithmic: Deterministic decay driven by elapsed time plus the
+ *    viewer/shield counts recorded in algorithmLog (see shared/pricingEngine.js)
+ *
+ * Prices are pure functions of elapsed time, so the tick frequency only
+ * affects how fresh Firestore is, never what the price is.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const {
+  toMillis,
+  elapsedSecondsAt,
+  priceAt,
+  algorithmicParams,
+  algorithmicRate,
+  advanceAlgorithmState
+} = require('./shared/pricingEngine');
 
 // Initialize Firebase Admin (only once across all functions)
 if (!admin.apps.length) {
@@ -18,249 +30,434 @@ if (!admin.apps.length) {
 const db = admin.firestore();
 const rtdb = admin.database();
 
+// Required after initializeApp: the module opens the Realtime Database on load
+const { getCounters } = require('./auctionCounters');
+
 // Constants
 const FLOOR_TIMER_DURATION = 60; // 60 seconds at floor before ending
+const DEFAULT_TICK_SECONDS = 5; // Price tick resolution, overridable in system/priceTicker
+const TICK_WINDOW_MS = 55 * 1000; // Each scheduled run ticks for ~55s, then hands off to the next
+const LEASE_GRACE_MS = 10 * 1000; // Lease outlives the window slightly to cover the last tick
 
 /**
- * Scheduled function triggered every 1 second via Cloud Scheduler
+ * Scheduled function triggered every minute via Cloud Scheduler
  * T150: Create scheduled function
+ *
+ * Cloud Scheduler can't fire more than once a minute, so each run keeps a
+ * per-auction loop going for TICK_WINDOW_MS, ticking at the configured
+ * resolution. Loops hold a lease in priceTickLeases/{auctionId} so two
+ * overlapping runs don't both drive the same auction, and every tick is
+ * applied in a transaction keyed by its tick slot, so even a duplicate tick
+ * is a no-op.
  */
-exports.updateAuctionPrice = functions.pubsub
+exports.updateAuctionPrice = functions
+  .runWith({ timeoutSeconds: 120 })
+  .pubsub
   .schedule('every 1 minutes')
   .onRun(async (context) => {
-    console.log('[updateAuctionPrice] Starting price update cycle...');
+    console.log('[updateAuctionPrice] Starting price tick window...');
+
+    try {
+      await runTickWindow(context.eventId || `run-${Date.now()}`, TICK_WINDOW_MS);
+      console.log('[updateAuctionPrice] Price tick window complete');
+      return null;
+
+    } catch (error) {
+      console.error('[updateAuctionPrice] Fatal error in price update:', error);
+      throw error;
+    }
+  });
+
+/**
+ * Emulator-only HTTP trigger for the tick engine
+ * The emulator suite doesn't run Cloud Scheduler, so call
+ * http://localhost:5001/<project>/us-central1/runPriceTick?windowSeconds=0
+ * to run a single tick (or a longer window) against emulated data.
+ */
+exports.runPriceTick = functions
+  .runWith({ timeoutSeconds: 120 })
+  .https.onRequest(async (req, res) => {
+    if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+      res.status(404).send('Not found');
+      return;
+    }
+
+    const windowSeconds = Math.min(60, Math.max(0, parseInt(req.query.windowSeconds, 10) || 0));
 
     try {
-      // T151: Fetch all live auctions
-      const auctionsSnapshot = await db.collection('auctions')
-        .where('status', '==', 'live')
-        .get();
-
-      if (auctionsSnapshot.empty) {
-        console.log('[updateAuctionPrice] No live auctions to update');
-        return null;
+      const ticked = await runTickWindow(`emulator-${Date.now()}`, windowSeconds * 1000);
+      res.json({ success: true, auctions: ticked, windowSeconds });
+    } catch (error) {
+      console.error('[runPriceTick] Error running tick window:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+/**
+ * Tick every live auction until the window closes
+ * @param {string} workerId - Unique id for this run (lease owner)
+ * @param {number} windowMs - How long to keep ticking (0 = single tick)
+ * @returns {number} Number of live auctions found
+ */
+async function runTickWindow(workerId, windowMs) {
+  const windowEndsAt = Date.now() + windowMs;
+  const tickSeconds = await getTickSeconds();
+
+  // T151: Fetch all live auctions
+  const auctionsSnapshot = await db.collection('auctions')
+    .where('status', '==', 'live')
+    .get();
+
+  if (auctionsSnapshot.empty) {
+    console.log('[updateAuctionPrice] No live auctions to update');
+    return 0;
+  }
+
+  console.log(`[updateAuctionPrice] Ticking ${auctionsSnapshot.size} live auctions every ${tickSeconds}s`);
+
+  await Promise.all(auctionsSnapshot.docs.map((auctionDoc) =>
+    runAuctionLoop(auctionDoc.id, workerId, tickSeconds, windowEndsAt)
+  ));
+
+  return auctionsSnapshot.size;
+}
+
+/**
+ * Tick one auction repeatedly while holding its lease
+ * @param {string} auctionId - Auction ID
+ * @param {string} workerId - Lease owner
+ * @param {number} tickSeconds - Tick resolution
+ * @param {number} windowEndsAt - Stop ticking after this time (ms)
+ */
+async function runAuctionLoop(auctionId, workerId, tickSeconds, windowEndsAt) {
+  const acquired = await acquireLease(auctionId, workerId, windowEndsAt + LEASE_GRACE_MS);
+
+  if (!acquired) {
+    console.log(`[updateAuctionPrice] Auction ${auctionId} is leased by another worker, skipping`);
+    return;
+  }
+
+  try {
+    do {
+      const result = await tickAuction(auctionId, tickSeconds);
+
+      if (!result.live) {
+        break;
       }
 
-      console.log(`[updateAuctionPrice] Updating ${auctionsSnapshot.size} live auctions`);
+      // Sleep until the next tick slot starts
+      const waitMs = Math.min(result.nextTickAt - Date.now(), windowEndsAt - Date.now());
+      if (waitMs <= 0) break;
+      await sleep(waitMs);
+    } while (Date.now() < windowEndsAt);
 
-      // Process each auction
-      const updatePromises = auctionsSnapshot.docs.map(async (auctionDoc) => {
-        const auction = { id: auctionDoc.id, ...auctionDoc.data() };
+  } catch (error) {
+    console.error(`[updateAuctionPrice] Error updating auction ${auctionId}:`, error);
+  } finally {
+    await releaseLease(auctionId, workerId);
+  }
+}
 
-        try {
-          await updateSingleAuction(auction);
-        } catch (error) {
-          console.error(`[updateAuctionPrice] Error updating auction ${auction.id}:`, error);
-        }
-      });
+/**
+ * Read tick resolution from system/priceTicker
+ * @returns {number} Tick resolution in seconds (1-60)
+ */
+async function getTickSeconds() {
+  try {
+    const configDoc = await db.collection('system').doc('priceTicker').get();
+    const configured = configDoc.exists ? configDoc.data().tickSeconds : null;
 
-      await Promise.all(updatePromises);
+    if (typeof configured === 'number' && configured > 0) {
+      return Math.min(60, Math.max(1, Math.floor(configured)));
+    }
+  } catch (error) {
+    console.error('[updateAuctionPrice] Error reading tick config, using default:', error);
+  }
 
-      console.log('[updateAuctionPrice] Price update cycle complete');
-      return null;
+  return DEFAULT_TICK_SECONDS;
+}
 
-    } catch (error) {
-      console.error('[updateAuctionPrice] Fatal error in price update:', error);
-      throw error;
+/**
+ * Take (or renew) the tick lease for an auction
+ * @param {string} auctionId - Auction ID
+ * @param {string} workerId - Lease owner
+ * @param {number} expiresAt - Lease expiry (ms)
+ * @returns {boolean} True if this worker now holds the lease
+ */
+async function acquireLease(auctionId, workerId, expiresAt) {
+  const leaseRef = db.collection('priceTickLeases').doc(auctionId);
+
+  return db.runTransaction(async (transaction) => {
+    const leaseDoc = await transaction.get(leaseRef);
+    const lease = leaseDoc.exists ? leaseDoc.data() : null;
+
+    if (lease && lease.owner !== workerId && lease.expiresAt > Date.now()) {
+      return false;
     }
+
+    transaction.set(leaseRef, {
+      owner: workerId,
+      expiresAt,
+      acquiredAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return true;
   });
+}
 
 /**
- * Update price for a single auction
- * @param {Object} auction - Auction document data
+ * Release the tick lease if this worker still holds it
+ * @param {string} auctionId - Auction ID
+ * @param {string} workerId - Lease owner
  */
-async function updateSingleAuction(auction) {
-  const now = Date.now();
-  const startTime = auction.startTime?.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const endTime = auction.endTime?.toMillis ? auction.endTime.toMillis() : auction.endTime;
-
-  // Check if auction has ended
-  if (now >= endTime) {
-    console.log(`[updateAuctionPrice] Auction ${auction.id} time expired, ending...`);
-    await db.collection('auctions').doc(auction.id).update({
-      status: 'ended - no winner',
-      endedAt: admin.firestore.FieldValue.serverTimestamp()
+async function releaseLease(auctionId, workerId) {
+  const leaseRef = db.collection('priceTickLeases').doc(auctionId);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const leaseDoc = await transaction.get(leaseRef);
+
+      if (leaseDoc.exists && leaseDoc.data().owner === workerId) {
+        transaction.delete(leaseRef);
+      }
     });
-    return;
+  } catch (error) {
+    console.error(`[updateAuctionPrice] Error releasing lease for auction ${auctionId}:`, error);
   }
+}
 
-  const elapsedSeconds = Math.floor((now - startTime) / 1000);
-  const totalDuration = auction.duration; // in seconds
-  const timeRemaining = Math.max(0, totalDuration - elapsedSeconds);
-  const progressPercent = Math.min(100, Math.floor((elapsedSeconds / totalDuration) * 100));
+/**
+ * Advance a single auction by one tick
+ * Runs in a transaction and is idempotent per tick slot: a slot already
+ * applied by another worker (lastTickElapsed) is skipped, and history/log
+ * documents use slot-derived ids.
+ * @param {string} auctionId - Auction ID
+ * @param {number} tickSeconds - Tick resolution
+ * @returns {Object} { live, nextTickAt } - Whether to keep ticking and when
+ */
+async function tickAuction(auctionId, tickSeconds) {
+  const auctionRef = db.collection('auctions').doc(auctionId);
 
-  let newPrice;
-  let algorithmDecision = null;
+  // Live audience counts are kept in the Realtime Database (see auctionCounters.js)
+  const audience = await getCounters(auctionId);
 
-  // Calculate new price based on pricing mode
-  if (auction.pricingMode === 'transparent') {
-    // T152-T154: Implement transparent mode formulas
-    newPrice = calculateTransparentPrice(auction, elapsedSeconds);
-  } else {
-    // T155-T158: Implement algorithmic mode
-    const result = await calculateAlgorithmicPrice(auction, elapsedSeconds, progressPercent);
-    newPrice = result.price;
-    algorithmDecision = result.decision;
-  }
+  return db.runTransaction(async (transaction) => {
+    const auctionDoc = await transaction.get(auctionRef);
+
+    if (!auctionDoc.exists || auctionDoc.data().status !== 'live') {
+      return { live: false };
+    }
+
+    const auction = { id: auctionDoc.id, ...auctionDoc.data() };
 
-  // T159: Clamp price to floor
-  const floorPrice = auction.floorPrice;
-  const reachedFloor = newPrice <= floorPrice;
+    // Hidden reserve lives in an admin-only subcollection (see firestore.rules)
+    const reserveDoc = await transaction.get(auctionRef.collection('private').doc('reserve'));
+    const reserve = reserveDoc.exists ? reserveDoc.data() : null;
 
-  if (reachedFloor) {
-    newPrice = floorPrice;
+    const now = Date.now();
+    const startTime = toMillis(auction.startTime);
+    const endTime = toMillis(auction.endTime) || startTime + (auction.duration * 1000);
 
-    // T160: Check floor timer (60 seconds at floor = auction ends)
-    if (!auction.floorTimerStart) {
-      // First time reaching floor - start timer
-      await db.collection('auctions').doc(auction.id).update({
-        floorTimerStart: admin.firestore.FieldValue.serverTimestamp()
+    // Check if auction has ended
+    if (now >= endTime) {
+      console.log(`[updateAuctionPrice] Auction ${auction.id} time expired, ending...`);
+      transaction.update(auctionRef, {
+        status: endedStatus(auction),
+        endedAt: admin.firestore.FieldValue.serverTimestamp()
       });
-      console.log(`[updateAuctionPrice] Auction ${auction.id} reached floor, starting 60s timer`);
+      return { live: false };
+    }
+
+    // Elapsed time excludes pauses (see resumeAuction), so slots line up with pricing time
+    const elapsedSeconds = elapsedSecondsAt(auction, now);
+    const tickSlot = Math.floor(elapsedSeconds / tickSeconds);
+    const nextTickAt = startTime + (auction.totalPausedMs || 0) + ((tickSlot + 1) * tickSeconds * 1000);
+
+    // Another worker already applied this slot
+    if (typeof auction.lastTickElapsed === 'number' &&
+        Math.floor(auction.lastTickElapsed / tickSeconds) >= tickSlot) {
+      return { live: true, nextTickAt };
+    }
+
+    let newPrice;
+    let algorithmDecision = null;
+    let algorithmState = null;
+
+    // Calculate new price based on pricing mode
+    if (auction.pricingMode === 'transparent') {
+      // T152-T154: Transparent mode formulas live in the shared pricing engine
+      newPrice = priceAt(auction, elapsedSeconds);
     } else {
-      // Check if 60 seconds have elapsed at floor
-      const floorTimerStart = auction.floorTimerStart?.toMillis ?
-        auction.floorTimerStart.toMillis() : auction.floorTimerStart;
-      const timeAtFloor = Math.floor((now - floorTimerStart) / 1000);
-
-      if (timeAtFloor >= FLOOR_TIMER_DURATION) {
-        console.log(`[updateAuctionPrice] Auction ${auction.id} at floor for ${timeAtFloor}s, ending...`);
-        await db.collection('auctions').doc(auction.id).update({
-          status: 'ended - no winner',
+      // T155-T158: Algorithmic mode - record a sample and advance the checkpoint
+      const result = calculateAlgorithmicPrice(auction, elapsedSeconds, audience);
+      newPrice = result.price;
+      algorithmDecision = result.decision;
+      algorithmState = result.state;
+    }
+
+    // Reserve: the price never slides below a hidden reserve
+    if (reserve && reserve.reservePrice && newPrice < reserve.reservePrice) {
+      if (reserve.reservePolicy === 'hold') {
+        // Pause at the reserve; heldPrice raises the floor for clients too
+        newPrice = reserve.reservePrice;
+      } else {
+        console.log(`[updateAuctionPrice] Auction ${auction.id} fell below reserve, ending...`);
+        transaction.update(auctionRef, {
+          status: endedStatus(auction),
+          endReason: 'reserve not met',
           endedAt: admin.firestore.FieldValue.serverTimestamp(),
-          currentPrice: newPrice
+          lastTickElapsed: elapsedSeconds
         });
-        return;
+        return { live: false };
       }
     }
-  } else if (auction.floorTimerStart) {
-    // Price rose above floor - reset timer
-    await db.collection('auctions').doc(auction.id).update({
-      floorTimerStart: admin.firestore.FieldValue.deleteField()
-    });
-  }
 
-  // T161: Write new price to auction
-  await db.collection('auctions').doc(auction.id).update({
-    currentPrice: newPrice,
-    lastPriceUpdate: admin.firestore.FieldValue.serverTimestamp()
-  });
+    // T161: Build the auction update for this tick
+    // Mirror the live counts onto the auction once per tick, rather than
+    // writing the document on every join or leave
+    const auctionUpdate = {
+      currentPrice: newPrice,
+      lastPriceUpdate: admin.firestore.FieldValue.serverTimestamp(),
+      lastTickElapsed: elapsedSeconds,
+      viewerCount: audience.viewerCount,
+      viewersByContext: audience.viewersByContext,
+      openShieldCount: audience.openShieldCount
+    };
+
+    if (algorithmState) {
+      auctionUpdate.algorithmState = algorithmState;
+    }
 
-  // T162: Create price history point
-  await db.collection('auctions').doc(auction.id)
-    .collection('priceHistory')
-    .add({
+    if (reserve && newPrice === reserve.reservePrice && !auction.heldPrice) {
+      console.log(`[updateAuctionPrice] Auction ${auction.id} reached reserve, holding price`);
+      auctionUpdate.heldPrice = reserve.reservePrice;
+    }
+
+    // T159: Clamp price to floor
+    const floorPrice = auction.floorPrice;
+    const reachedFloor = newPrice <= floorPrice;
+
+    if (reachedFloor) {
+      newPrice = floorPrice;
+      auctionUpdate.currentPrice = floorPrice;
+
+      // T160: Check floor timer (60 seconds at floor = auction ends)
+      if (!auction.floorTimerStart) {
+        // First time reaching floor - start timer
+        auctionUpdate.floorTimerStart = admin.firestore.FieldValue.serverTimestamp();
+        console.log(`[updateAuctionPrice] Auction ${auction.id} reached floor, starting 60s timer`);
+      } else {
+        // Check if 60 seconds have elapsed at floor
+        const timeAtFloor = Math.floor((now - toMillis(auction.floorTimerStart)) / 1000);
+
+        if (timeAtFloor >= FLOOR_TIMER_DURATION) {
+          console.log(`[updateAuctionPrice] Auction ${auction.id} at floor for ${timeAtFloor}s, ending...`);
+          transaction.update(auctionRef, {
+            status: endedStatus(auction),
+            endedAt: admin.firestore.FieldValue.serverTimestamp(),
+            currentPrice: newPrice,
+            lastTickElapsed: elapsedSeconds
+          });
+          return { live: false };
+        }
+      }
+    } else if (auction.floorTimerStart) {
+      // Price rose above floor - reset timer
+      auctionUpdate.floorTimerStart = admin.firestore.FieldValue.deleteField();
+    }
+
+    transaction.update(auctionRef, auctionUpdate);
+
+    // T162: Create price history point
+    // Audience counts ride along, giving a viewer time series at no extra writes
+    transaction.set(auctionRef.collection('priceHistory').doc(`t${elapsedSeconds}`), {
       price: newPrice,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      elapsedSeconds: elapsedSeconds
+      elapsedSeconds: elapsedSeconds,
+      viewerCount: audience.viewerCount,
+      viewersByContext: audience.viewersByContext,
+      openShieldCount: audience.openShieldCount
     });
 
-  // T163: For algorithmic mode, create algorithm log entry
-  if (auction.pricingMode === 'algorithmic' && algorithmDecision) {
-    await db.collection('auctions').doc(auction.id)
-      .collection('algorithmLog')
-      .add({
+    // T163: For algorithmic mode, create algorithm log entry
+    // elapsedSeconds/viewerCount/openShieldCount form the replayable sample series
+    if (auction.pricingMode === 'algorithmic' && algorithmDecision) {
+      transaction.set(auctionRef.collection('algorithmLog').doc(`t${elapsedSeconds}`), {
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        elapsedSeconds: algorithmState.elapsedSeconds,
+        viewerCount: algorithmState.viewerCount,
+        openShieldCount: algorithmState.openShieldCount,
+        decayIntegral: algorithmState.decayIntegral,
         decision: algorithmDecision.action,
         reason: algorithmDecision.reason,
         priceBefore: auction.currentPrice,
         priceAfter: newPrice,
         factors: algorithmDecision.factors
       });
-  }
+    }
+
+    console.log(`[updateAuctionPrice] Auction ${auction.id}: $${(newPrice / 100).toFixed(2)} at ${elapsedSeconds}s`);
 
-  console.log(`[updateAuctionPrice] Auction ${auction.id}: $${(newPrice / 100).toFixed(2)}`);
+    return { live: true, nextTickAt };
+  });
 }
 
 /**
- * T152-T154: Calculate price for transparent mode
+ * Status for an auction that ran out of time (or sat at floor too long)
+ * Multi-unit lots that sold some units count as sold.
  * @param {Object} auction - Auction data
- * @param {number} elapsedSeconds - Time elapsed since start
- * @returns {number} New price in cents
+ * @returns {string} Ended status
  */
-function calculateTransparentPrice(auction, elapsedSeconds) {
-  const { startingPrice, floorPrice, duration, pricingConfig } = auction;
-  const formula = pricingConfig?.formula || 'linear';
-
-  switch (formula) {
-    case 'linear':
-      // T152: Linear decay: starting - (rate * elapsed)
-      // Calculate rate so price reaches floor at duration end
-      const linearRate = (startingPrice - floorPrice) / duration;
-      const linearPrice = startingPrice - (linearRate * elapsedSeconds);
-      return Math.max(floorPrice, Math.round(linearPrice));
-
-    case 'exponential':
-      // T153: Exponential decay: starting * e^(-rate * elapsed)
-      // Calculate rate so price reaches ~floor at duration end
-      const expRate = pricingConfig.decayRate || 0.0001;
-      const expPrice = startingPrice * Math.exp(-expRate * elapsedSeconds);
-      return Math.max(floorPrice, Math.round(expPrice));
-
-    case 'stepped':
-      // T154: Stepped decay: drop by fixed amount at intervals
-      // Use stepCount if provided, otherwise fall back to stepInterval calculation
-      const stepCount = pricingConfig.stepCount || 10;
-      const stepInterval = pricingConfig.stepInterval || Math.floor(duration / stepCount);
-      const stepAmount = pricingConfig.stepAmount || Math.floor((startingPrice - floorPrice) / stepCount);
-      const numSteps = Math.floor(elapsedSeconds / stepInterval);
-      const steppedPrice = startingPrice - (stepAmount * numSteps);
-      return Math.max(floorPrice, steppedPrice);
-
-    default:
-      console.warn(`[calculateTransparentPrice] Unknown formula: ${formula}, using linear`);
-      return calculateTransparentPrice({ ...auction, pricingConfig: { formula: 'linear' } }, elapsedSeconds);
-  }
+function endedStatus(auction) {
+  return (auction.unitsSold || 0) > 0 ? 'ended - sold' : 'ended - no winner';
+}
+
+/**
+ * Promise-based delay
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
  * T155-T158: Calculate price for algorithmic mode
+ * Samples the current viewer/shield counts, folds them into the auction's
+ * checkpoint and prices from the checkpoint - no compounding on currentPrice.
  * @param {Object} auction - Auction data
  * @param {number} elapsedSeconds - Time elapsed since start
- * @param {number} progressPercent - Auction progress percentage
- * @returns {Object} { price, decision } - New price and decision details
+ * @param {Object} audience - Counters from getCounters()
+ * @returns {Object} { price, state, decision } - New price, checkpoint and decision details
  */
-async function calculateAlgorithmicPrice(auction, elapsedSeconds, progressPercent) {
-  const { currentPrice, floorPrice, pricingConfig } = auction;
+function calculateAlgorithmicPrice(auction, elapsedSeconds, audience) {
+  const { currentPrice, floorPrice, duration } = auction;
+  const params = algorithmicParams(auction);
+
+  // T156-T157: Record the counts observed at this tick
+  const viewerCount = audience.viewerCount;
+  const openShields = audience.openShieldCount;
+
+  const state = advanceAlgorithmState(auction, auction.algorithmState, {
+    elapsedSeconds,
+    viewerCount,
+    openShieldCount: openShields
+  });
+
+  const newPrice = priceAt({ ...auction, algorithmState: state }, elapsedSeconds);
 
-  // T155: Base decay rate
-  const baseDecayRate = pricingConfig?.baseDecay || 0.001; // 0.1% per second default
-  let decayMultiplier = 1 - baseDecayRate;
+  // T158: Time pressure applies in the final stretch of the auction
+  const underTimePressure = elapsedSeconds >= duration * params.timePressureAt;
 
   const factors = {
-    baseDecay: baseDecayRate,
-    viewerAdjustment: 0,
-    shieldAdjustment: 0,
-    timeAdjustment: 0
+    baseDecay: params.baseDecay,
+    viewerAdjustment: params.viewerInfluence * (viewerCount / 50),
+    shieldAdjustment: params.shieldInfluence * (openShields / 10),
+    timeAdjustment: underTimePressure ? params.timeAccelerator : 0,
+    ratePerSecond: algorithmicRate(params, viewerCount, openShields) *
+      (underTimePressure ? params.timeAccelerator : 1)
   };
 
-  // T156: Viewer count adjustment
-  const viewerCount = auction.viewerCount || 0;
-  const viewerMultiplier = pricingConfig?.viewerInfluence || 0.002; // 0.2% per 50 viewers
-  const viewerAdjustment = viewerMultiplier * (viewerCount / 50);
-  decayMultiplier *= (1 - viewerAdjustment);
-  factors.viewerAdjustment = viewerAdjustment;
-
-  // T157: Shield activity adjustment
-  const openShields = auction.openShieldCount || 0;
-  const shieldInfluence = pricingConfig?.shieldInfluence || 0.003; // 0.3% per 10 shields
-  const shieldAdjustment = shieldInfluence * (openShields / 10);
-  decayMultiplier *= (1 - shieldAdjustment);
-  factors.shieldAdjustment = shieldAdjustment;
-
-  // T158: Time remaining adjustment (accelerate if < 20% time remaining)
-  if (progressPercent > 80) {
-    const timeAccelerator = pricingConfig?.timeAccelerator || 1.5;
-    decayMultiplier *= (1 / timeAccelerator); // Faster decay
-    factors.timeAdjustment = timeAccelerator;
-  }
-
-  // Calculate new price
-  let newPrice = Math.round(currentPrice * decayMultiplier);
-
-  // Ensure we don't go below floor
-  newPrice = Math.max(floorPrice, newPrice);
-
   // Determine decision type
   const priceChange = currentPrice - newPrice;
   let action, reason;
@@ -283,6 +480,7 @@ async function calculateAlgorithmicPrice(auction, elapsedSeconds, progressPercen
 
   return {
     price: newPrice,
+    state,
     decision: {
       action,
       reason,
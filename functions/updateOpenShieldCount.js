@@ -1,23 +1,27 @@
 /**
  * updateOpenShieldCount Cloud Function
- * Updates open shield count for all live auctions every 5 seconds
+ * Reconciles open shield counters every minute
  *
- * Counts shields with isOpen=true and updates auction documents
+ * openShieldCount is kept up to date by countOpenShields (see auctionCounters.js).
+ * This sweep only corrects counters that drifted; expired windows are closed
+ * by releaseExpiredHolds (see shieldHolds.js), which brings the counter down
+ * through the trigger.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { reconcileCounters } = require('./auctionCounters');
 
 const db = admin.firestore();
 
 /**
- * Updates open shield count for all live auctions
- * Scheduled to run every 5 seconds via Cloud Scheduler
+ * Reconciles open shield counts for all live auctions
+ * Scheduled to run every minute via Cloud Scheduler
  */
 exports.updateOpenShieldCount = functions.pubsub
   .schedule('every 1 minutes')
   .onRun(async (context) => {
-    console.log('[updateOpenShieldCount] Starting shield count update...');
+    console.log('[updateOpenShieldCount] Starting shield count reconciliation...');
 
     try {
       // Get all live auctions from Firestore
@@ -32,39 +36,31 @@ exports.updateOpenShieldCount = functions.pubsub
 
       console.log(`[updateOpenShieldCount] Found ${auctionsSnapshot.size} live auctions`);
 
-      // For each live auction, count open shields
       for (const auctionDoc of auctionsSnapshot.docs) {
         const auctionId = auctionDoc.id;
 
         try {
-          // Query shields subcollection for open shields
-          const shieldsSnapshot = await db.collection('auctions')
-            .doc(auctionId)
+          // Only open shields are read, not every bidder's shield. A window
+          // that ran out still counts until releaseExpiredHolds closes it,
+          // exactly as countOpenShields counts it
+          const shieldsSnapshot = await auctionDoc.ref
             .collection('shields')
             .where('isOpen', '==', true)
             .get();
 
-          const count = shieldsSnapshot.size;
-
-          // Update auction document with open shield count
-          await db.collection('auctions').doc(auctionId).update({
-            openShieldCount: count,
-            lastShieldUpdate: admin.firestore.FieldValue.serverTimestamp()
-          });
-
-          console.log(`[updateOpenShieldCount] Auction ${auctionId}: ${count} open shields`);
+          await reconcileCounters(auctionId, { openShieldCount: shieldsSnapshot.size });
 
         } catch (error) {
-          console.error(`[updateOpenShieldCount] Error counting shields for auction ${auctionId}:`, error);
+          console.error(`[updateOpenShieldCount] Error reconciling shields for auction ${auctionId}:`, error);
           // Continue with next auction
         }
       }
 
-      console.log('[updateOpenShieldCount] Shield count update complete');
+      console.log('[updateOpenShieldCount] Shield count reconciliation complete');
       return null;
 
     } catch (error) {
-      console.error('[updateOpenShieldCount] Fatal error during shield count update:', error);
+      console.error('[updateOpenShieldCount] Fatal error during shield count reconciliation:', error);
       // Don't throw - we want the schedule to continue
       return null;
     }
@@ -0,0 +1,87 @@
+/**
+ * Public winner identity
+ *
+ * Auctions are readable by every signed-in user, so they never carry the
+ * winner's email or uid (uids also appear in presence and shields, so a
+ * published uid would link wins across auctions). A single-item auction records:
+ * - winnerFillId: the winning fill, which only the buyer and staff can read,
+ *   so the winner recognises their own win and nobody else learns who it was
+ * - winnerVisibility: the winner's choice at the time of the win
+ * - winnerDisplay: what everyone else sees, or null when hidden
+ *
+ * Fills (auctions/{id}/fills) keep the buyer's uid and are readable by staff
+ * and that buyer only. Everyone else reads the same sale without the uid from
+ * auctions/{id}/sales/{fillId}.
+ *
+ * Each user picks how their wins appear in users/{uid}.winnerVisibility:
+ * - 'name': their display name
+ * - 'anonymous': a handle like "Bidder #4821", different on every auction
+ * - 'hidden': no name at all
+ */
+
+const crypto = require('crypto');
+
+// Constants
+const WINNER_VISIBILITIES = ['name', 'anonymous', 'hidden'];
+const DEFAULT_WINNER_VISIBILITY = 'anonymous';
+
+/**
+ * Winner fields for an auction document
+ * @param {string} auctionId - Auction ID
+ * @param {string} userId - Winner's uid
+ * @param {Object} user - Winner's user document data
+ * @param {string} fillId - The winning fill
+ * @returns {Object} { winnerFillId, winnerVisibility, winnerDisplay }
+ */
+function winnerFields(auctionId, userId, user, fillId) {
+  const visibility = WINNER_VISIBILITIES.includes(user?.winnerVisibility)
+    ? user.winnerVisibility
+    : DEFAULT_WINNER_VISIBILITY;
+
+  let display = null;
+
+  if (visibility === 'name' && user?.displayName) {
+    display = user.displayName;
+  } else if (visibility !== 'hidden') {
+    // Also used when a user asks for their name but never set one
+    display = anonymousHandle(auctionId, userId);
+  }
+
+  return {
+    winnerFillId: fillId,
+    winnerVisibility: visibility,
+    winnerDisplay: display
+  };
+}
+
+/**
+ * Stable per-auction handle, so wins can't be linked across auctions
+ * @param {string} auctionId - Auction ID
+ * @param {string} userId - User's uid
+ * @returns {string} e.g. "Bidder #4821"
+ */
+function anonymousHandle(auctionId, userId) {
+  const hash = crypto.createHash('sha256').update(`${auctionId}:${userId}`).digest('hex');
+  return `Bidder #${1000 + (parseInt(hash.slice(0, 8), 16) % 9000)}`;
+}
+
+/**
+ * Public copy of a fill, for auctions/{id}/sales/{fillId}
+ * @param {Object} fill - Fill document data
+ * @returns {Object} { quantity, unitPrice, totalPrice, timestamp }
+ */
+function saleFields(fill) {
+  return {
+    quantity: fill.quantity,
+    unitPrice: fill.unitPrice,
+    totalPrice: fill.totalPrice,
+    timestamp: fill.timestamp
+  };
+}
+
+module.exports = {
+  WINNER_VISIBILITIES,
+  DEFAULT_WINNER_VISIBILITY,
+  winnerFields,
+  saleFields
+};
@@ -22,6 +22,10 @@ import {
   getDatabase,
   connectDatabaseEmulator
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js';
+import {
+  getFunctions,
+  connectFunctionsEmulator
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
 
 // Import Firebase configuration
 import { firebaseConfig } from '../firebase-config.js';
@@ -58,6 +62,10 @@ function initializeFirebase() {
     const rtdb = getDatabase(app);
     console.log('[App] Realtime Database initialized');
 
+    // Initialize Cloud Functions (callables: purchases, auction lifecycle)
+    const functions = getFunctions(app);
+    console.log('[App] Cloud Functions initialized');
+
     // Connect to emulators if in development (optional)
     // Uncomment these lines if you want to use Firebase emulators
     // const useEmulators = window.location.hostname === 'localhost';
@@ -67,9 +75,10 @@ function initializeFirebase() {
     //   connectAuthEmulator(auth, 'http://localhost:9099');
     //   connectStorageEmulator(storage, 'localhost', 9199);
     //   connectDatabaseEmulator(rtdb, 'localhost', 9000);
+    //   connectFunctionsEmulator(functions, 'localhost', 5001);
     // }
 
-    return { app, db, auth, storage, rtdb };
+    return { app, db, auth, storage, rtdb, functions };
   } catch (error) {
     console.error('[App] Firebase initialization error:', error);
     throw error;
@@ -101,13 +110,25 @@ function setupAuthListener(auth, db) {
         const userDocRef = doc(db, 'users', user.uid);
 
         // Listen to user document for real-time balance updates
+        let lastRole = null;
+
         const unsubscribe = onSnapshot(userDocRef, (snapshot) => {
           const balance = snapshot.exists() ? snapshot.data().balance || 0 : 0;
+          const heldBalance = snapshot.exists() ? snapshot.data().heldBalance || 0 : 0;
+          const role = snapshot.exists() ? snapshot.data().role || 'user' : 'user';
 
-          // Update balance display in header
+          // Role changed by an admin (setUserRole): fetch a token with the new claim
+          if (lastRole && role !== lastRole) {
+            console.log('[App] Role changed to', role, '- refreshing token');
+            user.getIdToken(true).catch(err => console.error('[App] Error refreshing token:', err));
+          }
+          lastRole = role;
+
+          // Update balance display in header (balance is available; holds are shown beside it)
           const balanceElement = document.getElementById('user-balance');
           if (balanceElement) {
             balanceElement.textContent = formatPrice(balance);
+            updateHeldBalance(heldBalance);
           } else if (userInfoElement) {
             // Initial render of user info
             userInfoElement.innerHTML = `
@@ -115,11 +136,22 @@ function setupAuthListener(auth, db) {
                 <button class="user-balance" id="user-balance" aria-label="View transaction history">
                   ${formatPrice(balance)}
                 </button>
+                <span class="user-held" id="user-held" title="Held for open shields" hidden></span>
                 <span class="user-email">${user.email}</span>
+                <button id="account-settings-btn" class="btn-secondary" aria-label="Account settings">⚙️</button>
                 <button id="logout-btn" class="btn-secondary">Logout</button>
               </div>
             `;
 
+            updateHeldBalance(heldBalance);
+
+            // Account settings (how wins are shown to other bidders)
+            document.getElementById('account-settings-btn').addEventListener('click', () => {
+              window.dispatchEvent(new CustomEvent('show-account-settings', {
+                detail: { userId: user.uid }
+              }));
+            });
+
             // T089: Make balance clickable to open transaction history
             document.getElementById('user-balance').addEventListener('click', () => {
               console.log('[App] Opening transaction history modal');
@@ -143,7 +175,7 @@ function setupAuthListener(auth, db) {
             });
           }
 
-          console.log('[App] Balance updated:', formatPrice(balance));
+          console.log('[App] Balance updated:', formatPrice(balance), heldBalance ? `(${formatPrice(heldBalance)} held)` : '');
         }, (error) => {
           console.error('[App] Error listening to user data:', error);
         });
@@ -198,6 +230,18 @@ function setupAuthListener(auth, db) {
   });
 }
 
+/**
+ * Show or hide the held-funds figure next to the header balance
+ * @param {number} heldBalance - Cents held in escrow for open shields
+ */
+function updateHeldBalance(heldBalance) {
+  const heldElement = document.getElementById('user-held');
+  if (!heldElement) return;
+
+  heldElement.hidden = heldBalance <= 0;
+  heldElement.textContent = `+${formatPrice(heldBalance)} held`;
+}
+
 /**
  * Initialize the application
  */
@@ -206,7 +250,7 @@ async function initApp() {
 
   try {
     // Initialize Firebase
-    const { app, db, auth, storage, rtdb } = initializeFirebase();
+    const { app, db, auth, storage, rtdb, functions } = initializeFirebase();
 
     // Make Firebase instances available globally
     window.firebaseApp = app;
@@ -214,6 +258,7 @@ async function initApp() {
     window.auth = auth;
     window.storage = storage;
     window.rtdb = rtdb;
+    window.functions = functions;
 
     console.log('[App] Firebase instances available globally (window.db, window.auth, etc.)');
 
@@ -0,0 +1,162 @@
+/**
+ * AccountSettingsModal Component
+ * Lets a user choose how their auction wins are shown to other bidders
+ *
+ * The choice is stored in users/{uid}.winnerVisibility (the only field users
+ * may change on their own document) and applied by purchaseAuction when they
+ * win (see functions/winnerIdentity.js).
+ */
+
+import {
+  doc,
+  getDoc,
+  updateDoc
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+import { getErrorMessage } from '../utils/firestore.js';
+
+const { useState, useEffect } = React;
+
+const DEFAULT_VISIBILITY = 'anonymous';
+
+/**
+ * Account settings modal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close callback
+ * @param {string} props.userId - Signed-in user's ID
+ * @returns {JSX.Element} Account settings modal
+ */
+export function AccountSettingsModal({ isOpen, onClose, userId }) {
+  const [visibility, setVisibility] = useState(DEFAULT_VISIBILITY);
+  const [displayName, setDisplayName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  // Load the current setting
+  useEffect(() => {
+    if (!isOpen || !userId || !window.db) return;
+
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setSaved(false);
+
+        const snapshot = await getDoc(doc(window.db, 'users', userId));
+        const data = snapshot.exists() ? snapshot.data() : {};
+        setVisibility(data.winnerVisibility || DEFAULT_VISIBILITY);
+        setDisplayName(data.displayName || '');
+
+      } catch (err) {
+        console.error('[AccountSettingsModal] Error loading settings:', err);
+        setError(getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, [isOpen, userId]);
+
+  if (!isOpen) return null;
+
+  const options = [
+    {
+      value: 'name',
+      label: 'Show my name',
+      detail: displayName ? `Other bidders see "${displayName}".` : 'You have no display name, so a bidder number is shown.'
+    },
+    {
+      value: 'anonymous',
+      label: 'Show a bidder number',
+      detail: 'Other bidders see something like "Bidder #4821", a different number on every auction.'
+    },
+    {
+      value: 'hidden',
+      label: 'Hide me',
+      detail: 'Other bidders only see that the item sold.'
+    }
+  ];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      await updateDoc(doc(window.db, 'users', userId), { winnerVisibility: visibility });
+      setSaved(true);
+
+    } catch (err) {
+      console.error('[AccountSettingsModal] Error saving settings:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return html`
+    <div class="modal-overlay" onClick=${onClose}>
+      <div class="modal" onClick=${(e) => e.stopPropagation()}>
+        <div class="modal__header">
+          <h2 class="modal__title">
+            <span class="modal__icon">⚙️</span>
+            Account Settings
+          </h2>
+          <button
+            class="modal__close"
+            onClick=${onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div class="modal__body">
+          ${loading ? html`
+            <div class="loading">Loading settings...</div>
+          ` : html`
+            <fieldset class="account-settings__group">
+              <legend class="account-settings__legend">When I win an auction</legend>
+              ${options.map(option => html`
+                <label key=${option.value} class="account-settings__option">
+                  <input
+                    type="radio"
+                    name="winnerVisibility"
+                    value=${option.value}
+                    checked=${visibility === option.value}
+                    onChange=${() => { setVisibility(option.value); setSaved(false); }}
+                    disabled=${saving}
+                  />
+                  <span>
+                    <strong>${option.label}</strong>
+                    <small class="account-settings__detail">${option.detail}</small>
+                  </span>
+                </label>
+              `)}
+            </fieldset>
+            <p class="account-settings__note">Applies to auctions you win from now on.</p>
+          `}
+
+          ${error && html`<p class="account-settings__error">${error}</p>`}
+          ${saved && html`<p class="account-settings__saved">Saved.</p>`}
+        </div>
+
+        <div class="modal__footer">
+          <button class="btn-secondary" onClick=${onClose}>
+            Close
+          </button>
+          <button
+            class="btn-primary"
+            onClick=${handleSave}
+            disabled=${loading || saving}
+          >
+            ${saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,44 @@
+/**
+ * AccountSettingsWrapper Component
+ * Listens for global events to show the account settings modal
+ */
+
+import { AccountSettingsModal } from './AccountSettingsModal.js';
+
+const { useState, useEffect } = React;
+
+/**
+ * Wrapper component for account settings modal
+ * Listens to window events to control modal visibility
+ * @returns {JSX.Element} Account settings modal wrapper
+ */
+export function AccountSettingsWrapper() {
+  const [showModal, setShowModal] = useState(false);
+  const [userId, setUserId] = useState(null);
+
+  // Listen for show-account-settings event
+  useEffect(() => {
+    const handleShowModal = (event) => {
+      setUserId(event.detail.userId);
+      setShowModal(true);
+    };
+
+    window.addEventListener('show-account-settings', handleShowModal);
+
+    return () => {
+      window.removeEventListener('show-account-settings', handleShowModal);
+    };
+  }, []);
+
+  if (!showModal || !userId) {
+    return null;
+  }
+
+  return html`
+    <${AccountSettingsModal}
+      isOpen=${showModal}
+      onClose=${() => setShowModal(false)}
+      userId=${userId}
+    />
+  `;
+}
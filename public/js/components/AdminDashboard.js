@@ -21,9 +21,14 @@ import {
 
 import { formatPrice, formatDuration } from '../utils/formatters.js';
 import { useAuction, getAuctionTimeRemaining, getAuctionProgress } from '../hooks/useAuction.js';
+import { useDocument } from '../hooks/useFirestore.js';
+import { useAuctionCounters } from '../hooks/useAuctionCounters.js';
 import { PriceGraph } from './PriceGraph.js';
+import { AudienceStats } from './AudienceStats.js';
 
 const { useState, useEffect } = React;
+const { elapsedSecondsAt } = window.PricingEngine;
+const { auctionPresencePath, activeEntries } = window.PresenceSchema;
 
 /**
  * Admin dashboard component
@@ -41,7 +46,7 @@ export function AdminDashboard() {
 
     const liveQuery = query(
       collection(window.db, 'auctions'),
-      where('status', '==', 'live'),
+      where('status', 'in', ['live', 'paused']),
       orderBy('startTime', 'desc')
     );
 
@@ -110,7 +115,7 @@ export function AdminDashboard() {
             >
               ${liveAuctions.map(auction => html`
                 <option key=${auction.id} value=${auction.id}>
-                  ${auction.itemName}
+                  ${auction.itemName}${auction.status === 'paused' ? ' (paused)' : ''}
                 </option>
               `)}
             </select>
@@ -145,6 +150,10 @@ function AuctionMonitor({ auction: initialAuction }) {
   // T128-T131: Get real-time auction data and price history
   const { auction, priceHistory } = useAuction(initialAuction.id);
   const currentAuction = auction || initialAuction;
+  const counters = useAuctionCounters(initialAuction.id);
+
+  // Hidden reserve (admin-only subcollection)
+  const { data: reserve } = useDocument(`auctions/${initialAuction.id}/private`, 'reserve');
 
   // T129: Update timer
   useEffect(() => {
@@ -154,12 +163,9 @@ function AuctionMonitor({ auction: initialAuction }) {
       const remaining = getAuctionTimeRemaining(currentAuction);
       const currentProgress = getAuctionProgress(currentAuction);
 
-      // Calculate elapsed time
+      // Calculate elapsed time (paused time excluded, same as pricing)
       if (currentAuction.startTime) {
-        const startMs = currentAuction.startTime.toMillis ?
-          currentAuction.startTime.toMillis() : currentAuction.startTime;
-        const elapsed = Math.floor((Date.now() - startMs) / 1000);
-        setTimeElapsed(elapsed);
+        setTimeElapsed(elapsedSecondsAt(currentAuction));
       }
 
       setTimeRemaining(remaining);
@@ -176,17 +182,11 @@ function AuctionMonitor({ auction: initialAuction }) {
   useEffect(() => {
     if (!window.rtdb || !currentAuction?.id) return;
 
-    const presenceRef = rtdbRef(window.rtdb, `presence/${currentAuction.id}/live`);
+    const presenceRef = rtdbRef(window.rtdb, auctionPresencePath(currentAuction.id));
 
+    // Entries that missed their heartbeats are waiting to be expired; skip them
     const unsubscribe = onValue(presenceRef, (snapshot) => {
-      const users = [];
-      snapshot.forEach((childSnapshot) => {
-        users.push({
-          userId: childSnapshot.key,
-          ...childSnapshot.val()
-        });
-      });
-      setConnectedUsers(users);
+      setConnectedUsers(activeEntries(snapshot.val(), Date.now()));
     });
 
     return () => off(presenceRef, 'value', unsubscribe);
@@ -245,6 +245,9 @@ function AuctionMonitor({ auction: initialAuction }) {
           </div>
           <div class="metric-card__detail">
             Floor: ${formatPrice(currentAuction.floorPrice)}
+            ${reserve?.reservePrice && html`
+              • Reserve: ${formatPrice(reserve.reservePrice)} (${reserve.reservePolicy === 'hold' ? 'hold' : 'end'}${currentAuction.heldPrice ? ', holding' : ''})
+            `}
           </div>
         </div>
 
@@ -274,10 +277,10 @@ function AuctionMonitor({ auction: initialAuction }) {
         <div class="metric-card">
           <div class="metric-card__label">👁 Viewers</div>
           <div class="metric-card__value">
-            ${currentAuction.viewerCount || 0}
+            ${counters.viewerCount}
           </div>
           <div class="metric-card__detail">
-            ${connectedUsers.length} connected
+            ${counters.viewersByContext.live} live · ${counters.viewersByContext.waiting} waiting
           </div>
         </div>
 
@@ -285,7 +288,7 @@ function AuctionMonitor({ auction: initialAuction }) {
         <div class="metric-card">
           <div class="metric-card__label">🛡 Open Shields</div>
           <div class="metric-card__value">
-            ${currentAuction.openShieldCount || 0}
+            ${counters.openShieldCount}
           </div>
           <div class="metric-card__detail">
             Active now
@@ -300,7 +303,7 @@ function AuctionMonitor({ auction: initialAuction }) {
           </div>
           <div class="metric-card__detail">
             ${currentAuction.pricingConfig?.formula ||
-              `Decay: ${currentAuction.pricingConfig?.decayRate || 'N/A'}`}
+              `Decay: ${currentAuction.pricingConfig?.baseDecay || 'N/A'}`}
           </div>
         </div>
       </div>
@@ -324,6 +327,12 @@ function AuctionMonitor({ auction: initialAuction }) {
           `}
         </div>
 
+        <!-- Audience -->
+        <div class="dashboard-section">
+          <h3 class="dashboard-section__title">Audience</h3>
+          <${AudienceStats} auction=${currentAuction} history=${priceHistory} />
+        </div>
+
         <!-- Connected Users -->
         <div class="dashboard-section">
           <h3 class="dashboard-section__title">Connected Users</h3>
@@ -366,7 +375,12 @@ function AuctionMonitor({ auction: initialAuction }) {
                     </span>
                   </div>
                   <div class="log-entry__body">
-                    <div class="log-entry__reason">${entry.reason || 'Price adjustment'}</div>
+                    <div class="log-entry__reason">
+                      ${entry.reason || 'Price adjustment'}
+                      ${entry.elapsedSeconds !== undefined && html`
+                        <small> (t=${entry.elapsedSeconds}s, 👁 ${entry.viewerCount || 0}, 🛡 ${entry.openShieldCount || 0})</small>
+                      `}
+                    </div>
                     <div class="log-entry__price">
                       ${formatPrice(entry.priceBefore || 0)} → ${formatPrice(entry.priceAfter || 0)}
                     </div>
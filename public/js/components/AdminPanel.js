@@ -7,22 +7,28 @@ import { AuctionForm } from './AuctionForm.js';
 import { AuctionManagement } from './AuctionManagement.js';
 import { AdminDashboard } from './AdminDashboard.js';
 import { UserManagement } from './UserManagement.js';
+import { AllowanceSettings } from './AllowanceSettings.js';
+import { AUCTION_MANAGER_ROLES, ROLE_LABELS } from '../utils/roles.js';
 
 const { useState } = React;
 
 /**
  * Admin panel component
+ * Tabs depend on the staff role: support gets a read-only view.
+ * @param {Object} props - Component props
+ * @param {string} props.role - Staff role ('admin', 'operator' or 'support')
  * @returns {JSX.Element} Admin panel
  */
-export function AdminPanel() {
+export function AdminPanel({ role = 'support' }) {
   const [activeTab, setActiveTab] = useState('monitor');
+  const canManageAuctions = AUCTION_MANAGER_ROLES.includes(role);
 
   return html`
     <div class="admin-panel">
       <div class="admin-panel__header">
         <h1 class="admin-panel__title">Admin Panel</h1>
         <p class="admin-panel__subtitle">
-          Manage auctions, view analytics, and configure settings
+          Manage auctions, view analytics, and configure settings • Signed in as ${ROLE_LABELS[role]}
         </p>
       </div>
 
@@ -34,24 +40,34 @@ export function AdminPanel() {
         >
           📊 Monitor
         </button>
-        <button
-          class="admin-tab ${activeTab === 'manage' ? 'admin-tab--active' : ''}"
-          onClick=${() => setActiveTab('manage')}
-        >
-          📋 Manage
-        </button>
-        <button
-          class="admin-tab ${activeTab === 'create' ? 'admin-tab--active' : ''}"
-          onClick=${() => setActiveTab('create')}
-        >
-          ➕ Create
-        </button>
+        ${canManageAuctions && html`
+          <button
+            class="admin-tab ${activeTab === 'manage' ? 'admin-tab--active' : ''}"
+            onClick=${() => setActiveTab('manage')}
+          >
+            📋 Manage
+          </button>
+          <button
+            class="admin-tab ${activeTab === 'create' ? 'admin-tab--active' : ''}"
+            onClick=${() => setActiveTab('create')}
+          >
+            ➕ Create
+          </button>
+        `}
         <button
           class="admin-tab ${activeTab === 'users' ? 'admin-tab--active' : ''}"
           onClick=${() => setActiveTab('users')}
         >
           👥 Users
         </button>
+        ${role === 'admin' && html`
+          <button
+            class="admin-tab ${activeTab === 'settings' ? 'admin-tab--active' : ''}"
+            onClick=${() => setActiveTab('settings')}
+          >
+            ⚙️ Settings
+          </button>
+        `}
       </div>
 
       <!-- Tab Content -->
@@ -60,16 +76,20 @@ export function AdminPanel() {
           <${AdminDashboard} />
         `}
 
-        ${activeTab === 'manage' && html`
-          <${AuctionManagement} />
+        ${canManageAuctions && activeTab === 'manage' && html`
+          <${AuctionManagement} role=${role} />
         `}
 
-        ${activeTab === 'create' && html`
+        ${canManageAuctions && activeTab === 'create' && html`
           <${AuctionForm} />
         `}
 
         ${activeTab === 'users' && html`
-          <${UserManagement} />
+          <${UserManagement} role=${role} />
+        `}
+
+        ${role === 'admin' && activeTab === 'settings' && html`
+          <${AllowanceSettings} />
         `}
       </div>
     </div>
@@ -0,0 +1,217 @@
+/**
+ * AllowanceSettings Component
+ * Admin form for the recurring allowance paid by the payAllowance Cloud Function
+ * Settings are stored in system/allowance.
+ */
+
+import {
+  doc,
+  getDoc,
+  setDoc,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+import { formatDateTime, formatPrice, parsePriceToCents } from '../utils/formatters.js';
+
+const { useState, useEffect } = React;
+
+const DEFAULT_PERIOD_DAYS = 7;
+
+/**
+ * Allowance settings form
+ * @returns {JSX.Element} Allowance settings
+ */
+export function AllowanceSettings() {
+  const [loading, setLoading] = useState(true);
+  const [enabled, setEnabled] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [periodDays, setPeriodDays] = useState(String(DEFAULT_PERIOD_DAYS));
+  const [maxBalance, setMaxBalance] = useState('');
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Load the current settings once
+  useEffect(() => {
+    getDoc(doc(window.db, 'system', 'allowance'))
+      .then((snapshot) => {
+        if (snapshot.exists()) {
+          const config = snapshot.data();
+          setEnabled(config.enabled === true);
+          setAmount(config.amount ? (config.amount / 100).toFixed(2) : '');
+          setPeriodDays(String(config.periodDays || DEFAULT_PERIOD_DAYS));
+          setMaxBalance(config.maxBalance ? (config.maxBalance / 100).toFixed(2) : '');
+          setLastUpdated(config.updatedAt || null);
+        }
+      })
+      .catch((err) => {
+        console.error('[AllowanceSettings] Error loading settings:', err);
+        setError('Could not load allowance settings');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const amountCents = parsePriceToCents(amount);
+  const maxBalanceCents = parsePriceToCents(maxBalance);
+  const periodDaysValue = parseInt(periodDays, 10);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    if (!amountCents || amountCents <= 0) {
+      setError('Enter an allowance amount');
+      return;
+    }
+    if (!Number.isInteger(periodDaysValue) || periodDaysValue < 1 || periodDaysValue > 365) {
+      setError('Period must be between 1 and 365 days');
+      return;
+    }
+    if (!maxBalanceCents || maxBalanceCents < amountCents) {
+      setError('Maximum balance must be at least the allowance amount');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await setDoc(doc(window.db, 'system', 'allowance'), {
+        enabled,
+        amount: amountCents,
+        periodDays: periodDaysValue,
+        maxBalance: maxBalanceCents,
+        updatedAt: serverTimestamp(),
+        updatedBy: window.currentUserId || null
+      }, { merge: true });
+
+      console.log('[AllowanceSettings] Saved allowance settings');
+      setSuccess(enabled
+        ? `Allowance on: ${formatPrice(amountCents)} every ${periodDaysValue} day${periodDaysValue === 1 ? '' : 's'}`
+        : 'Allowance off');
+      setLastUpdated(null);
+
+    } catch (err) {
+      console.error('[AllowanceSettings] Error saving settings:', err);
+      setError(`Could not save settings: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading) {
+    return html`
+      <div class="loading">
+        <div class="loading__spinner"></div>
+        <p>Loading settings...</p>
+      </div>
+    `;
+  }
+
+  return html`
+    <div class="auction-form-container">
+      <h2 class="auction-form__title">Settings</h2>
+
+      ${success && html`
+        <div class="alert alert--success">${success}</div>
+      `}
+
+      ${error && html`
+        <div class="alert alert--error">${error}</div>
+      `}
+
+      <form class="auction-form" onSubmit=${handleSubmit}>
+        <div class="form-section">
+          <h3 class="form-section__title">Allowance</h3>
+
+          <p class="form-hint">
+            Every user is paid the allowance once per period, up to the maximum
+            balance. Users already at the maximum are skipped until their balance drops.
+          </p>
+
+          <label class="form-checkbox">
+            <input
+              type="checkbox"
+              checked=${enabled}
+              onChange=${(e) => setEnabled(e.target.checked)}
+            />
+            <span>Pay a recurring allowance</span>
+          </label>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="allowanceAmount">
+                Amount <span class="required">*</span>
+              </label>
+              <div class="form-input-group">
+                <span class="form-input-prefix">$</span>
+                <input
+                  type="number"
+                  id="allowanceAmount"
+                  class="form-input"
+                  value=${amount}
+                  onChange=${(e) => setAmount(e.target.value)}
+                  min="0.01"
+                  step="0.01"
+                />
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="allowancePeriod">
+                Every (days) <span class="required">*</span>
+              </label>
+              <input
+                type="number"
+                id="allowancePeriod"
+                class="form-input"
+                value=${periodDays}
+                onChange=${(e) => setPeriodDays(e.target.value)}
+                min="1"
+                max="365"
+                step="1"
+              />
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="allowanceMaxBalance">
+                Maximum Balance <span class="required">*</span>
+              </label>
+              <div class="form-input-group">
+                <span class="form-input-prefix">$</span>
+                <input
+                  type="number"
+                  id="allowanceMaxBalance"
+                  class="form-input"
+                  value=${maxBalance}
+                  onChange=${(e) => setMaxBalance(e.target.value)}
+                  min="0.01"
+                  step="0.01"
+                />
+              </div>
+              <small class="form-hint">Users below this are topped up to it at most</small>
+            </div>
+          </div>
+
+          ${lastUpdated && html`
+            <small class="form-hint">
+              Last changed ${formatDateTime(lastUpdated)}
+            </small>
+          `}
+        </div>
+
+        <div class="form-actions">
+          <button
+            type="submit"
+            class="btn-primary"
+            disabled=${isSaving}
+          >
+            ${isSaving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+    </div>
+  `;
+}
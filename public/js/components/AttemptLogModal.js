@@ -0,0 +1,168 @@
+/**
+ * AttemptLogModal Component
+ * Staff view of every purchase attempt on an auction, in tie-break order
+ *
+ * Attempts are written by purchaseAuction (see functions/purchaseAttempts.js).
+ * Times are shown to the millisecond, relative to the first attempt, so
+ * near-simultaneous purchases can be compared.
+ */
+
+import {
+  collection,
+  query,
+  orderBy,
+  limit,
+  getDocs,
+  getDoc,
+  doc
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+import { formatPrice, formatDateTime } from '../utils/formatters.js';
+
+const { useState, useEffect } = React;
+const { TIE_BREAK_LABELS, tieBreakConfig } = window.TieBreakRules;
+
+// Attempts loaded per auction
+const MAX_ATTEMPTS = 500;
+
+/**
+ * Attempt log modal
+ * @param {Object} props - Component props
+ * @param {Object} props.auction - Auction data (with id)
+ * @param {Function} props.onClose - Close callback
+ * @returns {JSX.Element} Attempt log modal
+ */
+export function AttemptLogModal({ auction, onClose }) {
+  const [attempts, setAttempts] = useState([]);
+  const [bidderEmails, setBidderEmails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const tieBreak = tieBreakConfig(auction);
+
+  // Load the attempts in the order they were settled
+  useEffect(() => {
+    if (!window.db || !auction) return;
+
+    const loadAttempts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const snapshot = await getDocs(query(
+          collection(window.db, 'auctions', auction.id, 'attempts'),
+          orderBy('effectiveAt', 'asc'),
+          limit(MAX_ATTEMPTS)
+        ));
+        const loaded = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setAttempts(loaded);
+
+        const bidderIds = [...new Set(loaded.map(attempt => attempt.userId))];
+        const userDocs = await Promise.all(bidderIds.map(uid => getDoc(doc(window.db, 'users', uid))));
+        setBidderEmails(Object.fromEntries(userDocs
+          .filter(userDoc => userDoc.exists())
+          .map(userDoc => [userDoc.id, userDoc.data().email])));
+
+      } catch (err) {
+        console.error('[AttemptLogModal] Error loading attempts:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAttempts();
+  }, [auction?.id]);
+
+  const firstAt = attempts.length > 0 ? Math.min(...attempts.map(attempt => attempt.receivedAt)) : 0;
+
+  return html`
+    <div class="modal-overlay" onClick=${onClose}>
+      <div class="modal modal--large" onClick=${(e) => e.stopPropagation()}>
+        <div class="modal__header">
+          <h2 class="modal__title">
+            <span class="modal__icon">⏱️</span>
+            Purchase Attempts: ${auction.itemName}
+          </h2>
+          <button
+            class="modal__close"
+            onClick=${onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div class="modal__body">
+          <p class="attempt-log__rule">
+            Tie-break: <strong>${TIE_BREAK_LABELS[tieBreak.rule]}</strong>
+            ${tieBreak.rule === 'client-time' && ` (click times trusted up to ${tieBreak.trustMs}ms before arrival)`}
+          </p>
+
+          ${loading ? html`
+            <div class="loading">Loading attempts...</div>
+          ` : error ? html`
+            <div class="alert alert--error">Failed to load attempts: ${error}</div>
+          ` : attempts.length === 0 ? html`
+            <p>No purchase attempts recorded for this auction.</p>
+          ` : html`
+            <table class="user-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Bidder</th>
+                  <th>Received</th>
+                  <th>Click vs. arrival</th>
+                  <th>Ordered at</th>
+                  <th>Price</th>
+                  <th>Outcome</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${attempts.map((attempt, index) => html`
+                  <tr key=${attempt.id}>
+                    <td>${index + 1}</td>
+                    <td>${bidderEmails[attempt.userId] || attempt.userId}</td>
+                    <td title=${formatDateTime(attempt.receivedAt, 'time')}>
+                      +${attempt.receivedAt - firstAt}ms
+                    </td>
+                    <td>
+                      ${typeof attempt.clientTimestamp === 'number'
+                        ? `${attempt.clientTimestamp - attempt.receivedAt}ms`
+                        : 'Not sent'}
+                    </td>
+                    <td>
+                      +${attempt.effectiveAt - firstAt}ms
+                      <small class="attempt-log__detail">
+                        ${attempt.clientTrusted ? 'click time' : 'arrival'}
+                      </small>
+                    </td>
+                    <td>${typeof attempt.computedPrice === 'number' ? formatPrice(attempt.computedPrice) : '—'}</td>
+                    <td>
+                      <span class="attempt-log__outcome attempt-log__outcome--${attempt.outcome}">
+                        ${attempt.outcome}
+                      </span>
+                      ${attempt.reason && html`<small class="attempt-log__detail">${attempt.reason}</small>`}
+                      ${attempt.queueWaitMs > 0 && html`
+                        <small class="attempt-log__detail">Waited ${attempt.queueWaitMs}ms</small>
+                      `}
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+            ${attempts.length === MAX_ATTEMPTS && html`
+              <p class="attempt-log__detail">Showing the first ${MAX_ATTEMPTS} attempts.</p>
+            `}
+          `}
+        </div>
+
+        <div class="modal__footer">
+          <button class="btn-secondary" onClick=${onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+}
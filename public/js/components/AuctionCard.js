@@ -3,8 +3,9 @@
  * Displays auction information in a card format
  */
 
-import { formatPrice, formatDateTime, formatCountdown } from '../utils/formatters.js';
-import { getTimeRemaining, getTimeUntilStart, isAuctionEndingSoon } from '../hooks/useAuctions.js';
+import { formatPrice, formatDateTime, formatCountdown, formatDuration } from '../utils/formatters.js';
+import { getTimeRemaining, getTimeUntilStart, getUnitsRemaining, isAuctionEndingSoon } from '../hooks/useAuctions.js';
+import { useAuctionCounters } from '../hooks/useAuctionCounters.js';
 
 const { useState, useEffect } = React;
 
@@ -18,13 +19,14 @@ const { useState, useEffect } = React;
 export function AuctionCard({ auction, onClick }) {
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [timeUntilStart, setTimeUntilStart] = useState(0);
+  const { viewerCount, openShieldCount } = useAuctionCounters(auction?.status === 'live' ? auction.id : null);
 
   // Update countdown timers every second
   useEffect(() => {
     if (!auction) return;
 
     const updateTimers = () => {
-      if (auction.status === 'live') {
+      if (auction.status === 'live' || auction.status === 'paused') {
         setTimeRemaining(getTimeRemaining(auction));
       } else if (auction.status === 'scheduled') {
         setTimeUntilStart(getTimeUntilStart(auction));
@@ -52,16 +54,17 @@ export function AuctionCard({ auction, onClick }) {
     startingPrice,
     floorPrice,
     status,
-    viewerCount,
-    openShieldCount,
     startTime,
     createdAt
   } = auction;
 
   const isLive = status === 'live';
+  const isPaused = status === 'paused';
   const isScheduled = status === 'scheduled';
   const isEnded = status && status.startsWith('ended');
   const endingSoon = isAuctionEndingSoon(auction);
+  const lotSize = auction.quantity || 1;
+  const unitsRemaining = getUnitsRemaining(auction);
 
   // Determine which image to show (thumbnail or fallback)
   const thumbnailUrl = images?.thumbnails?.[0] || images?.full?.[0] || 'https://via.placeholder.com/200x200?text=No+Image';
@@ -95,7 +98,7 @@ export function AuctionCard({ auction, onClick }) {
     >
       <!-- Status Badge -->
       <div class="auction-card__badge auction-card__badge--${status}">
-        ${isLive ? 'LIVE' : isScheduled ? 'UPCOMING' : 'ENDED'}
+        ${isLive ? 'LIVE' : isPaused ? 'PAUSED' : isScheduled ? 'UPCOMING' : 'ENDED'}
       </div>
 
       <!-- Image -->
@@ -110,10 +113,10 @@ export function AuctionCard({ auction, onClick }) {
 
         <!-- Price -->
         <div class="auction-card__price">
-          ${isLive || isEnded
+          ${isLive || isPaused || isEnded
             ? html`
               <span class="auction-card__current-price">${formatPrice(currentPrice)}</span>
-              ${isLive && html`
+              ${(isLive || isPaused) && html`
                 <span class="auction-card__price-range">
                   ${formatPrice(floorPrice)} - ${formatPrice(startingPrice)}
                 </span>
@@ -127,6 +130,17 @@ export function AuctionCard({ auction, onClick }) {
           }
         </div>
 
+        <!-- Units (multi-unit lots) -->
+        ${lotSize > 1 && html`
+          <div class="auction-card__units">
+            ${isEnded
+              ? `${auction.unitsSold || 0} of ${lotSize} units sold`
+              : isLive || isPaused
+                ? `${unitsRemaining} of ${lotSize} units left`
+                : `${lotSize} units available`}
+          </div>
+        `}
+
         <!-- Metadata -->
         <div class="auction-card__metadata">
           ${isLive && html`
@@ -136,6 +150,13 @@ export function AuctionCard({ auction, onClick }) {
             </div>
           `}
 
+          ${isPaused && html`
+            <div class="auction-card__timer">
+              <span class="icon">⏸</span>
+              <span>Paused • ${formatDuration(timeRemaining)} left</span>
+            </div>
+          `}
+
           ${isScheduled && html`
             <div class="auction-card__timer">
               <span class="icon">📅</span>
@@ -152,19 +173,23 @@ export function AuctionCard({ auction, onClick }) {
             <div class="auction-card__ended">
               <span class="icon">✓</span>
               <span>
-                ${status === 'ended - sold' ? 'Sold' : status === 'ended - no winner' ? 'No Winner' : 'Stopped'}
+                ${status === 'ended - sold'
+                  ? (lotSize > 1 && unitsRemaining === 0 ? 'Sold Out' : 'Sold')
+                  : status === 'ended - no winner'
+                    ? (auction.endReason === 'reserve not met' ? 'Reserve Not Met' : 'No Winner')
+                    : 'Stopped'}
               </span>
             </div>
           `}
 
-          ${isLive && viewerCount !== undefined && html`
+          ${isLive && html`
             <div class="auction-card__viewers">
               <span class="icon">👁</span>
               <span>${viewerCount} ${viewerCount === 1 ? 'viewer' : 'viewers'}</span>
             </div>
           `}
 
-          ${isLive && openShieldCount !== undefined && openShieldCount > 0 && html`
+          ${isLive && openShieldCount > 0 && html`
             <div class="auction-card__shields">
               <span class="icon">🛡</span>
               <span>${openShieldCount} ${openShieldCount === 1 ? 'shield' : 'shields'}</span>
@@ -175,6 +200,7 @@ export function AuctionCard({ auction, onClick }) {
         <!-- CTA Button -->
         <div class="auction-card__cta">
           ${isLive && html`<span class="btn-primary">Join Auction</span>`}
+          ${isPaused && html`<span class="btn-secondary">View Auction</span>`}
           ${isScheduled && html`<span class="btn-secondary">View Details</span>`}
           ${isEnded && html`<span class="btn-secondary">View Results</span>`}
         </div>
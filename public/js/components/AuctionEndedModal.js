@@ -4,6 +4,7 @@
  */
 
 import { formatPrice } from '../utils/formatters.js';
+import { FillsList } from './FillsList.js';
 
 const { useEffect } = React;
 
@@ -14,7 +15,12 @@ const { useEffect } = React;
  * @param {Function} props.onClose - Close callback
  * @param {string} props.itemName - Item name
  * @param {number} props.finalPrice - Final auction price
- * @param {string} props.winnerName - Winner's display name (if not current user)
+ * @param {string} props.winnerName - Winner's public name or bidder number (null if they hide it)
+ * @param {number} props.quantity - Lot size (multi-unit lots only)
+ * @param {number} props.unitsSold - Units sold (multi-unit lots only)
+ * @param {number} props.clearingPrice - Uniform settlement price, once settled (multi-unit lots only)
+ * @param {Array} props.fills - Sales to list (multi-unit lots only)
+ * @param {Array} props.myFills - The current user's own fills
  * @returns {JSX.Element} Auction ended modal
  */
 export function AuctionEndedModal({
@@ -22,7 +28,12 @@ export function AuctionEndedModal({
   onClose,
   itemName,
   finalPrice,
-  winnerName = null
+  winnerName = null,
+  quantity = 1,
+  unitsSold = 0,
+  clearingPrice = null,
+  fills = [],
+  myFills = []
 }) {
   // Handle ESC key
   useEffect(() => {
@@ -59,7 +70,33 @@ export function AuctionEndedModal({
 
         <div class="modal__body">
           <div class="ended-message">
-            ${winnerName ? html`
+            ${quantity > 1 ? html`
+              <p class="ended-message__primary">
+                ${unitsSold >= quantity
+                  ? html`All <strong>${quantity}</strong> units of <strong>${itemName}</strong> have sold.`
+                  : html`<strong>${unitsSold}</strong> of <strong>${quantity}</strong> units of <strong>${itemName}</strong> sold.`}
+              </p>
+
+              <div class="auction-final-details">
+                <div class="auction-final-detail">
+                  <span class="auction-final-detail__label">Last Unit Price</span>
+                  <span class="auction-final-detail__value">
+                    ${formatPrice(finalPrice)}
+                  </span>
+                </div>
+
+                ${clearingPrice && html`
+                  <div class="auction-final-detail">
+                    <span class="auction-final-detail__label">Clearing Price (everyone pays)</span>
+                    <span class="auction-final-detail__value">
+                      ${formatPrice(clearingPrice)}
+                    </span>
+                  </div>
+                `}
+              </div>
+
+              <${FillsList} fills=${fills} myFills=${myFills} />
+            ` : winnerName ? html`
               <p class="ended-message__primary">
                 <strong>${winnerName}</strong> won the auction for <strong>${itemName}</strong>
               </p>
@@ -6,7 +6,11 @@
 import {
   collection,
   addDoc,
-  serverTimestamp
+  doc,
+  setDoc,
+  updateDoc,
+  serverTimestamp,
+  Timestamp
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
 
 import {
@@ -16,8 +20,13 @@ import {
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-storage.js';
 
 import { formatPrice, parsePriceToCents } from '../utils/formatters.js';
+import { KeyframeEditor } from './KeyframeEditor.js';
+import { PriceGraph } from './PriceGraph.js';
 
 const { useState } = React;
+const { validateKeyframes } = window.PricingEngine;
+const { SHIELD_DEFAULTS, validateShieldConfig } = window.ShieldRules;
+const { TIE_BREAK_DEFAULTS, TRUST_MS_LIMITS, validateTieBreak } = window.TieBreakRules;
 
 /**
  * Resize image using Canvas API
@@ -82,15 +91,30 @@ export function AuctionForm() {
   const [startingPrice, setStartingPrice] = useState('');
   const [floorPrice, setFloorPrice] = useState('');
   const [duration, setDuration] = useState('30');
+  const [plannedStart, setPlannedStart] = useState(''); // datetime-local string, '' = start manually
+  const [quantity, setQuantity] = useState('1');
+  const [perUserLimit, setPerUserLimit] = useState('');
+  const [settlement, setSettlement] = useState('pay-as-bid');
+  const [reservePrice, setReservePrice] = useState('');
+  const [reservePolicy, setReservePolicy] = useState('end');
+  const [holdMode, setHoldMode] = useState(''); // '' = no hold, 'price' or 'fixed'
+  const [holdAmount, setHoldAmount] = useState('');
+  const [shieldDuration, setShieldDuration] = useState(String(SHIELD_DEFAULTS.durationSeconds));
+  const [shieldCooldown, setShieldCooldown] = useState(String(SHIELD_DEFAULTS.cooldownSeconds));
+  const [cooldownEscalation, setCooldownEscalation] = useState(String(SHIELD_DEFAULTS.cooldownEscalation));
+  const [maxShieldOpens, setMaxShieldOpens] = useState(''); // '' = unlimited
+  const [shieldCost, setShieldCost] = useState(''); // dollars, '' = free
+  const [tieBreakRule, setTieBreakRule] = useState(TIE_BREAK_DEFAULTS.rule);
+  const [trustMs, setTrustMs] = useState(String(TIE_BREAK_DEFAULTS.trustMs));
   const [pricingMode, setPricingMode] = useState('transparent');
   const [formula, setFormula] = useState('linear');
   const [images, setImages] = useState([]);
   const [imagePreviewUrls, setImagePreviewUrls] = useState([]);
 
-  // Algorithm parameters (for algorithmic mode)
-  const [decayRate, setDecayRate] = useState(0.1);
-  const [viewerMultiplier, setViewerMultiplier] = useState(0.05);
-  const [shieldInfluence, setShieldInfluence] = useState(0.02);
+  // Algorithm parameters (for algorithmic mode) - per-second rates, see pricingEngine.js
+  const [baseDecay, setBaseDecay] = useState(0.001);
+  const [viewerInfluence, setViewerInfluence] = useState(0.002);
+  const [shieldInfluence, setShieldInfluence] = useState(0.003);
 
   // Exponential decay steepness (0 = gentle, 100 = aggressive)
   const [expSteepness, setExpSteepness] = useState(50);
@@ -101,6 +125,9 @@ export function AuctionForm() {
   const [stepAmount, setStepAmount] = useState(null); // null = auto-calculate
   const [useManualSteps, setUseManualSteps] = useState(false);
 
+  // Keyframe curve parameters ({ at: %, price: dollars, easing } as strings)
+  const [keyframes, setKeyframes] = useState([]);
+
   // UI state
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -150,48 +177,64 @@ export function AuctionForm() {
     return -Math.log(priceRatio) / adjustedDuration;
   };
 
-  // Calculate preview points for the decay graph
-  const generatePreviewPoints = () => {
-    try {
-      const startPriceCents = parsePriceToCents(startingPrice);
-      const floorPriceCents = parsePriceToCents(floorPrice);
-      const durationSeconds = durationMinutes * 60;
+  // Convert editor keyframes to stored form (at as number, price in cents)
+  const parseKeyframes = () => keyframes.map(k => ({
+    at: parseFloat(k.at),
+    price: parsePriceToCents(k.price),
+    easing: k.easing
+  }));
+
+  // Build the transparent-mode pricingConfig (used by both the preview and submit)
+  const buildTransparentConfig = (startPriceCents, floorPriceCents, durationSeconds) => {
+    const config = { formula };
+
+    // Calculate proper decay rates for exponential/stepped formulas
+    if (formula === 'exponential') {
+      // Use steepness slider to calculate decay rate
+      config.decayRate = calculateExpDecayRate(expSteepness, startPriceCents, floorPriceCents, durationSeconds);
+      config.steepness = expSteepness; // Store for reference
+    } else if (formula === 'stepped') {
+      // Use user-configured step parameters
+      const actualStepCount = effectiveStepCount;
+      config.stepCount = actualStepCount;
+      config.stepInterval = useManualSteps && stepInterval ? stepInterval : Math.floor(durationSeconds / actualStepCount);
+      config.stepAmount = useManualSteps && stepAmount ? parsePriceToCents(stepAmount) : Math.floor((startPriceCents - floorPriceCents) / actualStepCount);
+    } else if (formula === 'keyframes') {
+      config.keyframes = parseKeyframes();
+    }
 
-      // Return empty array if prices aren't valid
-      if (!startPriceCents || !floorPriceCents || startPriceCents <= floorPriceCents) {
-        return [];
-      }
+    return config;
+  };
 
-      const points = [];
-      const numPoints = 50;
-
-      for (let i = 0; i <= numPoints; i++) {
-        const progress = i / numPoints;
-        const elapsedSeconds = Math.floor(durationSeconds * progress);
-        let price;
-
-        if (formula === 'linear') {
-          const linearRate = (startPriceCents - floorPriceCents) / durationSeconds;
-          price = startPriceCents - (linearRate * elapsedSeconds);
-        } else if (formula === 'exponential') {
-          const expRate = calculateExpDecayRate(expSteepness, startPriceCents, floorPriceCents, durationSeconds);
-          price = startPriceCents * Math.exp(-expRate * elapsedSeconds);
-        } else if (formula === 'stepped') {
-          const actualStepCount = effectiveStepCount;
-          const actualStepInterval = useManualSteps && stepInterval ? stepInterval : Math.floor(durationSeconds / actualStepCount);
-          const actualStepAmount = useManualSteps && stepAmount ? parsePriceToCents(stepAmount) : Math.floor((startPriceCents - floorPriceCents) / actualStepCount);
-          const numSteps = Math.floor(elapsedSeconds / actualStepInterval);
-          price = startPriceCents - (actualStepAmount * numSteps);
-        }
+  // Draft auction for the live preview graph (null until prices are valid)
+  const buildPreviewAuction = () => {
+    const startPriceCents = parsePriceToCents(startingPrice);
+    const floorPriceCents = parsePriceToCents(floorPrice);
+    const durationSeconds = durationMinutes * 60;
 
-        price = Math.max(floorPriceCents, Math.round(price || 0));
-        points.push({ x: progress * 100, y: price / 100 });
-      }
+    if (!startPriceCents || !floorPriceCents || startPriceCents <= floorPriceCents) {
+      return null;
+    }
 
-      return points;
-    } catch (err) {
-      console.warn('[AuctionForm] Error in generatePreviewPoints:', err);
-      return [];
+    return {
+      startingPrice: startPriceCents,
+      floorPrice: floorPriceCents,
+      duration: durationSeconds,
+      pricingMode: 'transparent',
+      pricingConfig: buildTransparentConfig(startPriceCents, floorPriceCents, durationSeconds),
+      startTime: Date.now()
+    };
+  };
+
+  // Switch formula, seeding a straight start-to-floor curve the first time keyframes are picked
+  const handleFormulaChange = (value) => {
+    setFormula(value);
+
+    if (value === 'keyframes' && keyframes.length === 0) {
+      setKeyframes([
+        { at: '0', price: startingPrice, easing: 'linear' },
+        { at: '100', price: floorPrice, easing: 'linear' }
+      ]);
     }
   };
 
@@ -283,6 +326,21 @@ export function AuctionForm() {
     setImagePreviewUrls(newPreviewUrls);
   };
 
+  // Shield rules from the form (validated with the shared shieldRules.js)
+  const buildShieldConfig = () => ({
+    durationSeconds: Number(shieldDuration),
+    cooldownSeconds: Number(shieldCooldown),
+    cooldownEscalation: Number(cooldownEscalation),
+    maxOpens: maxShieldOpens === '' ? null : Number(maxShieldOpens),
+    costPerOpen: shieldCost === '' ? 0 : parsePriceToCents(shieldCost)
+  });
+
+  // Purchase tie-break from the form (validated with the shared tieBreakRules.js)
+  const buildTieBreak = () => ({
+    rule: tieBreakRule,
+    trustMs: Number(trustMs)
+  });
+
   // T109: Validate form
   const validateForm = () => {
     const errors = {};
@@ -319,11 +377,48 @@ export function AuctionForm() {
       errors.floorPrice = 'Floor price must be at least $1.00';
     }
 
+    if (reservePrice) {
+      const reserve = parseFloat(reservePrice);
+      if (!(reserve > floor) || reserve > startPrice) {
+        errors.reservePrice = 'Reserve must be above the floor price and at most the starting price';
+      }
+    }
+
+    if (holdMode === 'fixed' && !(parseFloat(holdAmount) >= 1)) {
+      errors.holdAmount = 'Hold amount must be at least $1.00';
+    }
+
+    const shieldErrors = validateShieldConfig(buildShieldConfig());
+    if (shieldErrors.length > 0) {
+      errors.shieldConfig = shieldErrors.join('; ');
+    }
+
+    const tieBreakErrors = validateTieBreak(buildTieBreak());
+    if (tieBreakErrors.length > 0) {
+      errors.tieBreak = tieBreakErrors.join('; ');
+    }
+
+    const quantityNum = parseInt(quantity);
+    if (!quantity || !Number.isInteger(Number(quantity)) || quantityNum < 1 || quantityNum > 1000) {
+      errors.quantity = 'Quantity must be a whole number between 1 and 1000';
+    }
+
+    if (perUserLimit) {
+      const limitNum = parseInt(perUserLimit);
+      if (!Number.isInteger(Number(perUserLimit)) || limitNum < 1 || limitNum > quantityNum) {
+        errors.perUserLimit = 'Per-user limit must be between 1 and the quantity';
+      }
+    }
+
     const durationNum = parseInt(duration);
     if (!duration || durationNum < 1 || durationNum > 120) {
       errors.duration = 'Duration must be between 1 and 120 minutes';
     }
 
+    if (plannedStart && !(new Date(plannedStart).getTime() > Date.now())) {
+      errors.plannedStart = 'Planned start must be in the future';
+    }
+
     if (images.length === 0) {
       errors.images = 'At least 1 image is required';
     }
@@ -332,6 +427,17 @@ export function AuctionForm() {
       errors.images = 'Maximum 5 images allowed';
     }
 
+    if (pricingMode === 'transparent' && formula === 'keyframes') {
+      const keyframeErrors = validateKeyframes(
+        parseKeyframes(),
+        { startingPrice: parsePriceToCents(startingPrice), floorPrice: parsePriceToCents(floorPrice) }
+      );
+
+      if (keyframeErrors.length > 0) {
+        errors.keyframes = keyframeErrors.join('. ');
+      }
+    }
+
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -409,32 +515,42 @@ export function AuctionForm() {
         createdBy: window.currentUserId
       };
 
-      // Add pricing configuration
-      if (pricingMode === 'transparent') {
-        auctionData.pricingConfig = {
-          formula
-        };
+      // Planned start: autoStartAuctions flips the auction to live at this time
+      if (plannedStart) {
+        auctionData.startTime = Timestamp.fromDate(new Date(plannedStart));
+      }
 
-        // Calculate proper decay rates for exponential/stepped formulas
-        if (formula === 'exponential') {
-          // Use steepness slider to calculate decay rate
-          const expDecayRate = calculateExpDecayRate(expSteepness, startingPriceCents, floorPriceCents, durationSeconds);
-          auctionData.pricingConfig.decayRate = expDecayRate;
-          auctionData.pricingConfig.steepness = expSteepness; // Store for reference
-        } else if (formula === 'stepped') {
-          // Use user-configured step parameters
-          const actualStepCount = effectiveStepCount;
-          const actualStepInterval = useManualSteps && stepInterval ? stepInterval : Math.floor(durationSeconds / actualStepCount);
-          const actualStepAmount = useManualSteps && stepAmount ? parsePriceToCents(stepAmount) : Math.floor((startingPriceCents - floorPriceCents) / actualStepCount);
-
-          auctionData.pricingConfig.stepCount = actualStepCount;
-          auctionData.pricingConfig.stepInterval = actualStepInterval;
-          auctionData.pricingConfig.stepAmount = actualStepAmount;
+      // Funds hold: opening a shield moves this much into escrow (shieldHolds.js)
+      if (holdMode) {
+        auctionData.holdMode = holdMode;
+        if (holdMode === 'fixed') {
+          auctionData.holdAmount = parsePriceToCents(holdAmount);
         }
+      }
+
+      // Shield rules: enforced by openShield (shieldControl.js)
+      auctionData.shieldConfig = buildShieldConfig();
+
+      // Purchase tie-break: the order purchaseAuction settles racing purchases in
+      auctionData.tieBreak = buildTieBreak();
+
+      // Multi-unit lot: each purchase takes units at the current price until sold out
+      const quantityNum = parseInt(quantity);
+      if (quantityNum > 1) {
+        auctionData.quantity = quantityNum;
+        auctionData.unitsRemaining = quantityNum;
+        auctionData.unitsSold = 0;
+        auctionData.perUserLimit = perUserLimit ? parseInt(perUserLimit) : null;
+        auctionData.settlement = settlement;
+      }
+
+      // Add pricing configuration
+      if (pricingMode === 'transparent') {
+        auctionData.pricingConfig = buildTransparentConfig(startingPriceCents, floorPriceCents, durationSeconds);
       } else {
         auctionData.pricingConfig = {
-          decayRate: parseFloat(decayRate),
-          viewerMultiplier: parseFloat(viewerMultiplier),
+          baseDecay: parseFloat(baseDecay),
+          viewerInfluence: parseFloat(viewerInfluence),
           shieldInfluence: parseFloat(shieldInfluence)
         };
       }
@@ -444,12 +560,20 @@ export function AuctionForm() {
       const docRef = await addDoc(collection(window.db, 'auctions'), auctionData);
       console.log('[AuctionForm] Auction document created:', docRef.id);
 
+      // Hidden reserve goes in the admin-only private subcollection, never on the auction itself
+      if (reservePrice) {
+        await setDoc(doc(window.db, 'auctions', docRef.id, 'private', 'reserve'), {
+          reservePrice: parsePriceToCents(reservePrice),
+          reservePolicy,
+          createdAt: serverTimestamp()
+        });
+      }
+
       // T107: Upload images
       console.log('[AuctionForm] Uploading images...');
       const uploadedImages = await uploadImages(docRef.id);
 
       // Update auction with image URLs
-      const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js');
       await updateDoc(doc(window.db, 'auctions', docRef.id), {
         images: uploadedImages
       });
@@ -465,6 +589,21 @@ export function AuctionForm() {
       setStartingPrice('');
       setFloorPrice('');
       setDuration('30');
+      setPlannedStart('');
+      setQuantity('1');
+      setPerUserLimit('');
+      setSettlement('pay-as-bid');
+      setReservePrice('');
+      setReservePolicy('end');
+      setHoldMode('');
+      setHoldAmount('');
+      setShieldDuration(String(SHIELD_DEFAULTS.durationSeconds));
+      setShieldCooldown(String(SHIELD_DEFAULTS.cooldownSeconds));
+      setCooldownEscalation(String(SHIELD_DEFAULTS.cooldownEscalation));
+      setMaxShieldOpens('');
+      setShieldCost('');
+      setTieBreakRule(TIE_BREAK_DEFAULTS.rule);
+      setTrustMs(String(TIE_BREAK_DEFAULTS.trustMs));
       setPricingMode('transparent');
       setFormula('linear');
       setExpSteepness(50);
@@ -472,6 +611,7 @@ export function AuctionForm() {
       setStepInterval(null);
       setStepAmount(null);
       setUseManualSteps(false);
+      setKeyframes([]);
       setImages([]);
       setImagePreviewUrls([]);
       setValidationErrors({});
@@ -489,6 +629,8 @@ export function AuctionForm() {
     }
   };
 
+  const previewAuction = pricingMode === 'transparent' ? buildPreviewAuction() : null;
+
   return html`
     <div class="auction-form-container">
       <h2 class="auction-form__title">Create New Auction</h2>
@@ -646,6 +788,102 @@ export function AuctionForm() {
             </div>
           </div>
 
+          <!-- Reserve Price (hidden from bidders) -->
+          <div class="form-row">
+            <div class="form-group ${validationErrors.reservePrice ? 'form-group--error' : ''}">
+              <label class="form-label" for="reservePrice">
+                Reserve Price
+                <span class="form-hint-inline">(optional, hidden from bidders)</span>
+              </label>
+              <div class="form-input-group">
+                <span class="form-input-prefix">$</span>
+                <input
+                  type="number"
+                  id="reservePrice"
+                  class="form-input"
+                  value=${reservePrice}
+                  onChange=${(e) => setReservePrice(e.target.value)}
+                  placeholder="No reserve"
+                  min="1"
+                  step="0.01"
+                />
+              </div>
+              <small class="form-hint">Secret minimum - the item never sells below this</small>
+              ${validationErrors.reservePrice && html`
+                <span class="form-error">${validationErrors.reservePrice}</span>
+              `}
+            </div>
+
+            ${reservePrice && html`
+              <div class="form-group">
+                <label class="form-label" for="reservePolicy">
+                  If Price Reaches Reserve
+                </label>
+                <select
+                  id="reservePolicy"
+                  class="form-select"
+                  value=${reservePolicy}
+                  onChange=${(e) => setReservePolicy(e.target.value)}
+                >
+                  <option value="end">End unsold</option>
+                  <option value="hold">Hold at reserve until time runs out</option>
+                </select>
+                <small class="form-hint">
+                  ${reservePolicy === 'hold'
+                    ? 'Price stops sliding at the reserve (bidders will see it stop)'
+                    : 'Auction ends as soon as the price would drop below the reserve'}
+                </small>
+              </div>
+            `}
+          </div>
+
+          <!-- Funds Hold (escrow while a shield is open) -->
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="holdMode">
+                Funds Hold
+                <span class="form-hint-inline">(optional)</span>
+              </label>
+              <select
+                id="holdMode"
+                class="form-select"
+                value=${holdMode}
+                onChange=${(e) => setHoldMode(e.target.value)}
+              >
+                <option value="">No hold</option>
+                <option value="price">Hold the current price</option>
+                <option value="fixed">Hold a fixed amount</option>
+              </select>
+              <small class="form-hint">
+                Opening a shield sets this aside from the bidder's balance until the shield closes
+              </small>
+            </div>
+
+            ${holdMode === 'fixed' && html`
+              <div class="form-group ${validationErrors.holdAmount ? 'form-group--error' : ''}">
+                <label class="form-label" for="holdAmount">
+                  Hold Amount <span class="required">*</span>
+                </label>
+                <div class="form-input-group">
+                  <span class="form-input-prefix">$</span>
+                  <input
+                    type="number"
+                    id="holdAmount"
+                    class="form-input"
+                    value=${holdAmount}
+                    onChange=${(e) => setHoldAmount(e.target.value)}
+                    placeholder="50.00"
+                    min="1"
+                    step="0.01"
+                  />
+                </div>
+                ${validationErrors.holdAmount && html`
+                  <span class="form-error">${validationErrors.holdAmount}</span>
+                `}
+              </div>
+            `}
+          </div>
+
           <!-- Duration -->
           <div class="form-group ${validationErrors.duration ? 'form-group--error' : ''}">
             <label class="form-label" for="duration">
@@ -669,6 +907,114 @@ export function AuctionForm() {
             `}
           </div>
 
+          <!-- Planned Start -->
+          <div class="form-group ${validationErrors.plannedStart ? 'form-group--error' : ''}">
+            <label class="form-label" for="plannedStart">
+              Planned Start
+            </label>
+            <input
+              type="datetime-local"
+              id="plannedStart"
+              class="form-input"
+              value=${plannedStart}
+              onChange=${(e) => setPlannedStart(e.target.value)}
+            />
+            <small class="form-hint">
+              Optional. The auction goes live automatically at this time (your local time zone). Leave blank to start it manually.
+            </small>
+            ${validationErrors.plannedStart && html`
+              <span class="form-error">${validationErrors.plannedStart}</span>
+            `}
+          </div>
+
+          <!-- Quantity -->
+          <div class="form-row">
+            <div class="form-group ${validationErrors.quantity ? 'form-group--error' : ''}">
+              <label class="form-label" for="quantity">
+                Quantity <span class="required">*</span>
+              </label>
+              <div class="form-input-group">
+                <input
+                  type="number"
+                  id="quantity"
+                  class="form-input"
+                  value=${quantity}
+                  onChange=${(e) => setQuantity(e.target.value)}
+                  min="1"
+                  max="1000"
+                  step="1"
+                />
+                <span class="form-input-suffix">units</span>
+              </div>
+              <small class="form-hint">Identical units sold at the sliding price until sold out</small>
+              ${validationErrors.quantity && html`
+                <span class="form-error">${validationErrors.quantity}</span>
+              `}
+            </div>
+
+            ${parseInt(quantity) > 1 && html`
+              <div class="form-group ${validationErrors.perUserLimit ? 'form-group--error' : ''}">
+                <label class="form-label" for="perUserLimit">
+                  Per-User Limit
+                </label>
+                <div class="form-input-group">
+                  <input
+                    type="number"
+                    id="perUserLimit"
+                    class="form-input"
+                    value=${perUserLimit}
+                    onChange=${(e) => setPerUserLimit(e.target.value)}
+                    placeholder="No limit"
+                    min="1"
+                    max=${quantity}
+                    step="1"
+                  />
+                  <span class="form-input-suffix">units</span>
+                </div>
+                <small class="form-hint">Most units one buyer can take (optional)</small>
+                ${validationErrors.perUserLimit && html`
+                  <span class="form-error">${validationErrors.perUserLimit}</span>
+                `}
+              </div>
+            `}
+          </div>
+
+          <!-- Settlement (multi-unit lots) -->
+          ${parseInt(quantity) > 1 && html`
+            <div class="form-group">
+              <label class="form-label">
+                Settlement
+              </label>
+              <div class="form-radio-group">
+                <label class="form-radio">
+                  <input
+                    type="radio"
+                    name="settlement"
+                    value="pay-as-bid"
+                    checked=${settlement === 'pay-as-bid'}
+                    onChange=${(e) => setSettlement(e.target.value)}
+                  />
+                  <span>Pay as bid (each buyer pays their price)</span>
+                </label>
+                <label class="form-radio">
+                  <input
+                    type="radio"
+                    name="settlement"
+                    value="uniform"
+                    checked=${settlement === 'uniform'}
+                    onChange=${(e) => setSettlement(e.target.value)}
+                  />
+                  <span>Uniform price (everyone pays the lowest winning price)</span>
+                </label>
+              </div>
+              <small class="form-hint">
+                ${settlement === 'uniform'
+                  ? 'Buyers who paid more are refunded the difference when the auction closes'
+                  : 'No refunds - early buyers pay more for certainty'}
+              </small>
+            </div>
+          `}
+
           <!-- Pricing Mode -->
           <div class="form-group">
             <label class="form-label">
@@ -708,16 +1054,18 @@ export function AuctionForm() {
                 id="formula"
                 class="form-select"
                 value=${formula}
-                onChange=${(e) => setFormula(e.target.value)}
+                onChange=${(e) => handleFormulaChange(e.target.value)}
               >
                 <option value="linear">Linear Decay</option>
                 <option value="exponential">Exponential Decay</option>
                 <option value="stepped">Stepped Decay</option>
+                <option value="keyframes">Custom Curve (Keyframes)</option>
               </select>
               <small class="form-hint">
                 ${formula === 'linear' ? 'Price decreases steadily over time' : ''}
                 ${formula === 'exponential' ? 'Price drops quickly at first, then slows' : ''}
                 ${formula === 'stepped' ? 'Price drops in discrete steps' : ''}
+                ${formula === 'keyframes' ? 'Draw your own curve from price points over time' : ''}
               </small>
             </div>
 
@@ -842,8 +1190,33 @@ export function AuctionForm() {
               </div>
             `}
 
-            <!-- Live Preview Graph - temporarily disabled due to React rendering issues -->
-            <!-- TODO: Re-enable preview graph after fixing HTM/React SVG compatibility -->
+            <!-- Keyframes: Curve Editor -->
+            ${formula === 'keyframes' && html`
+              <div class="decay-parameters">
+                <h4 class="decay-parameters__title">Curve Keyframes</h4>
+
+                <${KeyframeEditor}
+                  keyframes=${keyframes}
+                  onChange=${setKeyframes}
+                  error=${validationErrors.keyframes}
+                />
+              </div>
+            `}
+
+            <!-- Live Preview Graph (same engine and graph as the live auction page) -->
+            ${previewAuction && html`
+              <div class="decay-preview">
+                <h4 class="decay-preview__title">Price Preview</h4>
+                <div class="decay-preview__graph">
+                  <${PriceGraph}
+                    auction=${previewAuction}
+                    floorPrice=${previewAuction.floorPrice}
+                    startingPrice=${previewAuction.startingPrice}
+                    preview=${true}
+                  />
+                </div>
+              </div>
+            `}
           `}
 
           <!-- Algorithmic Mode: Parameters -->
@@ -852,56 +1225,207 @@ export function AuctionForm() {
               <h4 class="algorithm-parameters__title">Algorithm Parameters</h4>
 
               <div class="form-group">
-                <label class="form-label" for="decayRate">
-                  Base Decay Rate: ${decayRate}
+                <label class="form-label" for="baseDecay">
+                  Base Decay Rate: ${(baseDecay * 100).toFixed(2)}% per second
                 </label>
                 <input
                   type="range"
-                  id="decayRate"
+                  id="baseDecay"
                   class="form-range"
-                  min="0.01"
-                  max="0.5"
-                  step="0.01"
-                  value=${decayRate}
-                  onChange=${(e) => setDecayRate(e.target.value)}
+                  min="0.0001"
+                  max="0.01"
+                  step="0.0001"
+                  value=${baseDecay}
+                  onChange=${(e) => setBaseDecay(e.target.value)}
                 />
                 <small class="form-hint">How fast price drops naturally</small>
               </div>
 
               <div class="form-group">
-                <label class="form-label" for="viewerMultiplier">
-                  Viewer Multiplier: ${viewerMultiplier}
+                <label class="form-label" for="viewerInfluence">
+                  Viewer Influence: +${(viewerInfluence * 100).toFixed(2)}% per second per 50 viewers
                 </label>
                 <input
                   type="range"
-                  id="viewerMultiplier"
+                  id="viewerInfluence"
                   class="form-range"
                   min="0"
-                  max="0.2"
-                  step="0.01"
-                  value=${viewerMultiplier}
-                  onChange=${(e) => setViewerMultiplier(e.target.value)}
+                  max="0.01"
+                  step="0.0005"
+                  value=${viewerInfluence}
+                  onChange=${(e) => setViewerInfluence(e.target.value)}
                 />
                 <small class="form-hint">Impact of viewer count on price</small>
               </div>
 
               <div class="form-group">
                 <label class="form-label" for="shieldInfluence">
-                  Shield Influence: ${shieldInfluence}
+                  Shield Influence: +${(shieldInfluence * 100).toFixed(2)}% per second per 10 open shields
                 </label>
                 <input
                   type="range"
                   id="shieldInfluence"
                   class="form-range"
                   min="0"
-                  max="0.1"
-                  step="0.01"
+                  max="0.01"
+                  step="0.0005"
                   value=${shieldInfluence}
                   onChange=${(e) => setShieldInfluence(e.target.value)}
                 />
                 <small class="form-hint">Impact of open shields on price</small>
               </div>
+
+              <small class="form-hint">
+                Price is computed from elapsed time and the recorded viewer/shield counts,
+                so every price can be replayed from the algorithm log.
+              </small>
+            </div>
+          `}
+        </div>
+
+        <!-- Shield Rules Section -->
+        <div class="form-section">
+          <h3 class="form-section__title">Shield Rules</h3>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="shieldDuration">Window (seconds)</label>
+              <input
+                type="number"
+                id="shieldDuration"
+                class="form-input"
+                value=${shieldDuration}
+                onChange=${(e) => setShieldDuration(e.target.value)}
+                min="1"
+                max="60"
+                step="1"
+              />
+              <small class="form-hint">How long each shield stays open for a purchase</small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="shieldCooldown">Cooldown (seconds)</label>
+              <input
+                type="number"
+                id="shieldCooldown"
+                class="form-input"
+                value=${shieldCooldown}
+                onChange=${(e) => setShieldCooldown(e.target.value)}
+                min="0"
+                max="300"
+                step="1"
+              />
+              <small class="form-hint">Wait after a shield closes before it can reopen</small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="cooldownEscalation">
+                Escalation (seconds)
+                <span class="form-hint-inline">(optional)</span>
+              </label>
+              <input
+                type="number"
+                id="cooldownEscalation"
+                class="form-input"
+                value=${cooldownEscalation}
+                onChange=${(e) => setCooldownEscalation(e.target.value)}
+                min="0"
+                max="300"
+                step="1"
+              />
+              <small class="form-hint">Added to the cooldown for each earlier open</small>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="maxShieldOpens">
+                Opens per Bidder
+                <span class="form-hint-inline">(optional)</span>
+              </label>
+              <input
+                type="number"
+                id="maxShieldOpens"
+                class="form-input"
+                value=${maxShieldOpens}
+                onChange=${(e) => setMaxShieldOpens(e.target.value)}
+                placeholder="Unlimited"
+                min="1"
+                max="100"
+                step="1"
+              />
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="shieldCost">
+                Cost per Open
+                <span class="form-hint-inline">(optional)</span>
+              </label>
+              <div class="form-input-group">
+                <span class="form-input-prefix">$</span>
+                <input
+                  type="number"
+                  id="shieldCost"
+                  class="form-input"
+                  value=${shieldCost}
+                  onChange=${(e) => setShieldCost(e.target.value)}
+                  placeholder="0.00"
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+              <small class="form-hint">Charged to the bidder each time they open a shield</small>
             </div>
+          </div>
+
+          ${validationErrors.shieldConfig && html`
+            <span class="form-error">${validationErrors.shieldConfig}</span>
+          `}
+        </div>
+
+        <!-- Purchase Tie-Break Section -->
+        <div class="form-section">
+          <h3 class="form-section__title">Purchase Tie-Break</h3>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="tieBreakRule">When purchases race</label>
+              <select
+                id="tieBreakRule"
+                class="form-select"
+                value=${tieBreakRule}
+                onChange=${(e) => setTieBreakRule(e.target.value)}
+              >
+                <option value="arrival">First to reach the server wins</option>
+                <option value="client-time">Earliest click wins</option>
+              </select>
+              <small class="form-hint">
+                Every purchase attempt is logged; this decides who gets a contested unit
+              </small>
+            </div>
+
+            ${tieBreakRule === 'client-time' && html`
+              <div class="form-group">
+                <label class="form-label" for="trustMs">Click Time Trust (ms)</label>
+                <input
+                  type="number"
+                  id="trustMs"
+                  class="form-input"
+                  value=${trustMs}
+                  onChange=${(e) => setTrustMs(e.target.value)}
+                  min=${TRUST_MS_LIMITS[0]}
+                  max=${TRUST_MS_LIMITS[1]}
+                  step="50"
+                />
+                <small class="form-hint">
+                  Click times earlier than this before arrival aren't trusted. Purchases wait this long before settling.
+                </small>
+              </div>
+            `}
+          </div>
+
+          ${validationErrors.tieBreak && html`
+            <span class="form-error">${validationErrors.tieBreak}</span>
           `}
         </div>
 
@@ -4,6 +4,7 @@
  */
 
 import { useActiveAuctions, useUpcomingAuctions, useAuctionStats } from '../hooks/useAuctions.js';
+import { useAuctionCountersMap } from '../hooks/useAuctionCounters.js';
 import { AuctionCard, AuctionCardSkeleton } from './AuctionCard.js';
 import { formatPrice } from '../utils/formatters.js';
 
@@ -22,7 +23,10 @@ export function AuctionList() {
   const error = errorActive || errorUpcoming;
 
   // Calculate stats
-  const stats = useAuctionStats([...activeAuctions, ...upcomingAuctions]);
+  const liveCounters = useAuctionCountersMap(activeAuctions
+    .filter(auction => auction.status === 'live')
+    .map(auction => auction.id));
+  const stats = useAuctionStats([...activeAuctions, ...upcomingAuctions], liveCounters);
 
   return html`
     <div class="auction-list-container">
@@ -1,6 +1,7 @@
 /**
  * AuctionManagement Component
- * Admin interface for starting and stopping auctions
+ * Admin interface for starting, stopping, pausing and scheduling auctions,
+ * and refunding sales of sold auctions
  */
 
 import {
@@ -8,29 +9,99 @@ import {
   query,
   where,
   orderBy,
+  limit,
+  getDocs,
+  getDoc,
   onSnapshot,
   doc,
   updateDoc,
-  serverTimestamp
+  deleteField,
+  Timestamp
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import {
+  httpsCallable
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
 
 import { formatPrice, formatTimestamp } from '../utils/formatters.js';
+import { useAuctionCountersMap } from '../hooks/useAuctionCounters.js';
+import { RefundModal } from './RefundModal.js';
+import { AttemptLogModal } from './AttemptLogModal.js';
 
 const { useState, useEffect } = React;
 
+const SOLD_SHOWN = 10;
+
+/**
+ * Call a lifecycle callable (startAuction, stopAuction, pauseAuction, resumeAuction)
+ * @param {string} action - 'start' | 'stop' | 'pause' | 'resume'
+ * @param {string} auctionId - Auction ID
+ * @returns {Promise<Object>} { success, status, fromStatus, shieldsClosed, ... }
+ */
+async function runLifecycleAction(action, auctionId) {
+  const callable = httpsCallable(window.functions, `${action}Auction`);
+  const result = await callable({ auctionId });
+  return result.data;
+}
+
+/**
+ * Turn a lifecycle callable error into a message for the admin
+ * @param {Error} err - HttpsError from the callable (details.reason is set server-side)
+ * @param {string} action - Action that failed
+ * @returns {string} Error message
+ */
+function getLifecycleErrorMessage(err, action) {
+  const details = err.details || {};
+
+  if (details.reason === 'invalid-transition') {
+    return `Can't ${action} this auction: it is already ${details.currentStatus}. The list will refresh shortly.`;
+  }
+
+  if (details.reason === 'auction-not-found') {
+    return 'This auction no longer exists.';
+  }
+
+  return `Failed to ${action} auction: ${err.message}`;
+}
+
+/**
+ * Format a timestamp as a datetime-local input value (local time zone)
+ * @param {Timestamp|number} timestamp - Firestore Timestamp or milliseconds
+ * @returns {string} Value like '2024-05-01T14:30'
+ */
+function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp?.toMillis ? timestamp.toMillis() : timestamp);
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
 /**
  * Auction management component
+ * @param {Object} props - Component props
+ * @param {string} props.role - Signed-in staff role (only admins can refund)
  * @returns {JSX.Element} Auction management interface
  */
-export function AuctionManagement() {
+export function AuctionManagement({ role = 'operator' }) {
+  const isAdmin = role === 'admin';
   const [scheduledAuctions, setScheduledAuctions] = useState([]);
   const [liveAuctions, setLiveAuctions] = useState([]);
+  const [soldAuctions, setSoldAuctions] = useState([]);
+  const [showSalesModal, setShowSalesModal] = useState(false);
+  const [sales, setSales] = useState([]);
+  const [buyerEmails, setBuyerEmails] = useState({});
+  const [salesLoading, setSalesLoading] = useState(false);
+  const [refundTransactionId, setRefundTransactionId] = useState(null);
+  const [attemptLogAuction, setAttemptLogAuction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showStartModal, setShowStartModal] = useState(false);
   const [showStopModal, setShowStopModal] = useState(false);
+  const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [plannedStart, setPlannedStart] = useState('');
   const [selectedAuction, setSelectedAuction] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const liveCounters = useAuctionCountersMap(liveAuctions.map(auction => auction.id));
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
 
   // T116: Fetch and listen to scheduled auctions
   useEffect(() => {
@@ -62,13 +133,13 @@ export function AuctionManagement() {
     return () => unsubscribe();
   }, []);
 
-  // T120: Fetch and listen to live auctions
+  // T120: Fetch and listen to live (and paused) auctions
   useEffect(() => {
     if (!window.db) return;
 
     const liveQuery = query(
       collection(window.db, 'auctions'),
-      where('status', '==', 'live'),
+      where('status', 'in', ['live', 'paused']),
       orderBy('startTime', 'desc')
     );
 
@@ -90,11 +161,90 @@ export function AuctionManagement() {
     return () => unsubscribe();
   }, []);
 
+  // Recently sold auctions (for refunds)
+  useEffect(() => {
+    if (!window.db) return;
+
+    const soldQuery = query(
+      collection(window.db, 'auctions'),
+      where('status', '==', 'ended - sold'),
+      orderBy('createdAt', 'desc'),
+      limit(SOLD_SHOWN)
+    );
+
+    const unsubscribe = onSnapshot(
+      soldQuery,
+      (snapshot) => {
+        setSoldAuctions(snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })));
+      },
+      (err) => {
+        console.error('[AuctionManagement] Error fetching sold auctions:', err);
+        setError(err.message);
+      }
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  // Load the fills (one per purchase) of a sold auction
+  const loadSales = async (auction) => {
+    setSalesLoading(true);
+
+    try {
+      const snapshot = await getDocs(query(
+        collection(window.db, 'auctions', auction.id, 'fills'),
+        orderBy('timestamp', 'asc')
+      ));
+      const fills = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setSales(fills);
+
+      // Auctions don't store buyer emails; staff can read them from users/
+      const buyerIds = [...new Set(fills.map(fill => fill.userId))];
+      const userDocs = await Promise.all(buyerIds.map(uid => getDoc(doc(window.db, 'users', uid))));
+      setBuyerEmails(Object.fromEntries(userDocs
+        .filter(userDoc => userDoc.exists())
+        .map(userDoc => [userDoc.id, userDoc.data().email])));
+
+    } catch (err) {
+      console.error('[AuctionManagement] Error loading sales:', err);
+      setActionError(`Failed to load sales: ${err.message}`);
+    } finally {
+      setSalesLoading(false);
+    }
+  };
+
+  // Show the sales of a sold auction
+  const handleSalesClick = (auction) => {
+    setSelectedAuction(auction);
+    setSales([]);
+    setBuyerEmails({});
+    setActionError(null);
+    setShowSalesModal(true);
+    loadSales(auction);
+  };
+
+  // Refund went through: report it and refresh the sales list
+  const handleRefunded = (result) => {
+    setNotice(`Refunded ${formatPrice(result.amount)} to ${result.userEmail}` +
+      (result.reopened ? ' and reopened the auction' : '') +
+      (result.relistedAuctionId ? ' and relisted the item as a new scheduled auction' : ''));
+
+    if (result.reopened) {
+      setShowSalesModal(false);
+    } else if (selectedAuction) {
+      loadSales(selectedAuction);
+    }
+  };
+
   // T117: Show start confirmation modal
   const handleStartClick = (auction) => {
     console.log('[AuctionManagement] Start button clicked for auction:', auction.id);
     console.log('[AuctionManagement] Before state change - showStartModal:', showStartModal);
     setSelectedAuction(auction);
+    setActionError(null);
     setShowStartModal(true);
     console.log('[AuctionManagement] After setState calls');
     // Log on next render
@@ -103,28 +253,21 @@ export function AuctionManagement() {
     }, 100);
   };
 
-  // T118-T119: Start auction
+  // T118-T119: Start auction (server sets start/end times)
   const handleConfirmStart = async () => {
     if (!selectedAuction || isProcessing) return;
 
     setIsProcessing(true);
-    setError(null);
+    setActionError(null);
+    setNotice(null);
 
     try {
-      const auctionRef = doc(window.db, 'auctions', selectedAuction.id);
-
-      // Update auction status to live
-      await updateDoc(auctionRef, {
-        status: 'live',
-        startTime: serverTimestamp(),
-        // Calculate end time based on duration
-        endTime: new Date(Date.now() + (selectedAuction.duration * 1000))
-      });
+      const result = await runLifecycleAction('start', selectedAuction.id);
 
-      console.log('[AuctionManagement] Auction started:', selectedAuction.id);
+      console.log('[AuctionManagement] Auction started:', selectedAuction.id, result);
 
       // T124: Show success message
-      alert(`Auction "${selectedAuction.itemName}" started successfully!`);
+      setNotice(`Auction "${selectedAuction.itemName}" started successfully!`);
 
       // Close modal
       setShowStartModal(false);
@@ -132,38 +275,99 @@ export function AuctionManagement() {
 
     } catch (err) {
       console.error('[AuctionManagement] Error starting auction:', err);
-      setError(`Failed to start auction: ${err.message}`);
+      setActionError(getLifecycleErrorMessage(err, 'start'));
     } finally {
       setIsProcessing(false);
     }
   };
 
-  // T121: Show stop confirmation modal
-  const handleStopClick = (auction) => {
+  // Show reschedule modal, prefilled with the current planned start
+  const handleScheduleClick = (auction) => {
     setSelectedAuction(auction);
-    setShowStopModal(true);
+    setPlannedStart(auction.startTime ? toDateTimeLocal(auction.startTime) : '');
+    setActionError(null);
+    setShowScheduleModal(true);
   };
 
-  // T122-T123: Stop auction
-  const handleConfirmStop = async () => {
+  // Set, move or clear the planned start (autoStartAuctions picks it up)
+  const handleConfirmSchedule = async () => {
     if (!selectedAuction || isProcessing) return;
 
+    const plannedMs = plannedStart ? new Date(plannedStart).getTime() : null;
+    if (plannedMs !== null && !(plannedMs > Date.now())) {
+      setActionError('Planned start must be in the future');
+      return;
+    }
+
     setIsProcessing(true);
-    setError(null);
+    setActionError(null);
 
     try {
       const auctionRef = doc(window.db, 'auctions', selectedAuction.id);
 
-      // Update auction status to ended - admin stopped
       await updateDoc(auctionRef, {
-        status: 'ended - admin stopped',
-        endTime: serverTimestamp()
+        startTime: plannedMs !== null ? Timestamp.fromMillis(plannedMs) : deleteField()
       });
 
-      console.log('[AuctionManagement] Auction stopped:', selectedAuction.id);
+      console.log('[AuctionManagement] Auction rescheduled:', selectedAuction.id, plannedStart || 'manual start');
+
+      setShowScheduleModal(false);
+      setSelectedAuction(null);
+
+    } catch (err) {
+      console.error('[AuctionManagement] Error rescheduling auction:', err);
+      setActionError(`Failed to reschedule auction: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Pause or resume a live auction (reversible, so no confirmation modal)
+  const handlePauseToggle = async (auction) => {
+    if (isProcessing) return;
+
+    const action = auction.status === 'paused' ? 'resume' : 'pause';
+
+    setIsProcessing(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const result = await runLifecycleAction(action, auction.id);
+
+      console.log(`[AuctionManagement] Auction ${action}d:`, auction.id, result);
+      setNotice(`Auction "${auction.itemName}" ${action === 'pause' ? 'paused' : 'resumed'}.`);
+
+    } catch (err) {
+      console.error(`[AuctionManagement] Error trying to ${action} auction:`, err);
+      setError(getLifecycleErrorMessage(err, action));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // T121: Show stop confirmation modal
+  const handleStopClick = (auction) => {
+    setSelectedAuction(auction);
+    setActionError(null);
+    setShowStopModal(true);
+  };
+
+  // T122-T123: Stop auction (server closes open shields)
+  const handleConfirmStop = async () => {
+    if (!selectedAuction || isProcessing) return;
+
+    setIsProcessing(true);
+    setActionError(null);
+    setNotice(null);
+
+    try {
+      const result = await runLifecycleAction('stop', selectedAuction.id);
+
+      console.log('[AuctionManagement] Auction stopped:', selectedAuction.id, result);
 
       // T124: Show success message
-      alert(`Auction "${selectedAuction.itemName}" stopped successfully!`);
+      setNotice(`Auction "${selectedAuction.itemName}" stopped successfully!${result.shieldsClosed ? ` ${result.shieldsClosed} open shields were closed.` : ''}`);
 
       // Close modal
       setShowStopModal(false);
@@ -171,12 +375,21 @@ export function AuctionManagement() {
 
     } catch (err) {
       console.error('[AuctionManagement] Error stopping auction:', err);
-      setError(`Failed to stop auction: ${err.message}`);
+      setActionError(getLifecycleErrorMessage(err, 'stop'));
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Close whichever modal is open and clear its error
+  const closeModals = () => {
+    setShowStartModal(false);
+    setShowStopModal(false);
+    setShowScheduleModal(false);
+    setShowSalesModal(false);
+    setActionError(null);
+  };
+
   if (loading) {
     return html`
       <div class="auction-management">
@@ -197,6 +410,12 @@ export function AuctionManagement() {
         </div>
       `}
 
+      ${notice && html`
+        <div class="alert alert--success">
+          ${notice}
+        </div>
+      `}
+
       <!-- Scheduled Auctions Section -->
       <div class="auction-section">
         <h3 class="auction-section__title">
@@ -232,6 +451,10 @@ export function AuctionManagement() {
                     <strong>Mode:</strong>
                     ${auction.pricingMode === 'transparent' ? 'Transparent' : 'Algorithmic'}
                   </div>
+                  <div class="auction-card__detail">
+                    <strong>Planned Start:</strong>
+                    ${auction.startTime ? formatTimestamp(auction.startTime) : 'Manual'}
+                  </div>
                   <div class="auction-card__detail">
                     <strong>Created:</strong>
                     ${auction.createdAt ? formatTimestamp(auction.createdAt) : 'Just now'}
@@ -245,6 +468,12 @@ export function AuctionManagement() {
                   >
                     ▶️ Start Auction
                   </button>
+                  <button
+                    class="btn-secondary"
+                    onClick=${() => handleScheduleClick(auction)}
+                  >
+                    🕒 ${auction.startTime ? 'Reschedule' : 'Schedule'}
+                  </button>
                   <a
                     href="/auction.html?id=${auction.id}"
                     class="btn-secondary"
@@ -262,7 +491,7 @@ export function AuctionManagement() {
       <!-- Live Auctions Section -->
       <div class="auction-section">
         <h3 class="auction-section__title">
-          🔴 Live Auctions
+          🔴 Live & Paused Auctions
           <span class="auction-section__count">(${liveAuctions.length})</span>
         </h3>
 
@@ -276,9 +505,15 @@ export function AuctionManagement() {
               <div key=${auction.id} class="auction-card auction-card--live">
                 <div class="auction-card__header">
                   <h4 class="auction-card__title">${auction.itemName}</h4>
-                  <span class="auction-card__badge auction-card__badge--live">
-                    🔴 Live
-                  </span>
+                  ${auction.status === 'paused' ? html`
+                    <span class="auction-card__badge auction-card__badge--paused">
+                      ⏸ Paused
+                    </span>
+                  ` : html`
+                    <span class="auction-card__badge auction-card__badge--live">
+                      🔴 Live
+                    </span>
+                  `}
                 </div>
 
                 <div class="auction-card__body">
@@ -288,11 +523,11 @@ export function AuctionManagement() {
                   </div>
                   <div class="auction-card__detail">
                     <strong>Viewers:</strong>
-                    ${auction.viewerCount || 0}
+                    ${liveCounters[auction.id]?.viewerCount || 0}
                   </div>
                   <div class="auction-card__detail">
                     <strong>Open Shields:</strong>
-                    ${auction.openShieldCount || 0}
+                    ${liveCounters[auction.id]?.openShieldCount || 0}
                   </div>
                   <div class="auction-card__detail">
                     <strong>Started:</strong>
@@ -307,6 +542,19 @@ export function AuctionManagement() {
                   >
                     ⏹ Stop Auction
                   </button>
+                  <button
+                    class="btn-secondary"
+                    onClick=${() => handlePauseToggle(auction)}
+                    disabled=${isProcessing}
+                  >
+                    ${auction.status === 'paused' ? '▶️ Resume' : '⏸ Pause'}
+                  </button>
+                  <button
+                    class="btn-secondary"
+                    onClick=${() => setAttemptLogAuction(auction)}
+                  >
+                    ⏱️ Attempts
+                  </button>
                   <a
                     href="/auction.html?id=${auction.id}"
                     class="btn-secondary"
@@ -321,9 +569,167 @@ export function AuctionManagement() {
         `}
       </div>
 
+      <!-- Recently Sold Auctions Section -->
+      <div class="auction-section">
+        <h3 class="auction-section__title">
+          ✅ Recently Sold
+          <span class="auction-section__count">(${soldAuctions.length})</span>
+        </h3>
+
+        ${soldAuctions.length === 0 ? html`
+          <div class="auction-empty">
+            <p>No sold auctions yet.</p>
+          </div>
+        ` : html`
+          <div class="auction-grid">
+            ${soldAuctions.map(auction => html`
+              <div key=${auction.id} class="auction-card">
+                <div class="auction-card__header">
+                  <h4 class="auction-card__title">${auction.itemName}</h4>
+                  <span class="auction-card__badge auction-card__badge--sold">
+                    Sold
+                  </span>
+                </div>
+
+                <div class="auction-card__body">
+                  <div class="auction-card__detail">
+                    <strong>Final Price:</strong>
+                    <span class="auction-card__price">${formatPrice(auction.finalPrice || auction.lastFillPrice || 0)}</span>
+                  </div>
+                  <div class="auction-card__detail">
+                    <strong>Units Sold:</strong>
+                    ${auction.unitsSold || 1}
+                  </div>
+                  ${auction.winnerFillId && html`
+                    <div class="auction-card__detail">
+                      <strong>Winner:</strong>
+                      ${auction.winnerDisplay || 'Hidden'}
+                    </div>
+                  `}
+                  <div class="auction-card__detail">
+                    <strong>Ended:</strong>
+                    ${auction.endedAt ? formatTimestamp(auction.endedAt) : 'Unknown'}
+                  </div>
+                </div>
+
+                <div class="auction-card__actions">
+                  ${isAdmin && html`
+                    <button
+                      class="btn-secondary"
+                      onClick=${() => handleSalesClick(auction)}
+                    >
+                      ↩️ Refunds
+                    </button>
+                  `}
+                  <button
+                    class="btn-secondary"
+                    onClick=${() => setAttemptLogAuction(auction)}
+                  >
+                    ⏱️ Attempts
+                  </button>
+                  <a
+                    href="/auction.html?id=${auction.id}"
+                    class="btn-secondary"
+                    target="_blank"
+                  >
+                    👁 View
+                  </a>
+                </div>
+              </div>
+            `)}
+          </div>
+        `}
+      </div>
+
+      <!-- Sales Modal (refunds) -->
+      ${showSalesModal && selectedAuction && html`
+        <div class="modal-overlay" onClick=${closeModals}>
+          <div class="modal modal--large" onClick=${(e) => e.stopPropagation()}>
+            <div class="modal__header">
+              <h2 class="modal__title">
+                <span class="modal__icon">↩️</span>
+                Sales: ${selectedAuction.itemName}
+              </h2>
+              <button
+                class="modal__close"
+                onClick=${closeModals}
+                aria-label="Close modal"
+              >
+                ×
+              </button>
+            </div>
+
+            <div class="modal__body">
+              ${salesLoading ? html`
+                <div class="loading">Loading sales...</div>
+              ` : sales.length === 0 ? html`
+                <p>No sales recorded for this auction.</p>
+              ` : html`
+                <table class="user-table">
+                  <thead>
+                    <tr>
+                      <th>Buyer</th>
+                      <th>Units</th>
+                      <th>Paid</th>
+                      <th>Date</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${sales.map(fill => html`
+                      <tr key=${fill.id}>
+                        <td>${buyerEmails[fill.userId] || fill.userId}</td>
+                        <td>${fill.quantity}</td>
+                        <td>${formatPrice(fill.totalPrice)}</td>
+                        <td>${fill.timestamp ? formatTimestamp(fill.timestamp) : 'Unknown'}</td>
+                        <td>
+                          ${fill.refunded ? 'Refunded' : html`
+                            <button
+                              class="btn-sm"
+                              onClick=${() => setRefundTransactionId(fill.transactionId)}
+                            >
+                              ↩️ Refund
+                            </button>
+                          `}
+                        </td>
+                      </tr>
+                    `)}
+                  </tbody>
+                </table>
+              `}
+
+              ${actionError && html`
+                <div class="alert alert--error">${actionError}</div>
+              `}
+            </div>
+
+            <div class="modal__footer">
+              <button class="btn-secondary" onClick=${closeModals}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      `}
+
+      ${attemptLogAuction && html`
+        <${AttemptLogModal}
+          auction=${attemptLogAuction}
+          onClose=${() => setAttemptLogAuction(null)}
+        />
+      `}
+
+      ${refundTransactionId && html`
+        <${RefundModal}
+          transactionId=${refundTransactionId}
+          onClose=${() => setRefundTransactionId(null)}
+          onRefunded=${handleRefunded}
+        />
+      `}
+
       <!-- Start Confirmation Modal -->
       ${showStartModal && selectedAuction && html`
-        <div class="modal-overlay" onClick=${() => setShowStartModal(false)}>
+        <div class="modal-overlay" onClick=${closeModals}>
           <div class="modal" onClick=${(e) => e.stopPropagation()}>
             <div class="modal__header">
               <h2 class="modal__title">
@@ -332,7 +738,7 @@ export function AuctionManagement() {
               </h2>
               <button
                 class="modal__close"
-                onClick=${() => setShowStartModal(false)}
+                onClick=${closeModals}
                 aria-label="Close modal"
               >
                 ×
@@ -356,10 +762,14 @@ export function AuctionManagement() {
               </div>
             </div>
 
+            ${actionError && html`
+              <div class="alert alert--error">${actionError}</div>
+            `}
+
             <div class="modal__footer">
               <button
                 class="btn-secondary"
-                onClick=${() => setShowStartModal(false)}
+                onClick=${closeModals}
                 disabled=${isProcessing}
               >
                 Cancel
@@ -376,9 +786,69 @@ export function AuctionManagement() {
         </div>
       `}
 
+      <!-- Schedule Modal -->
+      ${showScheduleModal && selectedAuction && html`
+        <div class="modal-overlay" onClick=${closeModals}>
+          <div class="modal" onClick=${(e) => e.stopPropagation()}>
+            <div class="modal__header">
+              <h2 class="modal__title">
+                <span class="modal__icon">🕒</span>
+                Schedule Auction
+              </h2>
+              <button
+                class="modal__close"
+                onClick=${closeModals}
+                aria-label="Close modal"
+              >
+                ×
+              </button>
+            </div>
+
+            <div class="modal__body">
+              <p>Choose when <strong>${selectedAuction.itemName}</strong> should go live.</p>
+
+              <div class="form-group">
+                <label class="form-label" for="plannedStart">Planned Start</label>
+                <input
+                  type="datetime-local"
+                  id="plannedStart"
+                  class="form-input"
+                  value=${plannedStart}
+                  onChange=${(e) => setPlannedStart(e.target.value)}
+                />
+                <small class="form-hint">
+                  Your local time zone. The server starts the auction at this time; clear it to start manually.
+                </small>
+              </div>
+            </div>
+
+            ${actionError && html`
+              <div class="alert alert--error">${actionError}</div>
+            `}
+
+            <div class="modal__footer">
+              <button
+                class="btn-secondary"
+                onClick=${closeModals}
+                disabled=${isProcessing}
+              >
+                Cancel
+              </button>
+              <button
+                class="btn-primary"
+                onClick=${handleConfirmSchedule}
+                disabled=${isProcessing}
+              >
+                ${isProcessing ? 'Saving...' : plannedStart ? 'Save Schedule' : 'Clear Schedule'}
+              </button>
+            </div>
+          </div>
+        </div>
+      `}
+
       <!-- Stop Confirmation Modal -->
       ${showStopModal && selectedAuction && html`
-        <div class="modal-overlay" onClick=${() => setShowStopModal(false)}>
+        <div class="modal-overlay" onClick=${closeModals}>
           <div class="modal" onClick=${(e) => e.stopPropagation()}>
             <div class="modal__header">
               <h2 class="modal__title">
@@ -387,7 +857,7 @@ export function AuctionManagement() {
               </h2>
               <button
                 class="modal__close"
-                onClick=${() => setShowStopModal(false)}
+                onClick=${closeModals}
                 aria-label="Close modal"
               >
                 ×
@@ -401,8 +871,8 @@ export function AuctionManagement() {
                 <h4>${selectedAuction.itemName}</h4>
                 <ul>
                   <li><strong>Current Price:</strong> ${formatPrice(selectedAuction.currentPrice)}</li>
-                  <li><strong>Viewers:</strong> ${selectedAuction.viewerCount || 0}</li>
-                  <li><strong>Open Shields:</strong> ${selectedAuction.openShieldCount || 0}</li>
+                  <li><strong>Viewers:</strong> ${liveCounters[selectedAuction.id]?.viewerCount || 0}</li>
+                  <li><strong>Open Shields:</strong> ${liveCounters[selectedAuction.id]?.openShieldCount || 0}</li>
                 </ul>
               </div>
 
@@ -412,10 +882,14 @@ export function AuctionManagement() {
               </div>
             </div>
 
+            ${actionError && html`
+              <div class="alert alert--error">${actionError}</div>
+            `}
+
             <div class="modal__footer">
               <button
                 class="btn-secondary"
-                onClick=${() => setShowStopModal(false)}
+                onClick=${closeModals}
                 disabled=${isProcessing}
               >
                 Cancel
@@ -3,9 +3,12 @@
  * Main auction detail page - shows waiting room or live auction view
  */
 
-import { useDocument } from '../hooks/useFirestore.js';
+import { useDocument, useSubcollection, firestoreQuery } from '../hooks/useFirestore.js';
 import { WaitingRoom } from './WaitingRoom.js';
 import { LiveAuction } from './LiveAuction.js';
+import { AudienceStats } from './AudienceStats.js';
+import { useAuctionCounters } from '../hooks/useAuctionCounters.js';
+import { useMyFills } from '../hooks/useAuction.js';
 import { formatPrice } from '../utils/formatters.js';
 
 const { useState, useEffect } = React;
@@ -55,7 +58,8 @@ export function AuctionPage({ auctionId }) {
     return html`<${WaitingRoom} auction=${auction} />`;
   }
 
-  if (status === 'live') {
+  // Paused auctions keep the live view, frozen, so viewers see it resume in place
+  if (status === 'live' || status === 'paused') {
     return html`<${LiveAuction} auction=${auction} />`;
   }
 
@@ -76,6 +80,8 @@ export function AuctionPage({ auctionId }) {
  * Placeholder for live auction view (Phase 5)
  */
 function LiveAuctionPlaceholder({ auction }) {
+  const { viewerCount, openShieldCount } = useAuctionCounters(auction.id);
+
   return html`
     <div class="auction-page">
       <div class="auction-page__header">
@@ -114,9 +120,9 @@ function LiveAuctionPlaceholder({ auction }) {
             <dt>Floor Price:</dt>
             <dd>${formatPrice(auction.floorPrice)}</dd>
             <dt>Viewers:</dt>
-            <dd>${auction.viewerCount || 0}</dd>
+            <dd>${viewerCount}</dd>
             <dt>Open Shields:</dt>
-            <dd>${auction.openShieldCount || 0}</dd>
+            <dd>${openShieldCount}</dd>
           </dl>
         </div>
       </div>
@@ -129,7 +135,18 @@ function LiveAuctionPlaceholder({ auction }) {
  */
 function EndedAuctionPlaceholder({ auction }) {
   const isSold = auction.status === 'ended - sold';
-  const hasWinner = auction.winner && auction.finalPrice;
+  // Only the buyer can read the winning fill (see functions/winnerIdentity.js)
+  const { data: myFills } = useMyFills(auction.winnerFillId ? auction.id : null);
+  const hasWinner = auction.winnerFillId && auction.finalPrice;
+  const winnerLabel = myFills.some(fill => fill.id === auction.winnerFillId)
+    ? 'You'
+    : auction.winnerDisplay || 'Private bidder';
+
+  // Viewer timeline (recorded on each price tick)
+  const { data: priceHistory } = useSubcollection('auctions', auction.id, 'priceHistory', [
+    firestoreQuery.orderBy('timestamp', 'asc'),
+    firestoreQuery.limit(500)
+  ]);
 
   return html`
     <div class="auction-page">
@@ -137,7 +154,11 @@ function EndedAuctionPlaceholder({ auction }) {
         <a href="/" class="back-link">← Back to Auctions</a>
         <h1>${auction.itemName}</h1>
         <div class="auction-status auction-status--ended">
-          ${isSold ? '✓ Sold' : auction.status === 'ended - no winner' ? 'No Winner' : 'Stopped'}
+          ${isSold
+            ? '✓ Sold'
+            : auction.status === 'ended - no winner'
+              ? (auction.endReason === 'reserve not met' ? 'Reserve Not Met' : 'No Winner')
+              : 'Stopped'}
         </div>
       </div>
 
@@ -163,11 +184,16 @@ function EndedAuctionPlaceholder({ auction }) {
               <>
                 <dt>Final Price:</dt>
                 <dd class="price-highlight">${formatPrice(auction.finalPrice)}</dd>
+                <dt>Winner:</dt>
+                <dd>${winnerLabel}</dd>
               </>
             `}
             <dt>Status:</dt>
             <dd>${auction.status}</dd>
           </dl>
+
+          <h3>Audience</h3>
+          <${AudienceStats} auction=${auction} history=${priceHistory} showCurrent=${false} />
         </div>
       </div>
     </div>
@@ -0,0 +1,105 @@
+/**
+ * AudienceStats Component
+ * Viewer breakdown for an auction: now, peak, unique visitors and a viewer timeline
+ *
+ * Counts come from the Realtime Database counters (see
+ * functions/auctionCounters.js) until the auction ends, then from the
+ * summary recorded on the auction (audienceRecordedAt); the timeline from
+ * the viewerCount recorded on each priceHistory point.
+ */
+
+import { formatDateTime, formatDuration } from '../utils/formatters.js';
+import { useAuctionCounters } from '../hooks/useAuctionCounters.js';
+
+// Timeline size (SVG viewBox units)
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 60;
+
+/**
+ * Audience stats component
+ * @param {Object} props - Component props
+ * @param {Object} props.auction - Auction data
+ * @param {Array} props.history - priceHistory points (oldest first)
+ * @param {boolean} props.showCurrent - Show who is watching now (live auctions)
+ * @returns {JSX.Element} Audience stats
+ */
+export function AudienceStats({ auction, history = [], showCurrent = true }) {
+  const liveCounters = useAuctionCounters(auction.audienceRecordedAt ? null : auction.id);
+  const counters = auction.audienceRecordedAt ? recordedCounters(auction) : liveCounters;
+  const viewers = counters.viewersByContext;
+  const unique = counters.uniqueVisitorsByContext;
+  const points = history.filter(point => typeof point.viewerCount === 'number');
+
+  return html`
+    <div class="audience-stats">
+      <dl class="audience-stats__grid">
+        ${showCurrent && html`
+          <div class="audience-stats__item">
+            <dt>Watching now</dt>
+            <dd>${counters.viewerCount}</dd>
+            <small>${viewers.live} live · ${viewers.waiting} waiting</small>
+          </div>
+        `}
+        <div class="audience-stats__item">
+          <dt>Peak concurrent</dt>
+          <dd>${counters.peakViewerCount}</dd>
+          <small>${counters.peakViewerAt ? formatDateTime(counters.peakViewerAt, 'time') : 'No viewers yet'}</small>
+        </div>
+        <div class="audience-stats__item">
+          <dt>Unique visitors</dt>
+          <dd>${counters.uniqueVisitorCount}</dd>
+          <small>${unique.live} watched live · ${unique.waiting} waited</small>
+        </div>
+      </dl>
+
+      ${points.length > 1 && html`
+        <div class="audience-stats__timeline">
+          <svg
+            class="audience-stats__chart"
+            viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}"
+            preserveAspectRatio="none"
+            role="img"
+            aria-label="Viewers over time"
+          >
+            <polyline points=${timelinePoints(points)} />
+          </svg>
+          <small>Viewers over ${formatDuration(points[points.length - 1].elapsedSeconds || 0)} of bidding</small>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Counters recorded on an auction when it ended
+ * @param {Object} auction - Auction data
+ * @returns {Object} Counters in the shape useAuctionCounters returns
+ */
+function recordedCounters(auction) {
+  return {
+    viewerCount: 0,
+    viewersByContext: { waiting: 0, live: 0 },
+    peakViewerCount: auction.peakViewerCount || 0,
+    peakViewerAt: auction.peakViewerAt || null,
+    uniqueVisitorCount: auction.uniqueVisitorCount || 0,
+    uniqueVisitorsByContext: { waiting: 0, live: 0, ...auction.uniqueVisitorsByContext },
+    openShieldCount: 0
+  };
+}
+
+/**
+ * SVG polyline points for the viewer timeline
+ * @param {Array} points - History points with viewerCount
+ * @returns {string} "x,y x,y ..."
+ */
+function timelinePoints(points) {
+  const maxViewers = Math.max(1, ...points.map(point => point.viewerCount));
+  const lastIndex = points.length - 1;
+
+  return points.map((point, index) => {
+    const x = (index / lastIndex) * CHART_WIDTH;
+    const y = CHART_HEIGHT - (point.viewerCount / maxViewers) * CHART_HEIGHT;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+}
+
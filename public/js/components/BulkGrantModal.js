@@ -0,0 +1,388 @@
+/**
+ * BulkGrantModal Component
+ * Admin modal for granting currency to many users at once, from a CSV file or
+ * a balance filter, through the bulkGrantCurrency Cloud Function
+ */
+
+import {
+  httpsCallable
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
+
+import { formatPrice, parsePriceToCents } from '../utils/formatters.js';
+import { createIdempotencyKey } from '../utils/firestore.js';
+
+const { useState, useMemo } = React;
+
+const MAX_ROWS = 500; // Matches bulkGrantCurrency
+
+/**
+ * Parse CSV text into grant rows
+ * Columns: email or userId, amount in dollars, reason (may contain commas).
+ * A first line starting with "email" or "userId" is treated as a header.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} [{ line, identifier, amount, reason }]
+ */
+function parseGrantCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const rows = [];
+
+  lines.forEach((line, index) => {
+    if (!line) return;
+    if (index === 0 && /^(email|userid|user_id|user)\s*,/i.test(line)) return;
+
+    const [identifier = '', amount = '', ...reasonParts] = line.split(',');
+    rows.push({
+      line: index + 1,
+      identifier: identifier.trim(),
+      amount: parsePriceToCents(amount),
+      reason: reasonParts.join(',').trim().replace(/^"|"$/g, '')
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Match rows to users and flag problems, for the preview
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Array<Object>} users - All users (from UserManagement)
+ * @returns {Array<Object>} Rows with { user, error }
+ */
+function resolveRows(rows, users) {
+  const byEmail = new Map(users.map(user => [(user.email || '').toLowerCase(), user]));
+  const byId = new Map(users.map(user => [user.id, user]));
+  const seen = new Set();
+
+  return rows.map(row => {
+    const user = row.identifier.includes('@')
+      ? byEmail.get(row.identifier.toLowerCase())
+      : byId.get(row.identifier);
+
+    let error = null;
+    if (!user) {
+      error = 'Unknown user';
+    } else if (seen.has(user.id)) {
+      error = 'Duplicate row';
+    } else if (!row.amount || row.amount < 100 || row.amount > 10000000) {
+      error = 'Amount must be $1.00 - $100,000.00';
+    } else if (!row.reason) {
+      error = 'Missing reason';
+    }
+
+    if (user && !error) seen.add(user.id);
+
+    return { ...row, user, error };
+  });
+}
+
+/**
+ * Bulk grant modal
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.users - All users
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onComplete - Called with the bulkGrantCurrency result
+ * @returns {JSX.Element} Bulk grant modal
+ */
+export function BulkGrantModal({ users, onClose, onComplete }) {
+  const [mode, setMode] = useState('csv'); // 'csv' | 'filter'
+  const [csvText, setCsvText] = useState('');
+  const [maxBalance, setMaxBalance] = useState('100');
+  const [filterAmount, setFilterAmount] = useState('');
+  const [filterReason, setFilterReason] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // One key per job: applying again after a timeout resumes the same batch.
+  // Not keyed on `users`, whose balances change as the grants land.
+  const jobKey = useMemo(
+    () => createIdempotencyKey(),
+    [mode, csvText, maxBalance, filterAmount, filterReason]
+  );
+
+  // Preview rows for the current mode
+  const previewRows = useMemo(() => {
+    if (mode === 'csv') {
+      return resolveRows(parseGrantCsv(csvText), users);
+    }
+
+    const maxCents = parsePriceToCents(maxBalance);
+    if (maxCents === null) return [];
+
+    const amount = parsePriceToCents(filterAmount);
+    return resolveRows(
+      users
+        .filter(user => (user.balance || 0) < maxCents)
+        .map((user, index) => ({
+          line: index + 1,
+          identifier: user.id,
+          amount,
+          reason: filterReason.trim()
+        })),
+      users
+    );
+  }, [mode, csvText, maxBalance, filterAmount, filterReason, users]);
+
+  const validRows = previewRows.filter(row => !row.error);
+  const total = validRows.reduce((sum, row) => sum + row.amount, 0);
+
+  // Load a CSV file into the text area
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result || ''));
+    reader.onerror = () => setError('Could not read the file');
+    reader.readAsText(file);
+  };
+
+  const handleApply = async () => {
+    if (isProcessing || validRows.length === 0) return;
+
+    if (validRows.length > MAX_ROWS) {
+      setError(`At most ${MAX_ROWS} grants per batch. Split the file and try again.`);
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const bulkGrant = httpsCallable(window.functions, 'bulkGrantCurrency');
+      const response = await bulkGrant({
+        source: mode,
+        description: mode === 'filter'
+          ? `Users with balance under ${formatPrice(parsePriceToCents(maxBalance))}`
+          : null,
+        rows: validRows.map(row => ({
+          userId: row.user.id,
+          amount: row.amount,
+          reason: row.reason
+        })),
+        idempotencyKey: jobKey
+      });
+
+      console.log('[BulkGrantModal] Batch applied:', response.data);
+      setResult(response.data);
+      if (onComplete) onComplete(response.data);
+
+    } catch (err) {
+      console.error('[BulkGrantModal] Error applying batch:', err);
+      setError(`Bulk grant failed: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return html`
+    <div class="modal-overlay" onClick=${onClose}>
+      <div class="modal modal--large" onClick=${(e) => e.stopPropagation()}>
+        <div class="modal__header">
+          <h2 class="modal__title">
+            <span class="modal__icon">📥</span>
+            Bulk Grant
+          </h2>
+          <button
+            class="modal__close"
+            onClick=${onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div class="modal__body">
+          ${result ? html`
+            <div class="alert ${result.failedCount ? 'alert--error' : 'alert--success'}">
+              Batch ${result.batchId}: ${result.grantedCount} granted
+              (${formatPrice(result.totalGranted)}), ${result.failedCount} failed
+            </div>
+
+            <table class="user-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>User</th>
+                  <th>Amount</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${result.results.map(row => html`
+                  <tr key=${row.row}>
+                    <td>${row.row}</td>
+                    <td>${row.email || row.userId}</td>
+                    <td>${formatPrice(row.amount || 0)}</td>
+                    <td>
+                      ${row.status === 'granted'
+                        ? `✅ New balance ${formatPrice(row.newBalance)}`
+                        : `❌ ${row.error}`}
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          ` : html`
+            <div class="form-group">
+              <label class="form-label" for="bulkMode">Recipients</label>
+              <select
+                id="bulkMode"
+                class="form-select"
+                value=${mode}
+                onChange=${(e) => setMode(e.target.value)}
+              >
+                <option value="csv">Upload a CSV</option>
+                <option value="filter">All users below a balance</option>
+              </select>
+            </div>
+
+            ${mode === 'csv' ? html`
+              <div class="form-group">
+                <label class="form-label" for="bulkCsvFile">CSV File</label>
+                <input
+                  type="file"
+                  id="bulkCsvFile"
+                  accept=".csv,text/csv"
+                  onChange=${handleFileChange}
+                />
+                <small class="form-hint">
+                  One grant per line: email or user ID, amount in dollars, reason
+                  (e.g. <code>jane@example.com,250,Event seed</code>)
+                </small>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label" for="bulkCsvText">Or paste rows</label>
+                <textarea
+                  id="bulkCsvText"
+                  class="form-textarea"
+                  rows="5"
+                  value=${csvText}
+                  onChange=${(e) => setCsvText(e.target.value)}
+                  placeholder="email,amount,reason"
+                ></textarea>
+              </div>
+            ` : html`
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label" for="bulkMaxBalance">Balance Below</label>
+                  <div class="form-input-group">
+                    <span class="form-input-prefix">$</span>
+                    <input
+                      type="number"
+                      id="bulkMaxBalance"
+                      class="form-input"
+                      value=${maxBalance}
+                      onChange=${(e) => setMaxBalance(e.target.value)}
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label" for="bulkAmount">
+                    Grant Each <span class="required">*</span>
+                  </label>
+                  <div class="form-input-group">
+                    <span class="form-input-prefix">$</span>
+                    <input
+                      type="number"
+                      id="bulkAmount"
+                      class="form-input"
+                      value=${filterAmount}
+                      onChange=${(e) => setFilterAmount(e.target.value)}
+                      min="1"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label" for="bulkReason">
+                  Reason <span class="required">*</span>
+                </label>
+                <input
+                  type="text"
+                  id="bulkReason"
+                  class="form-input"
+                  value=${filterReason}
+                  onChange=${(e) => setFilterReason(e.target.value)}
+                  placeholder="e.g. Seed for Friday event"
+                  maxLength="200"
+                />
+              </div>
+            `}
+
+            ${previewRows.length > 0 && html`
+              <div class="grant-preview">
+                <div class="grant-preview__item">
+                  <span>Rows:</span>
+                  <span>${previewRows.length} (${previewRows.length - validRows.length} with problems)</span>
+                </div>
+                <div class="grant-preview__item grant-preview__item--total">
+                  <span>Total to grant:</span>
+                  <span>${formatPrice(total)} to ${validRows.length} users</span>
+                </div>
+              </div>
+
+              <table class="user-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>User</th>
+                    <th>Balance</th>
+                    <th>Grant</th>
+                    <th>New Balance</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${previewRows.map(row => html`
+                    <tr key=${row.line}>
+                      <td>${row.line}</td>
+                      <td>${row.user ? row.user.email : row.identifier}</td>
+                      <td>${row.user ? formatPrice(row.user.balance || 0) : '—'}</td>
+                      <td>${row.amount ? formatPrice(row.amount) : '—'}</td>
+                      <td>
+                        ${row.error
+                          ? html`<span class="form-error">${row.error}</span>`
+                          : formatPrice((row.user.balance || 0) + row.amount)}
+                      </td>
+                      <td>${row.reason || '—'}</td>
+                    </tr>
+                  `)}
+                </tbody>
+              </table>
+            `}
+          `}
+
+          ${error && html`
+            <div class="alert alert--error">${error}</div>
+          `}
+        </div>
+
+        <div class="modal__footer">
+          <button
+            class="btn-secondary"
+            onClick=${onClose}
+            disabled=${isProcessing}
+          >
+            ${result ? 'Close' : 'Cancel'}
+          </button>
+          ${!result && html`
+            <button
+              class="btn-primary"
+              onClick=${handleApply}
+              disabled=${isProcessing || validRows.length === 0}
+            >
+              ${isProcessing ? 'Granting...' : `Grant to ${validRows.length} Users`}
+            </button>
+          `}
+        </div>
+      </div>
+    </div>
+  `;
+}
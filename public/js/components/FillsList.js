@@ -0,0 +1,46 @@
+/**
+ * FillsList Component
+ * Units bought from a multi-unit lot, newest first
+ */
+
+import { formatPrice, formatDateTime } from '../utils/formatters.js';
+
+/**
+ * Fills list component
+ * @param {Object} props - Component props
+ * @param {Array} props.fills - Sale documents ({ id, quantity, unitPrice, totalPrice, timestamp })
+ * @param {Array} props.myFills - The current user's own fills (marks their sales as "You")
+ * @param {number} props.limit - Maximum fills to show
+ * @returns {JSX.Element} Fills list
+ */
+export function FillsList({ fills = [], myFills = [], limit = 10 }) {
+  if (fills.length === 0) {
+    return html`
+      <div class="fills-list fills-list--empty">No units sold yet</div>
+    `;
+  }
+
+  const visibleFills = fills.slice(0, limit);
+  const hiddenCount = fills.length - visibleFills.length;
+  // A sale has the same ID as its fill
+  const myFillIds = new Set(myFills.map(fill => fill.id));
+
+  return html`
+    <ul class="fills-list">
+      ${visibleFills.map(fill => {
+        const isMine = myFillIds.has(fill.id);
+
+        return html`
+          <li key=${fill.id} class="fills-list__item ${isMine ? 'fills-list__item--mine' : ''}">
+            <span class="fills-list__buyer">${isMine ? 'You' : 'A buyer'}</span>
+            <span class="fills-list__quantity">${fill.quantity} × ${formatPrice(fill.unitPrice)}</span>
+            <span class="fills-list__time">${fill.timestamp ? formatDateTime(fill.timestamp, 'time') : 'Just now'}</span>
+          </li>
+        `;
+      })}
+      ${hiddenCount > 0 && html`
+        <li class="fills-list__more">+ ${hiddenCount} more</li>
+      `}
+    </ul>
+  `;
+}
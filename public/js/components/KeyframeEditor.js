@@ -0,0 +1,150 @@
+/**
+ * KeyframeEditor Component
+ * Editable list of (elapsed %, price) points for the keyframes formula
+ *
+ * Times (%) and prices (dollars) are edited as strings, like the other form
+ * inputs, and converted to numbers/cents by the parent form. Each row's easing
+ * shapes the segment from that keyframe to the next; the first and last rows
+ * are pinned to 0% and 100% so the curve always spans the whole auction.
+ */
+
+const { easings, MAX_KEYFRAMES } = window.PricingEngine;
+
+const EASING_LABELS = {
+  linear: 'Linear',
+  easeIn: 'Ease in (slow, then fast)',
+  easeOut: 'Ease out (fast, then slow)',
+  easeInOut: 'Ease in-out (S-curve)',
+  hold: 'Hold (flat, then jump)'
+};
+
+/**
+ * Keyframe editor component
+ * @param {Object} props - Component props
+ * @param {Array} props.keyframes - [{ at, price, easing }] with at in % and price in dollars
+ * @param {Function} props.onChange - Called with the updated keyframe list
+ * @param {string} props.error - Validation error to display
+ * @returns {JSX.Element} Keyframe editor
+ */
+export function KeyframeEditor({ keyframes, onChange, error }) {
+  const lastIndex = keyframes.length - 1;
+
+  // Update a single field of one keyframe
+  const updateKeyframe = (index, field, value) => {
+    onChange(keyframes.map((k, i) => i === index ? { ...k, [field]: value } : k));
+  };
+
+  // Insert a keyframe halfway through the widest segment
+  const addKeyframe = () => {
+    const times = keyframes.map(k => parseFloat(k.at) || 0);
+    let widest = 0;
+
+    for (let i = 1; i < keyframes.length - 1; i++) {
+      if (times[i + 1] - times[i] > times[widest + 1] - times[widest]) {
+        widest = i;
+      }
+    }
+
+    const fromPrice = parseFloat(keyframes[widest].price) || 0;
+    const toPrice = parseFloat(keyframes[widest + 1].price) || 0;
+
+    const inserted = {
+      at: String(Math.round((times[widest] + times[widest + 1]) / 2)),
+      price: ((fromPrice + toPrice) / 2).toFixed(2),
+      easing: 'linear'
+    };
+
+    onChange([...keyframes.slice(0, widest + 1), inserted, ...keyframes.slice(widest + 1)]);
+  };
+
+  // Remove an interior keyframe
+  const removeKeyframe = (index) => {
+    onChange(keyframes.filter((_, i) => i !== index));
+  };
+
+  return html`
+    <div class="keyframe-editor">
+      <div class="keyframe-editor__header">
+        <span>Time</span>
+        <span>Price</span>
+        <span>Then</span>
+        <span></span>
+      </div>
+
+      ${keyframes.map((keyframe, index) => html`
+        <div key=${index} class="keyframe-editor__row">
+          <div class="form-input-group">
+            <input
+              type="number"
+              class="form-input"
+              value=${keyframe.at}
+              onChange=${(e) => updateKeyframe(index, 'at', e.target.value)}
+              min="0"
+              max="100"
+              step="1"
+              disabled=${index === 0 || index === lastIndex}
+              aria-label="Keyframe ${index + 1} time"
+            />
+            <span class="form-input-suffix">%</span>
+          </div>
+
+          <div class="form-input-group">
+            <span class="form-input-prefix">$</span>
+            <input
+              type="number"
+              class="form-input"
+              value=${keyframe.price}
+              onChange=${(e) => updateKeyframe(index, 'price', e.target.value)}
+              min="1"
+              step="0.01"
+              aria-label="Keyframe ${index + 1} price"
+            />
+          </div>
+
+          ${index < lastIndex ? html`
+            <select
+              class="form-select"
+              value=${keyframe.easing}
+              onChange=${(e) => updateKeyframe(index, 'easing', e.target.value)}
+              aria-label="Keyframe ${index + 1} easing"
+            >
+              ${Object.keys(easings).map(name => html`
+                <option key=${name} value=${name}>${EASING_LABELS[name] || name}</option>
+              `)}
+            </select>
+          ` : html`
+            <span class="keyframe-editor__end">End of auction</span>
+          `}
+
+          ${index > 0 && index < lastIndex ? html`
+            <button
+              type="button"
+              class="btn-sm keyframe-editor__remove"
+              onClick=${() => removeKeyframe(index)}
+              aria-label="Remove keyframe ${index + 1}"
+            >
+              <span dangerouslySetInnerHTML=${{ __html: '&times;' }}></span>
+            </button>
+          ` : html`<span></span>`}
+        </div>
+      `)}
+
+      <button
+        type="button"
+        class="btn-sm btn-sm--primary"
+        onClick=${addKeyframe}
+        disabled=${keyframes.length >= MAX_KEYFRAMES}
+      >
+        + Add Keyframe
+      </button>
+
+      <small class="form-hint">
+        Time is % of the auction duration. Prices must stay between the floor and starting price (max ${MAX_KEYFRAMES} keyframes).
+      </small>
+
+      ${error && html`
+        <span class="form-error">${error}</span>
+      `}
+    </div>
+  `;
+}
@@ -5,7 +5,9 @@
 
 import { formatPrice, formatDuration } from '../utils/formatters.js';
 import { useAuction, getAuctionTimeRemaining, getAuctionProgress, isAuctionEndingSoon, isPriceNearFloor } from '../hooks/useAuction.js';
+import { getUnitsRemaining } from '../hooks/useAuctions.js';
 import { usePresence } from '../hooks/usePresence.js';
+import { useAuctionCounters } from '../hooks/useAuctionCounters.js';
 import { useUser } from '../hooks/useUser.js';
 import { PriceGraph } from './PriceGraph.js';
 import { ShieldButton } from './ShieldButton.js';
@@ -13,6 +15,7 @@ import { PurchaseSuccessModal } from './PurchaseSuccessModal.js';
 import { ErrorModal } from './ErrorModal.js';
 import { AuctionEndedModal } from './AuctionEndedModal.js';
 import { ImageCarousel } from './ImageCarousel.js';
+import { FillsList } from './FillsList.js';
 
 const { useState, useEffect, useRef } = React;
 
@@ -35,13 +38,15 @@ export function LiveAuction({ auction: initialAuction }) {
   const [auctionEndData, setAuctionEndData] = useState(null);
 
   // Get real-time auction data and price history
-  const { auction, priceHistory, loading, error } = useAuction(initialAuction.id);
+  const { auction, priceHistory, fills, myFills, loading, error } = useAuction(initialAuction.id);
 
   // Use initial auction if real-time data hasn't loaded yet
   const currentAuction = auction || initialAuction;
 
-  // Track presence in live auction
-  const { viewerCount } = usePresence(currentAuction.id, 'live');
+  // Track presence in live auction, until it ends (the end screen isn't counted)
+  const isEnded = currentAuction.status?.startsWith('ended');
+  const { viewerCount } = usePresence(isEnded ? null : currentAuction.id, 'live');
+  const { openShieldCount } = useAuctionCounters(currentAuction.id);
 
   // Get user balance for success modal
   const { balance } = useUser();
@@ -84,21 +89,35 @@ export function LiveAuction({ auction: initialAuction }) {
     if (currentAuction.status === 'ended - sold') {
       console.log('[LiveAuction] Auction ended - sold');
 
-      // Check if current user is the winner
-      const isWinner = currentAuction.winnerId === window.currentUserId;
+      // Multi-unit lots: everyone sees the fills, including their own
+      if ((currentAuction.quantity || 1) > 1) {
+        setAuctionEndData({
+          itemName: currentAuction.itemName,
+          finalPrice: currentAuction.lastFillPrice || currentAuction.currentPrice,
+          quantity: currentAuction.quantity,
+          unitsSold: currentAuction.unitsSold || 0
+        });
+        setShowEndedModal(true);
+        return;
+      }
+
+      // Check if current user is the winner (only the buyer can read the winning fill;
+      // the purchase result names it too, in case the auction update arrives first)
+      const isWinner = purchaseResult?.fillId === currentAuction.winnerFillId
+        || (myFills || []).some(fill => fill.id === currentAuction.winnerFillId);
 
       if (!isWinner) {
-        // Another user won - show notification
+        // Another user won - show notification (named only if the winner chose to be)
         setAuctionEndData({
           itemName: currentAuction.itemName,
-          finalPrice: currentAuction.currentPrice,
-          winnerName: currentAuction.winnerName || 'Another user'
+          finalPrice: currentAuction.finalPrice || currentAuction.currentPrice,
+          winnerName: currentAuction.winnerDisplay || null
         });
         setShowEndedModal(true);
       }
       // If current user is winner, success modal is already shown from purchase flow
     }
-  }, [currentAuction?.status, currentAuction?.winnerId]);
+  }, [currentAuction?.status, currentAuction?.winnerFillId, myFills?.length, purchaseResult?.fillId]);
 
   if (loading && !currentAuction) {
     return html`
@@ -123,13 +142,24 @@ export function LiveAuction({ auction: initialAuction }) {
     displayPrice,
     currentPrice,
     startingPrice,
-    floorPrice,
-    openShieldCount
+    floorPrice
   } = currentAuction;
 
+  const lotSize = currentAuction.quantity || 1;
+  const unitsRemaining = getUnitsRemaining(currentAuction);
+  const isLot = lotSize > 1;
+
+  // Most units this user may still buy in one purchase
+  const myUnits = (myFills || [])
+    .reduce((sum, fill) => sum + (fill.quantity || 0), 0);
+  const maxQuantity = currentAuction.perUserLimit
+    ? Math.max(0, Math.min(unitsRemaining, currentAuction.perUserLimit - myUnits))
+    : unitsRemaining;
+
   // Use displayPrice for smooth updates, fall back to currentPrice
   const priceToDisplay = displayPrice || currentPrice;
 
+  const isPaused = currentAuction.status === 'paused';
   const endingSoon = isAuctionEndingSoon(currentAuction);
   const nearFloor = isPriceNearFloor(currentAuction);
 
@@ -153,9 +183,15 @@ export function LiveAuction({ auction: initialAuction }) {
         <div class="live-auction__title-row">
           <h1 class="live-auction__title">${itemName}</h1>
           <div class="live-auction__status">
-            <span class="status-badge status-badge--live">
-              🔴 LIVE
-            </span>
+            ${isPaused ? html`
+              <span class="status-badge status-badge--paused">
+                ⏸ PAUSED
+              </span>
+            ` : html`
+              <span class="status-badge status-badge--live">
+                🔴 LIVE
+              </span>
+            `}
           </div>
         </div>
 
@@ -166,15 +202,25 @@ export function LiveAuction({ auction: initialAuction }) {
           <div class="current-price-range">
             Floor: ${formatPrice(floorPrice)} • Starting: ${formatPrice(startingPrice)}
           </div>
+          ${isLot && html`
+            <div class="current-price-units">
+              Per unit • ${unitsRemaining} of ${lotSize} units remaining
+            </div>
+            ${currentAuction.settlement === 'uniform' && html`
+              <div class="current-price-units">
+                Uniform price: everyone pays the lowest winning price, the difference is refunded at close
+              </div>
+            `}
+          `}
         </div>
 
         <!-- Time Remaining Progress Bar -->
         <div class="time-remaining-bar ${endingSoon ? 'time-remaining-bar--warning' : ''}">
           <div class="time-remaining-bar__progress" style=${{ width: `${progress}%` }}></div>
           <div class="time-remaining-bar__label">
-            <span class="time-remaining-bar__icon">${endingSoon ? '⚠️' : '⏱'}</span>
+            <span class="time-remaining-bar__icon">${isPaused ? '⏸' : endingSoon ? '⚠️' : '⏱'}</span>
             <span class="time-remaining-bar__text">
-              ${endingSoon ? 'ENDING SOON:' : 'Time Remaining:'} ${formatTimeRemaining(timeRemaining)}
+              ${isPaused ? 'Paused with' : endingSoon ? 'ENDING SOON:' : 'Time Remaining:'} ${formatTimeRemaining(timeRemaining)}${isPaused ? ' left' : ''}
             </span>
           </div>
         </div>
@@ -234,6 +280,16 @@ export function LiveAuction({ auction: initialAuction }) {
               </div>
             `}
 
+            ${isLot && html`
+              <div class="stat-item">
+                <div class="stat-item__icon">📦</div>
+                <div class="stat-item__content">
+                  <div class="stat-item__label">Units Remaining</div>
+                  <div class="stat-item__value">${unitsRemaining} / ${lotSize}</div>
+                </div>
+              </div>
+            `}
+
             <div class="stat-item">
               <div class="stat-item__icon">📊</div>
               <div class="stat-item__content">
@@ -246,17 +302,27 @@ export function LiveAuction({ auction: initialAuction }) {
           <!-- Shield & Purchase Controls -->
           <div class="action-controls">
             <h3 class="action-controls__title">Purchase Controls</h3>
+            ${isPaused ? html`
+              <div class="auction-paused-notice">
+                This auction is paused. The price and clock are frozen, and shields and purchases
+                reopen when it resumes.
+              </div>
+            ` : html`
             <${ShieldButton}
               auctionId=${id}
               currentPrice=${priceToDisplay}
+              maxQuantity=${isLot ? maxQuantity : 1}
+              shieldConfig=${currentAuction.shieldConfig}
               onPurchase=${(result) => {
                 if (result.success) {
                   // T074: Handle success - show confetti and modal
                   console.log('[LiveAuction] Purchase successful!', result);
                   setPurchaseResult({
-                    itemName: itemName,
+                    itemName: result.quantity > 1 ? `${result.quantity} x ${itemName}` : itemName,
                     finalPrice: result.finalPrice,
-                    newBalance: balance - result.finalPrice
+                    // Server figure: a captured shield hold isn't in the local balance
+                    newBalance: result.newBalance ?? (balance - result.finalPrice),
+                    fillId: result.fillId
                   });
                   setShowSuccessModal(true);
                 } else {
@@ -272,6 +338,8 @@ export function LiveAuction({ auction: initialAuction }) {
                     message = 'Your shield has closed. Please open it again to purchase.';
                   } else if (message.includes('auction ended') || message.includes('already sold')) {
                     message = 'This auction has already ended. Another user may have purchased the item.';
+                  } else if (message.includes('sold out')) {
+                    message = 'This lot has sold out.';
                   } else if (message.includes('not authenticated')) {
                     message = 'You must be logged in to make a purchase.';
                   }
@@ -281,8 +349,17 @@ export function LiveAuction({ auction: initialAuction }) {
                 }
               }}
             />
+            `}
           </div>
 
+          <!-- Fills (multi-unit lots) -->
+          ${isLot && html`
+            <div class="auction-details-card">
+              <h3 class="details-card__title">Recent Purchases</h3>
+              <${FillsList} fills=${fills || []} myFills=${myFills || []} />
+            </div>
+          `}
+
           <!-- Auction Details -->
           <div class="auction-details-card">
             <h3 class="details-card__title">Auction Details</h3>
@@ -348,6 +425,11 @@ export function LiveAuction({ auction: initialAuction }) {
           itemName=${auctionEndData.itemName}
           finalPrice=${auctionEndData.finalPrice}
           winnerName=${auctionEndData.winnerName}
+          quantity=${auctionEndData.quantity}
+          unitsSold=${auctionEndData.unitsSold}
+          clearingPrice=${currentAuction.clearingPrice}
+          fills=${fills || []}
+          myFills=${myFills || []}
         />
       `}
     </div>
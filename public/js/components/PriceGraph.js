@@ -16,9 +16,10 @@ const { useEffect, useRef } = React;
  * @param {number} props.currentPrice - Current auction price
  * @param {number} props.floorPrice - Floor price
  * @param {number} props.startingPrice - Starting price
+ * @param {boolean} props.preview - Draw the whole predicted curve as one solid line (auction form)
  * @returns {JSX.Element} Price graph
  */
-export function PriceGraph({ auction, priceHistory = [], currentPrice, floorPrice, startingPrice }) {
+export function PriceGraph({ auction, priceHistory = [], currentPrice, floorPrice, startingPrice, preview = false }) {
   const canvasRef = useRef(null);
   const chartRef = useRef(null);
 
@@ -136,7 +137,7 @@ export function PriceGraph({ auction, priceHistory = [], currentPrice, floorPric
     if (isTransparent && auction) {
       // Generate full predicted price line
       const predictedPoints = generatePredictedPricePoints(auction, 100);
-      const now = Date.now();
+      const now = preview ? Infinity : Date.now();
 
       // Split points into past and future
       const pastPoints = predictedPoints.filter(p => p.x <= now);
@@ -304,7 +305,7 @@ export function PriceGraph({ auction, priceHistory = [], currentPrice, floorPric
 
     // Update chart without animation to prevent jitter
     chart.update('none');
-  }, [auction, priceHistory, currentPrice, floorPrice, startingPrice]);
+  }, [auction, priceHistory, currentPrice, floorPrice, startingPrice, preview]);
 
   return html`
     <div class="price-graph">
@@ -0,0 +1,230 @@
+/**
+ * RefundModal Component
+ * Admin modal for refunding a purchase through the refundPurchase Cloud Function
+ */
+
+import {
+  doc,
+  getDoc
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import {
+  httpsCallable
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
+
+import { formatPrice, formatTimestamp, parsePriceToCents } from '../utils/formatters.js';
+
+const { useState, useEffect } = React;
+
+/**
+ * Refund modal
+ * @param {Object} props - Component props
+ * @param {string} props.transactionId - Purchase transaction to refund
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onRefunded - Called with the refundPurchase result
+ * @returns {JSX.Element} Refund modal
+ */
+export function RefundModal({ transactionId, onClose, onRefunded }) {
+  const [purchase, setPurchase] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [restock, setRestock] = useState('none');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the purchase being refunded
+  useEffect(() => {
+    if (!window.db || !transactionId) return;
+
+    getDoc(doc(window.db, 'transactions', transactionId))
+      .then((snapshot) => {
+        if (!snapshot.exists()) {
+          setError('Transaction not found');
+          return;
+        }
+
+        const data = { id: snapshot.id, ...snapshot.data() };
+        const remaining = -data.amount - (data.refundedAmount || 0);
+        setPurchase(data);
+        setAmount(remaining > 0 ? (remaining / 100).toFixed(2) : '');
+      })
+      .catch((err) => {
+        console.error('[RefundModal] Error loading transaction:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [transactionId]);
+
+  const remaining = purchase ? -purchase.amount - (purchase.refundedAmount || 0) : 0;
+  const amountCents = parsePriceToCents(amount);
+  const isFullRefund = amountCents === remaining;
+
+  // Restocking only makes sense when the whole purchase is undone
+  useEffect(() => {
+    if (!isFullRefund) setRestock('none');
+  }, [isFullRefund]);
+
+  const handleRefund = async () => {
+    if (!purchase || isProcessing) return;
+
+    if (!amountCents || amountCents < 1 || amountCents > remaining) {
+      setError(`Amount must be between $0.01 and ${formatPrice(remaining)}`);
+      return;
+    }
+
+    if (!reason.trim()) {
+      setError('Please give a reason for the refund');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const refundPurchase = httpsCallable(window.functions, 'refundPurchase');
+      const result = await refundPurchase({
+        transactionId,
+        // Full refunds let the server work out what's left (uniform-price lots paid less)
+        amount: isFullRefund ? null : amountCents,
+        reason: reason.trim(),
+        restock
+      });
+
+      console.log('[RefundModal] Refunded:', result.data);
+
+      if (onRefunded) onRefunded(result.data);
+      onClose();
+
+    } catch (err) {
+      console.error('[RefundModal] Error refunding purchase:', err);
+      setError(`Failed to refund: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return html`
+    <div class="modal-overlay" onClick=${onClose}>
+      <div class="modal" onClick=${(e) => e.stopPropagation()}>
+        <div class="modal__header">
+          <h2 class="modal__title">
+            <span class="modal__icon">↩️</span>
+            Refund Purchase
+          </h2>
+          <button
+            class="modal__close"
+            onClick=${onClose}
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        <div class="modal__body">
+          ${loading ? html`
+            <div class="loading">Loading purchase...</div>
+          ` : purchase && html`
+            <div class="grant-preview">
+              <div class="grant-preview__item">
+                <span>Item:</span>
+                <span>${purchase.quantity > 1 ? `${purchase.quantity} x ` : ''}${purchase.itemName}</span>
+              </div>
+              <div class="grant-preview__item">
+                <span>Paid:</span>
+                <span>${formatPrice(-purchase.amount)}</span>
+              </div>
+              ${purchase.refundedAmount > 0 && html`
+                <div class="grant-preview__item">
+                  <span>Already refunded:</span>
+                  <span>${formatPrice(purchase.refundedAmount)}</span>
+                </div>
+              `}
+              <div class="grant-preview__item">
+                <span>Purchased:</span>
+                <span>${purchase.timestamp ? formatTimestamp(purchase.timestamp) : 'Unknown'}</span>
+              </div>
+            </div>
+
+            ${remaining <= 0 ? html`
+              <p>This purchase has already been fully refunded.</p>
+            ` : html`
+              <div class="form-group">
+                <label class="form-label" for="refundAmount">
+                  Refund Amount <span class="required">*</span>
+                </label>
+                <div class="form-input-group">
+                  <span class="form-input-prefix">$</span>
+                  <input
+                    type="number"
+                    id="refundAmount"
+                    class="form-input"
+                    value=${amount}
+                    onChange=${(e) => setAmount(e.target.value)}
+                    min="0.01"
+                    step="0.01"
+                  />
+                </div>
+                <small class="form-hint">Up to ${formatPrice(remaining)}. Less than that is a partial refund.</small>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label" for="refundReason">
+                  Reason <span class="required">*</span>
+                </label>
+                <textarea
+                  id="refundReason"
+                  class="form-textarea"
+                  rows="2"
+                  value=${reason}
+                  onChange=${(e) => setReason(e.target.value)}
+                  placeholder="e.g. Item damaged, duplicate purchase"
+                ></textarea>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label" for="refundRestock">Put Units Back on Sale</label>
+                <select
+                  id="refundRestock"
+                  class="form-select"
+                  value=${restock}
+                  onChange=${(e) => setRestock(e.target.value)}
+                  disabled=${!isFullRefund}
+                >
+                  <option value="none">No</option>
+                  <option value="reopen">Reopen the same auction</option>
+                  <option value="relist">Relist as a new scheduled auction</option>
+                </select>
+                <small class="form-hint">
+                  ${isFullRefund
+                    ? 'Reopening only works while the auction still has time left'
+                    : 'Only available for a full refund'}
+                </small>
+              </div>
+            `}
+          `}
+
+          ${error && html`
+            <div class="alert alert--error">${error}</div>
+          `}
+        </div>
+
+        <div class="modal__footer">
+          <button
+            class="btn-secondary"
+            onClick=${onClose}
+            disabled=${isProcessing}
+          >
+            Cancel
+          </button>
+          <button
+            class="btn-primary"
+            onClick=${handleRefund}
+            disabled=${isProcessing || !purchase || remaining <= 0 || !reason.trim()}
+          >
+            ${isProcessing ? 'Refunding...' : 'Refund'}
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+}
@@ -6,6 +6,7 @@
 import { useShield, SHIELD_STATES } from '../hooks/useShield.js';
 import { useUser } from '../hooks/useUser.js';
 import { formatPrice } from '../utils/formatters.js';
+import { retryOperation, createIdempotencyKey } from '../utils/firestore.js';
 import {
   httpsCallable
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
@@ -16,45 +17,59 @@ const { useState, useEffect } = React;
  * Shield button component
  * @param {Object} props - Component props
  * @param {string} props.auctionId - Auction ID
- * @param {number} props.currentPrice - Current auction price
+ * @param {number} props.currentPrice - Current auction price (per unit)
+ * @param {number} props.maxQuantity - Most units this user can buy now (multi-unit lots)
+ * @param {Object} props.shieldConfig - The auction's shield rules (window, cooldown, opens, cost)
  * @param {Function} props.onPurchase - Purchase callback
  * @returns {JSX.Element} Shield button
  */
-export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
+export function ShieldButton({ auctionId, currentPrice, maxQuantity = 1, shieldConfig = null, onPurchase }) {
   const {
     shieldState,
     timeRemaining,
     error,
     isProcessing,
+    heldAmount,
+    config,
+    windowSeconds,
+    cooldownSeconds,
+    opensRemaining,
     openShield,
     isOpen,
     isOpening,
     isCooldown,
     isClosed
-  } = useShield(auctionId);
+  } = useShield(auctionId, shieldConfig);
 
   const { balance, loading: userLoading } = useUser();
 
   const [progress, setProgress] = useState(100);
   const [isPurchasing, setIsPurchasing] = useState(false);
   const [purchaseError, setPurchaseError] = useState(null);
+  const [quantity, setQuantity] = useState(1);
+
+  // Keep the selected quantity within what's still available
+  const purchaseQuantity = Math.max(1, Math.min(quantity, maxQuantity));
+  const totalPrice = currentPrice * purchaseQuantity;
 
   // Calculate progress for circular indicator
   useEffect(() => {
     if (isOpen) {
-      const percentage = (timeRemaining / 5) * 100;
+      const percentage = (timeRemaining / windowSeconds) * 100;
       setProgress(percentage);
     } else if (isCooldown) {
-      const percentage = ((5 - timeRemaining) / 5) * 100;
+      const percentage = cooldownSeconds > 0 ? ((cooldownSeconds - timeRemaining) / cooldownSeconds) * 100 : 100;
       setProgress(percentage);
     } else {
       setProgress(100);
     }
-  }, [timeRemaining, isOpen, isCooldown]);
+  }, [timeRemaining, isOpen, isCooldown, windowSeconds, cooldownSeconds]);
+
+  const outOfOpens = opensRemaining === 0;
 
   // Handle shield button click
   const handleShieldClick = () => {
-    if (isClosed && !isProcessing) {
+    if (isClosed && !isProcessing && !outOfOpens) {
       openShield();
     }
   };
@@ -65,9 +80,15 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
       return;
     }
 
-    // T071: Client-side validation - check balance
-    if (balance < currentPrice) {
-      setPurchaseError(`Insufficient balance. You have ${formatPrice(balance)}, but need ${formatPrice(currentPrice)}.`);
+    if (maxQuantity < 1) {
+      setPurchaseError('You have reached the purchase limit for this lot.');
+      return;
+    }
+
+    // T071: Client-side validation - check balance (this shield's hold is spent first)
+    const spendable = balance + heldAmount;
+    if (spendable < totalPrice) {
+      setPurchaseError(`Insufficient balance. You have ${formatPrice(spendable)}, but need ${formatPrice(totalPrice)}.`);
       return;
     }
 
@@ -78,7 +99,7 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
 
       console.log('[ShieldButton] Initiating purchase...');
       console.log('[ShieldButton] Auction:', auctionId);
-      console.log('[ShieldButton] Price:', formatPrice(currentPrice));
+      console.log('[ShieldButton] Price:', formatPrice(currentPrice), 'x', purchaseQuantity);
       console.log('[ShieldButton] Balance:', formatPrice(balance));
 
       // T073: Call purchaseAuction Cloud Function (Phase 14) - v9 modular API
@@ -86,11 +107,16 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
 
       // Send timestamp so server can calculate expected price using same formula
       // This avoids price mismatch between client interpolation and server updates
-      const result = await purchaseFunction({
+      // Retries reuse the idempotency key, so a purchase that timed out but went
+      // through comes back with its original result instead of "already won"
+      const request = {
         auctionId: auctionId,
         expectedPrice: currentPrice, // Still send for client-side validation
-        purchaseTimestamp: Date.now() // Server will use this to calculate accurate price
-      });
+        purchaseTimestamp: Date.now(), // Server will use this to calculate accurate price
+        quantity: purchaseQuantity,
+        idempotencyKey: createIdempotencyKey()
+      };
+      const result = await retryOperation(() => purchaseFunction(request), 3, 500);
 
       console.log('[ShieldButton] Purchase successful:', result.data);
       setIsPurchasing(false);
@@ -100,8 +126,10 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
         onPurchase({
           success: true,
           finalPrice: result.data.finalPrice,
+          quantity: result.data.quantity,
           auctionId,
           transactionId: result.data.transactionId,
+          fillId: result.data.fillId,
           newBalance: result.data.newBalance,
           itemName: result.data.itemName
         });
@@ -157,14 +185,25 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
             class="shield-btn shield-btn--closed"
             onClick=${handleShieldClick}
             onKeyDown=${handleKeyDown}
-            disabled=${isProcessing}
+            disabled=${isProcessing || outOfOpens}
             aria-label="Open shield to enable purchase"
           >
             <span class="shield-btn__icon">🛡</span>
             <span class="shield-btn__text">
-              ${isProcessing ? 'Opening...' : 'Open Shield to Purchase'}
+              ${isProcessing
+                ? 'Opening...'
+                : outOfOpens
+                  ? 'No Shield Opens Left'
+                  : config.costPerOpen > 0
+                    ? `Open Shield (${formatPrice(config.costPerOpen)})`
+                    : 'Open Shield to Purchase'}
             </span>
           </button>
+          ${opensRemaining !== null && !outOfOpens && html`
+            <div class="shield-cooldown-info">
+              ${opensRemaining} shield ${opensRemaining === 1 ? 'open' : 'opens'} left
+            </div>
+          `}
         `}
 
         <!-- Opening State: Animation -->
@@ -213,6 +252,27 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
               </div>
             </div>
 
+            <!-- Quantity Selector (multi-unit lots) -->
+            ${maxQuantity > 1 && html`
+              <div class="quantity-selector">
+                <button
+                  type="button"
+                  class="quantity-selector__btn"
+                  onClick=${() => setQuantity(purchaseQuantity - 1)}
+                  disabled=${isPurchasing || purchaseQuantity <= 1}
+                  aria-label="Decrease quantity"
+                >−</button>
+                <span class="quantity-selector__value" aria-live="polite">${purchaseQuantity}</span>
+                <button
+                  type="button"
+                  class="quantity-selector__btn"
+                  onClick=${() => setQuantity(purchaseQuantity + 1)}
+                  disabled=${isPurchasing || purchaseQuantity >= maxQuantity}
+                  aria-label="Increase quantity"
+                >+</button>
+              </div>
+            `}
+
             <!-- Purchase Button -->
             <button
               class="purchase-btn ${isPurchasing ? 'purchase-btn--processing' : 'purchase-btn--active'}"
@@ -223,7 +283,11 @@ export function ShieldButton({ auctionId, currentPrice, onPurchase }) {
             >
               <span class="purchase-btn__icon">${isPurchasing ? '⏳' : '💰'}</span>
               <span class="purchase-btn__text">
-                ${isPurchasing ? 'Processing Purchase...' : `Purchase at ${formatPrice(currentPrice)}`}
+                ${isPurchasing
+                  ? 'Processing Purchase...'
+                  : purchaseQuantity > 1
+                    ? `Buy ${purchaseQuantity} for ${formatPrice(totalPrice)}`
+                    : `Purchase at ${formatPrice(currentPrice)}`}
               </span>
             </button>
 
@@ -132,17 +132,21 @@ export function TransactionHistoryModal({
       'admin_grant': 'Admin Grant',
       'purchase': 'Purchase',
       'refund': 'Refund',
-      'adjustment': 'Adjustment'
+      'adjustment': 'Adjustment',
+      'allowance': 'Allowance',
+      'shield_fee': 'Shield Fee'
     };
     return typeMap[type] || type;
   };
 
-  // Get type-specific styling
-  const getTypeClass = (type) => {
-    if (type === 'admin_grant' || type === 'refund') {
+  // Get type-specific styling (adjustments go either way)
+  const getTypeClass = (type, amount) => {
+    if (type === 'admin_grant' || type === 'refund' || type === 'allowance') {
       return 'transaction-type--positive';
-    } else if (type === 'purchase') {
+    } else if (type === 'purchase' || type === 'shield_fee') {
       return 'transaction-type--negative';
+    } else if (type === 'adjustment') {
+      return amount < 0 ? 'transaction-type--negative' : 'transaction-type--positive';
     }
     return '';
   };
@@ -216,7 +220,7 @@ export function TransactionHistoryModal({
                           ${formatTimestamp(tx.timestamp)}
                         </td>
                         <td class="transaction-type">
-                          <span class="transaction-type-badge ${getTypeClass(tx.type)}">
+                          <span class="transaction-type-badge ${getTypeClass(tx.type, tx.amount)}">
                             ${formatType(tx.type)}
                           </span>
                         </td>
@@ -240,7 +244,7 @@ export function TransactionHistoryModal({
                 ${transactions.map(tx => html`
                   <div key=${tx.id} class="transaction-card">
                     <div class="transaction-card__header">
-                      <span class="transaction-type-badge ${getTypeClass(tx.type)}">
+                      <span class="transaction-type-badge ${getTypeClass(tx.type, tx.amount)}">
                         ${formatType(tx.type)}
                       </span>
                       <span class="transaction-card__date">
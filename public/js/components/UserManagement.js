@@ -1,37 +1,70 @@
 /**
  * UserManagement Component
- * Admin interface for viewing users and granting currency
+ * Admin interface for viewing users, adjusting balances, changing roles and
+ * refunding purchases
  */
 
 import {
   collection,
   query,
+  where,
   orderBy,
-  onSnapshot,
-  doc,
-  updateDoc,
-  addDoc,
-  serverTimestamp,
-  increment
+  limit,
+  getDocs,
+  onSnapshot
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import {
+  httpsCallable
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
 
-import { formatPrice, formatTimestamp } from '../utils/formatters.js';
+import { formatPrice, formatTimestamp, parsePriceToCents } from '../utils/formatters.js';
+import { ROLES, ROLE_LABELS } from '../utils/roles.js';
+import { retryOperation, createIdempotencyKey } from '../utils/firestore.js';
+import { RefundModal } from './RefundModal.js';
+import { BulkGrantModal } from './BulkGrantModal.js';
 
 const { useState, useEffect } = React;
 
+const PURCHASES_SHOWN = 50;
+
+// Reason codes accepted by the adjustBalance Cloud Function
+const ADJUSTMENT_REASONS = {
+  correction: 'Correction',
+  duplicate_grant: 'Duplicate grant',
+  goodwill: 'Goodwill credit',
+  event_seed: 'Event seeding',
+  other: 'Other'
+};
+
 /**
  * User management component
+ * Only admins can adjust balances, change roles or refund; other staff get a read-only list.
+ * @param {Object} props - Component props
+ * @param {string} props.role - Signed-in staff role
  * @returns {JSX.Element} User management interface
  */
-export function UserManagement() {
+export function UserManagement({ role = 'support' }) {
+  const isAdmin = role === 'admin';
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [showGrantModal, setShowGrantModal] = useState(false);
+  const [showAdjustModal, setShowAdjustModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
-  const [grantAmount, setGrantAmount] = useState('');
+  const [adjustDirection, setAdjustDirection] = useState('credit');
+  const [adjustAmount, setAdjustAmount] = useState('');
+  const [reasonCode, setReasonCode] = useState('correction');
+  const [adjustNote, setAdjustNote] = useState('');
+  const [allowNegative, setAllowNegative] = useState(false);
+  const [adjustKey, setAdjustKey] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [success, setSuccess] = useState(null);
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [newRole, setNewRole] = useState('user');
+  const [showPurchasesModal, setShowPurchasesModal] = useState(false);
+  const [purchases, setPurchases] = useState([]);
+  const [purchasesLoading, setPurchasesLoading] = useState(false);
+  const [refundTransactionId, setRefundTransactionId] = useState(null);
+  const [showBulkModal, setShowBulkModal] = useState(false);
 
   // T138: Fetch and listen to all users
   useEffect(() => {
@@ -63,24 +96,38 @@ export function UserManagement() {
     return () => unsubscribe();
   }, []);
 
-  // T140: Handle grant currency click
-  const handleGrantClick = (user) => {
+  // T140: Show adjust balance modal
+  const handleAdjustClick = (user) => {
     setSelectedUser(user);
-    setGrantAmount('');
-    setShowGrantModal(true);
+    setAdjustDirection('credit');
+    setAdjustAmount('');
+    setReasonCode('correction');
+    setAdjustNote('');
+    setAllowNegative(false);
+    setAdjustKey(createIdempotencyKey()); // One key per dialog, shared by its retries
+    setShowAdjustModal(true);
     setError(null);
     setSuccess(null);
   };
 
-  // T142-T145: Grant currency to user
-  const handleGrantCurrency = async () => {
-    if (!selectedUser || !grantAmount || isProcessing) return;
+  // Signed adjustment in cents (null while the amount is invalid) and its result
+  const adjustCents = parsePriceToCents(adjustAmount);
+  const signedAdjustment = adjustCents > 0 && adjustCents <= 10000000
+    ? (adjustDirection === 'debit' ? -adjustCents : adjustCents)
+    : null;
+  const adjustedBalance = (selectedUser?.balance || 0) + (signedAdjustment || 0);
 
-    const amount = parseInt(grantAmount);
+  // T142-T145: Credit or debit a user's balance
+  const handleAdjustBalance = async () => {
+    if (!selectedUser || isProcessing) return;
 
-    // Validate amount
-    if (isNaN(amount) || amount < 100 || amount > 10000000) {
-      setError('Amount must be between $1.00 and $100,000.00');
+    if (signedAdjustment === null) {
+      setError('Amount must be between $0.01 and $100,000.00');
+      return;
+    }
+
+    if (!adjustNote.trim()) {
+      setError('Please add a note explaining the adjustment');
       return;
     }
 
@@ -88,39 +135,110 @@ export function UserManagement() {
     setError(null);
 
     try {
-      console.log('[UserManagement] Granting currency...');
-      console.log('[UserManagement] User:', selectedUser.email);
-      console.log('[UserManagement] Amount:', formatPrice(amount));
+      const adjustBalance = httpsCallable(window.functions, 'adjustBalance');
+      const request = {
+        userId: selectedUser.id,
+        amount: signedAdjustment,
+        reasonCode,
+        note: adjustNote.trim(),
+        allowNegative,
+        idempotencyKey: adjustKey
+      };
+      const result = await retryOperation(() => adjustBalance(request));
 
-      // T142: Call grantCurrency Cloud Function (Phase 17)
-      const grantFunction = window.firebase.functions().httpsCallable('grantCurrency');
+      console.log('[UserManagement] Balance adjusted:', result.data);
 
-      const result = await grantFunction({
-        userId: selectedUser.id,
-        amount: amount
-      });
+      setSuccess(`${signedAdjustment > 0 ? 'Credited' : 'Debited'} ${formatPrice(Math.abs(signedAdjustment))} ` +
+        `${signedAdjustment > 0 ? 'to' : 'from'} ${selectedUser.email}`);
+      setShowAdjustModal(false);
+      setSelectedUser(null);
 
-      console.log('[UserManagement] Currency granted via Cloud Function:', result.data);
+    } catch (err) {
+      console.error('[UserManagement] Error adjusting balance:', err);
+      setError(err.details?.reason === 'negative-balance'
+        ? err.message
+        : `Failed to adjust balance: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-      // T144: Show success message
-      setSuccess(`Successfully granted ${formatPrice(amount)} to ${selectedUser.email}`);
+  // Show change role modal
+  const handleRoleClick = (user) => {
+    setSelectedUser(user);
+    setNewRole(user.role || 'user');
+    setShowRoleModal(true);
+    setError(null);
+    setSuccess(null);
+  };
 
-      // Close modal after short delay
-      setTimeout(() => {
-        setShowGrantModal(false);
-        setSelectedUser(null);
-        setGrantAmount('');
-        setSuccess(null);
-      }, 2000);
+  // Promote or demote a user (sets the role custom claim server-side)
+  const handleChangeRole = async () => {
+    if (!selectedUser || isProcessing) return;
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const setUserRole = httpsCallable(window.functions, 'setUserRole');
+      const result = await setUserRole({ userId: selectedUser.id, role: newRole });
+
+      console.log('[UserManagement] Role changed:', result.data);
+
+      setSuccess(`${selectedUser.email} is now ${ROLE_LABELS[newRole]}. They'll get the new permissions within a few seconds.`);
+      setShowRoleModal(false);
+      setSelectedUser(null);
 
     } catch (err) {
-      console.error('[UserManagement] Error granting currency:', err);
-      setError(`Failed to grant currency: ${err.message}`);
+      console.error('[UserManagement] Error changing role:', err);
+      setError(`Failed to change role: ${err.message}`);
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Load a user's recent purchases for the refund list
+  const loadPurchases = async (user) => {
+    setPurchasesLoading(true);
+
+    try {
+      const snapshot = await getDocs(query(
+        collection(window.db, 'transactions'),
+        where('userId', '==', user.id),
+        orderBy('timestamp', 'desc'),
+        limit(PURCHASES_SHOWN)
+      ));
+
+      setPurchases(snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(tx => tx.type === 'purchase'));
+
+    } catch (err) {
+      console.error('[UserManagement] Error loading purchases:', err);
+      setError(`Failed to load purchases: ${err.message}`);
+    } finally {
+      setPurchasesLoading(false);
+    }
+  };
+
+  // Show a user's purchases
+  const handlePurchasesClick = (user) => {
+    setSelectedUser(user);
+    setPurchases([]);
+    setShowPurchasesModal(true);
+    setError(null);
+    setSuccess(null);
+    loadPurchases(user);
+  };
+
+  // Refund went through: report it and refresh the list
+  const handleRefunded = (result) => {
+    setSuccess(`Refunded ${formatPrice(result.amount)} to ${result.userEmail}` +
+      (result.reopened ? ' and reopened the auction' : '') +
+      (result.relistedAuctionId ? ' and relisted the item' : ''));
+    if (selectedUser) loadPurchases(selectedUser);
+  };
+
   if (loading) {
     return html`
       <div class="user-management">
@@ -137,6 +255,14 @@ export function UserManagement() {
           <span class="stats-badge">
             👥 ${users.length} ${users.length === 1 ? 'User' : 'Users'}
           </span>
+          ${isAdmin && html`
+            <button
+              class="btn-sm btn-sm--primary"
+              onClick=${() => { setError(null); setSuccess(null); setShowBulkModal(true); }}
+            >
+              📥 Bulk Grant
+            </button>
+          `}
         </div>
       </div>
 
@@ -176,19 +302,35 @@ export function UserManagement() {
                   </td>
                   <td class="user-role">
                     <span class="role-badge role-badge--${user.role || 'user'}">
-                      ${user.role === 'admin' ? '👑 Admin' : '👤 User'}
+                      ${ROLE_LABELS[user.role] || ROLE_LABELS.user}
                     </span>
                   </td>
                   <td class="user-date">
                     ${user.createdAt ? formatTimestamp(user.createdAt) : 'Unknown'}
                   </td>
                   <td class="user-actions">
-                    <button
-                      class="btn-sm btn-sm--primary"
-                      onClick=${() => handleGrantClick(user)}
-                    >
-                      💰 Grant Currency
-                    </button>
+                    ${isAdmin ? html`
+                      <button
+                        class="btn-sm btn-sm--primary"
+                        onClick=${() => handleAdjustClick(user)}
+                      >
+                        💰 Adjust Balance
+                      </button>
+                      <button
+                        class="btn-sm"
+                        onClick=${() => handleRoleClick(user)}
+                        disabled=${user.id === window.currentUserId}
+                        title=${user.id === window.currentUserId ? 'Ask another admin to change your role' : ''}
+                      >
+                        🔑 Change Role
+                      </button>
+                      <button
+                        class="btn-sm"
+                        onClick=${() => handlePurchasesClick(user)}
+                      >
+                        🧾 Purchases
+                      </button>
+                    ` : '—'}
                   </td>
                 </tr>
               `)}
@@ -206,7 +348,7 @@ export function UserManagement() {
                   <div class="user-card__name">${user.displayName || 'No name'}</div>
                 </div>
                 <span class="role-badge role-badge--${user.role || 'user'}">
-                  ${user.role === 'admin' ? '👑' : '👤'}
+                  ${ROLE_LABELS[user.role] || ROLE_LABELS.user}
                 </span>
               </div>
 
@@ -221,31 +363,46 @@ export function UserManagement() {
                 </div>
               </div>
 
-              <div class="user-card__actions">
-                <button
-                  class="btn-sm btn-sm--primary"
-                  onClick=${() => handleGrantClick(user)}
-                >
-                  💰 Grant Currency
-                </button>
-              </div>
+              ${isAdmin && html`
+                <div class="user-card__actions">
+                  <button
+                    class="btn-sm btn-sm--primary"
+                    onClick=${() => handleAdjustClick(user)}
+                  >
+                    💰 Adjust Balance
+                  </button>
+                  <button
+                    class="btn-sm"
+                    onClick=${() => handleRoleClick(user)}
+                    disabled=${user.id === window.currentUserId}
+                  >
+                    🔑 Change Role
+                  </button>
+                  <button
+                    class="btn-sm"
+                    onClick=${() => handlePurchasesClick(user)}
+                  >
+                    🧾 Purchases
+                  </button>
+                </div>
+              `}
             </div>
           `)}
         </div>
       `}
 
-      <!-- Grant Currency Modal -->
-      ${showGrantModal && selectedUser && html`
-        <div class="modal-overlay" onClick=${() => setShowGrantModal(false)}>
+      <!-- Adjust Balance Modal -->
+      ${showAdjustModal && selectedUser && html`
+        <div class="modal-overlay" onClick=${() => setShowAdjustModal(false)}>
           <div class="modal" onClick=${(e) => e.stopPropagation()}>
             <div class="modal__header">
               <h2 class="modal__title">
                 <span class="modal__icon">💰</span>
-                Grant Currency
+                Adjust Balance
               </h2>
               <button
                 class="modal__close"
-                onClick=${() => setShowGrantModal(false)}
+                onClick=${() => setShowAdjustModal(false)}
                 aria-label="Close modal"
               >
                 ×
@@ -253,71 +410,285 @@ export function UserManagement() {
             </div>
 
             <div class="modal__body">
-              <p>Grant fictional currency to <strong>${selectedUser.email}</strong></p>
+              <p>Credit or debit fictional currency for <strong>${selectedUser.email}</strong></p>
 
               <div class="user-current-balance">
                 <strong>Current Balance:</strong>
                 <span class="balance-amount">${formatPrice(selectedUser.balance || 0)}</span>
               </div>
 
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label" for="adjustDirection">Type</label>
+                  <select
+                    id="adjustDirection"
+                    class="form-select"
+                    value=${adjustDirection}
+                    onChange=${(e) => setAdjustDirection(e.target.value)}
+                  >
+                    <option value="credit">Credit (add)</option>
+                    <option value="debit">Debit (claw back)</option>
+                  </select>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label" for="adjustAmount">
+                    Amount <span class="required">*</span>
+                  </label>
+                  <div class="form-input-group">
+                    <span class="form-input-prefix">$</span>
+                    <input
+                      type="number"
+                      id="adjustAmount"
+                      class="form-input"
+                      value=${adjustAmount}
+                      onChange=${(e) => setAdjustAmount(e.target.value)}
+                      placeholder="100.00"
+                      min="0.01"
+                      max="100000"
+                      step="0.01"
+                      autoFocus
+                    />
+                  </div>
+                </div>
+              </div>
+
               <div class="form-group">
-                <label class="form-label" for="grantAmount">
-                  Amount to Grant <span class="required">*</span>
+                <label class="form-label" for="reasonCode">
+                  Reason <span class="required">*</span>
                 </label>
-                <div class="form-input-group">
-                  <span class="form-input-prefix">$</span>
-                  <input
-                    type="number"
-                    id="grantAmount"
-                    class="form-input"
-                    value=${grantAmount}
-                    onChange=${(e) => setGrantAmount(e.target.value)}
-                    placeholder="10000"
-                    min="100"
-                    max="10000000"
-                    step="100"
-                    autoFocus
-                  />
-                </div>
-                <small class="form-hint">
-                  Amount in cents ($1.00 - $100,000.00)
-                  ${grantAmount && !isNaN(parseInt(grantAmount)) ?
-                    ` = ${formatPrice(parseInt(grantAmount))}` : ''}
-                </small>
+                <select
+                  id="reasonCode"
+                  class="form-select"
+                  value=${reasonCode}
+                  onChange=${(e) => setReasonCode(e.target.value)}
+                >
+                  ${Object.entries(ADJUSTMENT_REASONS).map(([code, label]) => html`
+                    <option key=${code} value=${code}>${label}</option>
+                  `)}
+                </select>
               </div>
 
-              ${grantAmount && !isNaN(parseInt(grantAmount)) && html`
+              <div class="form-group">
+                <label class="form-label" for="adjustNote">
+                  Note <span class="required">*</span>
+                </label>
+                <textarea
+                  id="adjustNote"
+                  class="form-textarea"
+                  rows="2"
+                  maxLength="500"
+                  value=${adjustNote}
+                  onChange=${(e) => setAdjustNote(e.target.value)}
+                  placeholder="What happened, ticket number, etc."
+                ></textarea>
+              </div>
+
+              ${signedAdjustment !== null && html`
                 <div class="grant-preview">
                   <div class="grant-preview__item">
                     <span>Current Balance:</span>
                     <span>${formatPrice(selectedUser.balance || 0)}</span>
                   </div>
-                  <div class="grant-preview__item grant-preview__item--add">
-                    <span>+ Grant Amount:</span>
-                    <span>${formatPrice(parseInt(grantAmount))}</span>
+                  <div class="grant-preview__item ${signedAdjustment > 0 ? 'grant-preview__item--add' : ''}">
+                    <span>${signedAdjustment > 0 ? '+ Credit:' : '- Debit:'}</span>
+                    <span>${formatPrice(Math.abs(signedAdjustment))}</span>
                   </div>
                   <div class="grant-preview__item grant-preview__item--total">
                     <span>New Balance:</span>
-                    <span>${formatPrice((selectedUser.balance || 0) + parseInt(grantAmount))}</span>
+                    <span>${adjustedBalance < 0 ? '-' : ''}${formatPrice(Math.abs(adjustedBalance))}</span>
                   </div>
                 </div>
               `}
+
+              ${adjustedBalance < 0 && html`
+                <label class="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked=${allowNegative}
+                    onChange=${(e) => setAllowNegative(e.target.checked)}
+                  />
+                  <span>Allow a negative balance</span>
+                </label>
+              `}
+
+              ${error && html`
+                <div class="alert alert--error">${error}</div>
+              `}
+            </div>
+
+            <div class="modal__footer">
+              <button
+                class="btn-secondary"
+                onClick=${() => setShowAdjustModal(false)}
+                disabled=${isProcessing}
+              >
+                Cancel
+              </button>
+              <button
+                class="btn-primary"
+                onClick=${handleAdjustBalance}
+                disabled=${isProcessing || signedAdjustment === null || !adjustNote.trim() ||
+                  (adjustedBalance < 0 && !allowNegative)}
+              >
+                ${isProcessing ? 'Saving...' : 'Apply Adjustment'}
+              </button>
+            </div>
+          </div>
+        </div>
+      `}
+
+      <!-- Purchases Modal (refunds) -->
+      ${showPurchasesModal && selectedUser && html`
+        <div class="modal-overlay" onClick=${() => setShowPurchasesModal(false)}>
+          <div class="modal modal--large" onClick=${(e) => e.stopPropagation()}>
+            <div class="modal__header">
+              <h2 class="modal__title">
+                <span class="modal__icon">🧾</span>
+                Purchases
+              </h2>
+              <button
+                class="modal__close"
+                onClick=${() => setShowPurchasesModal(false)}
+                aria-label="Close modal"
+              >
+                ×
+              </button>
+            </div>
+
+            <div class="modal__body">
+              <p>Recent purchases by <strong>${selectedUser.email}</strong></p>
+
+              ${success && html`
+                <div class="alert alert--success">${success}</div>
+              `}
+
+              ${purchasesLoading ? html`
+                <div class="loading">Loading purchases...</div>
+              ` : purchases.length === 0 ? html`
+                <p>No purchases yet.</p>
+              ` : html`
+                <table class="user-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Paid</th>
+                      <th>Date</th>
+                      <th>Refunded</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${purchases.map(tx => html`
+                      <tr key=${tx.id}>
+                        <td>${tx.quantity > 1 ? `${tx.quantity} x ` : ''}${tx.itemName}</td>
+                        <td>${formatPrice(-tx.amount)}</td>
+                        <td>${tx.timestamp ? formatTimestamp(tx.timestamp) : 'Unknown'}</td>
+                        <td>${tx.refundedAmount ? formatPrice(tx.refundedAmount) : '—'}</td>
+                        <td>
+                          <button
+                            class="btn-sm"
+                            onClick=${() => setRefundTransactionId(tx.id)}
+                            disabled=${tx.refundStatus === 'full'}
+                          >
+                            ↩️ Refund
+                          </button>
+                        </td>
+                      </tr>
+                    `)}
+                  </tbody>
+                </table>
+              `}
+            </div>
+
+            <div class="modal__footer">
+              <button
+                class="btn-secondary"
+                onClick=${() => setShowPurchasesModal(false)}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      `}
+
+      ${showBulkModal && html`
+        <${BulkGrantModal}
+          users=${users}
+          onClose=${() => setShowBulkModal(false)}
+          onComplete=${(result) => setSuccess(
+            `Bulk grant ${result.batchId}: ${result.grantedCount} granted, ${result.failedCount} failed`
+          )}
+        />
+      `}
+
+      ${refundTransactionId && html`
+        <${RefundModal}
+          transactionId=${refundTransactionId}
+          onClose=${() => setRefundTransactionId(null)}
+          onRefunded=${handleRefunded}
+        />
+      `}
+
+      <!-- Change Role Modal -->
+      ${showRoleModal && selectedUser && html`
+        <div class="modal-overlay" onClick=${() => setShowRoleModal(false)}>
+          <div class="modal" onClick=${(e) => e.stopPropagation()}>
+            <div class="modal__header">
+              <h2 class="modal__title">
+                <span class="modal__icon">🔑</span>
+                Change Role
+              </h2>
+              <button
+                class="modal__close"
+                onClick=${() => setShowRoleModal(false)}
+                aria-label="Close modal"
+              >
+                ×
+              </button>
+            </div>
+
+            <div class="modal__body">
+              <p>Change the role of <strong>${selectedUser.email}</strong></p>
+
+              <div class="form-group">
+                <label class="form-label" for="newRole">Role</label>
+                <select
+                  id="newRole"
+                  class="form-select"
+                  value=${newRole}
+                  onChange=${(e) => setNewRole(e.target.value)}
+                >
+                  ${ROLES.map(r => html`
+                    <option key=${r} value=${r}>${ROLE_LABELS[r]}</option>
+                  `)}
+                </select>
+                <small class="form-hint">
+                  Admins manage everything, including balances and roles. Operators create and run
+                  auctions. Support has read-only access to the admin panel.
+                </small>
+              </div>
+
+              ${error && html`
+                <div class="alert alert--error">${error}</div>
+              `}
             </div>
 
             <div class="modal__footer">
               <button
                 class="btn-secondary"
-                onClick=${() => setShowGrantModal(false)}
+                onClick=${() => setShowRoleModal(false)}
                 disabled=${isProcessing}
               >
                 Cancel
               </button>
               <button
                 class="btn-primary"
-                onClick=${handleGrantCurrency}
-                disabled=${isProcessing || !grantAmount || parseInt(grantAmount) < 100}
+                onClick=${handleChangeRole}
+                disabled=${isProcessing || newRole === (selectedUser.role || 'user')}
               >
-                ${isProcessing ? 'Granting...' : 'Grant Currency'}
+                ${isProcessing ? 'Saving...' : 'Save Role'}
               </button>
             </div>
           </div>
@@ -8,6 +8,7 @@ import { ImageCarousel } from './ImageCarousel.js';
 import { usePresence } from '../hooks/usePresence.js';
 
 const { useState, useEffect } = React;
+const { shieldConfig: resolveShieldConfig } = window.ShieldRules;
 
 /**
  * Waiting room component for scheduled auctions
@@ -83,6 +84,10 @@ export function WaitingRoom({ auction }) {
 
   const isStartingSoon = timeUntilStart > 0 && timeUntilStart <= 60; // Less than 1 minute
 
+  // Shield rules (defaults for auctions created before shieldConfig)
+  const shield = resolveShieldConfig(auction);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
   return html`
     <div class="waiting-room">
       <!-- Back Link -->
@@ -191,7 +196,9 @@ export function WaitingRoom({ auction }) {
                 <div class="detail-item">
                   <dt>Price Formula</dt>
                   <dd class="detail-value">
-                    ${pricingConfig.formula.charAt(0).toUpperCase() + pricingConfig.formula.slice(1)} Decay
+                    ${pricingConfig.formula === 'keyframes'
+                      ? 'Custom Curve'
+                      : `${pricingConfig.formula.charAt(0).toUpperCase() + pricingConfig.formula.slice(1)} Decay`}
                   </dd>
                 </div>
               `}
@@ -204,6 +211,33 @@ export function WaitingRoom({ auction }) {
                   </dd>
                 </div>
               `}
+
+              <div class="detail-item">
+                <dt>Shield Window</dt>
+                <dd class="detail-value">${plural(shield.durationSeconds, 'second')}</dd>
+              </div>
+
+              <div class="detail-item">
+                <dt>Shield Cooldown</dt>
+                <dd class="detail-value">
+                  ${plural(shield.cooldownSeconds, 'second')}
+                  ${shield.cooldownEscalation > 0 && ` (+${shield.cooldownEscalation}s per reuse)`}
+                </dd>
+              </div>
+
+              <div class="detail-item">
+                <dt>Shield Opens</dt>
+                <dd class="detail-value">
+                  ${shield.maxOpens === null ? 'Unlimited' : `${shield.maxOpens} per bidder`}
+                </dd>
+              </div>
+
+              ${shield.costPerOpen > 0 && html`
+                <div class="detail-item">
+                  <dt>Cost per Open</dt>
+                  <dd class="detail-value">${formatPrice(shield.costPerOpen)}</dd>
+                </div>
+              `}
             </dl>
           </section>
 
@@ -213,7 +247,7 @@ export function WaitingRoom({ auction }) {
             <ol class="how-it-works-list">
               <li>The auction starts at <strong>${formatPrice(startingPrice)}</strong></li>
               <li>The price decreases over time until it reaches <strong>${formatPrice(floorPrice)}</strong></li>
-              <li>Deploy your shield to secure a 5-second purchase window</li>
+              <li>Deploy your shield to secure a ${shield.durationSeconds}-second purchase window</li>
               <li>Click "Purchase" during your window to win the item</li>
               <li>First person to purchase wins at the current price</li>
             </ol>
@@ -226,10 +260,14 @@ export function WaitingRoom({ auction }) {
               <div class="info-box__content">
                 <h3>About Shields</h3>
                 <p>
-                  Shields give you a 5-second exclusive window to purchase.
-                  Once your shield opens, you have 5 seconds to click "Purchase"
-                  before it closes. After closing, there's a 5-second cooldown before
-                  you can reopen your shield.
+                  Shields give you a ${shield.durationSeconds}-second exclusive window to purchase.
+                  Once your shield opens, you have ${plural(shield.durationSeconds, 'second')} to click "Purchase"
+                  before it closes. After closing, there's a ${shield.cooldownSeconds}-second cooldown before
+                  you can reopen your shield${shield.cooldownEscalation > 0
+                    ? `, growing by ${plural(shield.cooldownEscalation, 'second')} each time you reuse it`
+                    : ''}.
+                  ${shield.maxOpens !== null && ` You can open it ${plural(shield.maxOpens, 'time')} in this auction.`}
+                  ${shield.costPerOpen > 0 && ` Each open costs ${formatPrice(shield.costPerOpen)}.`}
                 </p>
               </div>
             </div>
@@ -1,17 +1,19 @@
 /**
  * useAuction Hook
- * Provides real-time auction data including price history
+ * Provides real-time auction data including price history and sales
  */
 
 import { useDocument, useSubcollection, firestoreQuery } from './useFirestore.js';
 import { calculateExpectedPrice } from '../utils/priceCalculations.js';
 
 const { useState, useEffect, useMemo } = React;
+const { elapsedSecondsAt } = window.PricingEngine;
 
 /**
  * Get real-time auction data with price history
  * @param {string} auctionId - Auction ID
- * @returns {Object} Auction data, price history, loading states, and errors
+ * @returns {Object} Auction data, price history, fills (public sales, newest first),
+ *   myFills (the current user's own fills), loading states, and errors
  */
 export function useAuction(auctionId) {
   // Get auction document with real-time updates
@@ -28,12 +30,27 @@ export function useAuction(auctionId) {
     ]
   );
 
-  // Client-side price interpolation for smooth updates (transparent mode only)
+  // Get sales (units bought, newest first) - multi-unit lots have several.
+  // Each sale has its fill's ID but not the buyer (see functions/winnerIdentity.js)
+  const { data: fills, error: errorFills } = useSubcollection(
+    'auctions',
+    auctionId,
+    'sales',
+    [
+      firestoreQuery.orderBy('timestamp', 'desc'),
+      firestoreQuery.limit(100)
+    ]
+  );
+
+  // The current user's own fills, which tell them which sales (and which win) are theirs
+  const { data: myFills, error: errorMyFills } = useMyFills(auctionId);
+
+  // Client-side price interpolation for smooth updates
   const [displayPrice, setDisplayPrice] = useState(auction?.currentPrice);
 
-  // Interpolate price every second for transparent mode
+  // Interpolate price every second (both modes are deterministic functions of time)
   useEffect(() => {
-    if (!auction || auction.pricingMode !== 'transparent' || auction.status !== 'live') {
+    if (!auction || auction.status !== 'live') {
       setDisplayPrice(auction?.currentPrice);
       return;
     }
@@ -47,7 +64,7 @@ export function useAuction(auctionId) {
     return () => clearInterval(interval);
   }, [auction]);
 
-  // Sync to server price when it updates (every 1 minute from Cloud Function)
+  // Sync to server price when it updates (every few seconds from the price tick engine)
   useEffect(() => {
     if (auction?.currentPrice) {
       setDisplayPrice(auction.currentPrice);
@@ -55,7 +72,7 @@ export function useAuction(auctionId) {
   }, [auction?.currentPrice]);
 
   const loading = loadingAuction || loadingHistory;
-  const error = errorAuction || errorHistory;
+  const error = errorAuction || errorHistory || errorFills || errorMyFills;
 
   // Return auction with interpolated display price
   const auctionWithDisplayPrice = auction ? {
@@ -67,26 +84,43 @@ export function useAuction(auctionId) {
   return {
     auction: auctionWithDisplayPrice,
     priceHistory,
+    fills,
+    myFills,
     loading,
     error
   };
 }
 
+/**
+ * Subscribe to the current user's fills in an auction
+ * Fills are only readable by their buyer and staff, so this is the only way
+ * a bidder finds out which sales, and which win, are theirs.
+ * @param {string} auctionId - Auction ID
+ * @returns {Object} Fills, loading state, and error
+ */
+export function useMyFills(auctionId) {
+  const userId = window.currentUserId;
+
+  return useSubcollection(
+    'auctions',
+    userId ? auctionId : null,
+    'fills',
+    [firestoreQuery.where('userId', '==', userId || '')]
+  );
+}
+
 /**
  * Get time remaining in auction (in seconds)
+ * Paused time doesn't count, and the countdown stands still while paused.
  * @param {Object} auction - Auction object
  * @returns {number} Seconds remaining
  */
 export function getAuctionTimeRemaining(auction) {
-  if (!auction || auction.status !== 'live' || !auction.startTime || !auction.duration) {
+  if (!auction || !['live', 'paused'].includes(auction.status) || !auction.startTime || !auction.duration) {
     return 0;
   }
 
-  const startTime = auction.startTime.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const endTime = startTime + (auction.duration * 1000);
-  const now = Date.now();
-
-  return Math.max(0, Math.floor((endTime - now) / 1000));
+  return Math.max(0, auction.duration - elapsedSecondsAt(auction));
 }
 
 /**
@@ -95,16 +129,12 @@ export function getAuctionTimeRemaining(auction) {
  * @returns {number} Progress percentage
  */
 export function getAuctionProgress(auction) {
-  if (!auction || auction.status !== 'live' || !auction.startTime || !auction.duration) {
+  if (!auction || !['live', 'paused'].includes(auction.status) || !auction.startTime || !auction.duration) {
     return 0;
   }
 
-  const startTime = auction.startTime.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const now = Date.now();
-  const elapsed = now - startTime;
-  const totalDuration = auction.duration * 1000;
-
-  const progress = Math.min(100, Math.max(0, (elapsed / totalDuration) * 100));
+  const elapsed = elapsedSecondsAt(auction);
+  const progress = Math.min(100, Math.max(0, (elapsed / auction.duration) * 100));
 
   return Math.round(progress);
 }
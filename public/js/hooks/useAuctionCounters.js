@@ -0,0 +1,89 @@
+/**
+ * useAuctionCounters Hook
+ * Live audience and open shield counts from the Realtime Database
+ *
+ * The counters are kept in auctionCounters/{auctionId} by the functions in
+ * functions/auctionCounters.js. The price tick copies the live counts onto
+ * the auction document, but only every few seconds and only while it is
+ * live, so screens that show them subscribe here.
+ */
+
+import {
+  ref,
+  onValue
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js';
+
+const { useState, useEffect } = React;
+
+const COUNTER_ROOT = 'auctionCounters';
+
+/**
+ * Counters with zeros filled in
+ * @param {Object|null} raw - Stored counters
+ * @returns {Object} Counters
+ */
+function withDefaults(raw) {
+  const counters = raw || {};
+
+  return {
+    viewerCount: counters.viewerCount || 0,
+    viewersByContext: { waiting: 0, live: 0, ...counters.viewersByContext },
+    peakViewerCount: counters.peakViewerCount || 0,
+    peakViewerAt: counters.peakViewerAt || null,
+    uniqueVisitorCount: counters.uniqueVisitorCount || 0,
+    uniqueVisitorsByContext: { waiting: 0, live: 0, ...counters.uniqueVisitorsByContext },
+    openShieldCount: counters.openShieldCount || 0
+  };
+}
+
+/**
+ * Subscribe to one auction's counters
+ * @param {string|null} auctionId - Auction ID (null to skip)
+ * @returns {Object} viewerCount, viewersByContext, peakViewerCount, peakViewerAt (ms),
+ *   uniqueVisitorCount, uniqueVisitorsByContext, openShieldCount
+ */
+export function useAuctionCounters(auctionId) {
+  const [counters, setCounters] = useState(() => withDefaults(null));
+
+  useEffect(() => {
+    setCounters(withDefaults(null));
+    if (!window.rtdb || !auctionId) return;
+
+    const unsubscribe = onValue(ref(window.rtdb, `${COUNTER_ROOT}/${auctionId}`), (snapshot) => {
+      setCounters(withDefaults(snapshot.val()));
+    }, (error) => {
+      console.error('[useAuctionCounters] Error listening to counters:', error);
+    });
+
+    return () => unsubscribe();
+  }, [auctionId]);
+
+  return counters;
+}
+
+/**
+ * Subscribe to the counters of several auctions
+ * @param {Array<string>} auctionIds - Auction IDs
+ * @returns {Object} Auction ID -> counters (missing until loaded)
+ */
+export function useAuctionCountersMap(auctionIds) {
+  const [countersById, setCountersById] = useState({});
+  const key = [...auctionIds].sort().join(',');
+
+  useEffect(() => {
+    setCountersById({});
+    if (!window.rtdb || !key) return;
+
+    const unsubscribes = key.split(',').map(auctionId =>
+      onValue(ref(window.rtdb, `${COUNTER_ROOT}/${auctionId}`), (snapshot) => {
+        setCountersById(prev => ({ ...prev, [auctionId]: withDefaults(snapshot.val()) }));
+      }, (error) => {
+        console.error(`[useAuctionCounters] Error listening to counters for auction ${auctionId}:`, error);
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [key]);
+
+  return countersById;
+}
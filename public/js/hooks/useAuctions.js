@@ -10,7 +10,7 @@ const { useState, useEffect, useMemo } = React;
 /**
  * Fetch auctions with real-time updates
  * @param {Object} options - Query options
- * @param {string} options.status - Filter by status ('all', 'scheduled', 'live', or specific ended status)
+ * @param {string|Array} options.status - Filter by status ('all', 'scheduled', 'live', a specific ended status, or a list of statuses)
  * @param {number} options.limit - Limit number of results
  * @param {string} options.orderBy - Order by field ('startTime', 'createdAt', 'currentPrice')
  * @param {string} options.orderDirection - Order direction ('asc' or 'desc')
@@ -29,7 +29,9 @@ export function useAuctions(options = {}) {
     const constraints = [];
 
     // Status filter
-    if (status !== 'all') {
+    if (Array.isArray(status)) {
+      constraints.push(firestoreQuery.where('status', 'in', status));
+    } else if (status !== 'all') {
       constraints.push(firestoreQuery.where('status', '==', status));
     }
 
@@ -42,7 +44,7 @@ export function useAuctions(options = {}) {
     }
 
     return constraints;
-  }, [status, limitCount, orderByField, orderDirection]);
+  }, [String(status), limitCount, orderByField, orderDirection]);
 
   // Use collection hook with query constraints
   const { data, loading, error } = useCollection('auctions', queryConstraints);
@@ -51,13 +53,13 @@ export function useAuctions(options = {}) {
 }
 
 /**
- * Fetch active/live auctions only
+ * Fetch active auctions only (live, or paused by an admin)
  * @param {number} limit - Optional limit
  * @returns {Object} Active auctions, loading state, and error
  */
 export function useActiveAuctions(limit = null) {
   return useAuctions({
-    status: 'live',
+    status: ['live', 'paused'],
     orderBy: 'startTime',
     orderDirection: 'desc',
     limit
@@ -100,9 +102,10 @@ export function useEndedAuctions(limit = null) {
 /**
  * Get auction statistics
  * @param {Array} auctions - Array of auction objects
+ * @param {Object} countersById - Auction ID -> counters (see useAuctionCounters.js)
  * @returns {Object} Statistics
  */
-export function useAuctionStats(auctions) {
+export function useAuctionStats(auctions, countersById = {}) {
   return useMemo(() => {
     if (!auctions || auctions.length === 0) {
       return {
@@ -121,9 +124,24 @@ export function useAuctionStats(auctions) {
       ended: auctions.filter(a => a.status && a.status.startsWith('ended')).length,
       totalViewers: auctions
         .filter(a => a.status === 'live')
-        .reduce((sum, a) => sum + (a.viewerCount || 0), 0)
+        .reduce((sum, a) => sum + (countersById[a.id]?.viewerCount || 0), 0)
     };
-  }, [auctions]);
+  }, [auctions, countersById]);
+}
+
+/**
+ * Milliseconds left in a live or paused auction
+ * Paused time doesn't count (totalPausedMs), and the clock stops at pausedAt.
+ * @param {Object} auction - Auction object
+ * @returns {number} Milliseconds remaining (may be negative once over)
+ */
+function getRemainingMs(auction) {
+  const startTime = auction.startTime.toMillis ? auction.startTime.toMillis() : auction.startTime;
+  const pausedAt = auction.pausedAt?.toMillis ? auction.pausedAt.toMillis() : auction.pausedAt;
+  const endTime = startTime + (auction.duration * 1000) + (auction.totalPausedMs || 0);
+  const now = pausedAt || Date.now();
+
+  return endTime - now;
 }
 
 /**
@@ -136,10 +154,7 @@ export function isAuctionEndingSoon(auction) {
     return false;
   }
 
-  const startTime = auction.startTime.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const endTime = startTime + (auction.duration * 1000);
-  const now = Date.now();
-  const timeRemaining = endTime - now;
+  const timeRemaining = getRemainingMs(auction);
 
   return timeRemaining > 0 && timeRemaining < 60000; // Less than 60 seconds
 }
@@ -150,16 +165,11 @@ export function isAuctionEndingSoon(auction) {
  * @returns {number} Seconds remaining, or 0 if ended
  */
 export function getTimeRemaining(auction) {
-  if (!auction || auction.status !== 'live' || !auction.startTime || !auction.duration) {
+  if (!auction || !['live', 'paused'].includes(auction.status) || !auction.startTime || !auction.duration) {
     return 0;
   }
 
-  const startTime = auction.startTime.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const endTime = startTime + (auction.duration * 1000);
-  const now = Date.now();
-  const timeRemaining = Math.max(0, Math.floor((endTime - now) / 1000));
-
-  return timeRemaining;
+  return Math.max(0, Math.floor(getRemainingMs(auction) / 1000));
 }
 
 /**
@@ -178,3 +188,18 @@ export function getTimeUntilStart(auction) {
 
   return timeUntilStart;
 }
+
+/**
+ * Units still for sale (single-item auctions are lots of 1)
+ * @param {Object} auction - Auction object
+ * @returns {number} Units remaining
+ */
+export function getUnitsRemaining(auction) {
+  if (!auction) return 0;
+
+  if (typeof auction.unitsRemaining === 'number') {
+    return auction.unitsRemaining;
+  }
+
+  return auction.status === 'ended - sold' ? 0 : (auction.quantity || 1);
+}
@@ -1,6 +1,12 @@
 /**
  * usePresence Hook
  * Manages user presence tracking with Firebase Realtime Database
+ *
+ * Entries follow the shared schema in js/shared/presenceSchema.js:
+ * presence/{auctionId}/{userId} = { context, joinedAt, lastSeen }.
+ * The entry is rewritten on every reconnect and its lastSeen refreshed on a
+ * heartbeat, so the server can expire entries from clients that vanished
+ * without onDisconnect running.
  */
 
 import {
@@ -8,15 +14,17 @@ import {
   onValue,
   onDisconnect,
   set,
+  update,
   serverTimestamp
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js';
 
 const { useState, useEffect } = React;
+const { auctionPresencePath, userPresencePath, activeEntries, HEARTBEAT_SECONDS } = window.PresenceSchema;
 
 /**
  * Track user presence in an auction
- * @param {string} auctionId - Auction ID
- * @param {string} context - Context (e.g., 'waiting', 'live')
+ * @param {string|null} auctionId - Auction ID (null to stop tracking)
+ * @param {string} context - Context ('waiting' or 'live')
  * @returns {Object} Viewer count
  */
 export function usePresence(auctionId, context = 'live') {
@@ -24,6 +32,11 @@ export function usePresence(auctionId, context = 'live') {
   const [isOnline, setIsOnline] = useState(true);
 
   useEffect(() => {
+    if (auctionId === null) {
+      setViewerCount(0);
+      return;
+    }
+
     if (!window.rtdb || !window.currentUserId || !auctionId) {
       console.warn('[usePresence] Missing dependencies:', {
         rtdb: !!window.rtdb,
@@ -34,49 +47,51 @@ export function usePresence(auctionId, context = 'live') {
     }
 
     const userId = window.currentUserId;
-    const presencePath = `auctionPresence/${auctionId}/${userId}`;
-    const presenceRef = ref(window.rtdb, presencePath);
-    const auctionPresenceRef = ref(window.rtdb, `auctionPresence/${auctionId}`);
+    const presenceRef = ref(window.rtdb, userPresencePath(auctionId, userId));
+    const auctionPresenceRef = ref(window.rtdb, auctionPresencePath(auctionId));
+    const connectedRef = ref(window.rtdb, '.info/connected');
+    let cancelled = false;
 
     console.log(`[usePresence] Tracking presence for auction ${auctionId}, context: ${context}`);
 
-    // Set user as online
-    const presenceData = {
-      online: true,
-      lastSeen: serverTimestamp(),
-      context
-    };
+    // (Re)write the entry on every connect; the disconnect handler has to be
+    // registered again after each reconnect
+    const unsubscribeConnected = onValue(connectedRef, (snapshot) => {
+      if (snapshot.val() !== true) {
+        setIsOnline(false);
+        return;
+      }
 
-    set(presenceRef, presenceData)
-      .then(() => {
-        console.log('[usePresence] User marked as online');
-        setIsOnline(true);
-      })
-      .catch((error) => {
-        console.error('[usePresence] Error setting presence:', error);
-      });
+      onDisconnect(presenceRef)
+        .remove()
+        .then(() => !cancelled && set(presenceRef, {
+          context,
+          joinedAt: serverTimestamp(),
+          lastSeen: serverTimestamp()
+        }))
+        .then(() => {
+          console.log('[usePresence] User marked as online');
+          setIsOnline(true);
+        })
+        .catch((error) => {
+          console.error('[usePresence] Error setting presence:', error);
+        });
+    });
 
-    // Set up disconnect handler (remove user when they leave)
-    onDisconnect(presenceRef)
-      .remove()
-      .then(() => {
-        console.log('[usePresence] Disconnect handler set');
-      })
-      .catch((error) => {
-        console.error('[usePresence] Error setting disconnect handler:', error);
-      });
+    // Heartbeat. update() also recreates the entry if the server expired it
+    // while this tab was asleep.
+    const heartbeat = setInterval(() => {
+      update(presenceRef, { context, lastSeen: serverTimestamp() })
+        .catch((error) => {
+          console.error('[usePresence] Error sending heartbeat:', error);
+        });
+    }, HEARTBEAT_SECONDS * 1000);
 
-    // Listen to all users in this auction
+    // Listen to all users in this auction (stale entries don't count)
     const unsubscribe = onValue(auctionPresenceRef, (snapshot) => {
-      if (snapshot.exists()) {
-        const users = snapshot.val();
-        const onlineUsers = Object.values(users).filter(user => user.online === true);
-        setViewerCount(onlineUsers.length);
-        console.log(`[usePresence] ${onlineUsers.length} viewers in auction ${auctionId}`);
-      } else {
-        setViewerCount(0);
-        console.log(`[usePresence] No viewers in auction ${auctionId}`);
-      }
+      const count = activeEntries(snapshot.val(), Date.now()).length;
+      setViewerCount(count);
+      console.log(`[usePresence] ${count} viewers in auction ${auctionId}`);
     }, (error) => {
       console.error('[usePresence] Error listening to presence:', error);
     });
@@ -84,9 +99,13 @@ export function usePresence(auctionId, context = 'live') {
     // Cleanup on unmount
     return () => {
       console.log('[usePresence] Cleaning up presence');
+      cancelled = true;
+      unsubscribeConnected();
       unsubscribe();
+      clearInterval(heartbeat);
 
       // Remove user from presence
+      onDisconnect(presenceRef).cancel().catch(() => {});
       set(presenceRef, null)
         .catch((error) => {
           console.error('[usePresence] Error removing presence on cleanup:', error);
@@ -97,64 +116,6 @@ export function usePresence(auctionId, context = 'live') {
   return { viewerCount, isOnline };
 }
 
-/**
- * Track global user presence (not auction-specific)
- * @returns {Object} Online status
- */
-export function useGlobalPresence() {
-  const [isOnline, setIsOnline] = useState(true);
-
-  useEffect(() => {
-    if (!window.rtdb || !window.currentUserId) {
-      console.warn('[useGlobalPresence] Missing dependencies');
-      return;
-    }
-
-    const userId = window.currentUserId;
-    const presenceRef = ref(window.rtdb, `presence/${userId}`);
-
-    // Set user as online
-    const presenceData = {
-      online: true,
-      lastSeen: serverTimestamp()
-    };
-
-    set(presenceRef, presenceData)
-      .then(() => {
-        console.log('[useGlobalPresence] User marked as online globally');
-        setIsOnline(true);
-      })
-      .catch((error) => {
-        console.error('[useGlobalPresence] Error setting presence:', error);
-      });
-
-    // Set up disconnect handler
-    onDisconnect(presenceRef)
-      .set({
-        online: false,
-        lastSeen: serverTimestamp()
-      })
-      .then(() => {
-        console.log('[useGlobalPresence] Disconnect handler set');
-      })
-      .catch((error) => {
-        console.error('[useGlobalPresence] Error setting disconnect handler:', error);
-      });
-
-    // Cleanup
-    return () => {
-      set(presenceRef, {
-        online: false,
-        lastSeen: serverTimestamp()
-      }).catch((error) => {
-        console.error('[useGlobalPresence] Error cleaning up presence:', error);
-      });
-    };
-  }, []);
-
-  return { isOnline };
-}
-
 /**
  * Monitor connection status
  * @returns {Object} Connection state
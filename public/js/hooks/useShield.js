@@ -1,17 +1,28 @@
 /**
  * useShield Hook
  * Manages shield state for an auction
+ *
+ * Shields are opened and closed through the openShield/closeShield callables,
+ * which enforce the auction's shield rules (window length, cooldown, opens per
+ * bidder, cost per open); this hook only reads the shield document and uses
+ * the same rules (js/shared/shieldRules.js) for its timers.
+ *
+ * On auctions with a funds hold, the server moves the hold into escrow when
+ * the shield opens (heldAmount) and closes the shield again if the user's
+ * available balance can't cover it.
  */
 
 import {
   doc,
-  setDoc,
   getDoc,
-  serverTimestamp,
   onSnapshot
 } from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+import {
+  httpsCallable
+} from 'https://www.gstatic.com/firebasejs/9.22.0/firebase-functions.js';
 
 const { useState, useEffect, useCallback } = React;
+const { shieldConfig: resolveShieldConfig, cooldownSecondsAfter, opensRemaining } = window.ShieldRules;
 
 // Shield states
 export const SHIELD_STATES = {
@@ -21,19 +32,38 @@ export const SHIELD_STATES = {
   COOLDOWN: 'cooldown'
 };
 
-const SHIELD_DURATION = 5; // 5 seconds
-const COOLDOWN_DURATION = 5; // 5 seconds
+/**
+ * When a closed (or expired) shield last closed
+ * A window that ran out closed at its end, which is when the cooldown starts.
+ * @param {Object} data - Shield document data
+ * @param {number} defaultDuration - Window length if the document doesn't record one
+ * @returns {number|null} Close time in ms, or null if never closed
+ */
+function getClosedAt(data, defaultDuration) {
+  const toMs = (value) => value?.toMillis ? value.toMillis() : value;
+  const openedAt = data.isOpen ? toMs(data.openedAt) : null;
+  const windowEnd = openedAt ? openedAt + (data.durationSeconds || defaultDuration) * 1000 : 0;
+  return Math.max(windowEnd, toMs(data.lastClosedAt) || 0) || null;
+}
 
 /**
  * Shield management hook
  * @param {string} auctionId - Auction ID
+ * @param {Object} rawConfig - The auction's shieldConfig (defaults fill any gaps)
  * @returns {Object} Shield state and controls
  */
-export function useShield(auctionId) {
+export function useShield(auctionId, rawConfig = null) {
   const [shieldState, setShieldState] = useState(SHIELD_STATES.CLOSED);
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [error, setError] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [heldAmount, setHeldAmount] = useState(0);
+  const [openCount, setOpenCount] = useState(0);
+
+  const config = resolveShieldConfig({ shieldConfig: rawConfig });
+  const { durationSeconds, cooldownSeconds, cooldownEscalation } = config;
+  // Cooldown after the most recent open (escalates with each reuse)
+  const currentCooldown = cooldownSecondsAfter(config, openCount);
 
   // Listen to shield document for this user
   useEffect(() => {
@@ -47,21 +77,18 @@ export function useShield(auctionId) {
     const unsubscribe = onSnapshot(shieldRef, (snapshot) => {
       if (snapshot.exists()) {
         const data = snapshot.data();
+        const cooldown = cooldownSecondsAfter(config, data.openCount);
+        setOpenCount(data.openCount || 0);
+
+        // Closed by the server because the funds hold couldn't be placed
+        if (!data.isOpen && data.closedReason === 'insufficient_funds') {
+          setError('Not enough available balance to hold for this shield.');
+        }
 
         if (data.isOpen) {
           // Shield is open - calculate time remaining
           const openedAt = data.openedAt?.toMillis ? data.openedAt.toMillis() : data.openedAt;
-
-          // serverTimestamp() returns null on the client until the server confirms
-          // In that case, assume shield just opened and use full duration
-          if (!openedAt) {
-            console.log('[useShield] Waiting for server timestamp...');
-            setShieldState(SHIELD_STATES.OPEN);
-            setTimeRemaining(SHIELD_DURATION);
-            return;
-          }
-
-          const durationMs = (data.durationSeconds || SHIELD_DURATION) * 1000;
+          const durationMs = (data.durationSeconds || durationSeconds) * 1000;
           const closesAt = openedAt + durationMs;
           const now = Date.now();
           const remaining = Math.max(0, Math.floor((closesAt - now) / 1000));
@@ -69,19 +96,20 @@ export function useShield(auctionId) {
           if (remaining > 0) {
             setShieldState(SHIELD_STATES.OPEN);
             setTimeRemaining(remaining);
-          } else {
-            // Shield should have closed
-            closeShield();
+            return;
           }
-        } else if (data.lastClosedAt) {
-          // Shield is closed - check if in cooldown
-          const lastClosed = data.lastClosedAt?.toMillis ? data.lastClosedAt.toMillis() : data.lastClosedAt;
+        }
+
+        // Shield is closed or its window ran out - check if in cooldown
+        const lastClosed = getClosedAt(data, durationSeconds);
+
+        if (lastClosed) {
           const now = Date.now();
           const timeSinceClosed = (now - lastClosed) / 1000;
 
-          if (timeSinceClosed < COOLDOWN_DURATION) {
+          if (timeSinceClosed < cooldown) {
             setShieldState(SHIELD_STATES.COOLDOWN);
-            setTimeRemaining(Math.ceil(COOLDOWN_DURATION - timeSinceClosed));
+            setTimeRemaining(Math.ceil(cooldown - timeSinceClosed));
           } else {
             setShieldState(SHIELD_STATES.CLOSED);
             setTimeRemaining(0);
@@ -91,6 +119,7 @@ export function useShield(auctionId) {
           setTimeRemaining(0);
         }
       } else {
+        setOpenCount(0);
         setShieldState(SHIELD_STATES.CLOSED);
         setTimeRemaining(0);
       }
@@ -99,6 +128,24 @@ export function useShield(auctionId) {
       setError(err.message);
     });
 
+    return () => unsubscribe();
+  }, [auctionId, durationSeconds, cooldownSeconds, cooldownEscalation]);
+
+  // Listen to this user's funds hold (only written on auctions with a hold)
+  useEffect(() => {
+    if (!window.db || !window.currentUserId || !auctionId) {
+      return;
+    }
+
+    const holdRef = doc(window.db, 'auctions', auctionId, 'holds', window.currentUserId);
+
+    const unsubscribe = onSnapshot(holdRef, (snapshot) => {
+      const data = snapshot.exists() ? snapshot.data() : null;
+      setHeldAmount(data && data.status === 'held' ? data.amount : 0);
+    }, (err) => {
+      console.error('[useShield] Error listening to hold:', err);
+    });
+
     return () => unsubscribe();
   }, [auctionId]);
 
@@ -109,13 +156,12 @@ export function useShield(auctionId) {
         setTimeRemaining((prev) => {
           if (prev <= 1) {
             if (shieldState === SHIELD_STATES.OPEN) {
-              // DON'T close the shield in Firestore - let the server handle timing validation
-              // Just update the UI state to show it's expired
-              // The server validates based on openedAt timestamp, not the isOpen field
-              // This prevents race conditions where the client closes the shield while
-              // a purchase request is in flight
-              setShieldState(SHIELD_STATES.CLOSED);
-              console.log('[useShield] Shield timer expired (UI only - not closed in Firestore)');
+              // DON'T close the shield on the server - it validates purchases on
+              // openedAt, not isOpen, so a purchase in flight still goes through.
+              // An expired window starts the cooldown just like closing it does.
+              setShieldState(SHIELD_STATES.COOLDOWN);
+              console.log('[useShield] Shield timer expired (UI only - not closed on the server)');
+              return currentCooldown;
             } else if (shieldState === SHIELD_STATES.COOLDOWN) {
               setShieldState(SHIELD_STATES.CLOSED);
             }
@@ -127,13 +173,13 @@ export function useShield(auctionId) {
 
       return () => clearInterval(interval);
     }
-  }, [shieldState]);
+  }, [shieldState, currentCooldown]);
 
   /**
-   * Open the shield
+   * Open the shield (openShield callable)
    */
   const openShield = useCallback(async () => {
-    if (!window.db || !window.currentUserId || !auctionId) {
+    if (!window.functions || !window.currentUserId || !auctionId) {
       setError('Not authenticated');
       return;
     }
@@ -147,59 +193,16 @@ export function useShield(auctionId) {
       // Optimistic update
       setShieldState(SHIELD_STATES.OPENING);
 
-      const userId = window.currentUserId;
-      const shieldRef = doc(window.db, 'auctions', auctionId, 'shields', userId);
-
-      // Check auction status first
-      const auctionRef = doc(window.db, 'auctions', auctionId);
-      const auctionSnap = await getDoc(auctionRef);
-      if (!auctionSnap.exists()) {
-        throw new Error('Auction not found');
-      }
-      const auctionData = auctionSnap.data();
-      console.log('[useShield] Auction status:', auctionData.status);
-
-      // Check existing shield state for cooldown validation
-      const existingShield = await getDoc(shieldRef);
-
-      console.log('[useShield] Existing shield:', existingShield.exists() ? existingShield.data() : 'none');
-
-      // Build shield data with server timestamp for timing accuracy
-      // Server will calculate closesAt based on openedAt + duration
-      const shieldData = {
-        userId,
-        isOpen: true,
-        openedAt: serverTimestamp(),
-        durationSeconds: SHIELD_DURATION // Server will use this to calculate closesAt
-      };
-
-      // Only include lastClosedAt if it doesn't exist (to pass rules check)
-      if (!existingShield.exists() || !existingShield.data().lastClosedAt) {
-        // First time opening - don't include lastClosedAt
-        console.log('[useShield] First time opening, not including lastClosedAt');
-      } else {
-        // Keep the existing lastClosedAt for cooldown validation
-        shieldData.lastClosedAt = existingShield.data().lastClosedAt;
-        const lastClosed = existingShield.data().lastClosedAt?.toMillis ?
-          existingShield.data().lastClosedAt.toMillis() : existingShield.data().lastClosedAt;
-        const secondsSinceClose = Math.floor((Date.now() - lastClosed) / 1000);
-        console.log('[useShield] Last closed', secondsSinceClose, 'seconds ago');
-      }
-
-      console.log('[useShield] Shield data to write:', {
-        ...shieldData,
-        openedAt: '[serverTimestamp]'
-      });
+      const openShieldFunction = httpsCallable(window.functions, 'openShield');
+      const result = await openShieldFunction({ auctionId });
+      const windowSeconds = result.data.durationSeconds || durationSeconds;
 
-      // Write to Firestore
-      await setDoc(shieldRef, shieldData, { merge: true });
-
-      console.log('[useShield] Shield opened successfully');
+      console.log('[useShield] Shield opened successfully:', result.data);
 
       // Transition to open state after animation
       setTimeout(() => {
         setShieldState(SHIELD_STATES.OPEN);
-        setTimeRemaining(SHIELD_DURATION);
+        setTimeRemaining(windowSeconds);
       }, 500); // Match opening animation duration
 
       // Haptic feedback (Android)
@@ -210,44 +213,42 @@ export function useShield(auctionId) {
     } catch (err) {
       console.error('[useShield] Error opening shield:', err);
       setError(err.message);
-      setShieldState(SHIELD_STATES.CLOSED);
+
+      // Still cooling down (e.g. another tab closed the shield)
+      if (err.details?.reason === 'cooldown') {
+        setShieldState(SHIELD_STATES.COOLDOWN);
+        setTimeRemaining(Math.ceil(err.details.retryAfterMs / 1000));
+      } else {
+        setShieldState(SHIELD_STATES.CLOSED);
+      }
     } finally {
       setIsProcessing(false);
     }
   }, [auctionId, isProcessing]);
 
   /**
-   * Close the shield
+   * Close the shield early (closeShield callable)
    */
   const closeShield = useCallback(async () => {
-    if (!window.db || !window.currentUserId || !auctionId) {
+    if (!window.functions || !window.currentUserId || !auctionId) {
       return;
     }
 
     try {
-      const userId = window.currentUserId;
-      const shieldRef = doc(window.db, 'auctions', auctionId, 'shields', userId);
-
-      // Write to Firestore
-      await setDoc(shieldRef, {
-        userId,
-        isOpen: false,
-        openedAt: null,
-        closesAt: null,
-        lastClosedAt: serverTimestamp()
-      }, { merge: true });
+      const closeShieldFunction = httpsCallable(window.functions, 'closeShield');
+      const result = await closeShieldFunction({ auctionId });
 
       console.log('[useShield] Shield closed');
 
       // Set cooldown state
       setShieldState(SHIELD_STATES.COOLDOWN);
-      setTimeRemaining(COOLDOWN_DURATION);
+      setTimeRemaining(result.data.cooldownSeconds || currentCooldown);
 
     } catch (err) {
       console.error('[useShield] Error closing shield:', err);
       setError(err.message);
     }
-  }, [auctionId]);
+  }, [auctionId, currentCooldown]);
 
   /**
    * Check if user can open shield (not in cooldown)
@@ -273,26 +274,39 @@ export function useShield(auctionId) {
 
       const data = snapshot.data();
 
-      if (!data.lastClosedAt) {
+      if (opensRemaining(config, data.openCount) === 0) {
+        return false;
+      }
+
+      const lastClosed = getClosedAt(data, durationSeconds);
+
+      if (!lastClosed) {
         return true;
       }
 
-      const lastClosed = data.lastClosedAt?.toMillis ? data.lastClosedAt.toMillis() : data.lastClosedAt;
       const now = Date.now();
       const timeSinceClosed = (now - lastClosed) / 1000;
 
-      return timeSinceClosed >= COOLDOWN_DURATION;
+      return timeSinceClosed >= cooldownSecondsAfter(config, data.openCount);
     } catch (err) {
       console.error('[useShield] Error checking cooldown:', err);
       return false;
     }
-  }, [auctionId, shieldState]);
+  }, [auctionId, shieldState, durationSeconds, cooldownSeconds, cooldownEscalation]);
+
+  const remainingOpens = opensRemaining(config, openCount);
 
   return {
     shieldState,
     timeRemaining,
     error,
     isProcessing,
+    heldAmount,
+    config,
+    // Window and cooldown lengths for progress indicators
+    windowSeconds: durationSeconds,
+    cooldownSeconds: currentCooldown,
+    opensRemaining: remainingOpens === Infinity ? null : remainingOpens,
     openShield,
     closeShield,
     canOpenShield,
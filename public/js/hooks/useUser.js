@@ -1,6 +1,9 @@
 /**
  * useUser Hook
  * Provides real-time user data including balance
+ *
+ * `balance` is what the user can spend now; `heldBalance` is set aside in
+ * escrow for open shields (see functions/shieldHolds.js).
  */
 
 import {
@@ -17,6 +20,7 @@ const { useState, useEffect } = React;
 export function useUser() {
   const [userData, setUserData] = useState(null);
   const [balance, setBalance] = useState(0);
+  const [heldBalance, setHeldBalance] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -37,6 +41,7 @@ export function useUser() {
           const data = snapshot.data();
           setUserData({ id: snapshot.id, ...data });
           setBalance(data.balance || 0);
+          setHeldBalance(data.heldBalance || 0);
           setLoading(false);
           setError(null);
         } else {
@@ -57,6 +62,8 @@ export function useUser() {
   return {
     userData,
     balance,
+    availableBalance: balance,
+    heldBalance,
     loading,
     error,
     hasBalance: balance > 0
@@ -0,0 +1,100 @@
+/**
+ * Presence Schema
+ * Where auction presence lives in the Realtime Database and when an entry counts
+ *
+ * One entry per user per auction:
+ *
+ *   presence/{auctionId}/{userId} = {
+ *     context:  'waiting' | 'live',   // which room the user is in
+ *     joinedAt: <server ms>,          // set on each (re)connect
+ *     lastSeen: <server ms>           // refreshed every HEARTBEAT_SECONDS
+ *   }
+ *
+ * The client removes its entry on unmount and through onDisconnect. Clients
+ * that crash or lose the connection without onDisconnect firing stop sending
+ * heartbeats; expireStalePresence deletes their entries once they are older
+ * than STALE_AFTER_SECONDS. Either way the delete fires
+ * cleanupShieldsOnDisconnect, which closes the user's shield.
+ *
+ * Dependency-free so the exact same file runs in Cloud Functions (CommonJS)
+ * and in the browser (classic <script>, exposed as window.PresenceSchema).
+ *
+ * Canonical copy: functions/shared/presenceSchema.js
+ * Browser copy:   public/js/shared/presenceSchema.js (run `npm run sync-shared` in functions/)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PresenceSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Root node (also named in database.rules.json and the cleanup trigger path)
+  const PRESENCE_ROOT = 'presence';
+
+  // Rooms a user can be present in
+  const PRESENCE_CONTEXTS = ['waiting', 'live'];
+
+  // Clients refresh lastSeen this often. Browsers throttle timers in
+  // background tabs to about once a minute, so the stale limit leaves room.
+  const HEARTBEAT_SECONDS = 30;
+
+  // Entries without a heartbeat for this long are treated as gone
+  const STALE_AFTER_SECONDS = 90;
+
+  /**
+   * Path of an auction's presence entries
+   * @param {string} auctionId - Auction ID
+   * @returns {string} RTDB path
+   */
+  function auctionPresencePath(auctionId) {
+    return `${PRESENCE_ROOT}/${auctionId}`;
+  }
+
+  /**
+   * Path of one user's presence entry
+   * @param {string} auctionId - Auction ID
+   * @param {string} userId - User ID
+   * @returns {string} RTDB path
+   */
+  function userPresencePath(auctionId, userId) {
+    return `${PRESENCE_ROOT}/${auctionId}/${userId}`;
+  }
+
+  /**
+   * Whether an entry has missed its heartbeats
+   * @param {Object} entry - Presence entry
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the entry should be ignored and removed
+   */
+  function isStale(entry, now) {
+    if (!entry || typeof entry.lastSeen !== 'number') return true;
+    return now - entry.lastSeen > STALE_AFTER_SECONDS * 1000;
+  }
+
+  /**
+   * Current (non-stale) entries of an auction
+   * @param {Object|null} entries - Value of presence/{auctionId}
+   * @param {number} now - Current time (ms)
+   * @returns {Array<Object>} Entries with their userId
+   */
+  function activeEntries(entries, now) {
+    return Object.keys(entries || {})
+      .filter(userId => !isStale(entries[userId], now))
+      .map(userId => ({ userId, ...entries[userId] }));
+  }
+
+  return {
+    PRESENCE_ROOT,
+    PRESENCE_CONTEXTS,
+    HEARTBEAT_SECONDS,
+    STALE_AFTER_SECONDS,
+    auctionPresencePath,
+    userPresencePath,
+    isStale,
+    activeEntries
+  };
+});
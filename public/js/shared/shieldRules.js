@@ -0,0 +1,138 @@
+/**
+ * Shield Rules
+ * Per-auction shield settings (auction.shieldConfig) and the timing derived from them
+ *
+ * Dependency-free so the exact same file runs in Cloud Functions (CommonJS)
+ * and in the browser (classic <script>, exposed as window.ShieldRules).
+ *
+ * Canonical copy: functions/shared/shieldRules.js
+ * Browser copy:   public/js/shared/shieldRules.js (run `npm run sync-shared` in functions/)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ShieldRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Defaults for auctions without a shieldConfig (the original fixed rules)
+   * - durationSeconds: length of each purchase window
+   * - cooldownSeconds: wait after a window closes before reopening
+   * - cooldownEscalation: extra cooldown seconds added for each earlier open
+   * - maxOpens: opens allowed per user per auction (null = unlimited)
+   * - costPerOpen: charged from the bidder's balance on each open, in cents
+   */
+  const SHIELD_DEFAULTS = {
+    durationSeconds: 5,
+    cooldownSeconds: 5,
+    cooldownEscalation: 0,
+    maxOpens: null,
+    costPerOpen: 0
+  };
+
+  // Allowed ranges, [min, max] (also enforced by firestore.rules)
+  const SHIELD_LIMITS = {
+    durationSeconds: [1, 60],
+    cooldownSeconds: [0, 300],
+    cooldownEscalation: [0, 300],
+    maxOpens: [1, 100],
+    costPerOpen: [0, 100000] // $1,000.00
+  };
+
+  // Names used in validation messages
+  const SHIELD_LABELS = {
+    durationSeconds: 'Shield window',
+    cooldownSeconds: 'Cooldown',
+    cooldownEscalation: 'Cooldown escalation',
+    maxOpens: 'Opens per bidder',
+    costPerOpen: 'Cost per open'
+  };
+
+  // Escalated cooldowns never exceed this
+  const MAX_COOLDOWN_SECONDS = 900;
+
+  /**
+   * Resolve an auction's shield settings, filling in defaults
+   * Out-of-range values are clamped so a bad document can't lock bidders out.
+   * @param {Object} auction - Auction data (or just { shieldConfig })
+   * @returns {Object} Complete shield config
+   */
+  function shieldConfig(auction) {
+    const raw = (auction && auction.shieldConfig) || {};
+    const config = {};
+
+    Object.keys(SHIELD_DEFAULTS).forEach(key => {
+      const value = raw[key];
+      const [min, max] = SHIELD_LIMITS[key];
+
+      if (typeof value !== 'number' || !isFinite(value)) {
+        config[key] = SHIELD_DEFAULTS[key];
+      } else {
+        config[key] = Math.min(max, Math.max(min, Math.round(value)));
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Cooldown after a user's nth open
+   * Each earlier open adds cooldownEscalation seconds.
+   * @param {Object} config - From shieldConfig()
+   * @param {number} openCount - Opens so far, including the one just closed
+   * @returns {number} Cooldown in seconds
+   */
+  function cooldownSecondsAfter(config, openCount) {
+    const reuses = Math.max(0, (openCount || 1) - 1);
+    return Math.min(MAX_COOLDOWN_SECONDS, config.cooldownSeconds + config.cooldownEscalation * reuses);
+  }
+
+  /**
+   * Opens left for a user
+   * @param {Object} config - From shieldConfig()
+   * @param {number} openCount - Opens so far
+   * @returns {number} Remaining opens (Infinity when unlimited)
+   */
+  function opensRemaining(config, openCount) {
+    if (config.maxOpens === null) return Infinity;
+    return Math.max(0, config.maxOpens - (openCount || 0));
+  }
+
+  /**
+   * Validate a shieldConfig before saving it
+   * @param {Object} raw - Proposed shieldConfig
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  function validateShieldConfig(raw) {
+    const errors = [];
+
+    Object.keys(SHIELD_DEFAULTS).forEach(key => {
+      const value = raw[key];
+      const [min, max] = SHIELD_LIMITS[key];
+
+      if (key === 'maxOpens' && (value === null || value === undefined)) return;
+
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(key === 'costPerOpen'
+          ? `${SHIELD_LABELS[key]} must be from $${(min / 100).toFixed(2)} to $${(max / 100).toFixed(2)}`
+          : `${SHIELD_LABELS[key]} must be a whole number from ${min} to ${max}`);
+      }
+    });
+
+    return errors;
+  }
+
+  return {
+    SHIELD_DEFAULTS,
+    SHIELD_LIMITS,
+    MAX_COOLDOWN_SECONDS,
+    shieldConfig,
+    cooldownSecondsAfter,
+    opensRemaining,
+    validateShieldConfig
+  };
+});
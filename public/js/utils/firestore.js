@@ -37,6 +37,9 @@ export function getErrorMessage(error) {
 
 /**
  * Retry a Firestore operation with exponential backoff
+ * Callables that change money (purchaseAuction, grantCurrency, bulkGrantCurrency, adjustBalance)
+ * must be sent with an idempotency key (createIdempotencyKey) that stays the
+ * same across attempts, so a retry of a call that already succeeded is not applied twice.
  * @param {Function} operation - Async function to retry
  * @param {number} maxAttempts - Maximum number of retry attempts
  * @param {number} baseDelay - Base delay in ms (will be exponentially increased)
@@ -52,8 +55,8 @@ export async function retryOperation(operation, maxAttempts = 3, baseDelay = 100
       lastError = error;
 
       // Don't retry on certain errors
-      const noRetryErrors = ['permission-denied', 'unauthenticated', 'not-found', 'failed-precondition'];
-      const errorCode = error.code ? error.code.replace('firestore/', '').replace('auth/', '') : '';
+      const noRetryErrors = ['permission-denied', 'unauthenticated', 'not-found', 'failed-precondition', 'invalid-argument'];
+      const errorCode = error.code ? error.code.replace(/^(firestore|auth|functions)\//, '') : '';
 
       if (noRetryErrors.includes(errorCode)) {
         throw error;
@@ -75,6 +78,20 @@ export async function retryOperation(operation, maxAttempts = 3, baseDelay = 100
   throw lastError;
 }
 
+/**
+ * Create an idempotency key for one user action
+ * Reuse the key for every retry of that action; make a new one for the next action.
+ * @returns {string} Random key
+ */
+export function createIdempotencyKey() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  // Insecure contexts (plain http) don't have randomUUID
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 /**
  * Batch write operations (max 500 per batch as per Firestore limits)
  * @param {Array} operations - Array of {type: 'set'|'update'|'delete', ref, data?}
@@ -2,77 +2,27 @@
  * Price Calculations Utility
  * Client-side price interpolation for smooth price updates
  *
- * Mirrors server-side pricing logic from updateAuctionPrice.js
+ * Thin wrapper around the shared pricing engine (js/shared/pricingEngine.js),
+ * which Cloud Functions also use, so client and server prices never disagree.
+ * The engine is loaded as a classic script and exposed as window.PricingEngine.
  */
 
+const { priceAt, priceAtTime, toMillis } = window.PricingEngine;
+
 /**
  * Calculate expected price at current time
  * @param {Object} auction - Auction data
  * @returns {number} Expected price in cents
  */
 export function calculateExpectedPrice(auction) {
+  // Paused auctions hold the price from the server's last tick
   if (!auction || auction.status !== 'live') {
     return auction?.currentPrice || 0;
   }
 
-  const now = Date.now();
-  const startTime = auction.startTime?.toMillis ? auction.startTime.toMillis() : auction.startTime;
-  const elapsedSeconds = Math.floor((now - startTime) / 1000);
-
-  // For transparent mode, we can predict the price using the formula
-  if (auction.pricingMode === 'transparent') {
-    return calculateTransparentPrice(auction, elapsedSeconds);
-  }
-
-  // For algorithmic mode, we cannot predict (depends on viewer/shield counts)
-  // Fall back to last server price
-  return auction.currentPrice;
-}
-
-/**
- * Calculate transparent mode price
- * Mirrors logic from updateAuctionPrice.js lines 181-211
- * @param {Object} auction - Auction data
- * @param {number} elapsedSeconds - Time elapsed since start
- * @returns {number} Price in cents
- */
-function calculateTransparentPrice(auction, elapsedSeconds) {
-  const { startingPrice, floorPrice, duration, pricingConfig } = auction;
-  const formula = pricingConfig?.formula || 'linear';
-
-  let price;
-
-  switch (formula) {
-    case 'linear':
-      // Linear decay: starting - (rate * elapsed)
-      const linearRate = (startingPrice - floorPrice) / duration;
-      price = startingPrice - (linearRate * elapsedSeconds);
-      break;
-
-    case 'exponential':
-      // Exponential decay: starting * e^(-rate * elapsed)
-      const expRate = pricingConfig.decayRate || 0.0001;
-      price = startingPrice * Math.exp(-expRate * elapsedSeconds);
-      break;
-
-    case 'stepped':
-      // Stepped decay: drop by fixed amount at intervals
-      // Use stepCount if provided, otherwise fall back to stepInterval calculation
-      const stepCount = pricingConfig.stepCount || 10;
-      const stepInterval = pricingConfig.stepInterval || Math.floor(duration / stepCount);
-      const stepAmount = pricingConfig.stepAmount || Math.floor((startingPrice - floorPrice) / stepCount);
-      const numSteps = Math.floor(elapsedSeconds / stepInterval);
-      price = startingPrice - (stepAmount * numSteps);
-      break;
-
-    default:
-      console.warn(`[calculateTransparentPrice] Unknown formula: ${formula}, using linear`);
-      const defaultRate = (startingPrice - floorPrice) / duration;
-      price = startingPrice - (defaultRate * elapsedSeconds);
-  }
-
-  // Clamp to floor price
-  return Math.max(floorPrice, Math.round(price));
+  // Transparent mode follows its formula; algorithmic mode extrapolates from the
+  // server's algorithmState checkpoint using the last recorded viewer/shield counts
+  return priceAtTime(auction, Date.now());
 }
 
 /**
@@ -86,7 +36,8 @@ export function generatePredictedPricePoints(auction, numPoints = 100) {
     return [];
   }
 
-  const startTime = auction.startTime?.toMillis ? auction.startTime.toMillis() : auction.startTime;
+  // Past pauses push the rest of the curve later in wall-clock time
+  const startTime = toMillis(auction.startTime) + (auction.totalPausedMs || 0);
   const duration = auction.duration; // in seconds
   const points = [];
 
@@ -94,7 +45,7 @@ export function generatePredictedPricePoints(auction, numPoints = 100) {
     const progress = i / numPoints;
     const elapsedSeconds = Math.floor(duration * progress);
     const timestamp = startTime + (elapsedSeconds * 1000);
-    const price = calculateTransparentPrice(auction, elapsedSeconds);
+    const price = priceAt(auction, elapsedSeconds);
 
     points.push({
       x: timestamp,
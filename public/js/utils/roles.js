@@ -0,0 +1,33 @@
+/**
+ * Role utilities
+ * Staff roles come from the `role` custom claim set by the setUserRole Cloud
+ * Function; firestore.rules and the admin callables enforce them server-side.
+ */
+
+export const ROLES = ['admin', 'operator', 'support', 'user'];
+
+export const ROLE_LABELS = {
+  admin: '👑 Admin',
+  operator: '🛠 Operator',
+  support: '🎧 Support',
+  user: '👤 User'
+};
+
+// Roles that can open the admin panel
+export const STAFF_ROLES = ['admin', 'operator', 'support'];
+
+// Roles that can create and run auctions
+export const AUCTION_MANAGER_ROLES = ['admin', 'operator'];
+
+/**
+ * Get the signed-in user's role from their ID token claims
+ * @param {boolean} forceRefresh - Fetch a fresh token (after a role change)
+ * @returns {Promise<string>} Role ('user' when no claim is set)
+ */
+export async function getCurrentRole(forceRefresh = false) {
+  const user = window.auth?.currentUser;
+  if (!user) return 'user';
+
+  const { claims } = await user.getIdTokenResult(forceRefresh);
+  return claims.role || 'user';
+}